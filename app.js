@@ -1,18 +1,35 @@
 const express = require('express');
 const cors = require('cors'); // Import the CORS middleware
 const cron = require('node-cron');
-const { syncCustomers } = require('./controllers/customerController'); // Import the sync function
+const { runCustomerSync } = require('./controllers/customerController'); // Import the sync function
+const { reconcileBalances } = require('./services/balanceReconciliationService');
+const { enqueueCommissionChanges, processOutboundQueue } = require('./services/jobNimbusOutboundService');
+const { isAvailable: isJobNimbusAvailable } = require('./services/jobNimbusClient');
+const SessionModel = require('./models/sessionModel');
+const LoginAttemptModel = require('./models/loginAttemptModel');
 const customerRoutes = require('./routes/customerRoutes');
 const commissionRoutes = require('./routes/commissionRoutes');
 const userRoutes = require('./routes/userRoutes');
 const teamRoutes = require('./routes/teamRoutes');
 const emailRoutes = require('./routes/emailRoutes'); // Add this with other route imports
+const commissionPlanRoutes = require('./routes/commissionPlanRoutes');
+const payrollRoutes = require('./routes/payrollRoutes');
+const drawRoutes = require('./routes/drawRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const assigneeRoutes = require('./routes/assigneeRoutes');
+const jobNimbusRoutes = require('./routes/jobNimbusRoutes');
 const { globalErrorHandler } = require('./utils/error');
 const pool = require('./config/db'); // Database connection
 const logger = require('./utils/logger'); // Logger utility
 
 const app = express();
 
+// In production requests arrive through Render's proxy; trust it so req.ip is the client's
+// address, which login throttling and sessions rely on
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
 // Enable CORS for requests from the frontend
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -36,16 +53,43 @@ app.use((req, res, next) => {
 });
 
 // Middleware to parse JSON
-app.use(express.json());
+// Webhook bodies are also kept raw, since their signatures cover the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+
+// Request bodies are logged with these fields masked
+const REDACTED_BODY_FIELDS = [
+  'routingNumber', 'accountNumber',
+  'password', 'currentPassword', 'newPassword',
+  'token', 'resetToken', 'refreshToken', 'mfaToken', 'code', 'recoveryCode'
+];
+
+const redactBody = (body) => {
+  if (Array.isArray(body)) return body.map(redactBody);
+  if (!body || typeof body !== 'object') return body;
+  return Object.fromEntries(Object.entries(body).map(([key, value]) =>
+    [key, REDACTED_BODY_FIELDS.includes(key) ? '[REDACTED]' : redactBody(value)]
+  ));
+};
 
-// Add this to your Express app setup (app.js or index.js)
 app.use((req, res, next) => {
-  console.log(`${req.method} ${req.path}`, req.body);
+  console.log(`${req.method} ${req.path}`, redactBody(req.body));
   next();
 });
 
 // Routes
 app.use('/api/customers', customerRoutes);
+app.use('/api/commission-plans', commissionPlanRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/draws', drawRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/unmatched-assignees', assigneeRoutes);
+app.use('/api/jobnimbus', jobNimbusRoutes);
 app.use('/api/', commissionRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/teams', teamRoutes);
@@ -60,14 +104,72 @@ pool.query('SELECT NOW()', (err, res) => {
   }
 });
 
-// Schedule a daily sync at midnight (00:00)
-cron.schedule('0 0 * * *', async () => {
-  console.log('Running daily customer sync...');
+// Nightly sync retries when JobNimbus is unavailable: first after JOBNIMBUS_SYNC_RETRY_MINUTES,
+// doubling each time (up to 2 hours), at most JOBNIMBUS_SYNC_MAX_RETRIES times
+const SYNC_RETRY_MINUTES = parseInt(process.env.JOBNIMBUS_SYNC_RETRY_MINUTES) || 15;
+const SYNC_MAX_RETRIES = parseInt(process.env.JOBNIMBUS_SYNC_MAX_RETRIES) || 6;
+let syncRetryTimer = null;
+
+const runNightlySync = async (retry = 0) => {
+  syncRetryTimer = null;
+  console.log(retry > 0 ? `Retrying daily customer sync (retry ${retry}/${SYNC_MAX_RETRIES})...` : 'Running daily customer sync...');
   try {
-    await syncCustomers(); // Call the sync function
-    console.log('Daily customer sync completed successfully.');
+    if (!isJobNimbusAvailable()) {
+      throw Object.assign(new Error('JobNimbus circuit is open'), { transient: true });
+    }
+    // Incremental: only jobs updated in JobNimbus since the last successful sync
+    const result = await runCustomerSync({ trigger: 'cron' });
+    console.log(`Daily customer sync completed successfully: ${result.jobsFetched} jobs fetched.`);
   } catch (error) {
     console.error('Error during daily customer sync:', error.message);
+
+    if (error.transient && retry < SYNC_MAX_RETRIES) {
+      const delayMs = Math.max(Math.min(SYNC_RETRY_MINUTES * 2 ** retry, 120) * 60000, error.retryAfterMs || 0);
+      console.log(`JobNimbus unavailable; daily customer sync rescheduled in ${Math.round(delayMs / 60000)} minutes.`);
+      syncRetryTimer = setTimeout(() => runNightlySync(retry + 1), delayMs);
+    }
+  }
+};
+
+// Schedule a daily sync at midnight (00:00)
+cron.schedule('0 0 * * *', () => {
+  // A new night's run replaces any retry still waiting from the last one
+  if (syncRetryTimer) clearTimeout(syncRetryTimer);
+  return runNightlySync();
+});
+
+// Reconcile user balances every night after the sync (00:30)
+// Set BALANCE_RECONCILIATION_AUTO_CORRECT=true to post ledger corrections automatically
+cron.schedule('30 0 * * *', async () => {
+  console.log('Running nightly balance reconciliation...');
+  try {
+    const result = await reconcileBalances({
+      autoCorrect: process.env.BALANCE_RECONCILIATION_AUTO_CORRECT === 'true'
+    });
+    console.log(`Balance reconciliation completed: ${result.discrepancies.length} discrepancies, ${result.corrected.length} corrected.`);
+  } catch (error) {
+    console.error('Error during balance reconciliation:', error.message);
+  }
+});
+
+// Push commission changes and assignment corrections back to JobNimbus every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    await enqueueCommissionChanges();
+    await processOutboundQueue();
+  } catch (error) {
+    console.error('Error during JobNimbus outbound sync:', error.message);
+  }
+});
+
+// Delete sessions that ended, and login attempts logged, more than 30 days ago (03:00)
+cron.schedule('0 3 * * *', async () => {
+  try {
+    const deleted = await SessionModel.deleteEndedSessions(30);
+    const deletedAttempts = await LoginAttemptModel.deleteOldAttempts(30);
+    console.log(`Deleted ${deleted} ended sessions and ${deletedAttempts} login attempts.`);
+  } catch (error) {
+    console.error('Error deleting ended sessions:', error.message);
   }
 });
 
@@ -0,0 +1,63 @@
+/**
+ * Access levels and what each may do
+ * A user's access level is stored in users.permissions; their business role
+ * (Salesman, Sales Manager, ...) is separate and only drives commissions.
+ *
+ * Reads are scoped on top of these permissions (see services/accessScopeService.js):
+ * admins see everything, managers see themselves and their teams, reps and affiliates see their own.
+ */
+
+const ACCESS_LEVELS = ['admin', 'manager', 'rep', 'affiliate'];
+
+// Must set up MFA before using the API (see services/mfaService.js)
+const MFA_REQUIRED_LEVELS = ['admin'];
+
+const ALL = ACCESS_LEVELS;
+const ADMIN = ['admin'];
+const MANAGEMENT = ['admin', 'manager'];
+
+const PERMISSIONS = {
+  'customers:read': ALL,
+  'customers:create': ALL, // Add a lead to JobNimbus
+  'customers:manage': ADMIN, // Delete, correct assignments, view sync history
+  'customers:sync': ADMIN,
+
+  'commissions:read': ALL,
+  'commissions:manage': ADMIN, // Add/edit/delete commissions, waive clawbacks, process customers
+  'commissions:calculate': ALL, // Potential commission estimates
+  'payments:read': ALL,
+  'payments:manage': ADMIN,
+  'balances:read': ALL,
+  'balances:reconcile': ADMIN,
+  'reports:read': MANAGEMENT, // Summaries across users
+
+  'draws:read': ALL,
+  'draws:manage': ADMIN,
+  'payroll:manage': ADMIN,
+  'plans:read': MANAGEMENT,
+  'plans:manage': ADMIN,
+
+  'teams:read': MANAGEMENT,
+  'teams:manage': ADMIN,
+  'users:read': MANAGEMENT,
+  'users:manage': ADMIN, // Create, delete, change access, aliases and JobNimbus links
+
+  'jobnimbus:manage': ADMIN, // Field mappings, outbound sync, webhooks, unmatched assignees
+  'email:send': ADMIN,
+  'email:report': ALL
+};
+
+/**
+ * Whether an access level grants a permission
+ * @param {string} accessLevel - users.permissions
+ * @param {string} permission - Key of PERMISSIONS
+ */
+const hasPermission = (accessLevel, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return allowed.includes(accessLevel);
+};
+
+module.exports = { ACCESS_LEVELS, MFA_REQUIRED_LEVELS, PERMISSIONS, hasPermission };
@@ -0,0 +1,188 @@
+const db = require('../config/db');
+const UnmatchedAssigneeModel = require('../models/unmatchedAssigneeModel');
+const { getAllUsers, getUserById, addUserAlias, linkJobNimbusUserId } = require('../models/userModel');
+const { buildAssigneeLookup, normalizeAssigneeName, suggestUsers } = require('../services/assigneeMatchingService');
+const { fetchJobNimbusJob } = require('../services/jobNimbusService');
+const { syncJobNimbusJob } = require('./customerController');
+const { AppError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+const STATUSES = ['pending', 'resolved', 'ignored'];
+
+const withSuggestions = (assignee, users) => ({
+  ...assignee,
+  suggestions: assignee.status === 'resolved' ? [] : suggestUsers(assignee.assignee_name, users)
+});
+
+/**
+ * Sync the affected jobs again so the new match takes effect
+ * One failing job does not stop the rest
+ */
+const reprocessJobs = async (jnids) => {
+  const reprocessed = [];
+  const failed = [];
+
+  for (const jnid of jnids) {
+    try {
+      const result = await syncJobNimbusJob(await fetchJobNimbusJob(jnid), { source: 'sync' });
+      reprocessed.push({
+        jnid,
+        customer_id: result.customer.id,
+        change: result.change,
+        commissions: result.commissions
+      });
+    } catch (error) {
+      logger.error(`Re-processing JobNimbus job ${jnid} failed:`, error);
+      failed.push({ jnid, error: error.message });
+    }
+  }
+
+  return { reprocessed, failed };
+};
+
+const AssigneeController = {
+  /**
+   * GET /api/unmatched-assignees
+   * The queue, with the jobs affected and suggested users for each name
+   */
+  getUnmatchedAssignees: async (req, res, next) => {
+    try {
+      const { status = 'pending', limit = 100, offset = 0 } = req.query;
+      if (status !== 'all' && !STATUSES.includes(status)) {
+        throw new AppError("status must be 'pending', 'resolved', 'ignored' or 'all'", 400);
+      }
+
+      const [assignees, users] = await Promise.all([
+        UnmatchedAssigneeModel.getUnmatchedAssignees({
+          status: status === 'all' ? null : status,
+          limit: Math.min(parseInt(limit) || 100, 500),
+          offset: parseInt(offset) || 0
+        }),
+        getAllUsers()
+      ]);
+      res.json(assignees.map(assignee => withSuggestions(assignee, users)));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  getUnmatchedAssigneeById: async (req, res, next) => {
+    try {
+      const assignee = await UnmatchedAssigneeModel.getUnmatchedAssigneeById(req.params.id);
+      if (!assignee) {
+        throw new AppError('Unmatched assignee not found', 404);
+      }
+      res.json(withSuggestions(assignee, await getAllUsers()));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * POST /api/unmatched-assignees/:id/resolve
+   * Match the name to a user: saves it as an alias, links the JobNimbus user ID
+   * when the jobs had one, then re-processes the affected jobs
+   */
+  resolveUnmatchedAssignee: async (req, res, next) => {
+    const { user_id, link_jobnimbus_id = true, reprocess = true } = req.body;
+
+    try {
+      if (!user_id) {
+        throw new AppError('user_id is required', 400);
+      }
+      const user = await getUserById(user_id);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      // The connection is only held for the resolution; re-processing calls JobNimbus and may take a while
+      let resolved;
+      let alias;
+      let jobnimbusLink = null;
+      let jobs;
+      const client = await db.connect();
+      try {
+        await client.query('BEGIN');
+
+        const assignee = await UnmatchedAssigneeModel.lockUnmatchedAssignee(req.params.id, client);
+        if (!assignee) {
+          throw new AppError('Unmatched assignee not found', 404);
+        }
+        if (assignee.status === 'resolved') {
+          throw new AppError('Unmatched assignee is already resolved', 409);
+        }
+
+        // The name may already match someone, e.g. if an alias was added since the last sync
+        const claimedBy = buildAssigneeLookup(await getAllUsers()).byName.get(assignee.assignee_normalized);
+        if (claimedBy && claimedBy.id !== user.id) {
+          throw new AppError(`"${assignee.assignee_name}" already matches ${claimedBy.name}`, 409);
+        }
+
+        alias = claimedBy
+          ? null
+          : await addUserAlias(user.id, assignee.assignee_name, normalizeAssigneeName(assignee.assignee_name), req.user?.userId, client);
+
+        if (link_jobnimbus_id && assignee.jobnimbus_user_id && user.jobnimbus_user_id !== assignee.jobnimbus_user_id) {
+          if (user.jobnimbus_user_id) {
+            jobnimbusLink = { linked: false, reason: `User is already linked to JobNimbus user ${user.jobnimbus_user_id}` };
+          } else {
+            const linked = await linkJobNimbusUserId(user.id, assignee.jobnimbus_user_id, client);
+            jobnimbusLink = linked
+              ? { linked: true, jobnimbus_user_id: linked.jobnimbus_user_id }
+              : { linked: false, reason: 'Another user is already linked to this JobNimbus user' };
+          }
+        }
+
+        jobs = await UnmatchedAssigneeModel.getAssigneeJobs(assignee.id, client);
+        resolved = await UnmatchedAssigneeModel.setResolution(assignee.id, {
+          status: 'resolved',
+          resolved_user_id: user.id,
+          resolved_by: req.user?.userId
+        }, client);
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      const jnids = [...new Set(jobs.map(job => job.jnid))];
+      const { reprocessed, failed } = reprocess ? await reprocessJobs(jnids) : { reprocessed: [], failed: [] };
+
+      res.status(failed.length > 0 ? 207 : 200).json({
+        assignee: resolved,
+        alias,
+        jobnimbusLink,
+        jobsAffected: jnids.length,
+        reprocessed,
+        failed: failed.length > 0 ? failed : undefined
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Leave a name unmatched on purpose, e.g. someone who is not a user
+  ignoreUnmatchedAssignee: async (req, res, next) => {
+    try {
+      const assignee = await UnmatchedAssigneeModel.getUnmatchedAssigneeById(req.params.id);
+      if (!assignee) {
+        throw new AppError('Unmatched assignee not found', 404);
+      }
+      if (assignee.status !== 'pending') {
+        throw new AppError(`Unmatched assignee is already ${assignee.status}`, 409);
+      }
+
+      res.json(await UnmatchedAssigneeModel.setResolution(assignee.id, {
+        status: 'ignored',
+        resolved_by: req.user?.userId
+      }));
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = AssigneeController;
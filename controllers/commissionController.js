@@ -1,8 +1,15 @@
 const CommissionModel = require('../models/commissionModel');
+const CommissionAdjustmentModel = require('../models/commissionAdjustmentModel');
+const LedgerModel = require('../models/ledgerModel');
+const ReconciliationModel = require('../models/reconciliationModel');
+const PaymentAllocationModel = require('../models/paymentAllocationModel');
+const { reconcileBalances, correctUserBalance } = require('../services/balanceReconciliationService');
+const { parseAllocationRequest, allocatePayment, applyCredit } = require('../services/paymentAllocationService');
 const commissionService = require('../services/commissionService');
 const { getUserDetailsById } = require('../controllers/userController');
 const { getTeamByUserIdFromDb } = require('../models/teamModel');
 const { getCustomerById, getCustomersByIds } = require('../models/customerModel'); // ADD getCustomersByIds HERE
+const { canAccessUser, filterByScope, resolveScopedUserId } = require('../services/accessScopeService');
 const db = require('../config/db');
 
 // Cache for frequently accessed data
@@ -21,15 +28,17 @@ const getCachedOrFetch = async (key, fetchFunction, ttl = CACHE_TTL) => {
   return data;
 };
 
+const OUT_OF_SCOPE = { message: 'You do not have access to this user\'s records' };
+
 const CommissionController = {
   // Get commissions due for the current user
   getUserCommissions: async (req, res) => {
     try {
-      // Get userId from either auth or query params
-      const userId = req.user?.id || req.query.user_id;
+      // The caller, or user_id if it is in the caller's scope
+      const userId = resolveScopedUserId(req.scope, req.query.user_id);
       
       if (!userId) {
-        return res.status(400).json({ message: 'User ID is required' });
+        return res.status(403).json(OUT_OF_SCOPE);
       }
 
       const commissions = await CommissionModel.getCommissionsDueByUserId(userId);
@@ -40,18 +49,61 @@ const CommissionController = {
     }
   },
 
-  // Get all commissions due (admin only)
+  // Get all commissions due in the caller's scope
   getAllCommissions: async (req, res) => {
     try {
-      
       const commissions = await CommissionModel.getAllCommissionsDue();
-      res.status(200).json(commissions);
+      res.status(200).json(filterByScope(req.scope, commissions));
     } catch (error) {
       console.error('Error getting all commissions:', error);
       res.status(500).json({ message: 'Server error retrieving all commissions', error: error.message });
     }
   },
 
+  // Explain how a stored commission was calculated
+  explainCommission: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const commission = await CommissionModel.getCommissionDueById(id);
+
+      if (!commission) {
+        return res.status(404).json({ message: 'Commission not found' });
+      }
+      if (!canAccessUser(req.scope, commission.user_id)) {
+        return res.status(403).json(OUT_OF_SCOPE);
+      }
+
+      const trace = commission.calculation_trace || null;
+      const response = {
+        commissionId: commission.id,
+        userId: commission.user_id,
+        userName: commission.user_name,
+        customerId: commission.customer_id,
+        customerName: commission.customer_name,
+        commissionAmount: commission.commission_amount,
+        adminModified: commission.admin_modified,
+        // Admin edits leave a stale trace, and manually added commissions only record who added them
+        traceMatchesAmount: trace ? Math.abs(Number(trace.amount) - Number(commission.commission_amount)) < 0.01 : false,
+        trace
+      };
+
+      // Optionally re-run the calculation against today's data for comparison
+      if (req.query.recalculate === 'true' && commission.customer_id) {
+        const [user, [customer]] = await Promise.all([
+          getUserDetailsById(commission.user_id),
+          getCustomersByIds([commission.customer_id])
+        ]);
+        const { trace: currentTrace } = await commissionService.calculateCommissionWithTrace(user, customer, null, true);
+        response.currentCalculation = currentTrace;
+      }
+
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Error explaining commission:', error);
+      res.status(500).json({ message: 'Server error explaining commission', error: error.message });
+    }
+  },
+
   // Get specific commission due by id
   getCommissionById: async (req, res) => {
     try {
@@ -61,6 +113,9 @@ const CommissionController = {
       if (!commission) {
         return res.status(404).json({ message: 'Commission not found' });
       }
+      if (!canAccessUser(req.scope, commission.user_id)) {
+        return res.status(403).json(OUT_OF_SCOPE);
+      }
       
       res.status(200).json(commission);
     } catch (error) {
@@ -71,23 +126,43 @@ const CommissionController = {
 
   // Add a new commission due record
   addCommission: async (req, res) => {
+    const client = await db.connect();
     try {
       
       const commissionData = req.body;
-      const newCommission = await CommissionModel.addCommissionDue(commissionData);
+
+      // The commission and its ledger entry commit together or not at all
+      await client.query('BEGIN');
+
+      const newCommission = await CommissionModel.addCommissionDue({
+        ...commissionData,
+        // Nothing was calculated; record who added it
+        calculation_trace: { source: 'manual', created_by: req.user?.userId || null }
+      }, client);
       
       // Update user balance
-      await updateUserBalanceOnCommissionChange(commissionData.user_id, commissionData.commission_amount);
+      await updateUserBalanceOnCommissionChange(commissionData.user_id, commissionData.commission_amount, client, {
+        entry_type: 'commission',
+        commission_due_id: newCommission.id,
+        description: 'Commission added by admin',
+        created_by: req.user?.userId
+      });
+
+      await client.query('COMMIT');
       
       res.status(201).json(newCommission);
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error adding commission:', error);
       res.status(500).json({ message: 'Server error adding commission', error: error.message });
+    } finally {
+      client.release();
     }
   },
 
   // Update a commission due record
   updateCommission: async (req, res) => {
+    const client = await db.connect();
     try {
       
       const { id } = req.params;
@@ -98,26 +173,44 @@ const CommissionController = {
       if (!originalCommission) {
         return res.status(404).json({ message: 'Commission not found' });
       }
+
+      // The edit and its ledger entry commit together or not at all
+      await client.query('BEGIN');
       
-      const updatedCommission = await CommissionModel.updateCommissionDue(id, commissionData);
+      const updatedCommission = await CommissionModel.updateCommissionDue(id, commissionData, client);
       
       // Calculate difference for balance update
       const amountDifference = commissionData.commission_amount - originalCommission.commission_amount;
       
       // Only update balance if amount changed
       if (amountDifference !== 0) {
-        await updateUserBalanceOnCommissionChange(originalCommission.user_id, amountDifference);
+        await updateUserBalanceOnCommissionChange(originalCommission.user_id, amountDifference, client, {
+          entry_type: 'commission_change',
+          commission_due_id: originalCommission.id,
+          description: 'Commission amount edited by admin',
+          created_by: req.user?.userId
+        });
+
+        // Paid is recomputed from the allocations against the new amount
+        const [{ is_paid }] = await PaymentAllocationModel.refreshPaidFlags([updatedCommission.id], client);
+        updatedCommission.is_paid = is_paid;
       }
+
+      await client.query('COMMIT');
       
       res.status(200).json(updatedCommission);
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error updating commission:', error);
       res.status(500).json({ message: 'Server error updating commission', error: error.message });
+    } finally {
+      client.release();
     }
   },
 
   // Delete a commission due record
   deleteCommission: async (req, res) => {
+    const client = await db.connect();
     try {
 
       const { id } = req.params;
@@ -128,22 +221,138 @@ const CommissionController = {
         return res.status(404).json({ message: 'Commission not found' });
       }
       
-      await CommissionModel.deleteCommissionDue(id);
-      
-      // Update user balance by subtracting the commission amount
-      await updateUserBalanceOnCommissionChange(commission.user_id, -commission.commission_amount);
+      // Active clawbacks were already deducted and are deleted with the commission
+      const activeClawbacks = await CommissionAdjustmentModel.getActiveTotalByCommissionId(id);
+
+      // Credit, deletion and ledger reversal commit together or not at all
+      await client.query('BEGIN');
+
+      // Payments (and draws) applied to it get the amount back as credit
+      await PaymentAllocationModel.returnMappingsToCredit([commission.id], client);
+      await CommissionModel.deleteCommissionDue(id, client);
+      
+      // Update user balance by subtracting the net commission amount
+      await updateUserBalanceOnCommissionChange(
+        commission.user_id,
+        -(parseFloat(commission.commission_amount) + activeClawbacks),
+        client,
+        {
+          entry_type: 'commission_deletion',
+          commission_due_id: commission.id,
+          description: 'Commission deleted by admin',
+          created_by: req.user?.userId
+        }
+      );
+
+      await client.query('COMMIT');
       
       res.status(200).json({ message: 'Commission deleted successfully' });
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error deleting commission:', error);
       res.status(500).json({ message: 'Server error deleting commission', error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+
+  // ==========================================
+  // Clawbacks
+  // ==========================================
+
+  // Get clawbacks, optionally filtered by status, user or customer
+  getClawbacks: async (req, res) => {
+    try {
+      const { status, user_id, customer_id } = req.query;
+      if (user_id && !canAccessUser(req.scope, user_id)) {
+        return res.status(403).json(OUT_OF_SCOPE);
+      }
+
+      const clawbacks = await CommissionAdjustmentModel.getClawbacks({
+        status: status || null,
+        user_id: user_id || null,
+        customer_id: customer_id || null
+      });
+      res.status(200).json(filterByScope(req.scope, clawbacks));
+    } catch (error) {
+      console.error('Error getting clawbacks:', error);
+      res.status(500).json({ message: 'Server error retrieving clawbacks', error: error.message });
+    }
+  },
+
+  // Get a clawback by id
+  getClawbackById: async (req, res) => {
+    try {
+      const clawback = await CommissionAdjustmentModel.getClawbackById(req.params.id);
+
+      if (!clawback) {
+        return res.status(404).json({ message: 'Clawback not found' });
+      }
+      if (!canAccessUser(req.scope, clawback.user_id)) {
+        return res.status(403).json(OUT_OF_SCOPE);
+      }
+
+      res.status(200).json(clawback);
+    } catch (error) {
+      console.error('Error getting clawback by ID:', error);
+      res.status(500).json({ message: 'Server error retrieving clawback', error: error.message });
+    }
+  },
+
+  // Waive an active clawback and give the amount back to the user (admin only)
+  waiveClawback: async (req, res) => {
+    const client = await db.connect();
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({ message: 'A reason is required to waive a clawback' });
+      }
+
+      await client.query('BEGIN');
+
+      const clawback = await CommissionAdjustmentModel.waiveClawback(
+        id,
+        { waived_by: req.user?.userId || null, waive_reason: reason },
+        client
+      );
+
+      if (!clawback) {
+        await client.query('ROLLBACK');
+        const existing = await CommissionAdjustmentModel.getClawbackById(id);
+        return existing
+          ? res.status(409).json({ message: `Clawback is already ${existing.status}` })
+          : res.status(404).json({ message: 'Clawback not found' });
+      }
+
+      await updateUserBalanceOnCommissionChange(clawback.user_id, -parseFloat(clawback.amount), client, {
+        entry_type: 'clawback_waiver',
+        commission_due_id: clawback.commission_due_id,
+        adjustment_id: clawback.id,
+        description: `Clawback waived: ${reason}`,
+        created_by: req.user?.userId
+      });
+
+      await client.query('COMMIT');
+      res.status(200).json(clawback);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error waiving clawback:', error);
+      res.status(500).json({ message: 'Server error waiving clawback', error: error.message });
+    } finally {
+      client.release();
     }
   },
 
   // Get user payments
   getUserPayments: async (req, res) => {
     try {
-      const userId = req.user.id;
+      const userId = resolveScopedUserId(req.scope, req.query.user_id);
+      if (!userId) {
+        return res.status(403).json(OUT_OF_SCOPE);
+      }
+
       const payments = await CommissionModel.getPaymentsByUserId(userId);
       res.status(200).json(payments);
     } catch (error) {
@@ -152,44 +361,82 @@ const CommissionController = {
     }
   },
 
-  // Get all payments (admin only)
+  // Get all payments in the caller's scope
   getAllPayments: async (req, res) => {
     try {
       const payments = await CommissionModel.getAllPayments();
-      res.status(200).json(payments);
+      res.status(200).json(filterByScope(req.scope, payments));
     } catch (error) {
       console.error('Error getting all payments:', error);
       res.status(500).json({ message: 'Server error retrieving all payments', error: error.message });
     }
   },
 
-  // Add a new payment
+  // Add a new payment and allocate it across the user's open commissions
   addPayment: async (req, res) => {
+    const paymentData = req.body;
+
+    if (!paymentData.user_id || !(parseFloat(paymentData.amount) > 0) || !paymentData.payment_type) {
+      return res.status(400).json({ message: 'User ID, a positive amount and payment type are required' });
+    }
+
+    const allocationRequest = parseAllocationRequest(paymentData);
+    if (allocationRequest.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid payment allocation', errors: allocationRequest.errors });
+    }
+
+    const client = await db.connect();
     try {
-      const paymentData = req.body;
-      const newPayment = await CommissionModel.addPayment(paymentData);
-      
-      // Only attempt commission mapping if commission_due_ids are provided
-      if (paymentData.commission_due_ids && Array.isArray(paymentData.commission_due_ids)) {
-        // Use Promise.all for parallel processing
-        const mappingPromises = paymentData.commission_due_ids.map(async (commissionId) => {
-          const commission = await CommissionModel.getCommissionDueById(commissionId);
-          if (commission) {
-            return CommissionModel.addPaymentCommissionMapping({
-              payment_id: newPayment.id,
-              commission_due_id: commissionId,
-              amount_applied: commission.commission_amount
-            });
-          }
-        });
-        
-        await Promise.all(mappingPromises.filter(Boolean));
-      }
+      await client.query('BEGIN');
+
+      const newPayment = await CommissionModel.addPayment({ ...paymentData, created_by: req.user?.userId }, client);
+      const allocation = await allocatePayment(newPayment, allocationRequest, client);
+
+      await client.query('COMMIT');
       
-      res.status(201).json(newPayment);
+      cache.delete('all_user_balances');
+      res.status(201).json({
+        ...newPayment,
+        allocation_strategy: allocation.strategy,
+        unallocated_amount: allocation.credit_amount,
+        allocation
+      });
     } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       console.error('Error adding payment:', error);
       res.status(500).json({ message: 'Server error adding payment', error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+
+  // Apply a user's unallocated payment credit to their open commissions (admin only)
+  applyPaymentCredit: async (req, res) => {
+    const { user_id } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({ message: 'User ID is required' });
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const allocations = await applyCredit([Number(user_id)], client);
+      await client.query('COMMIT');
+
+      res.status(200).json({
+        allocations,
+        allocated_amount: allocations.reduce((sum, allocation) => sum + allocation.amount_applied, 0)
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error applying payment credit:', error);
+      res.status(500).json({ message: 'Server error applying payment credit', error: error.message });
+    } finally {
+      client.release();
     }
   },
 
@@ -204,7 +451,7 @@ const CommissionController = {
         return res.status(400).json({ message: 'Amount and payment type are required' });
       }
 
-      const updatedPayment = await CommissionModel.updatePayment(id, paymentData);
+      const updatedPayment = await CommissionModel.updatePayment(id, { ...paymentData, created_by: req.user?.userId });
       
       if (!updatedPayment) {
         return res.status(404).json({ message: 'Payment not found' });
@@ -229,7 +476,7 @@ const CommissionController = {
       }
       
       // Delete the payment (this will also handle balance adjustment)
-      await CommissionModel.deletePayment(id);
+      await CommissionModel.deletePayment(id, req.user?.userId);
       
       res.status(200).json({ message: 'Payment deleted successfully' });
     } catch (error) {
@@ -241,8 +488,35 @@ const CommissionController = {
   // Get user balance
   getUserBalance: async (req, res) => {
     try {
-      const userId = req.user.id;
+      const userId = resolveScopedUserId(req.scope, req.query.user_id);
+
+      if (!userId) {
+        return res.status(403).json(OUT_OF_SCOPE);
+      }
+
       const balance = await CommissionModel.getUserBalance(userId);
+
+      // Optionally include the ledger lines the balance is built from
+      if (req.query.ledger === 'true') {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const offset = parseInt(req.query.offset) || 0;
+        const [lines, totals] = await Promise.all([
+          LedgerModel.getLedgerLines(userId, { limit, offset }),
+          LedgerModel.getLedgerTotals(userId)
+        ]);
+
+        return res.status(200).json({
+          ...balance,
+          ledger: {
+            totals,
+            in_sync: Math.abs(parseFloat(totals.current_balance) - parseFloat(balance.current_balance)) < 0.01,
+            lines,
+            limit,
+            offset
+          }
+        });
+      }
+
       res.status(200).json(balance);
     } catch (error) {
       console.error('Error getting user balance:', error);
@@ -250,66 +524,141 @@ const CommissionController = {
     }
   },
 
-  // Get all user balances (admin only) - with caching
+  // Get all user balances in the caller's scope - with caching
   getAllUserBalances: async (req, res) => {
     try {
-      
       const balances = await getCachedOrFetch(
         'all_user_balances',
         () => CommissionModel.getAllUserBalances(),
         60000 // 1 minute cache for frequently accessed data
       );
-      res.status(200).json(balances);
+      res.status(200).json(filterByScope(req.scope, balances));
     } catch (error) {
       console.error('Error getting all user balances:', error);
       res.status(500).json({ message: 'Server error retrieving all balances', error: error.message });
     }
   },
 
+  // Get balance discrepancies found by reconciliation (admin only)
+  getBalanceReconciliation: async (req, res) => {
+    try {
+      const { status = 'open', user_id, limit = 100, offset = 0 } = req.query;
+      const discrepancies = await ReconciliationModel.getDiscrepancies({
+        status: status === 'all' ? null : status,
+        user_id: user_id || null,
+        limit: Math.min(parseInt(limit) || 100, 1000),
+        offset: parseInt(offset) || 0
+      });
+      res.status(200).json(discrepancies);
+    } catch (error) {
+      console.error('Error getting balance reconciliation:', error);
+      res.status(500).json({ message: 'Server error retrieving balance reconciliation', error: error.message });
+    }
+  },
+
+  // Run reconciliation now (admin only)
+  runBalanceReconciliation: async (req, res) => {
+    try {
+      const result = await reconcileBalances({
+        autoCorrect: req.body.auto_correct === true,
+        correctedBy: req.user?.userId || null
+      });
+
+      cache.delete('all_user_balances');
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Error running balance reconciliation:', error);
+      res.status(500).json({ message: 'Server error running balance reconciliation', error: error.message });
+    }
+  },
+
+  // Correct the balance behind an open discrepancy (admin only)
+  correctBalanceDiscrepancy: async (req, res) => {
+    try {
+      const discrepancy = await ReconciliationModel.getDiscrepancyById(req.params.id);
+
+      if (!discrepancy) {
+        return res.status(404).json({ message: 'Discrepancy not found' });
+      }
+      if (discrepancy.status !== 'open') {
+        return res.status(409).json({ message: 'Discrepancy has already been corrected' });
+      }
+
+      const entries = await correctUserBalance(discrepancy.user_id, req.user?.userId || null);
+      const balance = await CommissionModel.getUserBalance(discrepancy.user_id);
+
+      cache.delete('all_user_balances');
+      cache.delete(`user_balance_${discrepancy.user_id}`);
+      res.status(200).json({ message: 'Balance corrected', ledger_entries: entries, balance });
+    } catch (error) {
+      console.error('Error correcting balance discrepancy:', error);
+      res.status(500).json({ message: 'Server error correcting balance discrepancy', error: error.message });
+    }
+  },
+
   // Process customer status change to "Finalized" and create commissions
   processCustomerFinalized: async (req, res) => {
+    const client = await db.connect();
     try {
       const { customerId } = req.params;
       const { buildDate } = req.body;
       
       // Update commissions on customer finalized - this returns customer and user data
-      const customerData = await CommissionModel.updateCommissionsOnCustomerFinalized(customerId, buildDate);
-      
-      // Calculate commissions for all associated users using commission service
-      const result = await commissionService.calculateCommissions(customerData);
+      const { userIds } = await CommissionModel.updateCommissionsOnCustomerFinalized(customerId, buildDate);
+      const [customer] = await getCustomersByIds([parseInt(customerId)]);
+      
+      // Calculate each associated user's commission, keeping the trace of how it was reached
+      const calculations = [];
+      for (const userId of new Set(userIds)) {
+        const user = await getUserDetailsById(userId);
+        const { amount, trace } = await commissionService.calculateCommissionWithTrace(user, customer, null, true);
+        if (parseFloat(amount) > 0) {
+          calculations.push({ userId, amount: parseFloat(amount), trace });
+        }
+      }
       
-      // Create commission records for each user
-      // Use Promise.all for parallel commission creation
-      const commissionPromises = result.commissions.map(async (commission) => {
+      // Create commission records for each user; they and their ledger entries commit together
+      await client.query('BEGIN');
+
+      const commissions = [];
+      for (const commission of calculations) {
         const newCommission = await CommissionModel.addCommissionDue({
           user_id: commission.userId,
           customer_id: customerId,
           commission_amount: commission.amount,
-          build_date: buildDate
-        });
+          build_date: buildDate,
+          calculation_trace: commission.trace
+        }, client);
         
         // Update user balance
-        await updateUserBalanceOnCommissionChange(commission.userId, commission.amount);
-        return newCommission;
-      });
-      
-      await Promise.all(commissionPromises);
+        await updateUserBalanceOnCommissionChange(commission.userId, commission.amount, client, {
+          entry_type: 'commission',
+          commission_due_id: newCommission.id,
+          description: 'Commission earned on Finalized job'
+        });
+        commissions.push(newCommission);
+      }
+
+      await client.query('COMMIT');
       
-      res.status(200).json({ message: 'Commissions processed successfully', data: result });
+      res.status(200).json({ message: 'Commissions processed successfully', data: { commissions } });
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error processing customer finalization:', error);
       res.status(500).json({ message: 'Server error processing customer finalization', error: error.message });
+    } finally {
+      client.release();
     }
   },
 
   // Get monthly/yearly commission summary for a user
   getUserCommissionSummary: async (req, res) => {
     try {
-      // Get userId from either auth token or query params
-      const userId = req.user?.id || req.query.user_id;
+      // The caller, or user_id if it is in the caller's scope
+      const userId = resolveScopedUserId(req.scope, req.query.user_id);
       
       if (!userId) {
-        return res.status(400).json({ message: 'User ID is required' });
+        return res.status(403).json(OUT_OF_SCOPE);
       }
 
       const { startDate, endDate } = req.query;
@@ -334,10 +683,9 @@ const CommissionController = {
     }
   },
 
-  // Get all users' commission summary (admin only)
+  // Get the commission summary of every user in the caller's scope
   getAllCommissionSummary: async (req, res) => {
     try {
-      
       const { startDate, endDate } = req.query;
       
       // Validate dates or use defaults
@@ -349,7 +697,7 @@ const CommissionController = {
         validEndDate
       );
       
-      res.status(200).json(summary);
+      res.status(200).json(filterByScope(req.scope, summary));
     } catch (error) {
       console.error('Error getting all commission summary:', error);
       res.status(500).json({ message: 'Server error retrieving all commission summary', error: error.message });
@@ -360,6 +708,15 @@ const CommissionController = {
   getPaymentDetails: async (req, res) => {
     try {
       const { paymentId } = req.params;
+      const payment = await CommissionModel.getPaymentById(paymentId);
+
+      if (!payment) {
+        return res.status(404).json({ message: 'Payment not found' });
+      }
+      if (!canAccessUser(req.scope, payment.user_id)) {
+        return res.status(403).json(OUT_OF_SCOPE);
+      }
+
       const mappings = await CommissionModel.getPaymentCommissionMapping(paymentId);
       
       res.status(200).json(mappings);
@@ -372,13 +729,13 @@ const CommissionController = {
   // OPTIMIZED: Calculate potential commission for customer(s) without saving to database
   calculatePotentialCommission: async (req, res) => {
     try {
-      const userId = req.body.user_id || req.user?.id || req.query.user_id;
+      const userId = resolveScopedUserId(req.scope, req.body.user_id || req.query.user_id);
       
       if (!userId) {
-        return res.status(400).json({ message: 'User ID is required' });
+        return res.status(403).json(OUT_OF_SCOPE);
       }
       
-      const { customerIds } = req.body;
+      const { customerIds, explain = false } = req.body;
       
       if (!customerIds || !Array.isArray(customerIds) || customerIds.length === 0) {
         return res.status(400).json({ message: 'At least one customer ID is required' });
@@ -420,7 +777,7 @@ const CommissionController = {
             console.log("COMMISSION CALCULATION - Customer data:", customer);
             
             // Use historical team data calculation - pass null for team and true for historical
-            const commissionAmount = await commissionService.calculateCommission(
+            const { amount: commissionAmount, trace } = await commissionService.calculateCommissionWithTrace(
               user, 
               customer, 
               null,  // Let function fetch historical team
@@ -434,7 +791,8 @@ const CommissionController = {
               customerCreationDate: customer.jn_date_added || customer.created_at,
               amount: commissionAmount,
               jobPrice: customer.total_job_price || 0,
-              initialScopePrice: customer.initial_scope_price || 0
+              initialScopePrice: customer.initial_scope_price || 0,
+              trace: explain ? trace : undefined
             };
             
           } catch (customerError) {
@@ -471,11 +829,14 @@ const CommissionController = {
   // High-performance batch version for calculating many potential commissions
   calculatePotentialCommissionsBatch: async (req, res) => {
     try {
-      const { userIds, customerIds } = req.body;
+      const { userIds, customerIds, explain = false } = req.body;
       
       if (!userIds || !customerIds || userIds.length === 0 || customerIds.length === 0) {
         return res.status(400).json({ message: 'User IDs and customer IDs are required' });
       }
+      if (!userIds.every(userId => canAccessUser(req.scope, userId))) {
+        return res.status(403).json(OUT_OF_SCOPE);
+      }
       
       // BULK FETCH ALL DATA UPFRONT
       const [users, customers, teams] = await Promise.all([
@@ -509,11 +870,12 @@ const CommissionController = {
             if (!customer) return null;
             
             try {
-              const commissionAmount = await commissionService.calculateCommission(user, customer, team);
+              const { amount: commissionAmount, trace } = await commissionService.calculateCommissionWithTrace(user, customer, team);
               return {
                 customerId,
                 customerName: customer.customer_name,
-                amount: commissionAmount
+                amount: commissionAmount,
+                trace: explain ? trace : undefined
               };
             } catch (error) {
               return {
@@ -554,20 +916,21 @@ const CommissionController = {
   }
 };
 
-// Optimized helper function with better error handling
-async function updateUserBalanceOnCommissionChange(userId, amountChange) {
+/**
+ * Post a commission-side ledger entry and rebuild the user's balance from the ledger
+ * @param {number} userId - User ID
+ * @param {number} amountChange - Signed amount (negative reduces what the user has earned)
+ * @param {Object} client - Transaction client, defaults to the pool
+ * @param {Object} source - { entry_type, commission_due_id, adjustment_id, description, created_by }
+ */
+async function updateUserBalanceOnCommissionChange(userId, amountChange, client = db, source = {}) {
   try {
-    // Use upsert pattern to handle missing balance records
-    await db.query(
-      `INSERT INTO user_balance (user_id, total_commissions_earned, total_payments_received, current_balance, last_updated)
-       VALUES ($2, $1, 0, $1, CURRENT_TIMESTAMP)
-       ON CONFLICT (user_id) 
-       DO UPDATE SET
-         total_commissions_earned = user_balance.total_commissions_earned + $1,
-         current_balance = user_balance.current_balance + $1,
-         last_updated = CURRENT_TIMESTAMP`,
-      [amountChange, userId]
-    );
+    await LedgerModel.postEntries([{
+      entry_type: 'commission_change',
+      ...source,
+      user_id: userId,
+      amount: amountChange
+    }], client);
     
     // Clear cache for this user's balance
     cache.delete('all_user_balances');
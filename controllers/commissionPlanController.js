@@ -0,0 +1,359 @@
+const CommissionPlanModel = require('../models/commissionPlanModel');
+const { getUserById } = require('../models/userModel');
+const {
+  PLAN_ROLES,
+  validatePlanRules,
+  applyRuleOverrides,
+  getPlanVersionInForce,
+  isVersionInForce,
+  clearPlanCache
+} = require('../services/commissionPlanService');
+
+const isValidDate = (value) => value && !isNaN(new Date(value).getTime());
+
+/**
+ * Check an assignment before it is saved
+ * The plan must be for the user's role, and the overrides merged over the
+ * version in force on start_date must still be valid rules for that role
+ * @returns {Object|null} { status, message, errors? } when invalid
+ */
+const validateAssignment = async ({ user_id, plan_id, rule_overrides, start_date, end_date }) => {
+  if (!user_id || !isValidDate(start_date)) {
+    return { status: 400, message: 'User ID and a valid start_date are required' };
+  }
+  if (end_date && !isValidDate(end_date)) {
+    return { status: 400, message: 'Invalid end_date' };
+  }
+  if (!plan_id && !rule_overrides) {
+    return { status: 400, message: 'Either plan_id or rule_overrides is required' };
+  }
+  if (rule_overrides && (typeof rule_overrides !== 'object' || Array.isArray(rule_overrides))) {
+    return { status: 400, message: 'rule_overrides must be an object' };
+  }
+
+  const user = await getUserById(user_id);
+  if (!user) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (!PLAN_ROLES.includes(user.role)) {
+    return { status: 400, message: `Users with role ${user.role} are not paid commission` };
+  }
+
+  const startDate = new Date(start_date);
+  let version;
+  if (plan_id) {
+    const plan = await CommissionPlanModel.getPlanById(plan_id);
+    if (!plan) {
+      return { status: 404, message: 'Commission plan not found' };
+    }
+    if (plan.role !== user.role) {
+      return { status: 400, message: `Plan is for ${plan.role} but the user is a ${user.role}` };
+    }
+    version = plan.versions.find(v => isVersionInForce(v, startDate));
+  } else {
+    version = await getPlanVersionInForce(user.role, startDate);
+  }
+
+  if (!version) {
+    return { status: 400, message: 'No plan version is in force on the assignment start date' };
+  }
+
+  const errors = validatePlanRules(user.role, applyRuleOverrides(version.rules, rule_overrides));
+  if (errors.length > 0) {
+    return { status: 400, message: 'Rule overrides produce invalid commission rules', errors };
+  }
+
+  return null;
+};
+
+const CommissionPlanController = {
+  // Get all commission plans with their versions
+  getAllPlans: async (req, res, next) => {
+    try {
+      const plans = await CommissionPlanModel.getAllPlans();
+      res.status(200).json(plans);
+    } catch (error) {
+      console.error('Error getting commission plans:', error);
+      next(error);
+    }
+  },
+
+  // Get a single commission plan with its versions
+  getPlanById: async (req, res, next) => {
+    try {
+      const plan = await CommissionPlanModel.getPlanById(req.params.id);
+
+      if (!plan) {
+        return res.status(404).json({ message: 'Commission plan not found' });
+      }
+
+      res.status(200).json(plan);
+    } catch (error) {
+      console.error('Error getting commission plan:', error);
+      next(error);
+    }
+  },
+
+  // Resolve the default plan version in force for a role on a date
+  resolvePlan: async (req, res, next) => {
+    try {
+      const { role, date } = req.query;
+
+      if (!PLAN_ROLES.includes(role)) {
+        return res.status(400).json({ message: `role must be one of: ${PLAN_ROLES.join(', ')}` });
+      }
+      if (date && !isValidDate(date)) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+
+      const version = await getPlanVersionInForce(role, date);
+      if (!version) {
+        return res.status(404).json({ message: `No commission plan in force for ${role} on ${date || 'today'}` });
+      }
+
+      res.status(200).json(version);
+    } catch (error) {
+      console.error('Error resolving commission plan:', error);
+      next(error);
+    }
+  },
+
+  // Create a plan together with its first version (admin only)
+  createPlan: async (req, res, next) => {
+    try {
+      const { name, role, effective_from, rules } = req.body;
+
+      if (!name || !role || !rules) {
+        return res.status(400).json({ message: 'Name, role and rules are required' });
+      }
+      if (!isValidDate(effective_from)) {
+        return res.status(400).json({ message: 'A valid effective_from date is required' });
+      }
+
+      const errors = validatePlanRules(role, rules);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid commission plan rules', errors });
+      }
+
+      const plan = await CommissionPlanModel.createPlan(req.body);
+      clearPlanCache();
+
+      res.status(201).json(plan);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ message: 'A commission plan with that name already exists' });
+      }
+      console.error('Error creating commission plan:', error);
+      next(error);
+    }
+  },
+
+  // Update plan name, description or default flag (admin only)
+  updatePlan: async (req, res, next) => {
+    try {
+      const plan = await CommissionPlanModel.updatePlan(req.params.id, req.body);
+
+      if (!plan) {
+        return res.status(404).json({ message: 'Commission plan not found' });
+      }
+
+      clearPlanCache();
+      res.status(200).json(plan);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ message: 'A commission plan with that name already exists' });
+      }
+      console.error('Error updating commission plan:', error);
+      next(error);
+    }
+  },
+
+  // Delete a plan and all of its versions (admin only)
+  deletePlan: async (req, res, next) => {
+    try {
+      const plan = await CommissionPlanModel.deletePlan(req.params.id);
+
+      if (!plan) {
+        return res.status(404).json({ message: 'Commission plan not found' });
+      }
+
+      clearPlanCache();
+      res.status(200).json({ message: 'Commission plan deleted successfully', plan });
+    } catch (error) {
+      console.error('Error deleting commission plan:', error);
+      next(error);
+    }
+  },
+
+  // Add a new rules version to a plan (admin only)
+  addPlanVersion: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { effective_from, effective_to, rules } = req.body;
+
+      const plan = await CommissionPlanModel.getPlanById(id);
+      if (!plan) {
+        return res.status(404).json({ message: 'Commission plan not found' });
+      }
+
+      if (!isValidDate(effective_from)) {
+        return res.status(400).json({ message: 'A valid effective_from date is required' });
+      }
+      if (effective_to && !isValidDate(effective_to)) {
+        return res.status(400).json({ message: 'Invalid effective_to date' });
+      }
+
+      const errors = validatePlanRules(plan.role, rules);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid commission plan rules', errors });
+      }
+
+      const version = await CommissionPlanModel.addPlanVersion(id, req.body);
+      clearPlanCache();
+
+      res.status(201).json(version);
+    } catch (error) {
+      console.error('Error adding commission plan version:', error);
+      next(error);
+    }
+  },
+
+  // Update a version's rules, notes or end date (admin only)
+  updatePlanVersion: async (req, res, next) => {
+    try {
+      const { id, versionId } = req.params;
+      const { effective_to, rules } = req.body;
+
+      const plan = await CommissionPlanModel.getPlanById(id);
+      if (!plan) {
+        return res.status(404).json({ message: 'Commission plan not found' });
+      }
+
+      if (effective_to && !isValidDate(effective_to)) {
+        return res.status(400).json({ message: 'Invalid effective_to date' });
+      }
+
+      if (rules) {
+        const errors = validatePlanRules(plan.role, rules);
+        if (errors.length > 0) {
+          return res.status(400).json({ message: 'Invalid commission plan rules', errors });
+        }
+      }
+
+      const version = await CommissionPlanModel.updatePlanVersion(id, versionId, req.body);
+      if (!version) {
+        return res.status(404).json({ message: 'Commission plan version not found' });
+      }
+
+      clearPlanCache();
+      res.status(200).json(version);
+    } catch (error) {
+      console.error('Error updating commission plan version:', error);
+      next(error);
+    }
+  },
+
+  // Delete a version (admin only)
+  deletePlanVersion: async (req, res, next) => {
+    try {
+      const { id, versionId } = req.params;
+      const version = await CommissionPlanModel.deletePlanVersion(id, versionId);
+
+      if (!version) {
+        return res.status(404).json({ message: 'Commission plan version not found' });
+      }
+
+      clearPlanCache();
+      res.status(200).json({ message: 'Commission plan version deleted successfully', version });
+    } catch (error) {
+      console.error('Error deleting commission plan version:', error);
+      next(error);
+    }
+  },
+
+  // Get plan assignments, optionally for one user
+  getAssignments: async (req, res, next) => {
+    try {
+      const assignments = await CommissionPlanModel.getAssignments(req.query.user_id || null);
+      res.status(200).json(assignments);
+    } catch (error) {
+      console.error('Error getting commission plan assignments:', error);
+      next(error);
+    }
+  },
+
+  // Assign a plan and/or rule overrides to a user for a date range (admin only)
+  createAssignment: async (req, res, next) => {
+    try {
+      const invalid = await validateAssignment(req.body);
+      if (invalid) {
+        const { status, ...body } = invalid;
+        return res.status(status).json(body);
+      }
+
+      const assignment = await CommissionPlanModel.saveAssignment({ ...req.body, id: null });
+      clearPlanCache();
+
+      res.status(201).json(assignment);
+    } catch (error) {
+      console.error('Error creating commission plan assignment:', error);
+      next(error);
+    }
+  },
+
+  // Update an assignment (admin only)
+  updateAssignment: async (req, res, next) => {
+    try {
+      const { assignmentId } = req.params;
+
+      const existing = await CommissionPlanModel.getAssignmentById(assignmentId);
+      if (!existing) {
+        return res.status(404).json({ message: 'Commission plan assignment not found' });
+      }
+
+      const assignmentData = {
+        user_id: existing.user_id,
+        plan_id: existing.plan_id,
+        rule_overrides: existing.rule_overrides,
+        start_date: existing.start_date,
+        end_date: existing.end_date,
+        notes: existing.notes,
+        ...req.body,
+        id: existing.id
+      };
+
+      const invalid = await validateAssignment(assignmentData);
+      if (invalid) {
+        const { status, ...body } = invalid;
+        return res.status(status).json(body);
+      }
+
+      const assignment = await CommissionPlanModel.saveAssignment(assignmentData);
+      clearPlanCache();
+
+      res.status(200).json(assignment);
+    } catch (error) {
+      console.error('Error updating commission plan assignment:', error);
+      next(error);
+    }
+  },
+
+  // Remove an assignment so the user falls back to the default plan (admin only)
+  deleteAssignment: async (req, res, next) => {
+    try {
+      const assignment = await CommissionPlanModel.deleteAssignment(req.params.assignmentId);
+
+      if (!assignment) {
+        return res.status(404).json({ message: 'Commission plan assignment not found' });
+      }
+
+      clearPlanCache();
+      res.status(200).json({ message: 'Commission plan assignment deleted successfully', assignment });
+    } catch (error) {
+      console.error('Error deleting commission plan assignment:', error);
+      next(error);
+    }
+  }
+};
+
+module.exports = CommissionPlanController;
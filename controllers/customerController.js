@@ -9,40 +9,96 @@
  */
 
 const { getAllCustomers, searchCustomersByQuery, 
-  getCustomerById, deleteCustomer, bulkUpsertCustomers: modelBulkUpsert } = require('../models/customerModel');
-const { fetchJobNimbusData } = require('../services/jobNimbusService');
+  getCustomerById, deleteCustomer, bulkUpsertCustomers: modelBulkUpsert,
+  updateAssignments } = require('../models/customerModel');
+const { fetchJobNimbusData, createJobNimbusContact } = require('../services/jobNimbusService');
+const SyncStateModel = require('../models/syncStateModel');
+const SyncRunModel = require('../models/syncRunModel');
 const { getUserByName, getUserById, getAllUsers } = require('../models/userModel'); // Add getAllUsers
 const { getTeamByUserIdFromDb, getAllTeams } = require('../models/teamModel'); // Add getAllTeams
 const CommissionModel = require('../models/commissionModel');
-const { calculateCommission } = require('../services/commissionService');
+const { calculateCommissionWithTrace } = require('../services/commissionService');
 const logger = require('../utils/logger');
 const { sendErrorNotification } = require('../utils/email');
 const db = require('../config/db');
 const { formatToUnixTimestamp } = require('../utils/dateUtils');
-const axios = require('axios');
 const { updateUserBalanceOnCommissionChange } = require('./commissionController');
+const CommissionAdjustmentModel = require('../models/commissionAdjustmentModel');
+const LedgerModel = require('../models/ledgerModel');
+const PaymentAllocationModel = require('../models/paymentAllocationModel');
+const {
+  createStatusRegressionClawbacks,
+  reverseStatusRegressionClawbacks,
+  planRepriceChange,
+  toLedgerEntries,
+  notifyClawbacks
+} = require('../services/clawbackService');
+const { applyCredit } = require('../services/paymentAllocationService');
+const { recoverDraws } = require('../services/drawService');
+const { normalizeAssigneeName, buildAssigneeLookup, matchAssignee } = require('../services/assigneeMatchingService');
+const UnmatchedAssigneeModel = require('../models/unmatchedAssigneeModel');
+const FieldMappingModel = require('../models/fieldMappingModel');
+const CustomerStatusHistoryModel = require('../models/customerStatusHistoryModel');
+const { resolveMappings, extractMappedFields } = require('../services/fieldMappingService');
+const { enqueueAssignmentChange } = require('../services/jobNimbusOutboundService');
+const { canAccessCustomer } = require('../services/accessScopeService');
+const { AppError } = require('../utils/error');
 
 // Cache for frequently accessed data
 const cache = new Map();
 const CACHE_TTL = 300000; // 5 minutes
 
 /**
- * OPTIMIZED sync function with major performance improvements
+ * Sync customers from JobNimbus and process commissions, in one transaction
+ * Only jobs updated since the last successful sync are pulled unless full is set;
+ * the high-water mark is saved with the sync so a failed run is retried next time
+ * A dry run does all the same work, then rolls it back and reports what would have changed;
+ * it is not recorded as a sync run and does not move the high-water mark
+ * @param {Object} options - { full: re-read every job, dryRun: roll back and return the proposed changes }
+ * @returns {Object} Sync summary, or the proposed changes for a dry run
  */
-const syncCustomers = async (req, res, next = () => {}) => {
+const runCustomerSync = async ({ full = false, trigger = 'manual', triggeredBy = null, dryRun = false } = {}) => {
+  const syncState = full ? null : await SyncStateModel.getSyncState(SyncStateModel.JOBNIMBUS_JOBS);
+  const updatedSince = syncState?.high_water_mark ? parseInt(syncState.high_water_mark) : null;
+
+  // Recorded outside the transaction so failed runs show up in the history too
+  const syncRun = dryRun ? null : await SyncRunModel.startRun({
+    trigger,
+    triggered_by: triggeredBy,
+    mode: full ? 'full' : 'incremental',
+    updated_since: updatedSince
+  });
+  const runLabel = dryRun ? 'dry run' : `run #${syncRun.id}`;
+
   const client = await db.connect();
+  const errors = [];
+  const counts = {
+    jobs_fetched: 0,
+    customers_inserted: 0,
+    customers_updated: 0,
+    customers_unchanged: 0,
+    commissions_created: 0,
+    commissions_updated: 0,
+    clawbacks_created: 0,
+    clawbacks_reversed: 0
+  };
   
   try {
     await client.query('BEGIN');
-    logger.info('Starting optimized customer sync process...');
+    logger.info(`Starting ${full ? 'full' : 'incremental'} customer sync process (${runLabel})...`);
+
+    // Proposed changes, only collected for a dry run
+    const proposed = dryRun
+      ? { customers: [], commissions: [], balancesBefore: await LedgerModel.getBalanceSnapshot(client) }
+      : null;
     
     // 1. BULK FETCH ALL REFERENCE DATA UPFRONT WITH CACHING
+    // Jobs are fetched fresh every time; only local reference data is cached
     const cacheKey = 'reference_data';
     let referenceData = cache.get(cacheKey);
     
     if (!referenceData || Date.now() - referenceData.timestamp > CACHE_TTL) {
-      const [jobNimbusData, allUsers, allTeams, existingCustomers] = await Promise.all([
-        fetchJobNimbusData(),
+      const [allUsers, allTeams, existingCustomers] = await Promise.all([
         getAllUsers(),
         getAllTeams(),
         getAllCustomers({ limit: 10000 }) // Increase limit for better caching
@@ -54,7 +110,6 @@ const syncCustomers = async (req, res, next = () => {}) => {
       }
       
       referenceData = {
-        jobNimbusData,
         allUsers,
         allTeams,
         existingCustomers,
@@ -64,16 +119,21 @@ const syncCustomers = async (req, res, next = () => {}) => {
       cache.set(cacheKey, referenceData);
     }
 
-    if (!Array.isArray(referenceData.jobNimbusData.results)) {
-      throw new Error('JobNimbus data is not in the expected format.');
-    }
+    const jobNimbusData = await fetchJobNimbusData({ updatedSince });
+    counts.jobs_fetched = jobNimbusData.results.length;
+    logger.info(`Fetched ${jobNimbusData.results.length} jobs from JobNimbus${updatedSince ? ` updated since ${new Date(updatedSince * 1000).toISOString()}` : ''}`);
 
     // 2. CREATE OPTIMIZED LOOKUP MAPS with manager relationships
-    const lookupMaps = createLookupMaps(referenceData);
+    // Field mappings are read every sync so an edit applies to the next one
+    const lookupMaps = createLookupMaps({
+      ...referenceData,
+      fieldMappings: resolveMappings(await FieldMappingModel.getMappings())
+    });
 
     // Log lookup map sizes for debugging
     console.log('Lookup maps created:', {
-      users: lookupMaps.userNameMap.size,
+      users: lookupMaps.userIdMap.size,
+      assigneeNames: lookupMaps.assigneeLookup.byName.size,
       salesmanToManager: lookupMaps.salesmanToManagerMap.size,
       supplementerToManager: lookupMaps.supplementerToManagerMap.size,
       teams: lookupMaps.teamMap.size
@@ -81,79 +141,548 @@ const syncCustomers = async (req, res, next = () => {}) => {
 
     const BATCH_SIZE = 200; // Increased batch size for better performance
     const processedCustomers = [];
-    const errors = [];
     const commissionsToProcess = [];
+    const statusRegressions = [];
+    const unmatchedAssignees = [];
 
     // 3. PROCESS CUSTOMERS IN OPTIMIZED BATCHES
-    for (let i = 0; i < referenceData.jobNimbusData.results.length; i += BATCH_SIZE) {
-      const batch = referenceData.jobNimbusData.results.slice(i, i + BATCH_SIZE);
+    for (let i = 0; i < jobNimbusData.results.length; i += BATCH_SIZE) {
+      const batch = jobNimbusData.results.slice(i, i + BATCH_SIZE);
       
       // Process customer data transformation in parallel
       const customerData = await Promise.all(
         batch.map(job => processJobNimbusCustomerOptimized(job, lookupMaps))
       );
+
+      // Classify against what we had before the sync
+      customerData.forEach((data, index) => {
+        if (!data) {
+          errors.push({
+            type: 'customer_mapping',
+            jnid: batch[index]?.jnid,
+            customerName: batch[index]?.name,
+            error: 'Failed to map JobNimbus job to a customer'
+          });
+          return;
+        }
+
+        const existing = data.jnid
+          ? lookupMaps.existingCustomerByJnidMap.get(data.jnid)
+          : lookupMaps.existingCustomerByNameMap.get(data.name?.toLowerCase());
+        const fieldChanges = existing ? diffCustomer(existing, data) : null;
+        if (!existing) {
+          counts.customers_inserted++;
+        } else if (Object.keys(fieldChanges).length > 0) {
+          counts.customers_updated++;
+        } else {
+          counts.customers_unchanged++;
+        }
+
+        if (proposed && (!existing || Object.keys(fieldChanges).length > 0)) {
+          proposed.customers.push({
+            jnid: data.jnid,
+            customer_name: data.name,
+            customer_id: existing?.id || null,
+            change: existing ? 'update' : 'insert',
+            fields: existing ? fieldChanges : undefined
+          });
+        }
+      });
       
-      // 4. BULK UPSERT CUSTOMERS using model method
-      const upsertedCustomers = await modelBulkUpsert(customerData.filter(Boolean));
+      // 4. BULK UPSERT CUSTOMERS using model method, inside the sync's transaction
+      const upsertedCustomers = await modelBulkUpsert(customerData.filter(Boolean), client);
       
       // 5. COLLECT FINALIZED CUSTOMERS FOR COMMISSION PROCESSING
       const finalizedCustomers = upsertedCustomers.filter(customer => 
         customer && customer.status === 'Finalized'
       );
       
+      // Jobs that were Finalized before this sync but no longer are get clawed back
+      upsertedCustomers.forEach(customer => {
+        const previousStatus = customer?.jnid && lookupMaps.existingCustomerByJnidMap.get(customer.jnid)?.status;
+        if (previousStatus === 'Finalized' && customer.status !== 'Finalized') {
+          statusRegressions.push({ customer, previousStatus });
+        }
+      });
+      
       commissionsToProcess.push(...finalizedCustomers);
       processedCustomers.push(...upsertedCustomers);
+      unmatchedAssignees.push(...toUnmatchedAssigneeEntries(customerData.filter(Boolean), upsertedCustomers));
     }
 
-    // 6. BULK PROCESS ALL COMMISSIONS
+    // Queue assignee names that matched no user, with the jobs they are on
+    const recordedAssignees = await UnmatchedAssigneeModel.recordUnmatched(
+      processedCustomers.filter(customer => customer?.jnid).map(customer => customer.jnid),
+      unmatchedAssignees,
+      client
+    );
+
+    // 6. CLAW BACK COMMISSIONS ON JOBS THAT LEFT FINALIZED, RESTORE RE-FINALIZED ONES
+    const regressionResult = await createStatusRegressionClawbacks(statusRegressions, client);
+    const restoreResult = await reverseStatusRegressionClawbacks(commissionsToProcess.map(c => c.id), client);
+    await LedgerModel.postEntries([...regressionResult.ledgerEntries, ...restoreResult.ledgerEntries], client);
+
+    // 7. BULK PROCESS ALL COMMISSIONS
+    const clawbacks = [...regressionResult.clawbacks];
     if (commissionsToProcess.length > 0) {
-      await bulkProcessCommissions(commissionsToProcess, lookupMaps.userIdMap, lookupMaps.teamMap, errors, client);
+      const commissionResult = await bulkProcessCommissions(commissionsToProcess, lookupMaps.userIdMap, lookupMaps.teamMap, errors, client);
+      clawbacks.push(...commissionResult.clawbacks);
+      counts.commissions_created = commissionResult.commissionsCreated;
+      counts.commissions_updated = commissionResult.commissionsUpdated;
+      proposed?.commissions.push(...commissionResult.changes);
     }
+    counts.clawbacks_created = clawbacks.length;
+    counts.clawbacks_reversed = restoreResult.reversed.length;
+
+    if (dryRun) {
+      const balancesAfter = await LedgerModel.getBalanceSnapshot(client);
+      await client.query('ROLLBACK');
+
+      logger.info(`Customer sync dry run completed. ${proposed.customers.length} customer changes, ${proposed.commissions.length} commission changes, ${errors.length} errors. Nothing was saved.`);
+
+      return {
+        message: 'Dry run completed; no changes were saved',
+        dryRun: true,
+        mode: full ? 'full' : 'incremental',
+        jobsFetched: jobNimbusData.results.length,
+        updatedSince: updatedSince ? new Date(updatedSince * 1000).toISOString() : null,
+        customers: {
+          inserted: counts.customers_inserted,
+          updated: counts.customers_updated,
+          unchanged: counts.customers_unchanged,
+          changes: proposed.customers
+        },
+        commissions: {
+          created: counts.commissions_created,
+          updated: counts.commissions_updated,
+          changes: proposed.commissions.map(change => ({
+            ...change,
+            user_name: lookupMaps.userIdMap.get(change.user_id)?.name || null
+          }))
+        },
+        clawbacks: {
+          created: clawbacks.length,
+          reversed: restoreResult.reversed.length
+        },
+        unmatchedAssignees: recordedAssignees.map(assignee => assignee.assignee_name),
+        balances: diffBalances(proposed.balancesBefore, balancesAfter, lookupMaps.userIdMap),
+        errors: errors.length > 0 ? errors : undefined
+      };
+    }
+
+    // 8. ADVANCE THE HIGH-WATER MARK - commits with the sync
+    const savedState = await SyncStateModel.saveHighWaterMark(
+      SyncStateModel.JOBNIMBUS_JOBS,
+      jobNimbusData.highWaterMark,
+      { full },
+      client
+    );
 
     await client.query('COMMIT');
     
     // Clear cache after successful sync
     cache.delete('reference_data');
+
+    await notifyClawbacks(
+      clawbacks,
+      lookupMaps.userIdMap,
+      new Map(processedCustomers.filter(Boolean).map(customer => [customer.id, customer.customer_name]))
+    );
     
+    await SyncRunModel.finishRun(syncRun.id, {
+      status: 'succeeded',
+      high_water_mark: savedState.high_water_mark,
+      counts,
+      errors
+    });
+
     logger.info(`Optimized sync completed. Processed ${processedCustomers.length} customers. ${errors.length} errors.`);
     
-    return res.status(errors.length > 0 ? 207 : 200).json({
+    return {
       message: 'Optimized sync completed',
+      syncRunId: syncRun.id,
+      mode: full ? 'full' : 'incremental',
+      jobsFetched: jobNimbusData.results.length,
+      updatedSince: updatedSince ? new Date(updatedSince * 1000).toISOString() : null,
+      highWaterMark: savedState.high_water_mark ? new Date(parseInt(savedState.high_water_mark) * 1000).toISOString() : null,
       customersProcessed: processedCustomers.length,
+      customers: {
+        inserted: counts.customers_inserted,
+        updated: counts.customers_updated,
+        unchanged: counts.customers_unchanged
+      },
       commissionsProcessed: commissionsToProcess.length,
+      commissions: {
+        created: counts.commissions_created,
+        updated: counts.commissions_updated
+      },
+      clawbacks: {
+        created: clawbacks.length,
+        reversed: restoreResult.reversed.length
+      },
+      unmatchedAssignees: recordedAssignees.length,
       managerRelationshipsProcessed: {
         salesmanToManager: lookupMaps.salesmanToManagerMap.size,
         supplementerToManager: lookupMaps.supplementerToManagerMap.size
       },
       errors: errors.length > 0 ? errors.slice(0, 10) : undefined // Limit error output
-    });
+    };
 
   } catch (error) {
     await client.query('ROLLBACK');
     logger.error('Optimized sync failed:', error);
     cache.delete('reference_data'); // Clear cache on error
-    next(error);
+
+    if (syncRun) {
+      await SyncRunModel.finishRun(syncRun.id, {
+        status: 'failed',
+        counts,
+        errors,
+        failure_message: error.message
+      }).catch(runError => logger.error(`Failed to record sync run #${syncRun.id}:`, runError));
+    }
+
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Sync one JobNimbus job, e.g. from a webhook, the same way the full sync would
+ * Upserts the customer, claws back or restores commissions on status changes and
+ * processes commissions for that customer only, in one transaction
+ * @param {Object} job - JobNimbus job record
+ * @param {Object} options - { source: recorded with a status change, 'webhook' (default) or 'sync' }
+ * @returns {Object} { customer, change: 'insert' | 'update' | 'unchanged', commissions, clawbacks }
+ */
+const syncJobNimbusJob = async (job, { source = 'webhook' } = {}) => {
+  const lookupMaps = createLookupMaps({
+    allUsers: await getAllUsers(),
+    allTeams: await getAllTeams(),
+    existingCustomers: [],
+    fieldMappings: resolveMappings(await FieldMappingModel.getMappings())
+  });
+
+  const data = processJobNimbusCustomerOptimized(job, lookupMaps);
+  if (!data || !data.jnid) {
+    throw new Error('Failed to map JobNimbus job to a customer');
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Locked so concurrent deliveries for the same job apply one at a time
+    const existingResult = await client.query('SELECT * FROM customers WHERE jnid = $1 FOR UPDATE', [data.jnid]);
+    const existing = existingResult.rows[0];
+    const change = !existing
+      ? 'insert'
+      : Object.keys(diffCustomer(existing, data)).length > 0 ? 'update' : 'unchanged';
+
+    const [customer] = await modelBulkUpsert([data], client, { source });
+    const recordedAssignees = await UnmatchedAssigneeModel.recordUnmatched(
+      [customer.jnid],
+      toUnmatchedAssigneeEntries([data], [customer]),
+      client
+    );
+
+    const statusRegressions = existing?.status === 'Finalized' && customer.status !== 'Finalized'
+      ? [{ customer, previousStatus: existing.status }]
+      : [];
+    const regressionResult = await createStatusRegressionClawbacks(statusRegressions, client);
+    const restoreResult = await reverseStatusRegressionClawbacks(
+      customer.status === 'Finalized' ? [customer.id] : [],
+      client
+    );
+    await LedgerModel.postEntries([...regressionResult.ledgerEntries, ...restoreResult.ledgerEntries], client);
+
+    const errors = [];
+    const clawbacks = [...regressionResult.clawbacks];
+    let commissionResult = { commissionsCreated: 0, commissionsUpdated: 0 };
+    if (customer.status === 'Finalized') {
+      commissionResult = await bulkProcessCommissions([customer], lookupMaps.userIdMap, lookupMaps.teamMap, errors, client);
+      clawbacks.push(...commissionResult.clawbacks);
+    }
+
+    // A single job is all or nothing, so the event can be retried as a whole
+    if (errors.length > 0) {
+      throw new Error(`Commission processing failed: ${errors.map(error => error.error).join('; ')}`);
+    }
+
+    await client.query('COMMIT');
+    cache.delete('reference_data');
+
+    await notifyClawbacks(clawbacks, lookupMaps.userIdMap, new Map([[customer.id, customer.customer_name]]));
+
+    return {
+      customer,
+      change,
+      commissions: {
+        created: commissionResult.commissionsCreated,
+        updated: commissionResult.commissionsUpdated
+      },
+      clawbacks: {
+        created: clawbacks.length,
+        reversed: restoreResult.reversed.length
+      },
+      unmatchedAssignees: recordedAssignees.map(assignee => assignee.assignee_name)
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
   } finally {
     client.release();
   }
 };
 
+/**
+ * GET /api/customers/sync/runs
+ * Sync history, newest first
+ */
+const getSyncRuns = async (req, res, next) => {
+  try {
+    const { trigger, status, limit = 50, offset = 0 } = req.query;
+    const runs = await SyncRunModel.getRuns({
+      trigger: trigger || null,
+      status: status || null,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    res.status(200).json(runs);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/customers/sync/runs/:id
+ * One sync run with its full error details
+ */
+const getSyncRun = async (req, res, next) => {
+  try {
+    const run = await SyncRunModel.getRunById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    res.status(200).json(run);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/customers/:customerId/history
+ * Status transitions, oldest first, with how long each status lasted
+ */
+const getCustomerStatusHistory = async (req, res, next) => {
+  try {
+    const customer = await getCustomerById(parseInt(req.params.customerId));
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    if (!canAccessCustomer(req.scope, customer)) {
+      return res.status(403).json({ error: 'You do not have access to this customer' });
+    }
+
+    const history = await CustomerStatusHistoryModel.getHistory(customer.id);
+    const finalized = [...history].reverse().find(entry => entry.to_status === 'Finalized');
+    res.status(200).json({
+      customer_id: customer.id,
+      customer_name: customer.customer_name,
+      current_status: customer.status,
+      finalized_at: finalized?.changed_at || null,
+      history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/customers/status-history/stage-durations
+ * Average and median days customers spend in each status
+ */
+const getStageDurations = async (req, res, next) => {
+  try {
+    const { start_date, end_date } = req.query;
+    const isDate = (value) => !value || !Number.isNaN(Date.parse(value));
+    if (!isDate(start_date) || !isDate(end_date)) {
+      return res.status(400).json({ error: 'start_date and end_date must be dates (YYYY-MM-DD)' });
+    }
+
+    const stages = await CustomerStatusHistoryModel.getStageDurations({
+      start_date: start_date || null,
+      end_date: end_date || null
+    });
+    res.status(200).json(stages);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/customers/sync
+ * Pass full=true (query or body) to re-read every job instead of only changed ones
+ * Pass dry_run=true to see what the sync would change without saving anything
+ */
+const syncCustomers = async (req, res, next) => {
+  try {
+    const full = String(req.query.full ?? req.body?.full ?? 'false') === 'true';
+    const dryRun = String(req.query.dry_run ?? req.body?.dry_run ?? 'false') === 'true';
+    const result = await runCustomerSync({
+      full,
+      dryRun,
+      trigger: req.user ? 'user' : 'manual',
+      triggeredBy: req.user?.userId || null
+    });
+    return res.status(result.errors ? 207 : 200).json(result);
+  } catch (error) {
+    if (error.transient) {
+      if (error.retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+      }
+      return next(new AppError(`JobNimbus is unavailable, try again later: ${error.message}`, 503));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Per-user balance changes between two user_balance snapshots
+ * @param {Map} before - LedgerModel.getBalanceSnapshot() before the sync
+ * @param {Map} after - Snapshot after the sync
+ * @param {Map} userIdMap - User lookup, for names
+ * @returns {Array} Users whose balance moved, with before/after and deltas
+ */
+const diffBalances = (before, after, userIdMap) => {
+  const fields = ['total_commissions_earned', 'total_payments_received', 'current_balance'];
+  const userIds = new Set([...before.keys(), ...after.keys()]);
+  const deltas = [];
+
+  userIds.forEach(userId => {
+    const previous = before.get(userId);
+    const next = after.get(userId);
+    const delta = {};
+    fields.forEach(field => {
+      delta[field] = parseFloat(((parseFloat(next?.[field]) || 0) - (parseFloat(previous?.[field]) || 0)).toFixed(2));
+    });
+    if (fields.every(field => delta[field] === 0)) return;
+
+    deltas.push({
+      user_id: userId,
+      user_name: userIdMap.get(userId)?.name || null,
+      current_balance_before: parseFloat(previous?.current_balance) || 0,
+      current_balance_after: parseFloat(next?.current_balance) || 0,
+      delta
+    });
+  });
+
+  return deltas.sort((a, b) => a.user_id - b.user_id);
+};
+
+// Customer fields the sync writes: mapped job field -> customers column
+const SYNCED_CUSTOMER_FIELDS = {
+  name: 'customer_name',
+  address: 'address',
+  phone: 'phone',
+  salesman_id: 'salesman_id',
+  supplementer_id: 'supplementer_id',
+  manager_id: 'manager_id',
+  supplement_manager_id: 'supplement_manager_id',
+  status: 'status',
+  initial_scope_price: 'initial_scope_price',
+  total_job_price: 'total_job_price',
+  lead_source: 'lead_source',
+  referrer_id: 'referrer_id',
+  build_date: 'build_date',
+  going_to_appraisal: 'going_to_appraisal'
+};
+
+const normalizeFieldValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return parseFloat(value);
+  return value;
+};
+
+/**
+ * Fields that differ between a stored customer and its freshly mapped JobNimbus job
+ * @param {Object} existing - customers row
+ * @param {Object} incoming - Output of processJobNimbusCustomerOptimized
+ * @returns {Object} { column: { from, to } }
+ */
+const diffCustomer = (existing, incoming) => {
+  const changes = {};
+  Object.entries(SYNCED_CUSTOMER_FIELDS).forEach(([field, column]) => {
+    const from = existing[column];
+    const to = incoming[field];
+    const fromValue = column === 'going_to_appraisal' ? !!from : normalizeFieldValue(from);
+    const toValue = column === 'going_to_appraisal' ? !!to : normalizeFieldValue(to);
+    if (fromValue !== toValue) {
+      changes[column] = { from: from ?? null, to: to ?? null };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Unmatched assignees on mapped jobs, as entries for UnmatchedAssigneeModel.recordUnmatched
+ * @param {Array} customerData - Output of processJobNimbusCustomerOptimized
+ * @param {Array} upsertedCustomers - The customers those were saved as
+ */
+const toUnmatchedAssigneeEntries = (customerData, upsertedCustomers) => {
+  const customerIdByJnid = new Map(
+    upsertedCustomers.filter(customer => customer?.jnid).map(customer => [customer.jnid, customer.id])
+  );
+
+  return customerData
+    .filter(data => data.jnid)
+    .flatMap(data => (data.unmatched_assignees || []).map(assignee => ({
+      ...assignee,
+      assignee_normalized: normalizeAssigneeName(assignee.assignee_name),
+      jnid: data.jnid,
+      customer_id: customerIdByJnid.get(data.jnid) || null
+    })));
+};
+
 /**
  * OPTIMIZED customer processing using lookup maps and jnid
  */
 const processJobNimbusCustomerOptimized = (job, lookupMaps) => {
   try {
-    // Use case-insensitive lookups
-    const salesman = lookupMaps.userNameMap.get(job['sales_rep_name']?.toLowerCase()) || null;
-    const supplementer = lookupMaps.userNameMap.get(job['Supplementer Assigned']?.toLowerCase()) || null;
-    const referrer = job.source_name === 'Affiliate' ? 
-      lookupMaps.userNameMap.get(job['Affiliate Name']?.toLowerCase()) || null : null;
+    // Field names and value coercion come from the configured field mapping
+    const { fields, details } = extractMappedFields(job, lookupMaps.fieldMappings || resolveMappings());
+    Object.entries(details)
+      .filter(([, detail]) => detail.error)
+      .forEach(([target, detail]) => logger.warn(`JobNimbus job ${job.jnid} ${target}: ${detail.source_field} ${detail.error}`));
+
+    const isAffiliate = fields.lead_source === 'Affiliate';
+
+    // Linked JobNimbus user ID first, then name, email or alias, ignoring case and punctuation
+    const salesman = matchAssignee(lookupMaps.assigneeLookup, fields.sales_rep_name, fields.sales_rep_id);
+    const supplementer = matchAssignee(lookupMaps.assigneeLookup, fields.supplementer_name);
+    const referrer = isAffiliate ? matchAssignee(lookupMaps.assigneeLookup, fields.affiliate_name) : null;
+
+    // Named assignees nobody matched go to the unmatched queue instead of silently dropping the commission
+    const unmatchedAssignees = [
+      { role: 'salesman', name: fields.sales_rep_name, user: salesman, jobnimbusUserId: fields.sales_rep_id },
+      { role: 'supplementer', name: fields.supplementer_name, user: supplementer },
+      { role: 'referrer', name: isAffiliate ? fields.affiliate_name : null, user: referrer }
+    ]
+      .filter(assignee => !assignee.user && normalizeAssigneeName(assignee.name))
+      .map(assignee => ({
+        role: assignee.role,
+        assignee_name: String(assignee.name).trim(),
+        jobnimbus_user_id: assignee.jobnimbusUserId ? String(assignee.jobnimbusUserId) : null
+      }));
 
     // Get manager IDs efficiently using the new lookup maps
     const managerId = salesman ? lookupMaps.salesmanToManagerMap.get(salesman.id) || null : null;
     const supplementManagerId = supplementer ? lookupMaps.supplementerToManagerMap.get(supplementer.id) || null : null;
 
-    console.log('Manager lookup for customer:', job.name, {
+    console.log('Manager lookup for customer:', fields.name, {
       salesmanId: salesman?.id,
       salesmanName: salesman?.name,
       managerId,
@@ -162,59 +691,25 @@ const processJobNimbusCustomerOptimized = (job, lookupMaps) => {
       supplementManagerId
     });
 
-    // Process the appraisal field - handle various possible formats from JobNimbus
-    let goingToAppraisal = false;
-    const appraisalField = job['In Appraisal?'] || job['in appraisal?'] || job['In appraisal?'] || job['IN APPRAISAL?'];
-    
-    console.log('Processing customer:', job.name, 'jnid:', job.jnid, 'appraisalField:', appraisalField, 'type:', typeof appraisalField);
-    
-    if (appraisalField !== undefined && appraisalField !== null) {
-      if (typeof appraisalField === 'boolean') {
-        goingToAppraisal = appraisalField;
-      } else if (typeof appraisalField === 'string') {
-        goingToAppraisal = appraisalField.toLowerCase() === 'true' || 
-                          appraisalField.toLowerCase() === 'yes' || 
-                          appraisalField === '1';
-      } else if (typeof appraisalField === 'number') {
-        goingToAppraisal = appraisalField === 1;
-      }
-    }
-
-    console.log('Final goingToAppraisal value:', goingToAppraisal);
-
-    // Process the date_created field from JobNimbus
-    let jnDateAdded = null;
-    if (job.date_created) {
-      try {
-        // Convert Unix timestamp to JavaScript Date
-        jnDateAdded = new Date(job.date_created * 1000);
-        if (isNaN(jnDateAdded.getTime())) {
-          throw new Error('Invalid date format');
-        }
-      } catch (error) {
-        console.error('Error converting date_created for customer:', job.name, error);
-        // Fallback to current date instead of null
-        jnDateAdded = new Date();
-      }
-    }
-
     return {
       jnid: job.jnid?.toString(), // Convert to string and add jnid as primary identifier
-      name: job.name?.trim(),
-      address: job.address_line1?.trim(),
-      phone: job.parent_mobile_phone?.trim(),
+      name: fields.name,
+      address: fields.address,
+      phone: fields.phone,
       salesman_id: salesman?.id || null,
       supplementer_id: supplementer?.id || null,
       manager_id: managerId, // Now properly populated based on team relationships
       supplement_manager_id: supplementManagerId, // Now properly populated based on team relationships
-      status: job.status_name?.trim() || 'Lead',
-      initial_scope_price: parseFloat(job['Initial Scope Price']) || null,
-      total_job_price: parseFloat(job['Final Job Price']) || null,
-      lead_source: job.source_name?.trim(),
+      status: fields.status,
+      initial_scope_price: fields.initial_scope_price,
+      total_job_price: fields.total_job_price,
+      lead_source: fields.lead_source,
       referrer_id: referrer?.id || null,
-      build_date: job['Build Date'] ? new Date(job['Build Date'] * 1000) : null,
-      going_to_appraisal: goingToAppraisal,
-      jn_date_added: jnDateAdded // Add the new field
+      build_date: fields.build_date,
+      going_to_appraisal: fields.going_to_appraisal,
+      jn_date_added: fields.date_created,
+      jn_date_updated: job.date_updated || null, // Version we read, for conflict checks when pushing back
+      unmatched_assignees: unmatchedAssignees // Not stored on the customer; see UnmatchedAssigneeModel
     };
   } catch (error) {
     logger.error('Error processing JobNimbus customer:', error);
@@ -225,7 +720,7 @@ const processJobNimbusCustomerOptimized = (job, lookupMaps) => {
 /**
  * OPTIMIZED: Create lookup maps for O(1) access using jnid
  */
-const createLookupMaps = ({ allUsers, allTeams, existingCustomers }) => {
+const createLookupMaps = ({ allUsers, allTeams, existingCustomers, fieldMappings = resolveMappings() }) => {
   // Create team maps for efficient manager lookups
   const salesmanToManagerMap = new Map();
   const supplementerToManagerMap = new Map();
@@ -248,7 +743,8 @@ const createLookupMaps = ({ allUsers, allTeams, existingCustomers }) => {
   });
 
   return {
-    userNameMap: new Map(allUsers.map(user => [user.name.toLowerCase(), user])),
+    fieldMappings,
+    assigneeLookup: buildAssigneeLookup(allUsers),
     userIdMap: new Map(allUsers.map(user => [user.id, user])),
     teamMap: new Map(allTeams.map(team => [team.manager_id, team])),
     salesmanToManagerMap,
@@ -347,10 +843,15 @@ const bulkProcessCommissions = async (customers, userIdMap, teamMap, errors, cli
   try {
     // 1. GET EXISTING COMMISSIONS IN BULK
     const customerIds = customers.map(c => c.id);
+    // Jobs without a build date are dated by when they were finalized
+    const finalizedDates = await CustomerStatusHistoryModel.getFinalizedDates(customerIds, client);
     const existingResult = await client.query(
-      `SELECT customer_id, user_id, id, commission_amount, admin_modified 
-       FROM commissions_due 
-       WHERE customer_id = ANY($1)`,
+      `SELECT cd.customer_id, cd.user_id, cd.id, cd.commission_amount, cd.admin_modified,
+              COALESCE(SUM(ca.amount) FILTER (WHERE ca.status IN ('active', 'waived')), 0) as reprice_handled_total
+       FROM commissions_due cd
+       LEFT JOIN commission_adjustments ca ON ca.commission_due_id = cd.id AND ca.reason = 'reprice'
+       WHERE cd.customer_id = ANY($1)
+       GROUP BY cd.id`,
       [customerIds]
     );
     
@@ -386,7 +887,7 @@ const bulkProcessCommissions = async (customers, userIdMap, teamMap, errors, cli
           user: userIdMap.get(userId),
           team: teamMap.get(userId), // This will be replaced with historical data in calculateCommission
           existingCommission,
-          buildDate: customer.build_date || new Date()
+          buildDate: customer.build_date || finalizedDates.get(customer.id) || new Date()
         });
       }
     }
@@ -395,7 +896,9 @@ const bulkProcessCommissions = async (customers, userIdMap, teamMap, errors, cli
     const CALC_BATCH_SIZE = 100;
     const commissionsToCreate = [];
     const commissionsToUpdate = [];
-    const balanceUpdates = new Map();
+    const clawbacksToCreate = [];
+    const repricesToReverse = [];
+    const ledgerEntries = [];
 
     for (let i = 0; i < commissionTasks.length; i += CALC_BATCH_SIZE) {
       const batch = commissionTasks.slice(i, i + CALC_BATCH_SIZE);
@@ -404,7 +907,7 @@ const bulkProcessCommissions = async (customers, userIdMap, teamMap, errors, cli
         batch.map(async (task) => {
           // Pass null for team - calculateCommission will fetch historical team data
           // Pass useHistoricalData = true to enable historical team lookup
-          const commissionAmount = await calculateCommission(
+          const { amount: commissionAmount, trace } = await calculateCommissionWithTrace(
             task.user, 
             task.customer, 
             null, // Let calculateCommission fetch historical data
@@ -412,21 +915,45 @@ const bulkProcessCommissions = async (customers, userIdMap, teamMap, errors, cli
           );
           const numericAmount = parseFloat(commissionAmount) || 0;
           
-          if (numericAmount <= 0) return null;
+          if (numericAmount <= 0 && !task.existingCommission) return null;
 
           if (task.existingCommission) {
-            const oldAmount = parseFloat(task.existingCommission.commission_amount) || 0;
-            const difference = numericAmount - oldAmount;
-            
-            if (Math.abs(difference) > 0.01) { // Only update if significant difference
+            // Downward reprices become clawbacks; the commission keeps the amount originally earned
+            const change = planRepriceChange(task.existingCommission, numericAmount);
+
+            if (change.reverseReprices) {
+              repricesToReverse.push(task.existingCommission.id);
+            }
+            if (change.clawbackAmount < 0) {
+              clawbacksToCreate.push({
+                commission_due_id: task.existingCommission.id,
+                user_id: task.userId,
+                customer_id: task.customerId,
+                reason: 'reprice',
+                amount: change.clawbackAmount,
+                previous_status: task.customer.status,
+                new_status: task.customer.status,
+                previous_amount: numericAmount - change.clawbackAmount,
+                new_amount: numericAmount
+              });
+            }
+            if (change.commissionChange !== 0) {
               commissionsToUpdate.push({
                 id: task.existingCommission.id,
+                user_id: task.userId,
+                customer_id: task.customerId,
+                previous_amount: parseFloat(task.existingCommission.commission_amount),
                 commission_amount: numericAmount,
-                build_date: task.buildDate
+                build_date: task.buildDate,
+                calculation_trace: trace
+              });
+              ledgerEntries.push({
+                user_id: task.userId,
+                entry_type: 'commission_change',
+                amount: change.commissionChange,
+                commission_due_id: task.existingCommission.id,
+                description: 'Commission recalculated during sync'
               });
-              
-              const currentBalance = balanceUpdates.get(task.userId) || 0;
-              balanceUpdates.set(task.userId, currentBalance + difference);
             }
           } else {
             commissionsToCreate.push({
@@ -434,11 +961,9 @@ const bulkProcessCommissions = async (customers, userIdMap, teamMap, errors, cli
               customer_id: task.customerId,
               commission_amount: numericAmount,
               build_date: task.buildDate,
-              admin_modified: false
+              admin_modified: false,
+              calculation_trace: trace
             });
-            
-            const currentBalance = balanceUpdates.get(task.userId) || 0;
-            balanceUpdates.set(task.userId, currentBalance + numericAmount);
           }
           
           return task;
@@ -460,14 +985,70 @@ const bulkProcessCommissions = async (customers, userIdMap, teamMap, errors, cli
       });
     }
 
-    // 4. EXECUTE BULK OPERATIONS (same as before)
-    await Promise.all([
-      commissionsToCreate.length > 0 ? bulkInsertCommissions(commissionsToCreate, client) : Promise.resolve(),
-      commissionsToUpdate.length > 0 ? bulkUpdateCommissions(commissionsToUpdate, client) : Promise.resolve(),
-      balanceUpdates.size > 0 ? bulkUpdateUserBalances(balanceUpdates, client) : Promise.resolve()
+    // 4. EXECUTE BULK OPERATIONS
+    // Earlier reprice clawbacks are reversed before new ones are inserted
+    if (repricesToReverse.length > 0) {
+      const reversed = await CommissionAdjustmentModel.reverseClawbacks({ commissionIds: repricesToReverse, reason: 'reprice' }, client);
+      ledgerEntries.push(...toLedgerEntries(
+        reversed.filter(clawback => clawback.previous_adjustment_status === 'active'),
+        'clawback_reversal'
+      ));
+    }
+
+    const [clawbacks, createdCommissions] = await Promise.all([
+      CommissionAdjustmentModel.insertClawbacks(clawbacksToCreate, client),
+      bulkInsertCommissions(commissionsToCreate, client),
+      commissionsToUpdate.length > 0 ? bulkUpdateCommissions(commissionsToUpdate, client) : Promise.resolve()
     ]);
 
-    logger.info(`Processed ${commissionsToCreate.length} new commissions, ${commissionsToUpdate.length} updates`);
+    // 5. POST LEDGER ENTRIES - user_balance is rebuilt from the ledger
+    ledgerEntries.push(
+      ...createdCommissions.map(commission => ({
+        user_id: commission.user_id,
+        entry_type: 'commission',
+        amount: commission.commission_amount,
+        commission_due_id: commission.id,
+        description: 'Commission earned on Finalized job'
+      })),
+      ...toLedgerEntries(clawbacks, 'clawback')
+    );
+    await LedgerModel.postEntries(ledgerEntries, client);
+
+    // 6. NET OUTSTANDING DRAWS AGAINST THE NEW COMMISSIONS, PER EACH DRAW'S RECOVERY SCHEDULE
+    const drawRecoveries = await recoverDraws(createdCommissions, client);
+
+    // 7. APPLY ANY PAYMENT CREDIT USERS HAVE TO WHAT IS LEFT OF THEIR NEW COMMISSIONS
+    const creditAllocations = await applyCredit(
+      [...new Set(createdCommissions.map(commission => commission.user_id))],
+      client
+    );
+
+    logger.info(`Processed ${commissionsToCreate.length} new commissions, ${commissionsToUpdate.length} updates, ${clawbacks.length} reprice clawbacks, ${drawRecoveries.length} draw recoveries, ${creditAllocations.length} credit allocations`);
+
+    return {
+      clawbacks,
+      commissionsCreated: createdCommissions.length,
+      commissionsUpdated: commissionsToUpdate.length,
+      // What was written, for dry runs to report
+      changes: [
+        ...createdCommissions.map(commission => ({
+          change: 'create',
+          commission_id: commission.id,
+          user_id: commission.user_id,
+          customer_id: commission.customer_id,
+          previous_amount: null,
+          new_amount: parseFloat(commission.commission_amount)
+        })),
+        ...commissionsToUpdate.map(commission => ({
+          change: 'update',
+          commission_id: commission.id,
+          user_id: commission.user_id,
+          customer_id: commission.customer_id,
+          previous_amount: commission.previous_amount,
+          new_amount: commission.commission_amount
+        }))
+      ]
+    };
     
   } catch (error) {
     logger.error('Bulk commission processing error:', error);
@@ -479,30 +1060,33 @@ const bulkProcessCommissions = async (customers, userIdMap, teamMap, errors, cli
  * OPTIMIZED: Bulk insert commissions with database defaults - RECOMMENDED
  */
 const bulkInsertCommissions = async (commissions, client) => {
-  if (commissions.length === 0) return;
+  if (commissions.length === 0) return [];
 
   const values = [];
   const placeholders = [];
   
   commissions.forEach((comm, index) => {
-    const baseIndex = index * 5;
-    placeholders.push(`($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}::NUMERIC, $${baseIndex + 4}::TIMESTAMP, $${baseIndex + 5}::BOOLEAN)`);
+    const baseIndex = index * 6;
+    placeholders.push(`($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}::NUMERIC, $${baseIndex + 4}::TIMESTAMP, $${baseIndex + 5}::BOOLEAN, $${baseIndex + 6}::JSONB)`);
     values.push(
       comm.user_id,
       comm.customer_id,
       comm.commission_amount,
       comm.build_date,
-      comm.admin_modified
+      comm.admin_modified,
+      comm.calculation_trace ? JSON.stringify(comm.calculation_trace) : null
     );
   });
 
   // Let database handle created_at and updated_at with DEFAULT values
   const query = `
-    INSERT INTO commissions_due (user_id, customer_id, commission_amount, build_date, admin_modified)
+    INSERT INTO commissions_due (user_id, customer_id, commission_amount, build_date, admin_modified, calculation_trace)
     VALUES ${placeholders.join(', ')}
+    RETURNING id, user_id, customer_id, commission_amount
   `;
 
-  await client.query(query, values);
+  const result = await client.query(query, values);
+  return result.rows;
 };
 
 /**
@@ -512,67 +1096,36 @@ const bulkUpdateCommissions = async (commissions, client) => {
   if (commissions.length === 0) return;
 
   const updates = commissions.map((_, i) => 
-    `($${i*3 + 1}::INTEGER, $${i*3 + 2}::NUMERIC, $${i*3 + 3}::TIMESTAMP)`
+    `($${i*4 + 1}::INTEGER, $${i*4 + 2}::NUMERIC, $${i*4 + 3}::TIMESTAMP, $${i*4 + 4}::JSONB)`
   ).join(', ');
 
   const values = commissions.flatMap(comm => [
     comm.id, 
     comm.commission_amount, 
-    comm.build_date
+    comm.build_date,
+    comm.calculation_trace ? JSON.stringify(comm.calculation_trace) : null
   ]);
 
   const query = `
     UPDATE commissions_due SET
       commission_amount = updates.commission_amount,
       build_date = updates.build_date,
+      calculation_trace = updates.calculation_trace,
       updated_at = CURRENT_TIMESTAMP
-    FROM (VALUES ${updates}) AS updates(id, commission_amount, build_date)
+    FROM (VALUES ${updates}) AS updates(id, commission_amount, build_date, calculation_trace)
     WHERE commissions_due.id = updates.id
   `;
 
   await client.query(query, values);
 };
 
-/**
- * OPTIMIZED: Bulk update user balances with upsert
- */
-const bulkUpdateUserBalances = async (balanceUpdates, client) => {
-  if (balanceUpdates.size === 0) return;
-
-  const userIds = Array.from(balanceUpdates.keys());
-  
-  // Ensure balance records exist
-  await client.query(`
-    INSERT INTO user_balance (user_id, total_commissions_earned, total_payments_received, current_balance)
-    SELECT id, 0, 0, 0 FROM users WHERE id = ANY($1)
-    ON CONFLICT (user_id) DO NOTHING
-  `, [userIds]);
-
-  // Bulk update balances
-  const updates = Array.from(balanceUpdates.entries());
-  const updateValues = updates.map((_, i) => 
-    `($${i*2 + 1}::INTEGER, $${i*2 + 2}::NUMERIC)`
-  ).join(', ');
-
-  const values = updates.flatMap(([userId, amount]) => [userId, amount]);
-
-  await client.query(`
-    UPDATE user_balance SET
-      total_commissions_earned = total_commissions_earned + updates.amount,
-      current_balance = current_balance + updates.amount,
-      last_updated = CURRENT_TIMESTAMP
-    FROM (VALUES ${updateValues}) AS updates(user_id, amount)
-    WHERE user_balance.user_id = updates.user_id
-  `, values);
-};
-
 /**
  * STREAMLINED: Get all customers with optional filtering
  */
 const getCustomers = async (req, res, next) => {
   try {
     const { status, limit = 1000, offset = 0 } = req.query;
-    const options = { status, limit: parseInt(limit), offset: parseInt(offset) };
+    const options = { status, limit: parseInt(limit), offset: parseInt(offset), userIds: req.scope.userIds };
     
     const customers = await getAllCustomers(options);
     res.status(200).json(customers);
@@ -598,7 +1151,8 @@ const searchCustomers = async (req, res, next) => {
 
     const options = { 
       limit: 20, 
-      includeAll: includeAll === 'true' 
+      includeAll: includeAll === 'true',
+      userIds: req.scope.userIds
     };
 
     const customers = await searchCustomersByQuery(query, userId, options);
@@ -619,6 +1173,9 @@ const getCustomer = async (req, res, next) => {
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
+    if (!canAccessCustomer(req.scope, customer)) {
+      return res.status(403).json({ error: 'You do not have access to this customer' });
+    }
 
     res.status(200).json(customer);
   } catch (error) {
@@ -626,13 +1183,108 @@ const getCustomer = async (req, res, next) => {
   }
 };
 
+const ASSIGNMENT_ROLES = { salesman: 'salesman_id', supplementer: 'supplementer_id', referrer: 'referrer_id' };
+
+/**
+ * PUT /api/customers/:customerId/assignments
+ * Correct a customer's salesman, supplementer or referrer; managers follow from the teams.
+ * For JobNimbus jobs the correction is queued to be written back to the job, and the sync
+ * keeps it until JobNimbus has it.
+ */
+const updateCustomerAssignments = async (req, res, next) => {
+  const client = await db.connect();
+
+  try {
+    const { customerId } = req.params;
+
+    const changedRoles = Object.keys(ASSIGNMENT_ROLES).filter(role => req.body[ASSIGNMENT_ROLES[role]] !== undefined);
+    if (changedRoles.length === 0) {
+      return res.status(400).json({ error: 'Provide at least one of salesman_id, supplementer_id or referrer_id' });
+    }
+
+    const allUsers = await getAllUsers();
+    const usersById = new Map(allUsers.map(user => [user.id, user]));
+    for (const role of changedRoles) {
+      const userId = req.body[ASSIGNMENT_ROLES[role]];
+      if (userId !== null && !usersById.has(parseInt(userId))) {
+        return res.status(404).json({ error: `${ASSIGNMENT_ROLES[role]}: user ${userId} not found` });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const existingResult = await client.query('SELECT * FROM customers WHERE id = $1 FOR UPDATE', [parseInt(customerId)]);
+    const existing = existingResult.rows[0];
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const assigned = {};
+    Object.entries(ASSIGNMENT_ROLES).forEach(([role, column]) => {
+      assigned[column] = changedRoles.includes(role)
+        ? (req.body[column] === null ? null : parseInt(req.body[column]))
+        : existing[column];
+    });
+
+    const fieldMappings = resolveMappings(await FieldMappingModel.getMappings());
+    const lookupMaps = createLookupMaps({
+      allUsers,
+      allTeams: await getAllTeams(),
+      existingCustomers: [],
+      fieldMappings
+    });
+
+    const customer = await updateAssignments(existing.id, {
+      ...assigned,
+      manager_id: assigned.salesman_id ? lookupMaps.salesmanToManagerMap.get(assigned.salesman_id) || null : null,
+      supplement_manager_id: assigned.supplementer_id
+        ? lookupMaps.supplementerToManagerMap.get(assigned.supplementer_id) || null
+        : null
+    }, client);
+
+    const usersFor = (row) => Object.fromEntries(
+      Object.entries(ASSIGNMENT_ROLES).map(([role, column]) => [role, usersById.get(row[column]) || null])
+    );
+    const jobNimbus = existing.jnid
+      ? await enqueueAssignmentChange({
+        customer: existing,
+        previous: usersFor(existing),
+        current: usersFor(customer),
+        fieldMappings,
+        createdBy: req.user?.userId
+      }, client)
+      : { entry: null, skipped: [] };
+
+    await client.query('COMMIT');
+    cache.delete('reference_data');
+
+    logger.info(`Assignments for customer ${customer.id} changed by user ${req.user?.userId}${jobNimbus.entry ? `; queued JobNimbus update ${jobNimbus.entry.id}` : ''}`);
+
+    res.status(200).json({
+      customer,
+      jobnimbus: {
+        queued: jobNimbus.entry,
+        skipped: jobNimbus.skipped
+      },
+      // Existing commissions were calculated for the old assignees
+      commissions_need_recalculation: customer.status === 'Finalized'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * STREAMLINED: Delete customer
  */
 const deleteCustomerController = async (req, res, next) => {
   try {
     const { customerId } = req.params;
-    const deletedCustomer = await deleteCustomer(parseInt(customerId));
+    const deletedCustomer = await deleteCustomer(parseInt(customerId), { deletedBy: req.user?.userId });
 
     if (!deletedCustomer) {
       return res.status(404).json({ error: 'Customer not found' });
@@ -656,13 +1308,6 @@ const recalculateCustomerCommissions = async (req, res, next) => {
   try {
     const { customerId } = req.params;
 
-    // Authorization check
-    if (!['owner', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({ 
-        error: 'Unauthorized. Only admin or owner can recalculate commissions.' 
-      });
-    }
-
     const customer = await getCustomerById(parseInt(customerId));
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
@@ -677,15 +1322,28 @@ const recalculateCustomerCommissions = async (req, res, next) => {
 
     await client.query('BEGIN');
 
-    // Delete existing commissions and update balances
-    await client.query(`
-      UPDATE user_balance 
-      SET total_commissions_earned = total_commissions_earned - cd.commission_amount,
-          current_balance = current_balance - cd.commission_amount
-      FROM commissions_due cd 
-      WHERE cd.customer_id = $1 AND user_balance.user_id = cd.user_id
+    // Delete existing commissions and reverse them in the ledger
+    // Active clawbacks were already deducted, so only the net credited amount is reversed
+    const existingResult = await client.query(`
+      SELECT cd.id, cd.user_id, cd.commission_amount + COALESCE(SUM(ca.amount), 0) as net_amount
+      FROM commissions_due cd
+      LEFT JOIN commission_adjustments ca ON ca.commission_due_id = cd.id AND ca.status = 'active'
+      WHERE cd.customer_id = $1
+      GROUP BY cd.id
     `, [customerId]);
 
+    await LedgerModel.postEntries(existingResult.rows.map(commission => ({
+      user_id: commission.user_id,
+      entry_type: 'commission_deletion',
+      amount: -parseFloat(commission.net_amount),
+      commission_due_id: commission.id,
+      description: 'Commission removed for recalculation',
+      created_by: req.user?.userId
+    })), client);
+
+    // Payments (and draws) applied to these commissions get the amount back as credit
+    await PaymentAllocationModel.returnMappingsToCredit(existingResult.rows.map(commission => commission.id), client);
+
     await client.query('DELETE FROM commissions_due WHERE customer_id = $1', [customerId]);
 
     // Process new commissions
@@ -759,28 +1417,20 @@ const addCustomerToJobNimbus = async (req, res, next) => {
       country_name: "United States"
     };
 
-    const response = await axios({
-      method: 'post',
-      url: 'https://app.jobnimbus.com/api1/contacts',
-      headers: {
-        'Authorization': `Bearer ${process.env.JOBNIMBUSTOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      data: customerData,
-      timeout: 10000 // 10 second timeout
-    });
+    const contact = await createJobNimbusContact(customerData);
 
     res.status(201).json({
       message: 'Customer added successfully',
-      customer: response.data
+      customer: contact
     });
 
   } catch (error) {
-    if (error.response) {
-      logger.error('JobNimbus API error:', error.response.data);
-      return res.status(error.response.status).json({
+    if (error.status) {
+      logger.error('JobNimbus API error:', error.data || error.message);
+      // Outages (including an open circuit) are reported as 503 so the client can try later
+      return res.status(error.transient ? 503 : error.status).json({
         error: 'Failed to add customer to JobNimbus',
-        details: error.response.data
+        details: error.data || error.message
       });
     }
     
@@ -790,11 +1440,18 @@ const addCustomerToJobNimbus = async (req, res, next) => {
 };
 
 module.exports = { 
+  runCustomerSync,
+  syncJobNimbusJob,
   syncCustomers, 
+  getSyncRuns,
+  getSyncRun,
+  getCustomerStatusHistory,
+  getStageDurations,
   getCustomers, 
   searchCustomers, 
   getCustomer, 
   deleteCustomerController,
   recalculateCustomerCommissions,
+  updateCustomerAssignments,
   addCustomerToJobNimbus
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const DrawModel = require('../models/drawModel');
+const { parseRecoveryTerms, issueDraw } = require('../services/drawService');
+const { canAccessUser, filterByScope } = require('../services/accessScopeService');
+const { AppError } = require('../utils/error');
+
+const DrawController = {
+  getDraws: async (req, res, next) => {
+    try {
+      const { user_id, status } = req.query;
+      if (status && !['active', 'recovered'].includes(status)) {
+        throw new AppError("status must be 'active' or 'recovered'", 400);
+      }
+      if (user_id && !canAccessUser(req.scope, user_id)) {
+        throw new AppError('You do not have access to this user\'s draws', 403);
+      }
+
+      const draws = await DrawModel.getDraws({
+        user_id: user_id ? parseInt(user_id) : null,
+        status: status || null
+      });
+      res.json(filterByScope(req.scope, draws));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Outstanding draw balance per user
+  getOutstandingDraws: async (req, res, next) => {
+    try {
+      const balances = filterByScope(req.scope, await DrawModel.getOutstandingByUser());
+      const total = balances.reduce((sum, balance) => sum + parseFloat(balance.outstanding_balance), 0);
+      res.json({
+        users: balances,
+        total_outstanding: total.toFixed(2)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  getDrawById: async (req, res, next) => {
+    try {
+      const draw = await DrawModel.getDrawById(req.params.id);
+      if (!draw) {
+        throw new AppError('Draw not found', 404);
+      }
+      if (!canAccessUser(req.scope, draw.user_id)) {
+        throw new AppError('You do not have access to this user\'s draws', 403);
+      }
+      res.json(draw);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  createDraw: async (req, res, next) => {
+    try {
+      const { user_id, amount, payment_type, payment_date, check_number, notes } = req.body;
+
+      if (!user_id || !(parseFloat(amount) > 0) || !payment_type) {
+        throw new AppError('user_id, a positive amount and payment_type are required', 400);
+      }
+
+      const { terms, errors } = parseRecoveryTerms(req.body);
+      if (errors.length > 0) {
+        throw new AppError(errors.join('; '), 400);
+      }
+
+      const draw = await issueDraw(
+        { user_id, amount, payment_type, payment_date, check_number, notes, terms },
+        req.user?.userId
+      );
+      res.status(201).json(draw);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Change how the rest of a draw is recovered; past recoveries are kept
+  updateRecoveryTerms: async (req, res, next) => {
+    try {
+      const { terms, errors } = parseRecoveryTerms(req.body);
+      if (errors.length > 0) {
+        throw new AppError(errors.join('; '), 400);
+      }
+
+      const updated = await DrawModel.updateRecoveryTerms(req.params.id, terms);
+      if (!updated) {
+        throw new AppError('Draw not found', 404);
+      }
+      res.json(await DrawModel.getDrawById(updated.id));
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = DrawController;
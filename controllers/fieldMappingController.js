@@ -0,0 +1,143 @@
+const db = require('../config/db');
+const FieldMappingModel = require('../models/fieldMappingModel');
+const {
+  VALUE_TYPES,
+  TARGET_FIELDS,
+  resolveMappings,
+  validateMappingShape,
+  validateAgainstSample
+} = require('../services/fieldMappingService');
+const { fetchJobNimbusJob, fetchLatestJobNimbusJob } = require('../services/jobNimbusService');
+const { AppError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+/**
+ * Check proposed mappings against a sample job
+ * The sample is sample_job as given, the job sample_jnid, or else the most recently updated job
+ * @returns {Object} { mappings: effective mappings with the proposal applied, sampleJnid, validation }
+ */
+const checkProposedMappings = async ({ mappings, sample_job, sample_jnid }) => {
+  const shapeErrors = validateMappingShape(mappings);
+  if (shapeErrors.length > 0) {
+    throw new AppError(shapeErrors.join('; '), 400);
+  }
+
+  const proposed = mappings.map(mapping => ({
+    target_field: mapping.target_field,
+    source_fields: mapping.source_fields.map(field => field.trim()),
+    value_type: mapping.value_type,
+    synonyms: mapping.synonyms || {},
+    default_value: mapping.default_value ?? null
+  }));
+  const stored = await FieldMappingModel.getMappings();
+  const effective = resolveMappings([
+    ...stored.filter(row => !proposed.some(mapping => mapping.target_field === row.target_field)),
+    ...proposed
+  ]);
+
+  let sampleJob = sample_job;
+  if (!sampleJob) {
+    sampleJob = sample_jnid ? await fetchJobNimbusJob(sample_jnid) : await fetchLatestJobNimbusJob();
+  }
+  if (!sampleJob || typeof sampleJob !== 'object') {
+    throw new AppError('No sample job to validate the mappings against', 422);
+  }
+
+  return {
+    proposed,
+    sampleJnid: sampleJob.jnid || null,
+    validation: validateAgainstSample(effective, sampleJob)
+  };
+};
+
+const FieldMappingController = {
+  /**
+   * GET /api/jobnimbus/field-mappings
+   * Every target with the mapping in effect, stored or default
+   */
+  getFieldMappings: async (req, res, next) => {
+    try {
+      const mappings = resolveMappings(await FieldMappingModel.getMappings());
+      res.json({
+        targets: TARGET_FIELDS,
+        value_types: VALUE_TYPES,
+        mappings: Object.values(mappings)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Try mappings on a sample job without saving them
+  previewFieldMappings: async (req, res, next) => {
+    try {
+      const { sampleJnid, validation } = await checkProposedMappings(req.body);
+      res.json({ sample_jnid: sampleJnid, ...validation });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * PUT /api/jobnimbus/field-mappings
+   * Saved only if the mappings read the sample job without errors
+   */
+  updateFieldMappings: async (req, res, next) => {
+    try {
+      // Checked before taking a connection, since reading the sample job calls JobNimbus
+      const { proposed, sampleJnid, validation } = await checkProposedMappings(req.body);
+      if (!validation.valid) {
+        return res.status(422).json({
+          error: 'Field mappings do not read the sample job',
+          sample_jnid: sampleJnid,
+          ...validation
+        });
+      }
+
+      let saved;
+      const client = await db.connect();
+      try {
+        await client.query('BEGIN');
+        saved = await FieldMappingModel.saveMappings(proposed, req.user?.userId, client);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      logger.info(`JobNimbus field mappings updated: ${saved.map(mapping => mapping.target_field).join(', ')}`);
+
+      res.json({
+        saved,
+        sample_jnid: sampleJnid,
+        warnings: validation.warnings,
+        preview: validation.preview,
+        mappings: Object.values(resolveMappings(await FieldMappingModel.getMappings()))
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Put a target back on its default mapping
+  resetFieldMapping: async (req, res, next) => {
+    try {
+      const { target } = req.params;
+      if (!TARGET_FIELDS.includes(target)) {
+        throw new AppError(`target must be one of ${TARGET_FIELDS.join(', ')}`, 400);
+      }
+
+      const deleted = await FieldMappingModel.deleteMapping(target);
+      if (!deleted) {
+        throw new AppError(`${target} is already using its default mapping`, 404);
+      }
+      res.json({ message: `${target} reset to its default mapping`, mapping: resolveMappings()[target] });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = FieldMappingController;
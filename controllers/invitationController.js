@@ -0,0 +1,105 @@
+const InvitationModel = require('../models/invitationModel');
+const InvitationService = require('../services/invitationService');
+const LoginThrottle = require('../services/loginThrottleService');
+const { AppError } = require('../utils/error');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+const InvitationController = {
+  // ADMIN METHODS
+  getInvitations: async (req, res, next) => {
+    try {
+      const { status } = req.query;
+      if (status && !INVITATION_STATUSES.includes(status)) {
+        throw new AppError(`status must be one of: ${INVITATION_STATUSES.join(', ')}`, 400);
+      }
+
+      const invitations = await InvitationModel.getInvitations({ status });
+      res.json(invitations);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  createInvitation: async (req, res, next) => {
+    try {
+      const { invitation, emailSent } = await InvitationService.createInvitation(req.body, req.user);
+      res.status(201).json({
+        message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent; resend it',
+        email_sent: emailSent,
+        invitation
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  resendInvitation: async (req, res, next) => {
+    try {
+      const { invitation, emailSent } = await InvitationService.resendInvitation(req.params.id, req.user);
+      res.json({
+        message: emailSent ? 'Invitation resent' : 'Invitation renewed, but the email could not be sent',
+        email_sent: emailSent,
+        invitation
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  revokeInvitation: async (req, res, next) => {
+    try {
+      const invitation = await InvitationService.revokeInvitation(req.params.id);
+      res.json({ message: 'Invitation revoked', invitation });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // INVITEE METHODS (public; the token is the credential, so bad ones are throttled like reset tokens)
+  getInvitationByToken: async (req, res, next) => {
+    try {
+      await LoginThrottle.assertIpAllowed(req);
+
+      const invitation = await InvitationService.getInvitationForToken(req.params.token);
+      if (!invitation) {
+        await LoginThrottle.recordFailure(req, 'invitation');
+        throw new AppError('Invalid or expired invitation', 400);
+      }
+      res.json(invitation);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  acceptInvitation: async (req, res, next) => {
+    try {
+      const { token, password, phone } = req.body;
+      if (!token) {
+        throw new AppError('token is required', 400);
+      }
+      await LoginThrottle.assertIpAllowed(req);
+
+      const user = await InvitationService.acceptInvitation(token, { password, phone });
+      if (!user) {
+        await LoginThrottle.recordFailure(req, 'invitation');
+        throw new AppError('Invalid or expired invitation', 400);
+      }
+
+      res.status(201).json({
+        message: 'Account created; sign in with your email and new password',
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          permissions: user.permissions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = InvitationController;
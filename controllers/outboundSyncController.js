@@ -0,0 +1,188 @@
+const db = require('../config/db');
+const OutboundSyncModel = require('../models/outboundSyncModel');
+const {
+  OUTBOUND_FIELD_KEYS,
+  resolveOutboundFields,
+  enqueueCommissionChanges,
+  processOutboundQueue
+} = require('../services/jobNimbusOutboundService');
+const { AppError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+const QUEUE_STATUSES = ['pending', 'processing', 'succeeded', 'failed', 'conflict', 'discarded'];
+
+const OutboundSyncController = {
+  /**
+   * GET /api/jobnimbus/outbound-fields
+   * Every commission value with the JobNimbus field it goes to and whether it is pushed
+   */
+  getOutboundFields: async (req, res, next) => {
+    try {
+      res.json(resolveOutboundFields(await OutboundSyncModel.getOutboundFields()));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * PUT /api/jobnimbus/outbound-fields
+   * Values already pushed under an old field name are pushed again under the new one
+   */
+  updateOutboundFields: async (req, res, next) => {
+    const client = await db.connect();
+    try {
+      const { fields } = req.body;
+      if (!Array.isArray(fields) || fields.length === 0) {
+        throw new AppError('fields must be a non-empty array', 400);
+      }
+
+      const current = resolveOutboundFields(await OutboundSyncModel.getOutboundFields());
+      const updates = fields.map(field => {
+        if (!OUTBOUND_FIELD_KEYS.includes(field.field_key)) {
+          throw new AppError(`field_key must be one of ${OUTBOUND_FIELD_KEYS.join(', ')}`, 400);
+        }
+        const existing = current.find(row => row.field_key === field.field_key);
+        const jobnimbusField = field.jobnimbus_field === undefined ? existing.jobnimbus_field : field.jobnimbus_field;
+        if (typeof jobnimbusField !== 'string' || !jobnimbusField.trim()) {
+          throw new AppError(`${field.field_key}: jobnimbus_field must be a non-empty string`, 400);
+        }
+        return {
+          field_key: field.field_key,
+          jobnimbus_field: jobnimbusField.trim(),
+          enabled: field.enabled === undefined ? existing.enabled : !!field.enabled
+        };
+      });
+
+      const jobnimbusFields = [
+        ...current.filter(row => !updates.some(update => update.field_key === row.field_key)),
+        ...updates
+      ].map(row => row.jobnimbus_field);
+      if (new Set(jobnimbusFields).size !== jobnimbusFields.length) {
+        throw new AppError('Each value must go to a different JobNimbus field', 400);
+      }
+
+      await client.query('BEGIN');
+      const saved = await OutboundSyncModel.saveOutboundFields(updates, req.user?.userId, client);
+      await client.query('COMMIT');
+
+      logger.info(`JobNimbus outbound fields updated: ${saved.map(field => `${field.field_key} -> ${field.jobnimbus_field}${field.enabled ? '' : ' (disabled)'}`).join(', ')}`);
+
+      res.json({
+        saved,
+        fields: resolveOutboundFields(await OutboundSyncModel.getOutboundFields())
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      next(error);
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * GET /api/jobnimbus/outbound-queue
+   * Writes to JobNimbus, newest first
+   */
+  getOutboundQueue: async (req, res, next) => {
+    try {
+      const { status = 'all', customer_id, limit = 100, offset = 0 } = req.query;
+      if (status !== 'all' && !QUEUE_STATUSES.includes(status)) {
+        throw new AppError(`status must be one of ${QUEUE_STATUSES.join(', ')} or 'all'`, 400);
+      }
+
+      res.json(await OutboundSyncModel.getQueue({
+        status: status === 'all' ? null : status,
+        customer_id: customer_id ? parseInt(customer_id) : null,
+        limit: Math.min(parseInt(limit) || 100, 500),
+        offset: parseInt(offset) || 0
+      }));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  getOutboundQueueEntry: async (req, res, next) => {
+    try {
+      const entry = await OutboundSyncModel.getEntryById(req.params.id);
+      if (!entry) {
+        throw new AppError('Outbound queue entry not found', 404);
+      }
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * POST /api/jobnimbus/outbound-queue/process
+   * Queue commission changes and push what is due now, rather than waiting for the schedule
+   */
+  processOutboundQueue: async (req, res, next) => {
+    try {
+      const queued = await enqueueCommissionChanges();
+      const processed = await processOutboundQueue({ limit: Math.min(parseInt(req.body.limit) || 50, 500) });
+      res.json({ queued, processed });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * POST /api/jobnimbus/outbound-queue/:id/retry
+   * Put a failed or conflicting write back in the queue; force: true writes over the JobNimbus values
+   */
+  retryOutboundEntry: async (req, res, next) => {
+    try {
+      const entry = await OutboundSyncModel.getEntryById(req.params.id);
+      if (!entry) {
+        throw new AppError('Outbound queue entry not found', 404);
+      }
+      if (!['failed', 'conflict'].includes(entry.status)) {
+        throw new AppError(`Only failed or conflicting entries can be retried; this one is ${entry.status}`, 409);
+      }
+
+      const retried = await OutboundSyncModel.setEntryStatus(entry.id, {
+        status: 'pending',
+        last_error: entry.last_error,
+        next_attempt_at: new Date(),
+        force: !!req.body.force,
+        reset_attempts: true
+      });
+      logger.info(`JobNimbus write ${entry.id} requeued by user ${req.user?.userId}${req.body.force ? ' (forced)' : ''}`);
+      res.json(retried);
+    } catch (error) {
+      // The customer already has a pending write of this type
+      if (error.code === '23505') {
+        return next(new AppError('This customer already has a pending write of this type; discard one of them first', 409));
+      }
+      next(error);
+    }
+  },
+
+  /**
+   * POST /api/jobnimbus/outbound-queue/:id/discard
+   * Give up on a write; for assignments, the next sync takes JobNimbus's value again
+   */
+  discardOutboundEntry: async (req, res, next) => {
+    try {
+      const entry = await OutboundSyncModel.getEntryById(req.params.id);
+      if (!entry) {
+        throw new AppError('Outbound queue entry not found', 404);
+      }
+      if (!['pending', 'failed', 'conflict'].includes(entry.status)) {
+        throw new AppError(`Only pending, failed or conflicting entries can be discarded; this one is ${entry.status}`, 409);
+      }
+
+      const discarded = await OutboundSyncModel.setEntryStatus(entry.id, {
+        status: 'discarded',
+        last_error: entry.last_error
+      });
+      logger.info(`JobNimbus write ${entry.id} discarded by user ${req.user?.userId}`);
+      res.json(discarded);
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = OutboundSyncController;
@@ -0,0 +1,266 @@
+const PayrollModel = require('../models/payrollModel');
+const {
+  PAYMENT_TYPES,
+  generateDraftRun,
+  updateRunItem,
+  approveRun,
+  reopenRun,
+  postRun,
+  voidRun
+} = require('../services/payrollService');
+const { DIRECT_DEPOSIT, buildPaymentsCsv, buildNachaFile } = require('../services/payrollExportService');
+const { AppError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+const RUN_STATUSES = ['draft', 'approved', 'posted', 'voided'];
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Read export filters from the query: a posted payroll run, or a payment date range
+ * @returns {Object} Filters for PayrollModel.getPaymentsForExport plus a file name stem
+ */
+const getExportFilters = async (query) => {
+  const { payroll_run_id, start_date, end_date } = query;
+
+  if (payroll_run_id) {
+    const run = await PayrollModel.getRunById(payroll_run_id);
+    if (!run) {
+      throw new AppError('Payroll run not found', 404);
+    }
+    if (run.status !== 'posted') {
+      throw new AppError(`Only posted runs can be exported (run is ${run.status})`, 409);
+    }
+    return { filters: { payroll_run_id: run.id }, name: `payroll-run-${run.id}` };
+  }
+
+  if (!isDate(start_date) || !isDate(end_date)) {
+    throw new AppError('Provide payroll_run_id, or start_date and end_date', 400);
+  }
+  return { filters: { start_date, end_date }, name: `payments-${start_date}-to-${end_date}` };
+};
+
+const PayrollController = {
+  // PAY PERIOD METHODS
+  getPayPeriods: async (req, res, next) => {
+    try {
+      const payPeriods = await PayrollModel.getPayPeriods();
+      res.json(payPeriods);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  createPayPeriod: async (req, res, next) => {
+    try {
+      const { name, start_date, end_date, pay_date } = req.body;
+
+      if (!isDate(start_date) || !isDate(end_date)) {
+        throw new AppError('start_date and end_date are required dates', 400);
+      }
+      if (new Date(end_date) < new Date(start_date)) {
+        throw new AppError('end_date must be on or after start_date', 400);
+      }
+      if (pay_date !== undefined && pay_date !== null && !isDate(pay_date)) {
+        throw new AppError('pay_date must be a date', 400);
+      }
+
+      // Periods must not overlap, or a commission could be paid in two runs
+      const overlapping = await PayrollModel.getOverlappingPayPeriods(start_date, end_date);
+      if (overlapping.length > 0) {
+        throw new AppError(`Pay period overlaps "${overlapping[0].name}"`, 409);
+      }
+
+      const payPeriod = await PayrollModel.createPayPeriod({
+        name: name || `${start_date} to ${end_date}`,
+        start_date,
+        end_date,
+        pay_date: pay_date || null
+      });
+      res.status(201).json(payPeriod);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  deletePayPeriod: async (req, res, next) => {
+    try {
+      const payPeriod = await PayrollModel.deletePayPeriod(req.params.id);
+      if (!payPeriod) {
+        throw new AppError('Pay period not found', 404);
+      }
+      res.json({ message: 'Pay period deleted successfully' });
+    } catch (error) {
+      // Runs reference the period (ON DELETE RESTRICT)
+      if (error.code === '23503') {
+        return next(new AppError('Pay period has payroll runs and cannot be deleted', 409));
+      }
+      next(error);
+    }
+  },
+
+  // PAYROLL RUN METHODS
+  getRuns: async (req, res, next) => {
+    try {
+      const { status, pay_period_id } = req.query;
+      if (status && !RUN_STATUSES.includes(status)) {
+        throw new AppError(`status must be one of: ${RUN_STATUSES.join(', ')}`, 400);
+      }
+
+      const runs = await PayrollModel.getRuns({
+        status: status || null,
+        pay_period_id: pay_period_id ? parseInt(pay_period_id) : null
+      });
+      res.json(runs);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  getRunById: async (req, res, next) => {
+    try {
+      const run = await PayrollModel.getRunById(req.params.id);
+      if (!run) {
+        throw new AppError('Payroll run not found', 404);
+      }
+      res.json(run);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  createRun: async (req, res, next) => {
+    try {
+      const { pay_period_id, payment_type, notes } = req.body;
+      if (!pay_period_id) {
+        throw new AppError('pay_period_id is required', 400);
+      }
+      // Checked now rather than failing when the run is posted
+      if (payment_type !== undefined && !PAYMENT_TYPES.includes(payment_type)) {
+        throw new AppError(`payment_type must be one of: ${PAYMENT_TYPES.join(', ')}`, 400);
+      }
+
+      const run = await generateDraftRun(pay_period_id, {
+        payment_type,
+        notes,
+        created_by: req.user?.userId
+      });
+      res.status(201).json(run);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Adjust a proposed payment while the run is a draft
+  updateRunItem: async (req, res, next) => {
+    try {
+      const { id, itemId } = req.params;
+      const { amount, excluded, notes } = req.body;
+
+      if (amount !== undefined && !(parseFloat(amount) >= 0)) {
+        throw new AppError('amount must be zero or more', 400);
+      }
+      if (excluded !== undefined && typeof excluded !== 'boolean') {
+        throw new AppError('excluded must be true or false', 400);
+      }
+
+      const item = await updateRunItem(id, itemId, {
+        amount: amount !== undefined ? parseFloat(amount).toFixed(2) : undefined,
+        excluded,
+        notes
+      });
+      res.json(item);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  approveRun: async (req, res, next) => {
+    try {
+      const run = await approveRun(req.params.id, req.user?.userId);
+      res.json(run);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  reopenRun: async (req, res, next) => {
+    try {
+      const run = await reopenRun(req.params.id);
+      res.json(run);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  postRun: async (req, res, next) => {
+    try {
+      const result = await postRun(req.params.id, req.user?.userId);
+      res.json({
+        message: `Posted ${result.payments.length} payments`,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  voidRun: async (req, res, next) => {
+    try {
+      const { reason } = req.body;
+      if (!reason) {
+        throw new AppError('reason is required to void a run', 400);
+      }
+
+      const result = await voidRun(req.params.id, { reason, voided_by: req.user?.userId });
+      res.json({
+        message: `Run voided, ${result.deletedPayments.length} payments deleted`,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // EXPORT METHODS
+  exportPaymentsCsv: async (req, res, next) => {
+    try {
+      const { filters, name } = await getExportFilters(req.query);
+      const payments = await PayrollModel.getPaymentsForExport({
+        ...filters,
+        payment_type: req.query.payment_type || null
+      });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+      res.send(buildPaymentsCsv(payments));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  exportPaymentsAch: async (req, res, next) => {
+    try {
+      const { effective_date } = req.query;
+      if (effective_date && !isDate(effective_date)) {
+        throw new AppError('effective_date must be a date', 400);
+      }
+
+      const { filters, name } = await getExportFilters(req.query);
+      const payments = await PayrollModel.getPaymentsForExport({ ...filters, payment_type: DIRECT_DEPOSIT });
+      const file = buildNachaFile(payments, { effectiveDate: effective_date || null });
+
+      // Bank files carry account numbers; keep a record of who pulled which payments
+      logger.info(`ACH file exported by user ${req.user?.userId || 'unknown'}: ${file.entryCount} entries, ` +
+        `$${file.totalCredit}, payments ${file.paymentIds.join(', ')}`);
+
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}.ach"`);
+      res.send(file.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = PayrollController;
@@ -26,6 +26,7 @@ const {
 } = require('../models/teamModel');
 const pool = require('../config/db');
 const TeamService = require('../services/teamService');
+const { canAccessTeam } = require('../services/accessScopeService');
 
 // OPTIMIZED: Create a new team with membership management - Now with batched operations
 const createNewTeam = async (req, res, next) => {
@@ -185,7 +186,7 @@ const modifyTeam = async (req, res, next) => {
 const getTeams = async (req, res, next) => {
   try {
     const { includeMembership, historicalDate } = req.query;
-    const teams = await getAllTeams();
+    const teams = (await getAllTeams()).filter(team => canAccessTeam(req.scope, team));
     
     // Optionally include membership details (current or historical)
     if (includeMembership === 'true') {
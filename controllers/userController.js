@@ -1,16 +1,35 @@
 const pool = require('../config/db');
 const { 
-  createUser, 
-  authenticateUser, 
   getUserByEmail, 
   updateUser, 
   deleteUser,
   getUserById,
-  getUserByName
+  getUserByName,
+  updateBankDetails,
+  getBankDetails,
+  clearBankDetails,
+  BANK_DETAIL_COLUMNS,
+  getAllUsers,
+  getUserAliases,
+  addUserAlias,
+  deleteUserAlias,
+  linkJobNimbusUserId
 } = require('../models/userModel');
-const { hashPassword, verifyPassword, generateToken } = require('../services/authService');
+const { hashPassword, verifyPassword } = require('../services/authService');
+const { startSession, refreshSession, endSession, endUserSessions } = require('../services/sessionService');
+const SessionModel = require('../models/sessionModel');
+const MfaModel = require('../models/mfaModel');
+const MfaService = require('../services/mfaService');
+const LoginThrottle = require('../services/loginThrottleService');
 const { AppError } = require('../utils/error');
+const { ACCESS_LEVELS, hasPermission } = require('../config/permissions');
+const { canAccessUser, filterByScope } = require('../services/accessScopeService');
 const { sendPasswordResetEmail } = require('../utils/email');
+const CommissionPlanModel = require('../models/commissionPlanModel');
+const { encrypt } = require('../utils/encryption');
+const { isValidRoutingNumber } = require('../services/payrollExportService');
+const { normalizeAssigneeName, buildAssigneeLookup } = require('../services/assigneeMatchingService');
+const logger = require('../utils/logger');
 const crypto = require('crypto');
 
 /**
@@ -20,65 +39,56 @@ const normalizeEmail = (email) => {
   return email ? email.toLowerCase().trim() : '';
 };
 
-/**
- * OPTIMIZED: Register a new user with email normalization
- */
-const registerUser = async (req, res, next) => {
-  try {
-    console.log('Registering user with data:', req.body);
-    
-    const { 
-      name, 
-      email, 
-      password, 
-      role, 
-      permissions, 
-      phone, 
-      hire_date,
-      yearly_goal
-    } = req.body;
-
-    // Normalize email to lowercase
-    const normalizedEmail = normalizeEmail(email);
-    
-    if (!normalizedEmail) {
-      throw new AppError('Valid email is required', 400);
-    }
+// What users may change on their own record without users:manage
+const SELF_EDITABLE_FIELDS = ['name', 'email', 'phone'];
 
-    // Check if user already exists (with normalized email)
-    const existingUser = await getUserByEmail(normalizedEmail);
-    if (existingUser) {
-      throw new AppError('User already exists', 400);
-    }
+// What admins may change through PUT /api/users/:id; everything else has its own endpoint or isn't editable
+const ADMIN_EDITABLE_FIELDS = [...SELF_EDITABLE_FIELDS, 'role', 'permissions', 'hire_date', 'yearly_goal'];
 
-    // Hash the password
-    const hashedPassword = await hashPassword(password);
+// Set by login throttling; only cleared by a login, password reset or /unlock
+const LOCKOUT_FIELDS = ['failed_login_attempts', 'last_failed_login_at', 'locked_until'];
 
-    // Parse date and number explicitly
-    const parsedHireDate = hire_date ? new Date(hire_date) : null;
-    const parsedYearlyGoal = Number(yearly_goal || 50000.00);
+// Credentials; a reset token is as good as the password, so neither ever leaves the server
+const CREDENTIAL_COLUMNS = ['password', 'reset_password_token', 'reset_password_expires'];
 
-    // Validate name
-    if (!name || name.trim().length < 2) {
-      throw new AppError('Valid name is required', 400);
-    }
+// Columns that never leave the server
+const HIDDEN_COLUMNS = [
+  ...CREDENTIAL_COLUMNS,
+  ...BANK_DETAIL_COLUMNS,
+  ...MfaModel.MFA_SECRET_COLUMNS,
+  ...LOCKOUT_FIELDS
+];
 
-    // Create the user with normalized email
-    const user = await createUser(
-      name.trim(), 
-      normalizedEmail, 
-      hashedPassword, 
-      role, 
-      permissions, 
-      phone, 
-      parsedHireDate,
-      parsedYearlyGoal
-    );
+/**
+ * Start a session and answer a successful login
+ * @param {Object} options - { mfaVerified: the user passed MFA to get here }
+ */
+const sendLoginResponse = async (req, res, user, { mfaVerified = false } = {}) => {
+  // Start a session: a short-lived access token and a refresh token to renew it
+  const { token: jwtToken, refreshToken, expiresIn } = await startSession(user, req, { mfaVerified });
+
+  res.status(200).json({
+    message: 'Login successful',
+    token: jwtToken,
+    refreshToken,
+    expiresIn,
+    // The account can only set up MFA (/api/users/mfa/setup) until this is done
+    mfa_enrollment_required: MfaService.isMfaRequired(user) && !user.mfa_enabled,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email, // This will be the normalized (lowercase) email from DB
+      role: user.role,
+      permissions: user.permissions,
+      yearly_goal: user.yearly_goal,
+      mfa_enabled: user.mfa_enabled,
+    },
+  });
+};
 
-    res.status(201).json({ message: 'User registered successfully', user });
-  } catch (error) {
-    console.error('Error in registerUser:', error);
-    next(error);
+const assertAccessLevel = (permissions) => {
+  if (!ACCESS_LEVELS.includes(permissions)) {
+    throw new AppError(`permissions must be one of: ${ACCESS_LEVELS.join(', ')}`, 400);
   }
 };
 
@@ -90,8 +100,12 @@ const loginUser = async (req, res, next) => {
     const { email, password, token } = req.body;
 
     let user;
+    let attemptType;
 
     if (token) {
+      attemptType = 'reset_token';
+      await LoginThrottle.assertIpAllowed(req);
+
       // Authenticate using the reset token
       const result = await pool.query(
         'SELECT * FROM users WHERE reset_password_token = $1 AND reset_password_expires > NOW()',
@@ -100,6 +114,7 @@ const loginUser = async (req, res, next) => {
       user = result.rows[0];
 
       if (!user) {
+        await LoginThrottle.recordFailure(req, attemptType);
         throw new AppError('Invalid or expired reset token', 400);
       }
 
@@ -113,34 +128,246 @@ const loginUser = async (req, res, next) => {
         throw new AppError('Email and password are required', 400);
       }
 
+      attemptType = 'password';
+      await LoginThrottle.assertIpAllowed(req);
+
       // Normalize email before authentication
       const normalizedEmail = normalizeEmail(email);
-      
-      // Authenticate using normalized email and password
-      user = await authenticateUser(normalizedEmail, password);
+      user = await getUserByEmail(normalizedEmail);
+
+      // A locked account is refused before the password is checked, so guessing gets nowhere
+      if (user) {
+        LoginThrottle.assertAccountAllowed(user);
+      }
+
+      if (!user || !(await verifyPassword(password, user.password))) {
+        await LoginThrottle.recordFailure(req, attemptType, { email: normalizedEmail, user });
+        throw new AppError('Invalid email or password', 401);
+      }
     }
 
-    // Generate a JWT token for the user
-    const jwtToken = generateToken(user.id);
+    // The reset token proves the user holds the email, so it also lifts a lockout
+    await LoginThrottle.recordSuccess(req, attemptType, user, { signedIn: !user.mfa_enabled });
 
-    res.status(200).json({
-      message: 'Login successful',
-      token: jwtToken,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email, // This will be the normalized (lowercase) email from DB
-        role: user.role,
-        permissions: user.permissions,
-        yearly_goal: user.yearly_goal,
-      },
-    });
+    // With MFA the password (or reset token) is only the first step
+    if (user.mfa_enabled) {
+      return res.status(200).json({
+        message: 'Enter the code from your authenticator app',
+        mfa_required: true,
+        mfaToken: MfaService.createLoginChallenge(user)
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
   } catch (error) {
     console.error('Error authenticating user:', error);
     next(error);
   }
 };
 
+/**
+ * Check an MFA code with the same throttling and lockout as passwords;
+ * six digits would otherwise be quick to guess
+ */
+const verifyThrottledSecondFactor = async (req, user, factor) => {
+  await LoginThrottle.assertIpAllowed(req);
+  LoginThrottle.assertAccountAllowed(user);
+
+  let method;
+  try {
+    method = await MfaService.verifySecondFactor(user, factor);
+  } catch (error) {
+    if (error.code === 'mfa_invalid_code') {
+      await LoginThrottle.recordFailure(req, 'mfa', { user });
+    }
+    throw error;
+  }
+
+  await LoginThrottle.recordSuccess(req, 'mfa', user);
+  return method;
+};
+
+/**
+ * POST /api/users/login/mfa
+ * Second login step for users with MFA: the challenge token from /login plus a code
+ */
+const loginWithMfa = async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    if (!mfaToken) {
+      throw new AppError('mfaToken is required', 400);
+    }
+
+    const user = await getUserById(MfaService.verifyLoginChallenge(mfaToken));
+    if (!user || !user.mfa_enabled) {
+      throw new AppError('Login expired; sign in again', 401);
+    }
+
+    await verifyThrottledSecondFactor(req, user, { code, recoveryCode });
+    await sendLoginResponse(req, res, user, { mfaVerified: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/users/refresh
+ * Swap a refresh token for a new access token and refresh token
+ */
+const refreshAccessToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      throw new AppError('refreshToken is required', 400);
+    }
+
+    const { token, refreshToken: nextRefreshToken, expiresIn } = await refreshSession(refreshToken, req, getUserById);
+    res.status(200).json({ token, refreshToken: nextRefreshToken, expiresIn });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/users/logout
+ * End the caller's session; its access and refresh tokens stop working
+ */
+const logoutUser = async (req, res, next) => {
+  try {
+    await endSession(req.user.sessionId, 'logout');
+    res.status(200).json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/users/logout-all and POST /api/users/:id/logout-all
+ * End every session of the caller, or (admins) of another user
+ */
+const logoutAllSessions = async (req, res, next) => {
+  try {
+    const userId = req.params.id ? parseInt(req.params.id) : req.user.id;
+    if (!userId) {
+      throw new AppError('Valid user ID is required', 400);
+    }
+
+    const revoked = await endUserSessions(userId, 'logout_all');
+    res.status(200).json({ message: 'Logged out of all devices', sessions_revoked: revoked });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/users/sessions
+ * The caller's open sessions (devices), marking the current one
+ */
+const getUserSessions = async (req, res, next) => {
+  try {
+    const sessions = await SessionModel.getActiveSessionsByUser(req.user.id);
+    res.status(200).json(sessions.map(session => ({ ...session, current: session.id === req.user.sessionId })));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/users/mfa
+ * The caller's MFA status
+ */
+const getMfaStatus = async (req, res, next) => {
+  try {
+    const user = await getUserById(req.user.id);
+    res.status(200).json(await MfaService.getStatus(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/users/mfa/setup
+ * New secret for the caller's authenticator app; confirm it with /mfa/enable
+ */
+const setupMfa = async (req, res, next) => {
+  try {
+    const user = await getUserById(req.user.id);
+    res.status(200).json(await MfaService.beginEnrollment(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/users/mfa/enable
+ * Turn MFA on with a code from the app; returns the recovery codes, shown only this once
+ */
+const enableMfa = async (req, res, next) => {
+  try {
+    const user = await getUserById(req.user.id);
+    const recoveryCodes = await MfaService.confirmEnrollment(user, req.body.code, req.user.sessionId);
+    res.status(200).json({ message: 'MFA enabled', recovery_codes: recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/users/mfa/verify
+ * Re-confirm a code to unlock sensitive actions for a few minutes
+ */
+const verifyMfa = async (req, res, next) => {
+  try {
+    const user = await getUserById(req.user.id);
+    const { code, recoveryCode } = req.body;
+    const method = await verifyThrottledSecondFactor(req, user, { code, recoveryCode });
+    res.status(200).json(await MfaService.stepUp(req.user.sessionId, method));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/users/mfa/recovery-codes
+ * Replace the caller's recovery codes; the old ones stop working
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await getUserById(req.user.id);
+    const recoveryCodes = await MfaService.regenerateRecoveryCodes(user);
+    res.status(200).json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/users/mfa and DELETE /api/users/:id/mfa
+ * Turn MFA off for the caller, or (admins) reset it for a user who lost their device.
+ * Users who must have MFA can't turn it off for themselves.
+ */
+const disableMfa = async (req, res, next) => {
+  try {
+    const userId = req.params.id ? parseInt(req.params.id) : req.user.id;
+    const user = await getUserById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    if (userId === req.user.id && MfaService.isMfaRequired(user)) {
+      throw new AppError('MFA is required for your account', 403);
+    }
+
+    await MfaModel.disable(user.id);
+    if (userId !== req.user.id) {
+      // Whoever has the old device shouldn't stay signed in
+      await endUserSessions(user.id, 'mfa_reset');
+    }
+    res.status(200).json({ message: 'MFA disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * OPTIMIZED: Get user details with email normalization
  */
@@ -168,6 +395,15 @@ const getUserDetails = async (req, res, next) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if (!canAccessUser(req.scope, user.id)) {
+      throw new AppError('You do not have access to this user', 403);
+    }
+
+    // Never send credentials or secrets; bank details have their own endpoint and are only returned masked
+    HIDDEN_COLUMNS.forEach(column => delete user[column]);
+
+    // Include plan assignments so the dashboard can show which pay plan applies
+    user.commission_plan_assignments = await CommissionPlanModel.getAssignments(user.id);
 
     res.status(200).json(user);
   } catch (error) {
@@ -183,6 +419,18 @@ const updateUserDetails = async (req, res, next) => {
     const { id } = req.params;
     const updates = req.body;
 
+    // Role, access level, goals etc. are only changed by admins
+    if (!hasPermission(req.user.accessLevel, 'users:manage') &&
+        Object.keys(updates).some(field => !SELF_EDITABLE_FIELDS.includes(field))) {
+      throw new AppError(`You may only change your ${SELF_EDITABLE_FIELDS.join(', ')}`, 403);
+    }
+    if ('permissions' in updates) {
+      assertAccessLevel(updates.permissions);
+    }
+    if (CREDENTIAL_COLUMNS.some(column => column in updates)) {
+      throw new AppError('Passwords must be changed through /api/users/:id/password', 400);
+    }
+
     // Normalize email if it's being updated
     if (updates.email) {
       updates.email = normalizeEmail(updates.email);
@@ -194,10 +442,35 @@ const updateUserDetails = async (req, res, next) => {
       }
     }
 
+    if (BANK_DETAIL_COLUMNS.some(column => column in updates)) {
+      throw new AppError('Bank details must be updated through /api/users/:id/bank-details', 400);
+    }
+    if ('jobnimbus_user_id' in updates) {
+      throw new AppError('The JobNimbus user ID must be updated through /api/users/:id/jobnimbus-id', 400);
+    }
+    if (Object.keys(updates).some(field => field.startsWith('mfa_'))) {
+      throw new AppError('MFA must be changed through /api/users/mfa', 400);
+    }
+    if (LOCKOUT_FIELDS.some(field => field in updates)) {
+      throw new AppError('Locked accounts are unlocked through /api/users/:id/unlock', 400);
+    }
+
+    const notEditable = Object.keys(updates).filter(field => !ADMIN_EDITABLE_FIELDS.includes(field));
+    if (notEditable.length > 0) {
+      throw new AppError(`These fields cannot be changed here: ${notEditable.join(', ')}`, 400);
+    }
+
+    const previousUser = await getUserById(id);
     const updatedUser = await updateUser(id, updates);
     if (!updatedUser) {
       throw new AppError('User not found', 404);
     }
+    HIDDEN_COLUMNS.forEach(column => delete updatedUser[column]);
+
+    // A new role or access level applies from the user's next login
+    if (previousUser && (previousUser.role !== updatedUser.role || previousUser.permissions !== updatedUser.permissions)) {
+      await endUserSessions(updatedUser.id, 'role_changed');
+    }
 
     res.status(200).json({ message: 'User updated successfully', updatedUser });
   } catch (error) {
@@ -239,6 +512,11 @@ const updatePassword = async (req, res, next) => {
     // Update the password in database
     await updateUser(id, { password: hashedPassword });
 
+    // Sign out every other device; the caller stays signed in if it's their own password
+    await endUserSessions(user.id, 'password_changed', {
+      exceptSessionId: req.user?.id === user.id ? req.user.sessionId : null
+    });
+
     res.status(200).json({ message: 'Password updated successfully' });
   } catch (error) {
     next(error);
@@ -259,8 +537,11 @@ const forgotPassword = async (req, res, next) => {
     // Normalize email for lookup
     const normalizedEmail = normalizeEmail(email);
 
+    // Too many requests for this email are dropped quietly, like unknown emails
+    const allowed = await LoginThrottle.allowPasswordResetRequest(req, normalizedEmail);
+
     // Get user from database
-    const user = await getUserByEmail(normalizedEmail);
+    const user = allowed && await getUserByEmail(normalizedEmail);
     if (!user) {
       // Return same message even if user doesn't exist (security)
       return res.status(200).json({ message: 'If the email exists, a reset link has been sent.' });
@@ -301,6 +582,7 @@ const resetPassword = async (req, res, next) => {
     }
 
     console.log('Reset token:', resetToken);
+    await LoginThrottle.assertIpAllowed(req);
 
     // Find the user by reset token
     const result = await pool.query(
@@ -311,6 +593,7 @@ const resetPassword = async (req, res, next) => {
 
     console.log('User found for reset token:', user);
     if (!user) {
+      await LoginThrottle.recordFailure(req, 'reset_token');
       throw new AppError('Invalid or expired reset token', 400);
     }
 
@@ -322,6 +605,9 @@ const resetPassword = async (req, res, next) => {
       'UPDATE users SET password = $1, reset_password_token = NULL, reset_password_expires = NULL WHERE id = $2',
       [hashedPassword, user.id]
     );
+    await endUserSessions(user.id, 'password_changed');
+    // A new password also unlocks the account
+    await LoginThrottle.recordSuccess(req, 'reset_token', user);
 
     res.status(200).json({ message: 'Password reset successfully' });
   } catch (error) {
@@ -330,6 +616,25 @@ const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/users/:id/unlock
+ * Lift a lockout from too many failed logins
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const unlocked = await LoginThrottle.unlockAccount(user.id);
+    logger.info(`Account ${user.id} unlocked by user ${req.user.id}`);
+    res.status(200).json({ message: 'Account unlocked', user: unlocked });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * OPTIMIZED: Delete user with better validation
  */
@@ -352,6 +657,174 @@ const deleteUserById = async (req, res, next) => {
   }
 };
 
+// Bank details as shown to clients: account number masked, routing number never decrypted
+const toMaskedBankDetails = (details) => ({
+  user_id: details.id,
+  has_bank_details: !!details.bank_account_number_encrypted,
+  account_holder_name: details.bank_account_holder_name,
+  account_type: details.bank_account_type,
+  account_number_masked: details.bank_account_last4 ? `****${details.bank_account_last4}` : null,
+  updated_at: details.bank_details_updated_at
+});
+
+/**
+ * Get a user's direct deposit details, masked
+ */
+const getUserBankDetails = async (req, res, next) => {
+  try {
+    const details = await getBankDetails(req.params.id);
+    if (!details) {
+      throw new AppError('User not found', 404);
+    }
+    res.status(200).json(toMaskedBankDetails(details));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a user's direct deposit details; routing and account numbers are encrypted before storage
+ */
+const updateUserBankDetails = async (req, res, next) => {
+  try {
+    const { routingNumber, accountNumber, accountType = 'checking', accountHolderName } = req.body;
+    const routing = String(routingNumber || '').trim();
+    const account = String(accountNumber || '').replace(/[\s-]/g, '');
+
+    if (!isValidRoutingNumber(routing)) {
+      throw new AppError('routingNumber must be a valid 9-digit ABA routing number', 400);
+    }
+    if (!/^[0-9]{4,17}$/.test(account)) {
+      throw new AppError('accountNumber must be 4 to 17 digits', 400);
+    }
+    if (!['checking', 'savings'].includes(accountType)) {
+      throw new AppError("accountType must be 'checking' or 'savings'", 400);
+    }
+
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const details = await updateBankDetails(user.id, {
+      routingNumberEncrypted: encrypt(routing),
+      accountNumberEncrypted: encrypt(account),
+      accountLast4: account.slice(-4),
+      accountType,
+      accountHolderName: accountHolderName || user.name
+    });
+
+    res.status(200).json({ message: 'Bank details updated successfully', bankDetails: toMaskedBankDetails(details) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteUserBankDetails = async (req, res, next) => {
+  try {
+    const cleared = await clearBankDetails(req.params.id);
+    if (!cleared) {
+      throw new AppError('User not found', 404);
+    }
+    res.status(200).json({ message: 'Bank details removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the other names a user is matched by on JobNimbus jobs
+ */
+const getUserAliasesController = async (req, res, next) => {
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    res.status(200).json({
+      user_id: user.id,
+      name: user.name,
+      jobnimbus_user_id: user.jobnimbus_user_id,
+      aliases: await getUserAliases(user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an alias; an alias can only ever match one user
+ */
+const addUserAliasController = async (req, res, next) => {
+  try {
+    const alias = String(req.body.alias || '').trim();
+    const normalizedAlias = normalizeAssigneeName(alias);
+    if (!normalizedAlias) {
+      throw new AppError('alias is required', 400);
+    }
+
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const claimedBy = buildAssigneeLookup(await getAllUsers()).byName.get(normalizedAlias);
+    if (claimedBy) {
+      throw new AppError(
+        claimedBy.id === user.id
+          ? `${user.name} is already matched by "${alias}"`
+          : `"${alias}" already matches ${claimedBy.name}`,
+        409
+      );
+    }
+
+    const created = await addUserAlias(user.id, alias, normalizedAlias, req.user?.userId);
+    if (!created) {
+      throw new AppError(`"${alias}" is already an alias`, 409);
+    }
+    res.status(201).json(created);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteUserAliasController = async (req, res, next) => {
+  try {
+    const deleted = await deleteUserAlias(req.params.id, req.params.aliasId);
+    if (!deleted) {
+      throw new AppError('Alias not found', 404);
+    }
+    res.status(200).json({ message: 'Alias removed successfully', alias: deleted });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link a user to their JobNimbus user ID (sales_rep on jobs), or unlink with null
+ */
+const updateUserJobNimbusId = async (req, res, next) => {
+  try {
+    const { jobnimbus_user_id } = req.body;
+    const jobnimbusUserId = jobnimbus_user_id === null || jobnimbus_user_id === undefined
+      ? null
+      : String(jobnimbus_user_id).trim() || null;
+
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const linked = await linkJobNimbusUserId(user.id, jobnimbusUserId);
+    if (!linked) {
+      throw new AppError('Another user is already linked to this JobNimbus user', 409);
+    }
+    res.status(200).json(linked);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * OPTIMIZED: Get user details by ID with better error handling
  */
@@ -391,6 +864,9 @@ const getUserCommissionSummary = async (req, res, next) => {
     if (!userId || isNaN(parseInt(userId))) {
       throw new AppError('Valid user ID is required', 400);
     }
+    if (!canAccessUser(req.scope, userId)) {
+      throw new AppError('You do not have access to this user', 403);
+    }
     
     const query = `
       SELECT 
@@ -460,23 +936,41 @@ const getAllUsersController = async (req, res, next) => {
       users = await require('../models/userModel').getAllUsers();
     }
     
-    res.status(200).json(users);
+    res.status(200).json(filterByScope(req.scope, users, 'id'));
   } catch (error) {
     next(error);
   }
 };
 
 module.exports = {
-  registerUser,
   loginUser,
+  loginWithMfa,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  getUserSessions,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  verifyMfa,
+  regenerateRecoveryCodes,
+  disableMfa,
   getUserDetails,
   updateUserDetails,
   updatePassword,
   forgotPassword,
   resetPassword,
+  unlockUser,
   deleteUserById,
   getUserDetailsById,
   getAllUsers: getAllUsersController,
   getUserCommissionSummary,
+  getUserBankDetails,
+  updateUserBankDetails,
+  deleteUserBankDetails,
+  getUserAliases: getUserAliasesController,
+  addUserAlias: addUserAliasController,
+  deleteUserAlias: deleteUserAliasController,
+  updateUserJobNimbusId,
   normalizeEmail // Export for use in other modules
 };
\ No newline at end of file
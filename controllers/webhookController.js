@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const WebhookEventModel = require('../models/webhookEventModel');
+const { verifyWebhookSignature } = require('../services/jobNimbusService');
+const { syncJobNimbusJob } = require('./customerController');
+const { AppError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+// JobNimbus posts the record itself, or wraps it in { data }
+const getJobFromPayload = (body) => (body?.data && typeof body.data === 'object' ? body.data : body);
+
+/**
+ * Identify a delivery: JobNimbus's delivery ID when sent, otherwise the job and its
+ * update time, so the same update delivered twice is only applied once
+ */
+const getEventKey = (req, job) => {
+  const deliveryId = req.headers['x-jobnimbus-event-id'];
+  if (deliveryId) return `delivery:${deliveryId}`;
+  if (job.jnid && job.date_updated) return `job:${job.jnid}:${job.date_updated}`;
+  return `body:${crypto.createHash('sha256').update(req.rawBody).digest('hex')}`;
+};
+
+/**
+ * Apply a recorded event; failures are dead-lettered instead of thrown
+ * @returns {Object} { status: 'processed' | 'skipped' | 'failed', result?, reason?, deadLetter? }
+ */
+const processEvent = async (event, job) => {
+  if (job.type && job.type !== 'job') {
+    await WebhookEventModel.setEventStatus(event.id, 'skipped', `Unsupported record type: ${job.type}`);
+    return { status: 'skipped', reason: `Unsupported record type: ${job.type}` };
+  }
+
+  try {
+    // A delivery older than one already applied would roll the customer back
+    const latestUpdate = await WebhookEventModel.getLatestProcessedUpdate(event.jnid);
+    if (latestUpdate && event.date_updated && parseInt(event.date_updated) < latestUpdate) {
+      await WebhookEventModel.setEventStatus(event.id, 'skipped', 'A newer update for this job was already applied');
+      return { status: 'skipped', reason: 'A newer update for this job was already applied' };
+    }
+
+    const result = await syncJobNimbusJob(job);
+    await WebhookEventModel.setEventStatus(event.id, 'processed');
+    logger.info(`JobNimbus webhook applied to customer ${result.customer.id} (${result.change})`);
+    return { status: 'processed', result };
+  } catch (error) {
+    logger.error(`JobNimbus webhook event ${event.id} failed:`, error);
+    await WebhookEventModel.setEventStatus(event.id, 'failed');
+    const deadLetter = await WebhookEventModel.addDeadLetter(event, job, error.message);
+    return { status: 'failed', reason: error.message, deadLetter };
+  }
+};
+
+const WebhookController = {
+  /**
+   * POST /api/webhooks/jobnimbus
+   * Signed job create/update events; applies the change to that one customer
+   */
+  receiveJobNimbusWebhook: async (req, res, next) => {
+    try {
+      const { valid, reason } = verifyWebhookSignature(
+        req.rawBody,
+        req.headers['x-jobnimbus-timestamp'],
+        req.headers['x-jobnimbus-signature']
+      );
+      if (!valid) {
+        logger.warn(`Rejected JobNimbus webhook: ${reason}`);
+        throw new AppError('Invalid webhook signature', 401);
+      }
+
+      const job = getJobFromPayload(req.body);
+      if (!job?.jnid) {
+        throw new AppError('Webhook payload must be a JobNimbus job with a jnid', 400);
+      }
+
+      const event = await WebhookEventModel.recordEvent({
+        event_key: getEventKey(req, job),
+        jnid: job.jnid.toString(),
+        date_updated: parseInt(job.date_updated) || null
+      });
+      if (!event) {
+        // Already received; acknowledged so JobNimbus stops re-sending it
+        return res.status(200).json({ message: 'Duplicate event ignored', duplicate: true });
+      }
+
+      const outcome = await processEvent(event, job);
+      if (outcome.status === 'failed') {
+        // Accepted: the event is kept in the dead-letter table for retry
+        return res.status(202).json({
+          message: 'Event could not be processed and was dead-lettered',
+          eventId: event.id,
+          deadLetterId: outcome.deadLetter.id,
+          error: outcome.reason
+        });
+      }
+
+      res.status(200).json({
+        message: outcome.status === 'processed' ? 'Event processed' : 'Event skipped',
+        eventId: event.id,
+        reason: outcome.reason,
+        customerId: outcome.result?.customer.id,
+        change: outcome.result?.change,
+        commissions: outcome.result?.commissions,
+        clawbacks: outcome.result?.clawbacks
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  getDeadLetters: async (req, res, next) => {
+    try {
+      const { status = 'pending', limit = 50, offset = 0 } = req.query;
+      if (status !== 'all' && !['pending', 'resolved', 'discarded'].includes(status)) {
+        throw new AppError("status must be 'pending', 'resolved', 'discarded' or 'all'", 400);
+      }
+
+      const deadLetters = await WebhookEventModel.getDeadLetters({
+        status: status === 'all' ? null : status,
+        limit: Math.min(parseInt(limit) || 50, 500),
+        offset: parseInt(offset) || 0
+      });
+      res.json(deadLetters);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  getDeadLetterById: async (req, res, next) => {
+    try {
+      const deadLetter = await WebhookEventModel.getDeadLetterById(req.params.id);
+      if (!deadLetter) {
+        throw new AppError('Dead letter not found', 404);
+      }
+      res.json(deadLetter);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Process a dead-lettered event again with its stored payload
+  retryDeadLetter: async (req, res, next) => {
+    try {
+      const deadLetter = await WebhookEventModel.getDeadLetterById(req.params.id);
+      if (!deadLetter) {
+        throw new AppError('Dead letter not found', 404);
+      }
+      if (deadLetter.status !== 'pending') {
+        throw new AppError(`Dead letter is already ${deadLetter.status}`, 409);
+      }
+
+      const event = { id: deadLetter.event_id, jnid: deadLetter.jnid, date_updated: deadLetter.date_updated };
+      const outcome = await processEvent(event, deadLetter.payload);
+      if (outcome.status === 'failed') {
+        throw new AppError(`Retry failed: ${outcome.reason}`, 422);
+      }
+
+      const resolved = await WebhookEventModel.closeDeadLetter(deadLetter.id, 'resolved', req.user?.userId);
+      res.json({
+        message: outcome.status === 'processed' ? 'Event processed' : 'Event skipped',
+        reason: outcome.reason,
+        deadLetter: resolved,
+        customerId: outcome.result?.customer.id,
+        change: outcome.result?.change
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  discardDeadLetter: async (req, res, next) => {
+    try {
+      const deadLetter = await WebhookEventModel.getDeadLetterById(req.params.id);
+      if (!deadLetter) {
+        throw new AppError('Dead letter not found', 404);
+      }
+      if (deadLetter.status !== 'pending') {
+        throw new AppError(`Dead letter is already ${deadLetter.status}`, 409);
+      }
+
+      res.json(await WebhookEventModel.closeDeadLetter(deadLetter.id, 'discarded', req.user?.userId));
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = WebhookController;
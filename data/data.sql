@@ -11,12 +11,29 @@ CREATE TABLE users (
     email VARCHAR(255) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
     role VARCHAR(50) NOT NULL,        
-    permissions VARCHAR(50) NOT NULL, 
+    permissions VARCHAR(50) NOT NULL DEFAULT 'rep' CHECK (permissions IN ('admin', 'manager', 'rep', 'affiliate')), -- access level, see config/permissions.js
     hire_date DATE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     reset_password_token VARCHAR(255),
     reset_password_expires TIMESTAMP,
-    yearly_goal NUMERIC(12,2) DEFAULT 50000.00
+    yearly_goal NUMERIC(12,2) DEFAULT 50000.00,
+    -- Direct deposit details; routing/account numbers are encrypted by the app (utils/encryption.js)
+    bank_routing_number_encrypted TEXT,
+    bank_account_number_encrypted TEXT,
+    bank_account_last4 VARCHAR(4),
+    bank_account_type VARCHAR(10) CHECK (bank_account_type IN ('checking', 'savings')),
+    bank_account_holder_name VARCHAR(255),
+    bank_details_updated_at TIMESTAMP,
+    jobnimbus_user_id VARCHAR(255) UNIQUE, -- links the user to JobNimbus sales_rep
+    -- TOTP MFA; the secret is encrypted like the bank details and in use once mfa_enabled
+    mfa_secret_encrypted TEXT,
+    mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    mfa_enabled_at TIMESTAMP,
+    mfa_last_used_step BIGINT, -- TOTP time step of the last accepted code, so codes can't be replayed
+    -- Login throttling (services/loginThrottleService.js); cleared by a successful login or an admin unlock
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    last_failed_login_at TIMESTAMP,
+    locked_until TIMESTAMP
 );
 
 -- =========================
@@ -58,6 +75,7 @@ CREATE TABLE customers (
     build_date TIMESTAMP,
     status_changed TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     going_to_appraisal BOOLEAN DEFAULT FALSE,
+    jn_date_updated BIGINT, -- JobNimbus date_updated as of our last read or write (unix seconds)
     CONSTRAINT unique_jnid UNIQUE (jnid)
     -- Remove the unique constraint on customer_name since we're using jnid now
 );
@@ -99,6 +117,7 @@ CREATE TABLE commissions_due (
     build_date TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     admin_modified BOOLEAN DEFAULT FALSE,
+    calculation_trace JSONB, -- how commissionService produced commission_amount
     CONSTRAINT unique_user_customer UNIQUE (user_id, customer_id)
 );
 
@@ -114,6 +133,8 @@ CREATE TABLE payments (
     check_number VARCHAR(100),
     payment_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     notes TEXT,
+    allocation_strategy VARCHAR(30) CHECK (allocation_strategy IN ('oldest_first', 'per_customer', 'manual')),
+    unallocated_amount NUMERIC(12,2) NOT NULL DEFAULT 0.00, -- credit not yet applied to commissions
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -133,10 +154,13 @@ CREATE TABLE payment_commission_mapping (
     id SERIAL PRIMARY KEY,
     payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
     commission_due_id INTEGER NOT NULL REFERENCES commissions_due(id) ON DELETE CASCADE,
-    amount_applied NUMERIC(12,2) NOT NULL,
+    amount_applied NUMERIC(12,2) NOT NULL CHECK (amount_applied > 0),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX IF NOT EXISTS idx_payment_commission_mapping_commission
+ON payment_commission_mapping(commission_due_id);
+
 -- =========================
 -- COMMISSION TRIGGER
 -- =========================
@@ -172,4 +196,596 @@ CREATE INDEX IF NOT EXISTS idx_customers_creation_date
 ON customers(jn_date_added);
 
 -- Update existing membership records to set left_at when users are removed from teams
--- This would need to be done manually based on your team update logic
\ No newline at end of file
+-- This would need to be done manually based on your team update logic
+
+-- =========================
+-- COMMISSION PLANS
+-- =========================
+-- A plan holds the pay rules for one role. Each change to the rules is a new
+-- version with its own effective date range so older jobs keep paying under
+-- the version that was in force on the customer's jn_date_added.
+DROP TABLE IF EXISTS commission_plan_versions CASCADE;
+DROP TABLE IF EXISTS commission_plans CASCADE;
+CREATE TABLE commission_plans (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL,
+    description TEXT,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_commission_plan_name UNIQUE (name)
+);
+
+-- Only one default plan per role
+CREATE UNIQUE INDEX IF NOT EXISTS idx_commission_plans_default_role
+ON commission_plans(role) WHERE is_default;
+
+CREATE TABLE commission_plan_versions (
+    id SERIAL PRIMARY KEY,
+    plan_id INTEGER NOT NULL REFERENCES commission_plans(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    effective_from DATE NOT NULL,
+    effective_to DATE, -- exclusive, null means still in force
+    rules JSONB NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_plan_version UNIQUE (plan_id, version_number),
+    CONSTRAINT valid_plan_version_range CHECK (effective_to IS NULL OR effective_to > effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_plan_versions_dates
+ON commission_plan_versions(plan_id, effective_from, effective_to);
+
+-- Seed the default plans with the rates that used to be hard-coded in commissionService
+INSERT INTO commission_plans (name, role, description, is_default) VALUES
+    ('Standard Salesman', 'Salesman', 'Tenure-based in-scope rates plus margin added', TRUE),
+    ('Standard Sales Manager', 'Sales Manager', 'Own-job rates plus team override by salesman tenure', TRUE),
+    ('Standard Supplement Manager', 'Supplement Manager', 'Own-job and team override rates on margin added', TRUE),
+    ('Standard Supplementer', 'Supplementer', 'Rate on margin added with a floor', TRUE),
+    ('Standard Affiliate', 'Affiliate Marketer', 'Percentage of job price with a cap', TRUE);
+
+INSERT INTO commission_plan_versions (plan_id, version_number, effective_from, rules, notes)
+SELECT id, 1, DATE '2000-01-01', rules::JSONB, 'Initial plan migrated from hard-coded rates'
+FROM commission_plans
+JOIN (VALUES
+    ('Salesman', '{
+        "margin_rate": 0.04,
+        "lead_source_deductions": { "Canvassing - Company": 300 },
+        "tenure_brackets": [
+            { "max_months": 6, "rates": { "Canvassing - Salesman": 0.10, "Canvassing - Company": 0.08, "Affiliate": 0.06, "Referral": 0.10, "default": 0.08 } },
+            { "max_months": 12, "rates": { "Canvassing - Salesman": 0.13, "Canvassing - Company": 0.10, "Affiliate": 0.08, "Referral": 0.10, "default": 0.10 } },
+            { "max_months": null, "rates": { "Canvassing - Salesman": 0.15, "Canvassing - Company": 0.12, "Affiliate": 0.10, "Referral": 0.12, "default": 0.12 } }
+        ]
+    }'),
+    ('Sales Manager', '{
+        "own_job_rates": { "Canvassing - Salesman": 0.15, "Referral": 0.15, "Canvassing - Company": 0.12, "Affiliate": 0.10, "default": 0.12 },
+        "lead_source_deductions": { "Canvassing - Company": 300 },
+        "override_brackets": [
+            { "max_months": 6, "rate": 0.04 },
+            { "max_months": 12, "rate": 0.02 },
+            { "max_months": null, "rate": 0.03 }
+        ]
+    }'),
+    ('Supplement Manager', '{
+        "own_job": { "rate": 0.10, "appraisal_rate": 0.08, "minimum": 500 },
+        "override": { "rate": 0.03, "appraisal_rate": 0.02, "minimum": 200 }
+    }'),
+    ('Supplementer', '{ "rate": 0.07, "appraisal_rate": 0.06, "minimum": 300 }'),
+    ('Affiliate Marketer', '{ "rate": 0.05, "cap": 750 }')
+) AS defaults(role, rules) ON defaults.role = commission_plans.role;
+
+-- =========================
+-- USER COMMISSION PLAN ASSIGNMENTS
+-- =========================
+-- Puts one user on a specific plan and/or overrides individual rules for a
+-- date range (e.g. a negotiated rate or a trial plan). Without an assignment
+-- the default plan for the user's role applies.
+DROP TABLE IF EXISTS user_commission_plan_assignments CASCADE;
+CREATE TABLE user_commission_plan_assignments (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan_id INTEGER REFERENCES commission_plans(id) ON DELETE CASCADE, -- null means the role's default plan
+    rule_overrides JSONB, -- merged over the plan version's rules
+    start_date DATE NOT NULL,
+    end_date DATE, -- exclusive, null means open-ended
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT assignment_has_plan_or_overrides CHECK (plan_id IS NOT NULL OR rule_overrides IS NOT NULL),
+    CONSTRAINT valid_assignment_range CHECK (end_date IS NULL OR end_date > start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_commission_plan_assignments_user
+ON user_commission_plan_assignments(user_id, start_date, end_date);
+
+-- =========================
+-- COMMISSION ADJUSTMENTS (CLAWBACKS)
+-- =========================
+-- Negative adjustments against a commission when a Finalized job is canceled
+-- (status_regression) or repriced downward (reprice). The commission row keeps
+-- the amount originally earned; active adjustments reduce the user's balance.
+DROP TABLE IF EXISTS commission_adjustments CASCADE;
+CREATE TABLE commission_adjustments (
+    id SERIAL PRIMARY KEY,
+    commission_due_id INTEGER NOT NULL REFERENCES commissions_due(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    adjustment_type VARCHAR(50) NOT NULL DEFAULT 'clawback' CHECK (adjustment_type IN ('clawback')),
+    reason VARCHAR(50) NOT NULL CHECK (reason IN ('status_regression', 'reprice')),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount < 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'waived', 'reversed')),
+    previous_status VARCHAR(100),
+    new_status VARCHAR(100),
+    previous_amount NUMERIC(12,2),
+    new_amount NUMERIC(12,2),
+    notified_at TIMESTAMP,
+    waived_at TIMESTAMP,
+    waived_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    waive_reason TEXT,
+    reversed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_adjustments_commission
+ON commission_adjustments(commission_due_id, reason, status);
+
+CREATE INDEX IF NOT EXISTS idx_commission_adjustments_user
+ON commission_adjustments(user_id, status);
+
+-- =========================
+-- LEDGER ENTRIES
+-- =========================
+-- Append-only double-entry ledger. Each row moves amount from debit_account to
+-- credit_account for one user; user_balance is rebuilt from these rows.
+--   commission_expense -> commissions_payable : commission earned
+--   commissions_payable -> cash              : payment made
+-- Corrections are posted as new rows in the opposite direction.
+DROP TABLE IF EXISTS ledger_entries CASCADE;
+CREATE TABLE ledger_entries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    entry_type VARCHAR(50) NOT NULL,
+    debit_account VARCHAR(50) NOT NULL CHECK (debit_account IN ('commission_expense', 'commissions_payable', 'cash')),
+    credit_account VARCHAR(50) NOT NULL CHECK (credit_account IN ('commission_expense', 'commissions_payable', 'cash')),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+    commission_due_id INTEGER, -- no FK: entries outlive the rows they describe
+    adjustment_id INTEGER,
+    payment_id INTEGER,
+    description TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT ledger_entries_accounts_differ CHECK (debit_account <> credit_account)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_user ON ledger_entries(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_commission ON ledger_entries(commission_due_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_payment ON ledger_entries(payment_id);
+
+-- Block edits and deletes; only the users(id) cascade (a nested trigger) may remove rows
+CREATE OR REPLACE FUNCTION prevent_ledger_entry_changes() RETURNS TRIGGER AS $$
+BEGIN
+    IF pg_trigger_depth() <= 1 THEN
+        RAISE EXCEPTION 'ledger_entries is append-only; post a correcting entry instead';
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_entries_append_only
+BEFORE UPDATE OR DELETE ON ledger_entries
+FOR EACH ROW EXECUTE FUNCTION prevent_ledger_entry_changes();
+
+-- =========================
+-- BALANCE DISCREPANCIES
+-- =========================
+-- Written by the nightly reconciliation when user_balance or the ledger disagrees
+-- with totals recomputed from commissions_due, commission_adjustments and payments
+DROP TABLE IF EXISTS balance_discrepancies CASCADE;
+CREATE TABLE balance_discrepancies (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reconciled_at TIMESTAMP NOT NULL,
+    expected_earned NUMERIC(12,2) NOT NULL,
+    expected_paid NUMERIC(12,2) NOT NULL,
+    expected_balance NUMERIC(12,2) NOT NULL,
+    recorded_earned NUMERIC(12,2),
+    recorded_paid NUMERIC(12,2),
+    recorded_balance NUMERIC(12,2),
+    ledger_earned NUMERIC(12,2) NOT NULL,
+    ledger_paid NUMERIC(12,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'corrected')),
+    corrected_at TIMESTAMP,
+    corrected_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    correction_entry_ids INTEGER[] DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_balance_discrepancies_status ON balance_discrepancies(status, reconciled_at);
+CREATE INDEX IF NOT EXISTS idx_balance_discrepancies_user ON balance_discrepancies(user_id);
+-- One open discrepancy per user; each reconciliation updates it while the drift lasts
+CREATE UNIQUE INDEX IF NOT EXISTS idx_balance_discrepancies_open
+ON balance_discrepancies(user_id) WHERE status = 'open';
+
+-- =========================
+-- PAYROLL (PAY PERIODS, RUNS, RUN ITEMS)
+-- =========================
+-- A run proposes one payment per user from unpaid commissions built in the pay
+-- period. draft -> approved -> posted (payments created) ; any -> voided
+DROP TABLE IF EXISTS pay_periods CASCADE;
+CREATE TABLE pay_periods (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL, -- inclusive
+    pay_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT pay_periods_dates_check CHECK (end_date >= start_date),
+    CONSTRAINT unique_pay_period_dates UNIQUE (start_date, end_date)
+);
+
+DROP TABLE IF EXISTS payroll_runs CASCADE;
+CREATE TABLE payroll_runs (
+    id SERIAL PRIMARY KEY,
+    pay_period_id INTEGER NOT NULL REFERENCES pay_periods(id) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved', 'posted', 'voided')),
+    payment_type VARCHAR(50) NOT NULL DEFAULT 'Direct Deposit',
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    posted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    posted_at TIMESTAMP,
+    voided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    voided_at TIMESTAMP,
+    void_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One live run per pay period; voided runs stay as history
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_runs_active_period
+ON payroll_runs(pay_period_id) WHERE status <> 'voided';
+
+DROP TABLE IF EXISTS payroll_run_items CASCADE;
+CREATE TABLE payroll_run_items (
+    id SERIAL PRIMARY KEY,
+    payroll_run_id INTEGER NOT NULL REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    proposed_amount NUMERIC(12,2) NOT NULL,
+    amount NUMERIC(12,2) NOT NULL CHECK (amount >= 0),
+    commission_due_ids INTEGER[] NOT NULL DEFAULT '{}',
+    excluded BOOLEAN NOT NULL DEFAULT FALSE,
+    notes TEXT,
+    payment_id INTEGER, -- no FK: voiding a run deletes its payments but keeps the history
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_payroll_run_user UNIQUE (payroll_run_id, user_id)
+);
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS payroll_run_id INTEGER REFERENCES payroll_runs(id) ON DELETE SET NULL;
+
+-- =========================
+-- DRAWS (ADVANCES RECOVERED FROM FUTURE COMMISSIONS)
+-- =========================
+-- A draw is paid out as a payment whose amount stays unallocated; recovery maps
+-- that payment onto new commissions per the recovery schedule, so the amount
+-- still to recover is the payment's unallocated_amount
+DROP TABLE IF EXISTS draws CASCADE;
+CREATE TABLE draws (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recovery_method VARCHAR(20) NOT NULL CHECK (recovery_method IN ('full', 'percentage', 'fixed_per_period')),
+    recovery_percentage NUMERIC(5,2) CHECK (recovery_percentage > 0 AND recovery_percentage <= 100),
+    recovery_amount_per_period NUMERIC(12,2) CHECK (recovery_amount_per_period > 0),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT draws_recovery_terms_check CHECK (
+        (recovery_method = 'full')
+        OR (recovery_method = 'percentage' AND recovery_percentage IS NOT NULL)
+        OR (recovery_method = 'fixed_per_period' AND recovery_amount_per_period IS NOT NULL)
+    )
+);
+
+CREATE INDEX idx_draws_user_id ON draws(user_id);
+
+-- =========================
+-- SYNC STATE (HIGH-WATER MARKS FOR INCREMENTAL SYNC)
+-- =========================
+DROP TABLE IF EXISTS sync_state CASCADE;
+CREATE TABLE sync_state (
+    source VARCHAR(50) PRIMARY KEY,
+    high_water_mark BIGINT, -- latest JobNimbus date_updated synced (unix seconds)
+    last_synced_at TIMESTAMP,
+    last_full_sync_at TIMESTAMP
+);
+
+-- =========================
+-- SYNC RUNS (HISTORY OF CUSTOMER SYNCS)
+-- =========================
+-- Written outside the sync transaction so failed runs are kept too
+DROP TABLE IF EXISTS sync_runs CASCADE;
+CREATE TABLE sync_runs (
+    id SERIAL PRIMARY KEY,
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('cron', 'manual', 'user')),
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    mode VARCHAR(20) NOT NULL CHECK (mode IN ('full', 'incremental')),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_since BIGINT, -- high-water mark the run started from (unix seconds)
+    high_water_mark BIGINT, -- high-water mark after the run
+    jobs_fetched INTEGER NOT NULL DEFAULT 0,
+    customers_inserted INTEGER NOT NULL DEFAULT 0,
+    customers_updated INTEGER NOT NULL DEFAULT 0,
+    customers_unchanged INTEGER NOT NULL DEFAULT 0,
+    commissions_created INTEGER NOT NULL DEFAULT 0,
+    commissions_updated INTEGER NOT NULL DEFAULT 0,
+    clawbacks_created INTEGER NOT NULL DEFAULT 0,
+    clawbacks_reversed INTEGER NOT NULL DEFAULT 0,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]',
+    failure_message TEXT -- set when the whole run failed and was rolled back
+);
+
+CREATE INDEX idx_sync_runs_started_at ON sync_runs(started_at DESC);
+
+-- =========================
+-- JOBNIMBUS WEBHOOK EVENTS AND DEAD LETTERS
+-- =========================
+-- One row per delivery; the unique event_key rejects replays
+DROP TABLE IF EXISTS jobnimbus_webhook_events CASCADE;
+CREATE TABLE jobnimbus_webhook_events (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(255) NOT NULL UNIQUE, -- delivery ID, or jnid:date_updated; a repeat is a replay
+    jnid VARCHAR(255),
+    date_updated BIGINT, -- job's date_updated in the payload (unix seconds)
+    status VARCHAR(20) NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processed', 'skipped', 'failed')),
+    skip_reason TEXT,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP
+);
+
+CREATE INDEX idx_jobnimbus_webhook_events_jnid ON jobnimbus_webhook_events(jnid, date_updated);
+
+-- Events that failed to process, kept with their payload so they can be retried
+DROP TABLE IF EXISTS jobnimbus_webhook_dead_letters CASCADE;
+CREATE TABLE jobnimbus_webhook_dead_letters (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL UNIQUE REFERENCES jobnimbus_webhook_events(id) ON DELETE CASCADE,
+    jnid VARCHAR(255),
+    payload JSONB NOT NULL,
+    error TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'discarded')),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_jobnimbus_webhook_dead_letters_status ON jobnimbus_webhook_dead_letters(status);
+
+-- =========================
+-- USER ALIASES AND UNMATCHED JOBNIMBUS ASSIGNEES
+-- =========================
+-- Other names a user goes by in JobNimbus (nicknames, misspellings)
+DROP TABLE IF EXISTS user_aliases CASCADE;
+CREATE TABLE user_aliases (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    alias VARCHAR(255) NOT NULL,
+    alias_normalized VARCHAR(255) NOT NULL UNIQUE, -- as matched against JobNimbus assignee names
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_aliases_user_id ON user_aliases(user_id);
+
+-- Assignee names on JobNimbus jobs that matched no user, for admins to resolve
+DROP TABLE IF EXISTS unmatched_assignees CASCADE;
+CREATE TABLE unmatched_assignees (
+    id SERIAL PRIMARY KEY,
+    assignee_name VARCHAR(255) NOT NULL,
+    assignee_normalized VARCHAR(255) NOT NULL UNIQUE,
+    jobnimbus_user_id VARCHAR(255), -- JobNimbus sales_rep ID, when the job had one
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'ignored')),
+    resolved_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Jobs currently carrying an unmatched assignee; rewritten each time a job syncs
+DROP TABLE IF EXISTS unmatched_assignee_jobs CASCADE;
+CREATE TABLE unmatched_assignee_jobs (
+    unmatched_assignee_id INTEGER NOT NULL REFERENCES unmatched_assignees(id) ON DELETE CASCADE,
+    jnid VARCHAR(255) NOT NULL,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('salesman', 'supplementer', 'referrer')),
+    seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (unmatched_assignee_id, jnid, role)
+);
+
+CREATE INDEX idx_unmatched_assignee_jobs_jnid ON unmatched_assignee_jobs(jnid);
+
+-- =========================
+-- JOBNIMBUS FIELD MAPPINGS
+-- =========================
+-- Targets without a row use the defaults in services/fieldMappingService.js
+DROP TABLE IF EXISTS jobnimbus_field_mappings CASCADE;
+CREATE TABLE jobnimbus_field_mappings (
+    target_field VARCHAR(50) PRIMARY KEY,
+    source_fields TEXT[] NOT NULL, -- JobNimbus fields tried in order; the first present wins
+    value_type VARCHAR(20) NOT NULL CHECK (value_type IN ('string', 'number', 'boolean', 'unix_date')),
+    synonyms JSONB NOT NULL DEFAULT '{}', -- canonical value -> values JobNimbus may send for it
+    default_value TEXT,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =========================
+-- CUSTOMER STATUS HISTORY
+-- =========================
+-- One row per status transition, written wherever customers.status changes
+DROP TABLE IF EXISTS customer_status_history CASCADE;
+CREATE TABLE customer_status_history (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    from_status VARCHAR(100), -- NULL when the customer was created
+    to_status VARCHAR(100) NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('sync', 'webhook', 'manual', 'backfill')),
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_customer_status_history_customer ON customer_status_history(customer_id, changed_at);
+CREATE INDEX idx_customer_status_history_to_status ON customer_status_history(to_status, changed_at);
+
+-- =========================
+-- TWO-WAY JOBNIMBUS SYNC (OUTBOUND)
+-- =========================
+-- Commission values pushed to JobNimbus custom fields; nothing is pushed until a field is enabled
+DROP TABLE IF EXISTS jobnimbus_outbound_fields CASCADE;
+CREATE TABLE jobnimbus_outbound_fields (
+    field_key VARCHAR(50) PRIMARY KEY CHECK (field_key IN ('commission_status', 'commission_amount', 'commission_paid', 'commission_balance')),
+    jobnimbus_field VARCHAR(255) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Last value written to each JobNimbus field, to find what changed and detect conflicts
+DROP TABLE IF EXISTS jobnimbus_pushed_values CASCADE;
+CREATE TABLE jobnimbus_pushed_values (
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    jobnimbus_field VARCHAR(255) NOT NULL,
+    value TEXT,
+    pushed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (customer_id, jobnimbus_field)
+);
+
+DROP TABLE IF EXISTS jobnimbus_outbound_queue CASCADE;
+CREATE TABLE jobnimbus_outbound_queue (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    jnid VARCHAR(255) NOT NULL,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('commission', 'assignment')),
+    fields JSONB NOT NULL, -- JobNimbus field -> value to write
+    expected JSONB NOT NULL DEFAULT '{}', -- JobNimbus field -> value we believed it had when queued
+    base_date_updated BIGINT, -- customer's jn_date_updated when queued
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'conflict', 'discarded')),
+    force BOOLEAN NOT NULL DEFAULT FALSE, -- write even if JobNimbus changed the fields
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    remote_values JSONB, -- what JobNimbus had, when a conflict was found
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- One pending change of each type per customer; later changes merge into it
+CREATE UNIQUE INDEX idx_jobnimbus_outbound_queue_pending
+ON jobnimbus_outbound_queue(customer_id, change_type) WHERE status = 'pending';
+CREATE INDEX idx_jobnimbus_outbound_queue_due ON jobnimbus_outbound_queue(status, next_attempt_at);
+
+-- =========================
+-- SESSIONS AND REFRESH TOKENS
+-- =========================
+-- One session per login; access tokens carry the session ID and stop working once it is revoked
+DROP TABLE IF EXISTS user_sessions CASCADE;
+CREATE TABLE user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL, -- pushed back each time the refresh token is rotated
+    revoked_at TIMESTAMP,
+    revoke_reason VARCHAR(50), -- logout, logout_all, password_changed, role_changed, refresh_token_reuse, ...
+    mfa_verified_at TIMESTAMP -- last MFA check in this session; sensitive actions need a recent one
+);
+
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- Refresh tokens are stored as SHA-256 hashes. The session's current token is its one
+-- unused row; presenting a used one means it was stolen or replayed, and revokes the session
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP
+);
+
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
+
+-- =========================
+-- MFA RECOVERY CODES
+-- =========================
+-- Single-use codes for signing in without the authenticator app
+DROP TABLE IF EXISTS mfa_recovery_codes CASCADE;
+CREATE TABLE mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL, -- SHA-256 of the normalized code
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP
+);
+
+CREATE INDEX idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id) WHERE used_at IS NULL;
+
+-- =========================
+-- LOGIN ATTEMPTS
+-- =========================
+-- Every login, MFA, reset-token, invitation and forgot-password attempt; used to throttle by IP address
+DROP TABLE IF EXISTS login_attempts CASCADE;
+CREATE TABLE login_attempts (
+    id SERIAL PRIMARY KEY,
+    attempt_type VARCHAR(20) NOT NULL CHECK (attempt_type IN ('password', 'reset_token', 'mfa', 'forgot_password', 'invitation')),
+    email VARCHAR(255), -- as typed (normalized), whether or not a user has it
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(64),
+    succeeded BOOLEAN NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX idx_login_attempts_email ON login_attempts(email, created_at);
+
+-- =========================
+-- USER INVITATIONS
+-- =========================
+-- Users join by invitation: an admin sets the role, access level, team and hire date, and the
+-- invitee sets their password through a single-use link. The user is created on acceptance.
+DROP TABLE IF EXISTS user_invitations CASCADE;
+CREATE TABLE user_invitations (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL, -- normalized
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL, -- commission role, as users.role
+    permissions VARCHAR(50) NOT NULL DEFAULT 'rep' CHECK (permissions IN ('admin', 'manager', 'rep', 'affiliate')),
+    team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+    team_role VARCHAR(20) CHECK (team_role IN ('salesman', 'supplementer')),
+    hire_date DATE,
+    phone VARCHAR(50),
+    yearly_goal NUMERIC(12,2),
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token in the invite link
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_user_invitations_email ON user_invitations(email);
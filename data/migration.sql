@@ -9,4 +9,623 @@ DROP CONSTRAINT IF EXISTS payments_payment_type_check;
 
 ALTER TABLE payments 
 ADD CONSTRAINT payments_payment_type_check 
-CHECK (payment_type IN ('Check', 'Cash', 'Direct Deposit', 'Other'));
\ No newline at end of file
+CHECK (payment_type IN ('Check', 'Cash', 'Direct Deposit', 'Other'));
+
+-- 3. Commission plans with versioned, date-ranged rules
+CREATE TABLE IF NOT EXISTS commission_plans (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL,
+    description TEXT,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_commission_plan_name UNIQUE (name)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_commission_plans_default_role
+ON commission_plans(role) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS commission_plan_versions (
+    id SERIAL PRIMARY KEY,
+    plan_id INTEGER NOT NULL REFERENCES commission_plans(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    effective_from DATE NOT NULL,
+    effective_to DATE,
+    rules JSONB NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_plan_version UNIQUE (plan_id, version_number),
+    CONSTRAINT valid_plan_version_range CHECK (effective_to IS NULL OR effective_to > effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_plan_versions_dates
+ON commission_plan_versions(plan_id, effective_from, effective_to);
+
+INSERT INTO commission_plans (name, role, description, is_default) VALUES
+    ('Standard Salesman', 'Salesman', 'Tenure-based in-scope rates plus margin added', TRUE),
+    ('Standard Sales Manager', 'Sales Manager', 'Own-job rates plus team override by salesman tenure', TRUE),
+    ('Standard Supplement Manager', 'Supplement Manager', 'Own-job and team override rates on margin added', TRUE),
+    ('Standard Supplementer', 'Supplementer', 'Rate on margin added with a floor', TRUE),
+    ('Standard Affiliate', 'Affiliate Marketer', 'Percentage of job price with a cap', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO commission_plan_versions (plan_id, version_number, effective_from, rules, notes)
+SELECT id, 1, DATE '2000-01-01', rules::JSONB, 'Initial plan migrated from hard-coded rates'
+FROM commission_plans
+JOIN (VALUES
+    ('Salesman', '{
+        "margin_rate": 0.04,
+        "lead_source_deductions": { "Canvassing - Company": 300 },
+        "tenure_brackets": [
+            { "max_months": 6, "rates": { "Canvassing - Salesman": 0.10, "Canvassing - Company": 0.08, "Affiliate": 0.06, "Referral": 0.10, "default": 0.08 } },
+            { "max_months": 12, "rates": { "Canvassing - Salesman": 0.13, "Canvassing - Company": 0.10, "Affiliate": 0.08, "Referral": 0.10, "default": 0.10 } },
+            { "max_months": null, "rates": { "Canvassing - Salesman": 0.15, "Canvassing - Company": 0.12, "Affiliate": 0.10, "Referral": 0.12, "default": 0.12 } }
+        ]
+    }'),
+    ('Sales Manager', '{
+        "own_job_rates": { "Canvassing - Salesman": 0.15, "Referral": 0.15, "Canvassing - Company": 0.12, "Affiliate": 0.10, "default": 0.12 },
+        "lead_source_deductions": { "Canvassing - Company": 300 },
+        "override_brackets": [
+            { "max_months": 6, "rate": 0.04 },
+            { "max_months": 12, "rate": 0.02 },
+            { "max_months": null, "rate": 0.03 }
+        ]
+    }'),
+    ('Supplement Manager', '{
+        "own_job": { "rate": 0.10, "appraisal_rate": 0.08, "minimum": 500 },
+        "override": { "rate": 0.03, "appraisal_rate": 0.02, "minimum": 200 }
+    }'),
+    ('Supplementer', '{ "rate": 0.07, "appraisal_rate": 0.06, "minimum": 300 }'),
+    ('Affiliate Marketer', '{ "rate": 0.05, "cap": 750 }')
+) AS defaults(role, rules) ON defaults.role = commission_plans.role
+WHERE commission_plans.is_default
+  AND NOT EXISTS (SELECT 1 FROM commission_plan_versions v WHERE v.plan_id = commission_plans.id);
+
+
+-- 4. Per-user commission plan assignments and rule overrides
+CREATE TABLE IF NOT EXISTS user_commission_plan_assignments (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan_id INTEGER REFERENCES commission_plans(id) ON DELETE CASCADE,
+    rule_overrides JSONB,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT assignment_has_plan_or_overrides CHECK (plan_id IS NOT NULL OR rule_overrides IS NOT NULL),
+    CONSTRAINT valid_assignment_range CHECK (end_date IS NULL OR end_date > start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_commission_plan_assignments_user
+ON user_commission_plan_assignments(user_id, start_date, end_date);
+
+
+-- 5. Store the calculation trace behind each commission
+ALTER TABLE commissions_due
+ADD COLUMN IF NOT EXISTS calculation_trace JSONB;
+
+
+-- 6. Clawback adjustments for canceled or repriced Finalized jobs
+CREATE TABLE IF NOT EXISTS commission_adjustments (
+    id SERIAL PRIMARY KEY,
+    commission_due_id INTEGER NOT NULL REFERENCES commissions_due(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    adjustment_type VARCHAR(50) NOT NULL DEFAULT 'clawback' CHECK (adjustment_type IN ('clawback')),
+    reason VARCHAR(50) NOT NULL CHECK (reason IN ('status_regression', 'reprice')),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount < 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'waived', 'reversed')),
+    previous_status VARCHAR(100),
+    new_status VARCHAR(100),
+    previous_amount NUMERIC(12,2),
+    new_amount NUMERIC(12,2),
+    notified_at TIMESTAMP,
+    waived_at TIMESTAMP,
+    waived_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    waive_reason TEXT,
+    reversed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_adjustments_commission
+ON commission_adjustments(commission_due_id, reason, status);
+
+CREATE INDEX IF NOT EXISTS idx_commission_adjustments_user
+ON commission_adjustments(user_id, status);
+
+
+-- 7. Double-entry ledger behind user_balance
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    entry_type VARCHAR(50) NOT NULL,
+    debit_account VARCHAR(50) NOT NULL CHECK (debit_account IN ('commission_expense', 'commissions_payable', 'cash')),
+    credit_account VARCHAR(50) NOT NULL CHECK (credit_account IN ('commission_expense', 'commissions_payable', 'cash')),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+    commission_due_id INTEGER,
+    adjustment_id INTEGER,
+    payment_id INTEGER,
+    description TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT ledger_entries_accounts_differ CHECK (debit_account <> credit_account)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_user ON ledger_entries(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_commission ON ledger_entries(commission_due_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_payment ON ledger_entries(payment_id);
+
+CREATE OR REPLACE FUNCTION prevent_ledger_entry_changes() RETURNS TRIGGER AS $$
+BEGIN
+    IF pg_trigger_depth() <= 1 THEN
+        RAISE EXCEPTION 'ledger_entries is append-only; post a correcting entry instead';
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+CREATE TRIGGER ledger_entries_append_only
+BEFORE UPDATE OR DELETE ON ledger_entries
+FOR EACH ROW EXECUTE FUNCTION prevent_ledger_entry_changes();
+
+-- Open the ledger with each user's current balance so derived balances match
+INSERT INTO ledger_entries (user_id, entry_type, debit_account, credit_account, amount, description)
+SELECT user_id, 'opening_balance',
+       CASE WHEN total_commissions_earned > 0 THEN 'commission_expense' ELSE 'commissions_payable' END,
+       CASE WHEN total_commissions_earned > 0 THEN 'commissions_payable' ELSE 'commission_expense' END,
+       ABS(total_commissions_earned), 'Opening balance: commissions earned before the ledger'
+FROM user_balance
+WHERE total_commissions_earned <> 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.user_id = user_balance.user_id AND le.entry_type = 'opening_balance');
+
+INSERT INTO ledger_entries (user_id, entry_type, debit_account, credit_account, amount, description)
+SELECT user_id, 'opening_payments',
+       CASE WHEN total_payments_received > 0 THEN 'commissions_payable' ELSE 'cash' END,
+       CASE WHEN total_payments_received > 0 THEN 'cash' ELSE 'commissions_payable' END,
+       ABS(total_payments_received), 'Opening balance: payments received before the ledger'
+FROM user_balance
+WHERE total_payments_received <> 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.user_id = user_balance.user_id AND le.entry_type = 'opening_payments');
+
+
+-- 8. Balance reconciliation drift report
+CREATE TABLE IF NOT EXISTS balance_discrepancies (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reconciled_at TIMESTAMP NOT NULL,
+    expected_earned NUMERIC(12,2) NOT NULL,
+    expected_paid NUMERIC(12,2) NOT NULL,
+    expected_balance NUMERIC(12,2) NOT NULL,
+    recorded_earned NUMERIC(12,2),
+    recorded_paid NUMERIC(12,2),
+    recorded_balance NUMERIC(12,2),
+    ledger_earned NUMERIC(12,2) NOT NULL,
+    ledger_paid NUMERIC(12,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'corrected')),
+    corrected_at TIMESTAMP,
+    corrected_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    correction_entry_ids INTEGER[] DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_balance_discrepancies_status ON balance_discrepancies(status, reconciled_at);
+CREATE INDEX IF NOT EXISTS idx_balance_discrepancies_user ON balance_discrepancies(user_id);
+
+-- Earlier nightly runs added a row per night for the same drift; keep the latest open one
+DELETE FROM balance_discrepancies bd
+WHERE bd.status = 'open'
+  AND EXISTS (
+    SELECT 1 FROM balance_discrepancies newer
+    WHERE newer.user_id = bd.user_id AND newer.status = 'open'
+      AND (newer.reconciled_at, newer.id) > (bd.reconciled_at, bd.id)
+  );
+
+-- One open discrepancy per user; each reconciliation updates it while the drift lasts
+CREATE UNIQUE INDEX IF NOT EXISTS idx_balance_discrepancies_open
+ON balance_discrepancies(user_id) WHERE status = 'open';
+
+
+-- 9. Payment allocation: partial mappings and unallocated credit
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS allocation_strategy VARCHAR(30)
+    CHECK (allocation_strategy IN ('oldest_first', 'per_customer', 'manual'));
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS unallocated_amount NUMERIC(12,2) NOT NULL DEFAULT 0.00;
+
+CREATE INDEX IF NOT EXISTS idx_payment_commission_mapping_commission
+ON payment_commission_mapping(commission_due_id);
+
+-- Whatever existing payments did not map to commissions becomes credit
+UPDATE payments p
+SET unallocated_amount = GREATEST(p.amount - COALESCE((
+    SELECT SUM(pcm.amount_applied) FROM payment_commission_mapping pcm WHERE pcm.payment_id = p.id
+), 0), 0);
+
+
+-- 10. Payroll runs by pay period
+CREATE TABLE IF NOT EXISTS pay_periods (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL, -- inclusive
+    pay_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT pay_periods_dates_check CHECK (end_date >= start_date),
+    CONSTRAINT unique_pay_period_dates UNIQUE (start_date, end_date)
+);
+
+CREATE TABLE IF NOT EXISTS payroll_runs (
+    id SERIAL PRIMARY KEY,
+    pay_period_id INTEGER NOT NULL REFERENCES pay_periods(id) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved', 'posted', 'voided')),
+    payment_type VARCHAR(50) NOT NULL DEFAULT 'Direct Deposit',
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    posted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    posted_at TIMESTAMP,
+    voided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    voided_at TIMESTAMP,
+    void_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One live run per pay period; voided runs stay as history
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_runs_active_period
+ON payroll_runs(pay_period_id) WHERE status <> 'voided';
+
+CREATE TABLE IF NOT EXISTS payroll_run_items (
+    id SERIAL PRIMARY KEY,
+    payroll_run_id INTEGER NOT NULL REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    proposed_amount NUMERIC(12,2) NOT NULL,
+    amount NUMERIC(12,2) NOT NULL CHECK (amount >= 0),
+    commission_due_ids INTEGER[] NOT NULL DEFAULT '{}',
+    excluded BOOLEAN NOT NULL DEFAULT FALSE,
+    notes TEXT,
+    payment_id INTEGER, -- no FK: voiding a run deletes its payments but keeps the history
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_payroll_run_user UNIQUE (payroll_run_id, user_id)
+);
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS payroll_run_id INTEGER REFERENCES payroll_runs(id) ON DELETE SET NULL;
+
+
+-- 11. Direct deposit bank details for payroll exports
+-- Routing and account numbers are stored encrypted (see utils/encryption.js)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS bank_routing_number_encrypted TEXT,
+ADD COLUMN IF NOT EXISTS bank_account_number_encrypted TEXT,
+ADD COLUMN IF NOT EXISTS bank_account_last4 VARCHAR(4),
+ADD COLUMN IF NOT EXISTS bank_account_type VARCHAR(10) CHECK (bank_account_type IN ('checking', 'savings')),
+ADD COLUMN IF NOT EXISTS bank_account_holder_name VARCHAR(255),
+ADD COLUMN IF NOT EXISTS bank_details_updated_at TIMESTAMP;
+
+
+-- 12. Draws (advances) recovered from future commissions
+CREATE TABLE IF NOT EXISTS draws (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recovery_method VARCHAR(20) NOT NULL CHECK (recovery_method IN ('full', 'percentage', 'fixed_per_period')),
+    recovery_percentage NUMERIC(5,2) CHECK (recovery_percentage > 0 AND recovery_percentage <= 100),
+    recovery_amount_per_period NUMERIC(12,2) CHECK (recovery_amount_per_period > 0),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT draws_recovery_terms_check CHECK (
+        (recovery_method = 'full')
+        OR (recovery_method = 'percentage' AND recovery_percentage IS NOT NULL)
+        OR (recovery_method = 'fixed_per_period' AND recovery_amount_per_period IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_draws_user_id ON draws(user_id);
+
+
+-- 13. High-water mark for incremental JobNimbus sync
+CREATE TABLE IF NOT EXISTS sync_state (
+    source VARCHAR(50) PRIMARY KEY,
+    high_water_mark BIGINT, -- latest JobNimbus date_updated synced (unix seconds)
+    last_synced_at TIMESTAMP,
+    last_full_sync_at TIMESTAMP
+);
+
+
+-- 14. Customer sync run history
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id SERIAL PRIMARY KEY,
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('cron', 'manual', 'user')),
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    mode VARCHAR(20) NOT NULL CHECK (mode IN ('full', 'incremental')),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_since BIGINT, -- high-water mark the run started from (unix seconds)
+    high_water_mark BIGINT, -- high-water mark after the run
+    jobs_fetched INTEGER NOT NULL DEFAULT 0,
+    customers_inserted INTEGER NOT NULL DEFAULT 0,
+    customers_updated INTEGER NOT NULL DEFAULT 0,
+    customers_unchanged INTEGER NOT NULL DEFAULT 0,
+    commissions_created INTEGER NOT NULL DEFAULT 0,
+    commissions_updated INTEGER NOT NULL DEFAULT 0,
+    clawbacks_created INTEGER NOT NULL DEFAULT 0,
+    clawbacks_reversed INTEGER NOT NULL DEFAULT 0,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]',
+    failure_message TEXT -- set when the whole run failed and was rolled back
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at DESC);
+
+
+-- 15. JobNimbus webhook events (replay protection) and dead letters
+CREATE TABLE IF NOT EXISTS jobnimbus_webhook_events (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(255) NOT NULL UNIQUE, -- delivery ID, or jnid:date_updated; a repeat is a replay
+    jnid VARCHAR(255),
+    date_updated BIGINT, -- job's date_updated in the payload (unix seconds)
+    status VARCHAR(20) NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processed', 'skipped', 'failed')),
+    skip_reason TEXT,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobnimbus_webhook_events_jnid ON jobnimbus_webhook_events(jnid, date_updated);
+
+CREATE TABLE IF NOT EXISTS jobnimbus_webhook_dead_letters (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL UNIQUE REFERENCES jobnimbus_webhook_events(id) ON DELETE CASCADE,
+    jnid VARCHAR(255),
+    payload JSONB NOT NULL,
+    error TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'discarded')),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobnimbus_webhook_dead_letters_status ON jobnimbus_webhook_dead_letters(status);
+
+
+-- 16. User matching for JobNimbus assignees: JobNimbus user IDs, aliases and the unmatched queue
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS jobnimbus_user_id VARCHAR(255) UNIQUE;
+
+CREATE TABLE IF NOT EXISTS user_aliases (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    alias VARCHAR(255) NOT NULL,
+    alias_normalized VARCHAR(255) NOT NULL UNIQUE, -- as matched against JobNimbus assignee names
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_aliases_user_id ON user_aliases(user_id);
+
+CREATE TABLE IF NOT EXISTS unmatched_assignees (
+    id SERIAL PRIMARY KEY,
+    assignee_name VARCHAR(255) NOT NULL,
+    assignee_normalized VARCHAR(255) NOT NULL UNIQUE,
+    jobnimbus_user_id VARCHAR(255), -- JobNimbus sales_rep ID, when the job had one
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'ignored')),
+    resolved_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS unmatched_assignee_jobs (
+    unmatched_assignee_id INTEGER NOT NULL REFERENCES unmatched_assignees(id) ON DELETE CASCADE,
+    jnid VARCHAR(255) NOT NULL,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('salesman', 'supplementer', 'referrer')),
+    seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (unmatched_assignee_id, jnid, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_unmatched_assignee_jobs_jnid ON unmatched_assignee_jobs(jnid);
+
+
+-- 17. Configurable JobNimbus field mapping; targets without a row use the defaults in services/fieldMappingService.js
+CREATE TABLE IF NOT EXISTS jobnimbus_field_mappings (
+    target_field VARCHAR(50) PRIMARY KEY,
+    source_fields TEXT[] NOT NULL, -- JobNimbus fields tried in order; the first present wins
+    value_type VARCHAR(20) NOT NULL CHECK (value_type IN ('string', 'number', 'boolean', 'unix_date')),
+    synonyms JSONB NOT NULL DEFAULT '{}', -- canonical value -> values JobNimbus may send for it
+    default_value TEXT,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+
+-- 18. Customer status history, one row per status transition
+CREATE TABLE IF NOT EXISTS customer_status_history (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    from_status VARCHAR(100), -- NULL when the customer was created
+    to_status VARCHAR(100) NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('sync', 'webhook', 'manual', 'backfill')),
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_status_history_customer ON customer_status_history(customer_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_customer_status_history_to_status ON customer_status_history(to_status, changed_at);
+
+-- Start every existing customer's history from its current status
+INSERT INTO customer_status_history (customer_id, from_status, to_status, source, changed_at)
+SELECT c.id, NULL, COALESCE(c.status, 'Lead'), 'backfill', COALESCE(c.status_changed, c.created_at, CURRENT_TIMESTAMP)
+FROM customers c
+WHERE NOT EXISTS (SELECT 1 FROM customer_status_history h WHERE h.customer_id = c.id);
+
+
+-- 19. Two-way JobNimbus sync: outbound field config, last pushed values and the outbound queue
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS jn_date_updated BIGINT; -- JobNimbus date_updated as of our last read or write (unix seconds)
+
+CREATE TABLE IF NOT EXISTS jobnimbus_outbound_fields (
+    field_key VARCHAR(50) PRIMARY KEY CHECK (field_key IN ('commission_status', 'commission_amount', 'commission_paid', 'commission_balance')),
+    jobnimbus_field VARCHAR(255) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS jobnimbus_pushed_values (
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    jobnimbus_field VARCHAR(255) NOT NULL,
+    value TEXT,
+    pushed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (customer_id, jobnimbus_field)
+);
+
+CREATE TABLE IF NOT EXISTS jobnimbus_outbound_queue (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    jnid VARCHAR(255) NOT NULL,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('commission', 'assignment')),
+    fields JSONB NOT NULL, -- JobNimbus field -> value to write
+    expected JSONB NOT NULL DEFAULT '{}', -- JobNimbus field -> value we believed it had when queued
+    base_date_updated BIGINT, -- customer's jn_date_updated when queued
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'conflict', 'discarded')),
+    force BOOLEAN NOT NULL DEFAULT FALSE, -- write even if JobNimbus changed the fields
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    remote_values JSONB, -- what JobNimbus had, when a conflict was found
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- One pending change of each type per customer; later changes merge into it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobnimbus_outbound_queue_pending
+ON jobnimbus_outbound_queue(customer_id, change_type) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobnimbus_outbound_queue_due ON jobnimbus_outbound_queue(status, next_attempt_at);
+
+
+-- 20. Access levels: users.permissions holds one of admin, manager, rep, affiliate (see config/permissions.js)
+UPDATE users SET permissions = CASE
+    WHEN LOWER(TRIM(permissions)) IN ('admin', 'owner', 'administrator', 'superadmin', 'super admin') THEN 'admin'
+    WHEN LOWER(TRIM(permissions)) = 'manager' OR role IN ('Sales Manager', 'Supplement Manager') THEN 'manager'
+    WHEN LOWER(TRIM(permissions)) = 'affiliate' OR role = 'Affiliate Marketer' THEN 'affiliate'
+    ELSE 'rep'
+END
+WHERE permissions IS NULL OR permissions NOT IN ('admin', 'manager', 'rep', 'affiliate');
+
+ALTER TABLE users ALTER COLUMN permissions SET DEFAULT 'rep';
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_permissions_check;
+ALTER TABLE users
+ADD CONSTRAINT users_permissions_check CHECK (permissions IN ('admin', 'manager', 'rep', 'affiliate'));
+
+
+-- 21. Sessions: one per login, with rotating refresh tokens stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL, -- pushed back each time the refresh token is rotated
+    revoked_at TIMESTAMP,
+    revoke_reason VARCHAR(50) -- logout, logout_all, password_changed, role_changed, refresh_token_reuse, ...
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- The session's current refresh token is its one unused row; presenting a used one revokes the session
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+
+
+-- 22. TOTP multi-factor authentication: per-user secret (encrypted like bank details), recovery codes,
+-- and when each session last passed an MFA check (for step-up on sensitive actions)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS mfa_secret_encrypted TEXT, -- set at setup, in use once mfa_enabled
+ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT; -- TOTP time step of the last accepted code, so codes can't be replayed
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL, -- SHA-256 of the normalized code
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id) WHERE used_at IS NULL;
+
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS mfa_verified_at TIMESTAMP;
+
+
+-- 23. Login throttling: per-account failure counter and lockout, and a log of attempts for per-IP limits
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    attempt_type VARCHAR(20) NOT NULL CHECK (attempt_type IN ('password', 'reset_token', 'mfa', 'forgot_password')),
+    email VARCHAR(255),
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(64),
+    succeeded BOOLEAN NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at);
+
+
+-- 24. User invitations replace open registration; the user is created when the invite is accepted
+CREATE TABLE IF NOT EXISTS user_invitations (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL, -- normalized
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL, -- commission role, as users.role
+    permissions VARCHAR(50) NOT NULL DEFAULT 'rep' CHECK (permissions IN ('admin', 'manager', 'rep', 'affiliate')),
+    team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+    team_role VARCHAR(20) CHECK (team_role IN ('salesman', 'supplementer')),
+    hire_date DATE,
+    phone VARCHAR(50),
+    yearly_goal NUMERIC(12,2),
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token in the invite link
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_email ON user_invitations(email);
+
+-- Invite links are throttled like reset tokens
+ALTER TABLE login_attempts DROP CONSTRAINT IF EXISTS login_attempts_attempt_type_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_attempt_type_check
+    CHECK (attempt_type IN ('password', 'reset_token', 'mfa', 'forgot_password', 'invitation'));
@@ -1,7 +1,21 @@
 const jwt = require('jsonwebtoken');
 const { AppError } = require('../utils/error');
+const { getUserById } = require('../models/userModel');
+const { getTeamById } = require('../models/teamModel');
+const SessionModel = require('../models/sessionModel');
+const { hasPermission } = require('../config/permissions');
+const { getAccessScope, canAccessUser, canAccessTeam } = require('../services/accessScopeService');
+const { isMfaRequired, isRecentlyVerified, MFA_STEP_UP_MINUTES } = require('../services/mfaService');
 
-const protectRoute = (req, res, next) => {
+/**
+ * Require a valid JWT for a session that is still open
+ * The session and user are re-read on every request so a logout, changed access level or
+ * deleted account takes effect immediately. Sets req.user ({ userId, id, name, role,
+ * accessLevel, sessionId, mfaEnabled, mfaVerifiedAt }) and req.scope (see services/accessScopeService.js).
+ * @param {Object} options - { enforceMfa: refuse users who must set up MFA and haven't (default true) }
+ */
+const authenticate = ({ enforceMfa = true } = {}) => async (req, res, next) => {
+  let decoded;
   try {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) {
@@ -9,13 +23,147 @@ const protectRoute = (req, res, next) => {
     }
 
     const secretKey = process.env.JWT_SECRET;
-    const decoded = jwt.verify(token, secretKey);
+    decoded = jwt.verify(token, secretKey);
+  } catch (error) {
+    return next(new AppError('Unauthorized access', 401));
+  }
+
+  try {
+    // Tokens from before sessions existed carry no session and can't be revoked
+    const session = decoded.sid ? await SessionModel.getActiveSession(decoded.sid) : null;
+    if (!session || session.user_id !== decoded.userId) {
+      throw new AppError('Unauthorized access', 401);
+    }
+
+    const user = await getUserById(decoded.userId);
+    if (!user) {
+      throw new AppError('Unauthorized access', 401);
+    }
+    if (enforceMfa && isMfaRequired(user) && !user.mfa_enabled) {
+      throw new AppError('Set up multi-factor authentication to use this account', 403, 'mfa_enrollment_required');
+    }
+
+    req.user = {
+      ...decoded, // Attach user info to the request object
+      userId: user.id,
+      id: user.id,
+      name: user.name,
+      role: user.role,
+      accessLevel: user.permissions,
+      sessionId: session.id,
+      mfaEnabled: user.mfa_enabled,
+      mfaVerifiedAt: session.mfa_verified_at
+    };
+    req.scope = await getAccessScope(req.user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const protectRoute = authenticate();
+
+// For MFA setup and signing out, which users who must set up MFA can still reach
+const protectMfaSetup = authenticate({ enforceMfa: false });
+
+/**
+ * Require a recent MFA check for sensitive actions (moving money, editing commissions)
+ * Users without MFA pass; users who must have it can't get past protectRoute without it.
+ * Clients get 403 with code 'mfa_step_up_required' and should call POST /api/users/mfa/verify.
+ */
+const requireRecentMfa = (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Unauthorized access', 401));
+  }
+  if (req.user.mfaEnabled && !isRecentlyVerified(req.user.mfaVerifiedAt)) {
+    return next(new AppError(
+      `Confirm your authentication code to do this (valid for ${MFA_STEP_UP_MINUTES} minutes)`,
+      403,
+      'mfa_step_up_required'
+    ));
+  }
+  next();
+};
+
+/**
+ * Require a recent MFA check when acting on someone else's record (an admin editing a user);
+ * users acting on their own record pass
+ * @param {string} param - Route param holding the user ID
+ */
+const requireRecentMfaForOthers = (param = 'id') => (req, res, next) => {
+  if (req.user && parseInt(req.params[param]) === req.user.id) {
+    return next();
+  }
+  return requireRecentMfa(req, res, next);
+};
+
+/**
+ * Require a permission from config/permissions.js; use after protectRoute
+ * @param {string} permission - e.g. 'commissions:manage'
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.accessLevel, permission)) {
+    return next(new AppError('You do not have permission to do this', 403));
+  }
+  next();
+};
+
+/**
+ * Let users act on their own record, and others only with a permission
+ * @param {string} permission - Needed for anyone else's record
+ * @param {string} param - Route param holding the user ID
+ */
+const requireSelfOrPermission = (permission, param = 'id') => (req, res, next) => {
+  if (req.user && parseInt(req.params[param]) === req.user.id) {
+    return next();
+  }
+  return requirePermission(permission)(req, res, next);
+};
 
-    req.user = decoded; // Attach user info to the request object
+/**
+ * Require the user named in a route param to be in the caller's scope
+ * @param {string} param - Route param holding the user ID
+ */
+const requireUserInScope = (param = 'id') => (req, res, next) => {
+  if (!req.scope || !canAccessUser(req.scope, req.params[param])) {
+    return next(new AppError('You do not have access to this user', 403));
+  }
+  next();
+};
+
+/**
+ * Require the team named in a route param to be one the caller may see
+ * @param {string} param - Route param holding the team ID
+ */
+const requireTeamInScope = (param = 'teamId') => async (req, res, next) => {
+  try {
+    if (!req.scope) {
+      throw new AppError('You do not have access to this team', 403);
+    }
+    if (!req.scope.userIds) {
+      return next();
+    }
+
+    const team = await getTeamById(req.params[param]);
+    if (!team) {
+      throw new AppError('Team not found', 404);
+    }
+    if (!canAccessTeam(req.scope, team)) {
+      throw new AppError('You do not have access to this team', 403);
+    }
     next();
   } catch (error) {
-    next(new AppError('Unauthorized access', 401));
+    next(error);
   }
 };
 
-module.exports = { protectRoute };
\ No newline at end of file
+module.exports = {
+  protectRoute,
+  protectMfaSetup,
+  requireRecentMfa,
+  requireRecentMfaForOthers,
+  requirePermission,
+  requireSelfOrPermission,
+  requireUserInScope,
+  requireTeamInScope
+};
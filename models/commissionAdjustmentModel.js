@@ -0,0 +1,192 @@
+/**
+ * Commission Adjustment Model
+ * Handles database interactions for clawbacks against commissions_due rows
+ * Methods that take a client run inside the caller's transaction
+ */
+
+const db = require('../config/db');
+
+const CommissionAdjustmentModel = {
+  /**
+   * Get clawbacks with optional filters
+   * @param {Object} filters - { status, user_id, customer_id }
+   * @returns {Array} Clawbacks with user and customer names
+   */
+  getClawbacks: async (filters = {}) => {
+    const { status = null, user_id = null, customer_id = null } = filters;
+    try {
+      const result = await db.query(
+        `SELECT ca.*, u.name as user_name, c.customer_name, cd.commission_amount
+         FROM commission_adjustments ca
+         JOIN users u ON ca.user_id = u.id
+         JOIN commissions_due cd ON ca.commission_due_id = cd.id
+         LEFT JOIN customers c ON ca.customer_id = c.id
+         WHERE ca.adjustment_type = 'clawback'
+           AND ($1::VARCHAR IS NULL OR ca.status = $1)
+           AND ($2::INTEGER IS NULL OR ca.user_id = $2)
+           AND ($3::INTEGER IS NULL OR ca.customer_id = $3)
+         ORDER BY ca.created_at DESC`,
+        [status, user_id, customer_id]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getClawbacks:', error);
+      throw error;
+    }
+  },
+
+  getClawbackById: async (clawbackId) => {
+    try {
+      const result = await db.query(
+        `SELECT ca.*, u.name as user_name, c.customer_name, cd.commission_amount
+         FROM commission_adjustments ca
+         JOIN users u ON ca.user_id = u.id
+         JOIN commissions_due cd ON ca.commission_due_id = cd.id
+         LEFT JOIN customers c ON ca.customer_id = c.id
+         WHERE ca.id = $1`,
+        [clawbackId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getClawbackById:', error);
+      throw error;
+    }
+  },
+
+  // Net of a commission's active clawbacks (zero or negative)
+  getActiveTotalByCommissionId: async (commissionDueId) => {
+    try {
+      const result = await db.query(
+        `SELECT COALESCE(SUM(amount), 0) as total
+         FROM commission_adjustments
+         WHERE commission_due_id = $1 AND status = 'active'`,
+        [commissionDueId]
+      );
+      return parseFloat(result.rows[0].total) || 0;
+    } catch (error) {
+      console.error('Error in getActiveTotalByCommissionId:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get commissions for customers that have no open status-regression clawback yet,
+   * with the net of their active reprice clawbacks
+   * @param {Array} customerIds - Customer IDs
+   * @param {Object} client - Transaction client
+   * @returns {Array} Commission rows
+   */
+  getUnclawedCommissionsByCustomerIds: async (customerIds, client) => {
+    const result = await client.query(
+      `SELECT cd.id, cd.user_id, cd.customer_id, cd.commission_amount,
+              COALESCE(adj.active_total, 0) as active_adjustments
+       FROM commissions_due cd
+       LEFT JOIN (
+         SELECT commission_due_id, SUM(amount) as active_total
+         FROM commission_adjustments
+         WHERE status = 'active'
+         GROUP BY commission_due_id
+       ) adj ON adj.commission_due_id = cd.id
+       WHERE cd.customer_id = ANY($1)
+         AND NOT EXISTS (
+           SELECT 1 FROM commission_adjustments ca
+           WHERE ca.commission_due_id = cd.id
+             AND ca.reason = 'status_regression'
+             AND ca.status IN ('active', 'waived')
+         )`,
+      [customerIds]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Bulk insert clawbacks
+   * @param {Array} clawbacks - { commission_due_id, user_id, customer_id, reason, amount, previous_status, new_status, previous_amount, new_amount }
+   * @param {Object} client - Transaction client
+   * @returns {Array} Inserted rows
+   */
+  insertClawbacks: async (clawbacks, client) => {
+    if (clawbacks.length === 0) return [];
+
+    const values = [];
+    const placeholders = clawbacks.map((clawback, index) => {
+      const baseIndex = index * 9;
+      values.push(
+        clawback.commission_due_id,
+        clawback.user_id,
+        clawback.customer_id,
+        clawback.reason,
+        clawback.amount,
+        clawback.previous_status || null,
+        clawback.new_status || null,
+        clawback.previous_amount,
+        clawback.new_amount
+      );
+      return `($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}, $${baseIndex + 4}, $${baseIndex + 5}::NUMERIC,
+               $${baseIndex + 6}, $${baseIndex + 7}, $${baseIndex + 8}::NUMERIC, $${baseIndex + 9}::NUMERIC)`;
+    });
+
+    const result = await client.query(
+      `INSERT INTO commission_adjustments
+       (commission_due_id, user_id, customer_id, reason, amount, previous_status, new_status, previous_amount, new_amount)
+       VALUES ${placeholders.join(', ')}
+       RETURNING *`,
+      values
+    );
+    return result.rows;
+  },
+
+  /**
+   * Mark open clawbacks as reversed (the job was re-finalized or repriced back up)
+   * @param {Object} criteria - { customerIds?, commissionIds?, reason }
+   * @param {Object} client - Transaction client
+   * @returns {Array} Reversed rows with the status they had before reversal
+   */
+  reverseClawbacks: async ({ customerIds = null, commissionIds = null, reason }, client) => {
+    const result = await client.query(
+      `UPDATE commission_adjustments ca
+       SET status = 'reversed', reversed_at = CURRENT_TIMESTAMP
+       FROM commission_adjustments previous
+       WHERE ca.id = previous.id
+         AND ca.reason = $3
+         AND ca.status IN ('active', 'waived')
+         AND ($1::INTEGER[] IS NULL OR ca.customer_id = ANY($1))
+         AND ($2::INTEGER[] IS NULL OR ca.commission_due_id = ANY($2))
+       RETURNING ca.*, previous.status as previous_adjustment_status`,
+      [customerIds, commissionIds, reason]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Waive an active clawback
+   * @param {number} clawbackId - Clawback ID
+   * @param {Object} waiveData - { waived_by, waive_reason }
+   * @param {Object} client - Transaction client
+   * @returns {Object} Updated clawback, undefined if it was not active
+   */
+  waiveClawback: async (clawbackId, { waived_by = null, waive_reason = null }, client) => {
+    const result = await client.query(
+      `UPDATE commission_adjustments
+       SET status = 'waived', waived_at = CURRENT_TIMESTAMP, waived_by = $2, waive_reason = $3
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+      [clawbackId, waived_by, waive_reason]
+    );
+    return result.rows[0];
+  },
+
+  markNotified: async (clawbackIds) => {
+    try {
+      await db.query(
+        'UPDATE commission_adjustments SET notified_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+        [clawbackIds]
+      );
+    } catch (error) {
+      console.error('Error in markNotified:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = CommissionAdjustmentModel;
@@ -1,4 +1,6 @@
 const db = require('../config/db');
+const LedgerModel = require('./ledgerModel');
+const PaymentAllocationModel = require('./paymentAllocationModel');
 
 const CommissionModel = {
   // COMMISSION METHODS - Optimized with better error handling
@@ -52,23 +54,27 @@ const CommissionModel = {
     }
   },
 
-  addCommissionDue: async (commissionData) => {
+  addCommissionDue: async (commissionData, client = db) => {
     const { 
       user_id, 
       customer_id, 
       commission_amount, 
       build_date, 
       admin_modified = false,
-      is_paid = false
+      is_paid = false,
+      calculation_trace = null
     } = commissionData;
     
     try {
-      const result = await db.query(
+      const result = await client.query(
         `INSERT INTO commissions_due 
-         (user_id, customer_id, commission_amount, build_date, admin_modified, is_paid, updated_at) 
-         VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+         (user_id, customer_id, commission_amount, build_date, admin_modified, is_paid, calculation_trace, updated_at) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
          RETURNING *`,
-        [user_id, customer_id, commission_amount, build_date, admin_modified, is_paid]
+        [
+          user_id, customer_id, commission_amount, build_date, admin_modified, is_paid,
+          calculation_trace ? JSON.stringify(calculation_trace) : null
+        ]
       );
       return result.rows[0];
     } catch (error) {
@@ -77,10 +83,10 @@ const CommissionModel = {
     }
   },
 
-  updateCommissionDue: async (commissionId, commissionData) => {
+  updateCommissionDue: async (commissionId, commissionData, client = db) => {
     const { commission_amount, is_paid, build_date, admin_modified } = commissionData;
     try {
-      const result = await db.query(
+      const result = await client.query(
         `UPDATE commissions_due 
          SET commission_amount = $1, 
              is_paid = $2, 
@@ -98,9 +104,9 @@ const CommissionModel = {
     }
   },
 
-  deleteCommissionDue: async (commissionId) => {
+  deleteCommissionDue: async (commissionId, client = db) => {
     try {
-      const result = await db.query('DELETE FROM commissions_due WHERE id = $1 RETURNING *', [commissionId]);
+      const result = await client.query('DELETE FROM commissions_due WHERE id = $1 RETURNING *', [commissionId]);
       return result.rows[0];
     } catch (error) {
       console.error('Error in deleteCommissionDue:', error);
@@ -139,9 +145,11 @@ const CommissionModel = {
     }
   },
 
-  // OPTIMIZED: Simplified payment creation with upsert pattern
-  addPayment: async (paymentData) => {
-    const { user_id, amount, payment_type, check_number, payment_date, notes } = paymentData;
+  // Add a payment and post it to the ledger in one transaction
+  // Pass a client to run inside the caller's transaction (e.g. to allocate the payment too)
+  addPayment: async (paymentData, transactionClient = null) => {
+    const { user_id, amount, payment_type, check_number, payment_date, notes, created_by, payroll_run_id = null } = paymentData;
+    const client = transactionClient || await db.connect();
     
     try {
       // Format date properly
@@ -149,88 +157,101 @@ const CommissionModel = {
         ? payment_date.split('T')[0]
         : payment_date;
 
-      // Upsert user balance and add payment in single transaction
-      await db.query('BEGIN');
+      if (!transactionClient) await client.query('BEGIN');
 
-      // Ensure user_balance exists (upsert pattern)
-      await db.query(
-        `INSERT INTO user_balance (user_id, total_commissions_earned, total_payments_received, current_balance)
-         VALUES ($1, 0, 0, 0)
-         ON CONFLICT (user_id) DO NOTHING`,
-        [user_id]
-      );
-
-      // Add payment
-      const paymentResult = await db.query(
+      // Add payment - unallocated until it is applied to commissions
+      const paymentResult = await client.query(
         `INSERT INTO payments 
-         (user_id, amount, payment_type, check_number, payment_date, notes) 
-         VALUES ($1, $2, $3, $4, $5::date, $6)
+         (user_id, amount, payment_type, check_number, payment_date, notes, unallocated_amount, payroll_run_id) 
+         VALUES ($1, $2, $3, $4, $5::date, $6, $2, $7)
          RETURNING *`,
-        [user_id, amount, payment_type, check_number, formattedDate, notes]
-      );
-
-      // Update balance atomically
-      await db.query(
-        `UPDATE user_balance 
-         SET total_payments_received = total_payments_received + $1,
-             current_balance = total_commissions_earned - (total_payments_received + $1),
-             last_updated = CURRENT_TIMESTAMP
-         WHERE user_id = $2`,
-        [amount, user_id]
+        [user_id, amount, payment_type, check_number, formattedDate, notes, payroll_run_id]
       );
-
-      await db.query('COMMIT');
-      return paymentResult.rows[0];
+      const payment = paymentResult.rows[0];
+
+      // Post to the ledger - user_balance is rebuilt from it
+      await LedgerModel.postEntries([{
+        user_id,
+        entry_type: 'payment',
+        amount: payment.amount,
+        payment_id: payment.id,
+        description: `${payment_type} payment${check_number ? ` #${check_number}` : ''}`,
+        created_by
+      }], client);
+
+      if (!transactionClient) await client.query('COMMIT');
+      return payment;
       
     } catch (error) {
-      await db.query('ROLLBACK');
+      if (!transactionClient) await client.query('ROLLBACK');
       console.error('Error in addPayment:', error);
       throw error;
+    } finally {
+      if (!transactionClient) client.release();
     }
   },
 
-  // OPTIMIZED: Simplified payment update
+  // Update a payment; an amount change is posted to the ledger as a correction
   updatePayment: async (paymentId, paymentData) => {
-    const { amount, payment_type, check_number, notes } = paymentData;
+    const { amount, payment_type, check_number, notes, created_by } = paymentData;
+    const client = await db.connect();
     
     try {
-      await db.query('BEGIN');
+      await client.query('BEGIN');
 
-      // Get original amount and update in single query
-      const originalResult = await db.query(
-        `UPDATE payments 
-         SET amount = $2, payment_type = $3, check_number = $4, notes = $5
-         WHERE id = $1
-         RETURNING *, (SELECT amount FROM payments WHERE id = $1) as old_amount, user_id`,
-        [paymentId, amount, payment_type, check_number, notes]
+      const originalResult = await client.query(
+        'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+        [paymentId]
       );
 
       if (originalResult.rows.length === 0) {
         throw new Error('Payment not found');
       }
 
-      const { user_id, old_amount } = originalResult.rows[0];
-      const amountDifference = amount - (old_amount || 0);
+      const updatedResult = await client.query(
+        `UPDATE payments 
+         SET amount = $2, payment_type = $3, check_number = $4, notes = $5
+         WHERE id = $1
+         RETURNING *`,
+        [paymentId, amount, payment_type, check_number, notes]
+      );
+      let payment = updatedResult.rows[0];
+      const original = originalResult.rows[0];
+      const amountDifference = parseFloat(payment.amount) - parseFloat(original.amount);
 
-      // Update balance only if amount changed
+      // A larger payment adds credit; a smaller one gives back credit, then releases mappings
       if (amountDifference !== 0) {
-        await db.query(
-          `UPDATE user_balance 
-           SET total_payments_received = total_payments_received + $1,
-               current_balance = current_balance - $1,
-               last_updated = CURRENT_TIMESTAMP
-           WHERE user_id = $2`,
-          [amountDifference, user_id]
+        const unallocated = amountDifference > 0
+          ? parseFloat(original.unallocated_amount) + amountDifference
+          : await PaymentAllocationModel.releasePaymentAmount(original, -amountDifference, client);
+        payment = await PaymentAllocationModel.updatePaymentAllocation(
+          payment.id,
+          { unallocated_amount: unallocated },
+          client
         );
       }
 
-      await db.query('COMMIT');
-      return originalResult.rows[0];
+      // Post ledger correction only if amount changed
+      if (amountDifference !== 0) {
+        await LedgerModel.postEntries([{
+          user_id: payment.user_id,
+          entry_type: 'payment_change',
+          amount: amountDifference,
+          payment_id: payment.id,
+          description: 'Payment amount edited',
+          created_by
+        }], client);
+      }
+
+      await client.query('COMMIT');
+      return { ...payment, old_amount: original.amount };
       
     } catch (error) {
-      await db.query('ROLLBACK');
+      await client.query('ROLLBACK');
       console.error('Error in updatePayment:', error);
       throw error;
+    } finally {
+      client.release();
     }
   },
 
@@ -244,49 +265,50 @@ const CommissionModel = {
     }
   },
 
-  // OPTIMIZED: Parallel deletion with proper transaction handling
-  deletePayment: async (paymentId) => {
+  // Delete a payment and post the reversal to the ledger
+  // Pass a client to run inside the caller's transaction (e.g. voiding a payroll run)
+  deletePayment: async (paymentId, deletedBy = null, transactionClient = null, description = 'Payment deleted') => {
+    const client = transactionClient || await db.connect();
     try {
-      await db.query('BEGIN');
+      if (!transactionClient) await client.query('BEGIN');
 
-      // Get payment details first - this will fail if payment doesn't exist
-      const checkResult = await db.query(
-        `SELECT amount, user_id FROM payments WHERE id = $1`,
+      const mappings = await PaymentAllocationModel.getMappingsByPaymentId(paymentId, client);
+
+      // Mappings go with the payment (ON DELETE CASCADE)
+      const paymentResult = await client.query(
+        'DELETE FROM payments WHERE id = $1 RETURNING *',
         [paymentId]
       );
 
-      if (checkResult.rows.length === 0) {
-        await db.query('ROLLBACK');
+      if (paymentResult.rows.length === 0) {
         throw new Error('Payment not found or already deleted');
       }
 
-      const { amount, user_id } = checkResult.rows[0];
-
-      // Delete payment and mappings in parallel
-      const [paymentResult] = await Promise.all([
-        db.query(`DELETE FROM payments WHERE id = $1 RETURNING *`, [paymentId]),
-        db.query(`DELETE FROM payment_commission_mapping WHERE payment_id = $1`, [paymentId])
-      ]);
-
-      // Update balance only if payment was actually deleted
-      if (paymentResult.rows.length > 0) {
-        await db.query(
-          `UPDATE user_balance 
-           SET total_payments_received = total_payments_received - $1,
-               current_balance = current_balance + $1,
-               last_updated = CURRENT_TIMESTAMP
-           WHERE user_id = $2`,
-          [amount, user_id]
-        );
-      }
+      // Reopen the commissions this payment covered
+      await PaymentAllocationModel.refreshPaidFlags(
+        [...new Set(mappings.map(mapping => mapping.commission_due_id))],
+        client
+      );
 
-      await db.query('COMMIT');
-      return paymentResult.rows[0];
+      const payment = paymentResult.rows[0];
+      await LedgerModel.postEntries([{
+        user_id: payment.user_id,
+        entry_type: 'payment_deletion',
+        amount: -parseFloat(payment.amount),
+        payment_id: payment.id,
+        description,
+        created_by: deletedBy
+      }], client);
+
+      if (!transactionClient) await client.query('COMMIT');
+      return payment;
       
     } catch (error) {
-      await db.query('ROLLBACK');
+      if (!transactionClient) await client.query('ROLLBACK');
       console.error('Error in deletePayment:', error);
       throw error;
+    } finally {
+      if (!transactionClient) client.release();
     }
   },
 
@@ -426,36 +448,6 @@ const CommissionModel = {
     }
   },
   
-  addPaymentCommissionMapping: async (mappingData) => {
-    const { payment_id, commission_due_id, amount_applied } = mappingData;
-    try {
-      await db.query('BEGIN');
-
-      // Add mapping and update commission status in parallel
-      const [mappingResult] = await Promise.all([
-        db.query(
-          `INSERT INTO payment_commission_mapping 
-           (payment_id, commission_due_id, amount_applied) 
-           VALUES ($1, $2, $3) RETURNING *`,
-          [payment_id, commission_due_id, amount_applied]
-        ),
-        db.query(
-          `UPDATE commissions_due 
-           SET is_paid = true, updated_at = CURRENT_TIMESTAMP
-           WHERE id = $1`,
-          [commission_due_id]
-        )
-      ]);
-
-      await db.query('COMMIT');
-      return mappingResult.rows[0];
-    } catch (error) {
-      await db.query('ROLLBACK');
-      console.error('Error in addPaymentCommissionMapping:', error);
-      throw error;
-    }
-  },
-
   // BULK METHODS - For performance optimization
   checkExistingCommissions: async (customerId) => {
     try {
@@ -482,7 +474,8 @@ const CommissionModel = {
       const result = await db.query(
         `SELECT id, customer_name, status, total_job_price, initial_scope_price,
                 salesman_id, supplementer_id, manager_id, supplement_manager_id, 
-                referrer_id, build_date, lead_source, address, phone
+                referrer_id, build_date, lead_source, address, phone,
+                going_to_appraisal, jn_date_added, created_at
          FROM customers 
          WHERE id = ANY($1)
          ORDER BY id`,
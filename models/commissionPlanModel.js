@@ -0,0 +1,527 @@
+/**
+ * Commission Plan Model
+ * Handles database interactions for commission plans and their versions
+ * A version's rules are in force from effective_from up to (not including) effective_to
+ */
+
+const db = require('../config/db');
+const { AppError } = require('../utils/error');
+
+/**
+ * Refuse to take away the only default plan of a role, which users without an
+ * assignment fall back to
+ * Locks the role's plans until the transaction ends.
+ * @param {number} planId - Plan losing its default flag or being deleted
+ * @param {Object} client - Transaction client
+ */
+const assertNotLastDefault = async (planId, client) => {
+  const result = await client.query(
+    `SELECT id, is_default FROM commission_plans
+     WHERE role = (SELECT role FROM commission_plans WHERE id = $1)
+     FOR UPDATE`,
+    [planId]
+  );
+  const plan = result.rows.find(p => String(p.id) === String(planId));
+  const otherDefaults = result.rows.filter(p => p.is_default && p !== plan);
+
+  if (plan?.is_default && otherDefaults.length === 0) {
+    throw new AppError('This is the default plan for its role; make another plan the default first', 409);
+  }
+};
+
+const CommissionPlanModel = {
+  /**
+   * Get all plans with their versions, newest version first
+   * @returns {Array} Plans with a versions array
+   */
+  getAllPlans: async () => {
+    try {
+      const result = await db.query(
+        `SELECT cp.*,
+                COALESCE(
+                  json_agg(cpv ORDER BY cpv.effective_from DESC) FILTER (WHERE cpv.id IS NOT NULL),
+                  '[]'
+                ) as versions
+         FROM commission_plans cp
+         LEFT JOIN commission_plan_versions cpv ON cpv.plan_id = cp.id
+         GROUP BY cp.id
+         ORDER BY cp.role, cp.name`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAllPlans:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a single plan with its versions
+   * @param {number} planId - Plan ID
+   * @returns {Object} Plan with a versions array if found
+   */
+  getPlanById: async (planId) => {
+    try {
+      const result = await db.query(
+        `SELECT cp.*,
+                COALESCE(
+                  json_agg(cpv ORDER BY cpv.effective_from DESC) FILTER (WHERE cpv.id IS NOT NULL),
+                  '[]'
+                ) as versions
+         FROM commission_plans cp
+         LEFT JOIN commission_plan_versions cpv ON cpv.plan_id = cp.id
+         WHERE cp.id = $1
+         GROUP BY cp.id`,
+        [planId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getPlanById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a plan and its first version in one transaction
+   * @param {Object} planData - { name, role, description, is_default, effective_from, rules, notes }
+   * @returns {Object} Created plan with versions
+   */
+  createPlan: async (planData) => {
+    const { name, role, description = null, is_default = false, effective_from, rules, notes = null } = planData;
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Only one default plan per role
+      if (is_default) {
+        await client.query(
+          `UPDATE commission_plans SET is_default = FALSE, updated_at = CURRENT_TIMESTAMP
+           WHERE role = $1 AND is_default`,
+          [role]
+        );
+      }
+
+      const planResult = await client.query(
+        `INSERT INTO commission_plans (name, role, description, is_default)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [name, role, description, is_default]
+      );
+      const plan = planResult.rows[0];
+
+      const versionResult = await client.query(
+        `INSERT INTO commission_plan_versions (plan_id, version_number, effective_from, rules, notes)
+         VALUES ($1, 1, $2, $3, $4)
+         RETURNING *`,
+        [plan.id, effective_from, JSON.stringify(rules), notes]
+      );
+
+      await client.query('COMMIT');
+      return { ...plan, versions: versionResult.rows };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in createPlan:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Update plan metadata (rules are changed by adding a version)
+   * @param {number} planId - Plan ID
+   * @param {Object} planData - { name, description, is_default }
+   * @returns {Object} Updated plan record
+   */
+  updatePlan: async (planId, planData) => {
+    const { name, description, is_default } = planData;
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (is_default === true) {
+        await client.query(
+          `UPDATE commission_plans SET is_default = FALSE, updated_at = CURRENT_TIMESTAMP
+           WHERE is_default AND id != $1
+             AND role = (SELECT role FROM commission_plans WHERE id = $1)`,
+          [planId]
+        );
+      } else if (is_default === false) {
+        await assertNotLastDefault(planId, client);
+      }
+
+      const result = await client.query(
+        `UPDATE commission_plans
+         SET name = COALESCE($1, name),
+             description = COALESCE($2, description),
+             is_default = COALESCE($3, is_default),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [name, description, is_default, planId]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in updatePlan:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  deletePlan: async (planId) => {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+      await assertNotLastDefault(planId, client);
+
+      const result = await client.query('DELETE FROM commission_plans WHERE id = $1 RETURNING *', [planId]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in deletePlan:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Add a new version to a plan
+   * The currently open-ended version that starts before the new one is closed
+   * on the new version's effective_from so the ranges never overlap
+   * @param {number} planId - Plan ID
+   * @param {Object} versionData - { effective_from, effective_to, rules, notes }
+   * @returns {Object} Created version record
+   */
+  addPlanVersion: async (planId, versionData) => {
+    const { effective_from, effective_to = null, rules, notes = null } = versionData;
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the plan's versions so concurrent edits can't interleave
+      await client.query(
+        'SELECT id FROM commission_plan_versions WHERE plan_id = $1 FOR UPDATE',
+        [planId]
+      );
+
+      await client.query(
+        `UPDATE commission_plan_versions
+         SET effective_to = $2
+         WHERE plan_id = $1 AND effective_to IS NULL AND effective_from < $2`,
+        [planId, effective_from]
+      );
+
+      const overlapResult = await client.query(
+        `SELECT id, version_number FROM commission_plan_versions
+         WHERE plan_id = $1
+           AND effective_from < COALESCE($3::DATE, 'infinity'::DATE)
+           AND COALESCE(effective_to, 'infinity'::DATE) > $2::DATE`,
+        [planId, effective_from, effective_to]
+      );
+
+      if (overlapResult.rows.length > 0) {
+        const versions = overlapResult.rows.map(v => v.version_number).join(', ');
+        throw new AppError(`Version dates overlap existing version(s): ${versions}`, 409);
+      }
+
+      const result = await client.query(
+        `INSERT INTO commission_plan_versions (plan_id, version_number, effective_from, effective_to, rules, notes)
+         VALUES (
+           $1,
+           (SELECT COALESCE(MAX(version_number), 0) + 1 FROM commission_plan_versions WHERE plan_id = $1),
+           $2, $3, $4, $5
+         )
+         RETURNING *`,
+        [planId, effective_from, effective_to, JSON.stringify(rules), notes]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in addPlanVersion:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Update an existing version's rules, notes or end date
+   * Rules can only change before the version takes effect; after that add a new version.
+   * A new end date must not make the version overlap another one.
+   * @param {number} planId - Plan ID
+   * @param {number} versionId - Version ID
+   * @param {Object} versionData - { effective_to, rules, notes }
+   * @returns {Object} Updated version record
+   */
+  updatePlanVersion: async (planId, versionId, versionData) => {
+    const { effective_to, rules, notes } = versionData;
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the plan's versions so concurrent edits can't interleave
+      const versionsResult = await client.query(
+        `SELECT id, effective_from, effective_from > CURRENT_DATE as is_future
+         FROM commission_plan_versions WHERE plan_id = $1 FOR UPDATE`,
+        [planId]
+      );
+      const version = versionsResult.rows.find(v => String(v.id) === String(versionId));
+      if (!version) {
+        await client.query('ROLLBACK');
+        return undefined;
+      }
+
+      if (rules && !version.is_future) {
+        throw new AppError('Rules of a version already in force cannot be changed; add a new version instead', 409);
+      }
+
+      if (effective_to !== undefined) {
+        const endResult = await client.query(
+          `SELECT COALESCE($2::DATE, 'infinity'::DATE) > $1::DATE as after_start,
+                  ARRAY(
+                    SELECT version_number FROM commission_plan_versions
+                    WHERE plan_id = $3 AND id != $4
+                      AND effective_from < COALESCE($2::DATE, 'infinity'::DATE)
+                      AND COALESCE(effective_to, 'infinity'::DATE) > $1::DATE
+                  ) as overlapping`,
+          [version.effective_from, effective_to || null, planId, versionId]
+        );
+        const { after_start, overlapping } = endResult.rows[0];
+
+        if (!after_start) {
+          throw new AppError('effective_to must be after the version\'s effective_from', 400);
+        }
+        if (overlapping.length > 0) {
+          throw new AppError(`Version dates overlap existing version(s): ${overlapping.join(', ')}`, 409);
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE commission_plan_versions
+         SET effective_to = CASE WHEN $3 THEN $4::DATE ELSE effective_to END,
+             rules = COALESCE($5, rules),
+             notes = COALESCE($6, notes)
+         WHERE plan_id = $1 AND id = $2
+         RETURNING *`,
+        [
+          planId,
+          versionId,
+          effective_to !== undefined,
+          effective_to || null,
+          rules ? JSON.stringify(rules) : null,
+          notes
+        ]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in updatePlanVersion:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  deletePlanVersion: async (planId, versionId) => {
+    try {
+      const result = await db.query(
+        'DELETE FROM commission_plan_versions WHERE plan_id = $1 AND id = $2 RETURNING *',
+        [planId, versionId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in deletePlanVersion:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get every version of the default plan for a role
+   * Used by the plan service, which resolves the version by date in memory
+   * @param {string} role - User role
+   * @returns {Array} Versions with the plan name attached
+   */
+  getDefaultPlanVersionsByRole: async (role) => {
+    try {
+      const result = await db.query(
+        `SELECT cpv.*, cp.name as plan_name, cp.role
+         FROM commission_plan_versions cpv
+         JOIN commission_plans cp ON cpv.plan_id = cp.id
+         WHERE cp.role = $1 AND cp.is_default
+         ORDER BY cpv.effective_from DESC`,
+        [role]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getDefaultPlanVersionsByRole:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get every version of a specific plan
+   * @param {number} planId - Plan ID
+   * @returns {Array} Versions with the plan name attached
+   */
+  getPlanVersionsByPlanId: async (planId) => {
+    try {
+      const result = await db.query(
+        `SELECT cpv.*, cp.name as plan_name, cp.role
+         FROM commission_plan_versions cpv
+         JOIN commission_plans cp ON cpv.plan_id = cp.id
+         WHERE cp.id = $1
+         ORDER BY cpv.effective_from DESC`,
+        [planId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getPlanVersionsByPlanId:', error);
+      throw error;
+    }
+  },
+
+  // ASSIGNMENT METHODS - Per-user plans and rule overrides
+
+  /**
+   * Get all plan assignments, optionally for one user
+   * @param {number} userId - Optional user filter
+   * @returns {Array} Assignments with plan name and role
+   */
+  getAssignments: async (userId = null) => {
+    try {
+      const result = await db.query(
+        `SELECT a.*, cp.name as plan_name, cp.role as plan_role, u.name as user_name, u.role as user_role
+         FROM user_commission_plan_assignments a
+         JOIN users u ON a.user_id = u.id
+         LEFT JOIN commission_plans cp ON a.plan_id = cp.id
+         WHERE $1::INTEGER IS NULL OR a.user_id = $1
+         ORDER BY u.name, a.start_date DESC`,
+        [userId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAssignments:', error);
+      throw error;
+    }
+  },
+
+  getAssignmentById: async (assignmentId) => {
+    try {
+      const result = await db.query(
+        `SELECT a.*, cp.name as plan_name, cp.role as plan_role
+         FROM user_commission_plan_assignments a
+         LEFT JOIN commission_plans cp ON a.plan_id = cp.id
+         WHERE a.id = $1`,
+        [assignmentId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getAssignmentById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create or update an assignment, rejecting date ranges that overlap
+   * another assignment for the same user
+   * @param {Object} assignmentData - { id?, user_id, plan_id, rule_overrides, start_date, end_date, notes }
+   * @returns {Object} Saved assignment record
+   */
+  saveAssignment: async (assignmentData) => {
+    const {
+      id = null,
+      user_id,
+      plan_id = null,
+      rule_overrides = null,
+      start_date,
+      end_date = null,
+      notes = null
+    } = assignmentData;
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialize assignment edits for the user so two overlapping ranges can't both pass the check
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [user_id]);
+
+      const overlapResult = await client.query(
+        `SELECT id FROM user_commission_plan_assignments
+         WHERE user_id = $1
+           AND ($2::INTEGER IS NULL OR id != $2)
+           AND start_date < COALESCE($4::DATE, 'infinity'::DATE)
+           AND COALESCE(end_date, 'infinity'::DATE) > $3::DATE`,
+        [user_id, id, start_date, end_date]
+      );
+
+      if (overlapResult.rows.length > 0) {
+        throw new AppError('Assignment dates overlap an existing assignment for this user', 409);
+      }
+
+      const values = [
+        user_id,
+        plan_id,
+        rule_overrides ? JSON.stringify(rule_overrides) : null,
+        start_date,
+        end_date,
+        notes
+      ];
+
+      const result = id
+        ? await client.query(
+          `UPDATE user_commission_plan_assignments
+           SET user_id = $1, plan_id = $2, rule_overrides = $3, start_date = $4,
+               end_date = $5, notes = $6, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $7
+           RETURNING *`,
+          [...values, id]
+        )
+        : await client.query(
+          `INSERT INTO user_commission_plan_assignments
+           (user_id, plan_id, rule_overrides, start_date, end_date, notes)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          values
+        );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in saveAssignment:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  deleteAssignment: async (assignmentId) => {
+    try {
+      const result = await db.query(
+        'DELETE FROM user_commission_plan_assignments WHERE id = $1 RETURNING *',
+        [assignmentId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in deleteAssignment:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = CommissionPlanModel;
@@ -5,6 +5,37 @@
  */
 
 const db = require('../config/db');
+const CustomerStatusHistoryModel = require('./customerStatusHistoryModel');
+const LedgerModel = require('./ledgerModel');
+const PaymentAllocationModel = require('./paymentAllocationModel');
+
+/**
+ * Status transitions between customers' previous statuses and their saved rows
+ * @param {Map} previousStatusById - customer ID -> status before the write
+ * @param {Array} savedCustomers - Rows returned by the write
+ * @param {Object} context - { source, changedBy }
+ */
+const toStatusTransitions = (previousStatusById, savedCustomers, { source, changedBy = null }) =>
+  savedCustomers
+    .filter(customer => !previousStatusById.has(customer.id) || previousStatusById.get(customer.id) !== customer.status)
+    .map(customer => ({
+      customer_id: customer.id,
+      from_status: previousStatusById.get(customer.id) ?? null,
+      to_status: customer.status,
+      source,
+      changed_by: changedBy
+    }));
+
+// An assignment correction made here that JobNimbus hasn't confirmed yet; until it has,
+// the sync keeps our assignment instead of reverting it to JobNimbus's
+const ASSIGNMENT_PUSH_OPEN = `EXISTS (
+  SELECT 1 FROM jobnimbus_outbound_queue q
+  WHERE q.customer_id = customers.id AND q.change_type = 'assignment'
+    AND q.status IN ('pending', 'processing', 'conflict', 'failed')
+)`;
+
+const keepAssignmentWhilePushing = (column) =>
+  `${column} = CASE WHEN ${ASSIGNMENT_PUSH_OPEN} THEN customers.${column} ELSE EXCLUDED.${column} END`;
 
 const CustomerModel = {
   /**
@@ -12,10 +43,18 @@ const CustomerModel = {
    * Maintains unique constraint on customer_name
    * Updates all fields and timestamps efficiently
    * @param {Object} customer - Customer data object
+   * @param {Object} context - { source, changedBy } recorded with any status change
    * @returns {Object} Created or updated customer record
    */
-  upsertCustomer: async (customer) => {
+  upsertCustomer: async (customer, { source = 'manual', changedBy = null } = {}) => {
+    const client = await db.connect();
     try {
+      await client.query('BEGIN');
+      const previous = await client.query(
+        'SELECT id, status FROM customers WHERE jnid = $1 FOR UPDATE',
+        [customer.jnid?.toString() || null]
+      );
+
       const query = `
         INSERT INTO customers (
           jnid, customer_name, address, phone, salesman_id, supplementer_id, 
@@ -68,27 +107,49 @@ const CustomerModel = {
         customer.going_to_appraisal ? Boolean(customer.going_to_appraisal) : false
       ];
 
-      const result = await db.query(query, values);
+      const result = await client.query(query, values);
+      await CustomerStatusHistoryModel.recordTransitions(
+        toStatusTransitions(new Map(previous.rows.map(row => [row.id, row.status])), result.rows, { source, changedBy }),
+        client
+      );
+      await client.query('COMMIT');
       return result.rows[0];
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error in upsertCustomer:', error);
       throw error;
+    } finally {
+      client.release();
     }
   },
 
   /**
    * OPTIMIZED: Bulk upsert for multiple customers with transaction support
    * @param {Array} customers - Array of customer objects
+   * @param {Object} transactionClient - Run inside the caller's transaction (e.g. the sync's)
+   * @param {Object} context - { source: 'sync' | 'webhook', changedBy } recorded with status changes
    * @returns {Array} Created or updated customer records
    */
-  bulkUpsertCustomers: async (customers) => {
+  bulkUpsertCustomers: async (customers, transactionClient = null, { source = 'sync', changedBy = null } = {}) => {
     if (!customers || customers.length === 0) return [];
     
-    const client = await db.connect();
+    const client = transactionClient || await db.connect();
     try {
-      await client.query('BEGIN');
+      if (!transactionClient) await client.query('BEGIN');
       
       const upsertedCustomers = [];
+
+      // Statuses before the upsert, locked, to record transitions against
+      const previousResult = await client.query(
+        `SELECT id, status FROM customers
+         WHERE jnid = ANY($1) OR (jnid IS NULL AND customer_name = ANY($2))
+         FOR UPDATE`,
+        [
+          customers.filter(customer => customer.jnid).map(customer => customer.jnid),
+          customers.filter(customer => !customer.jnid).map(customer => customer.name)
+        ]
+      );
+      const previousStatusById = new Map(previousResult.rows.map(row => [row.id, row.status]));
       
       // Process customers in batches
       const BATCH_SIZE = 100;
@@ -137,12 +198,13 @@ const CustomerModel = {
           const jnidPlaceholders = [];
           
           customersWithJnid.forEach((customer, index) => {
-            const baseIndex = index * 15;
+            const baseIndex = index * 17;
             jnidPlaceholders.push(`(
               $${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}, $${baseIndex + 4}, 
               $${baseIndex + 5}, $${baseIndex + 6}, $${baseIndex + 7}, $${baseIndex + 8}, 
               $${baseIndex + 9}, $${baseIndex + 10}, $${baseIndex + 11}, $${baseIndex + 12}, 
-              $${baseIndex + 13}, $${baseIndex + 14}, $${baseIndex + 15}
+              $${baseIndex + 13}, $${baseIndex + 14}, $${baseIndex + 15}, $${baseIndex + 16},
+              $${baseIndex + 17}
             )`);
             
             jnidValues.push(
@@ -160,7 +222,9 @@ const CustomerModel = {
               customer.lead_source,
               customer.referrer_id,
               customer.build_date,
-              customer.going_to_appraisal
+              customer.going_to_appraisal,
+              customer.jn_date_updated ?? null,
+              customer.jn_date_added ?? null
             );
           });
 
@@ -168,7 +232,8 @@ const CustomerModel = {
             INSERT INTO customers (
               jnid, customer_name, address, phone, salesman_id, supplementer_id, 
               manager_id, supplement_manager_id, status, initial_scope_price, 
-              total_job_price, lead_source, referrer_id, build_date, going_to_appraisal
+              total_job_price, lead_source, referrer_id, build_date, going_to_appraisal,
+              jn_date_updated, jn_date_added
             )
             VALUES ${jnidPlaceholders.join(', ')}
             ON CONFLICT (jnid) 
@@ -176,17 +241,19 @@ const CustomerModel = {
               customer_name = EXCLUDED.customer_name,
               address = EXCLUDED.address,
               phone = EXCLUDED.phone,
-              salesman_id = EXCLUDED.salesman_id,
-              supplementer_id = EXCLUDED.supplementer_id,
-              manager_id = EXCLUDED.manager_id,
-              supplement_manager_id = EXCLUDED.supplement_manager_id,
+              ${keepAssignmentWhilePushing('salesman_id')},
+              ${keepAssignmentWhilePushing('supplementer_id')},
+              ${keepAssignmentWhilePushing('manager_id')},
+              ${keepAssignmentWhilePushing('supplement_manager_id')},
               status = EXCLUDED.status,
               initial_scope_price = EXCLUDED.initial_scope_price,
               total_job_price = EXCLUDED.total_job_price,
               lead_source = EXCLUDED.lead_source,
-              referrer_id = EXCLUDED.referrer_id,
+              ${keepAssignmentWhilePushing('referrer_id')},
               build_date = EXCLUDED.build_date,
               going_to_appraisal = EXCLUDED.going_to_appraisal,
+              jn_date_updated = GREATEST(customers.jn_date_updated, EXCLUDED.jn_date_updated),
+              jn_date_added = COALESCE(EXCLUDED.jn_date_added, customers.jn_date_added),
               last_updated_at = CURRENT_TIMESTAMP,
               status_changed = CASE 
                 WHEN EXCLUDED.status != customers.status THEN CURRENT_TIMESTAMP 
@@ -247,28 +314,34 @@ const CustomerModel = {
         }
       }
       
-      await client.query('COMMIT');
+      await CustomerStatusHistoryModel.recordTransitions(
+        toStatusTransitions(previousStatusById, upsertedCustomers, { source, changedBy }),
+        client
+      );
+
+      if (!transactionClient) await client.query('COMMIT');
       console.log(`Successfully upserted ${upsertedCustomers.length} customers`);
       return upsertedCustomers;
       
     } catch (error) {
-      await client.query('ROLLBACK');
+      if (!transactionClient) await client.query('ROLLBACK');
       console.error('Error in bulk upsert customers:', error);
       throw error;
     } finally {
-      client.release();
+      if (!transactionClient) client.release();
     }
   },
 
   /**
    * OPTIMIZED: Retrieves all customers with related data using efficient joins
    * Includes user associations and commission information
-   * @param {Object} options - Query options (limit, offset, status filter)
+   * @param {Object} options - Query options (limit, offset, status filter,
+   *   userIds: only customers assigned to one of these users)
    * @returns {Array} All customers with related data
    */
   getAllCustomers: async (options = {}) => {
     try {
-      const { limit = 1000, offset = 0, status, userId } = options;
+      const { limit = 1000, offset = 0, status, userId, userIds } = options;
       
       let whereClause = '';
       let values = [];
@@ -292,6 +365,13 @@ const CustomerModel = {
         paramIndex++;
       }
 
+      // Limit to the customers of the users in the caller's scope
+      if (userIds) {
+        whereClause += `${whereClause ? ' AND' : ' WHERE'} (c.salesman_id = ANY($${paramIndex}) OR c.supplementer_id = ANY($${paramIndex}) OR c.manager_id = ANY($${paramIndex}) OR c.supplement_manager_id = ANY($${paramIndex}) OR c.referrer_id = ANY($${paramIndex}))`;
+        values.push(userIds);
+        paramIndex++;
+      }
+
       // Add pagination
       values.push(limit, offset);
 
@@ -356,12 +436,12 @@ const CustomerModel = {
    * OPTIMIZED: Fast customer search with full-text search and indexing
    * @param {string} query - Search term
    * @param {number} userId - User performing the search
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options (includeAll, userIds: only customers assigned to one of these users)
    * @returns {Array} Matching customer records
    */
   searchCustomersByQuery: async (query, userId, options = {}) => {
     try {
-      const { includeAll = false } = options;
+      const { includeAll = false, userIds } = options;
       const searchTerm = `%${query.toLowerCase()}%`;
       
       let whereClause = `WHERE LOWER(c.customer_name) LIKE $1`;
@@ -372,6 +452,13 @@ const CustomerModel = {
       if (userId && !includeAll) {
         whereClause += ` AND (c.salesman_id = $${paramIndex} OR c.supplementer_id = $${paramIndex} OR c.manager_id = $${paramIndex} OR c.supplement_manager_id = $${paramIndex} OR c.referrer_id = $${paramIndex})`;
         values.push(userId);
+        paramIndex++;
+      }
+
+      // Limit to the customers of the users in the caller's scope
+      if (userIds) {
+        whereClause += ` AND (c.salesman_id = ANY($${paramIndex}) OR c.supplementer_id = ANY($${paramIndex}) OR c.manager_id = ANY($${paramIndex}) OR c.supplement_manager_id = ANY($${paramIndex}) OR c.referrer_id = ANY($${paramIndex}))`;
+        values.push(userIds);
       }
 
       const sqlQuery = `
@@ -445,6 +532,7 @@ const CustomerModel = {
           c.status_changed,
           c.created_at,
           c.going_to_appraisal,
+          c.jn_date_added,
           u1.name as salesman_name,
           u2.name as supplementer_name,
           u3.name as manager_name,
@@ -477,7 +565,7 @@ const CustomerModel = {
         GROUP BY c.id, c.customer_name, c.address, c.phone, c.salesman_id, c.supplementer_id, 
                  c.manager_id, c.supplement_manager_id, c.referrer_id, c.status, 
                  c.initial_scope_price, c.total_job_price, c.lead_source, c.build_date, 
-                 c.last_updated_at, c.status_changed, c.created_at, c.going_to_appraisal,
+                 c.last_updated_at, c.status_changed, c.created_at, c.going_to_appraisal, c.jn_date_added,
                  u1.name, u2.name, u3.name, u4.name, u5.name;
       `;
       
@@ -520,6 +608,7 @@ const CustomerModel = {
           c.status_changed,
           c.created_at,
           c.going_to_appraisal,
+          c.jn_date_added,
           u1.name as salesman_name,
           u2.name as supplementer_name,
           u3.name as manager_name,
@@ -547,10 +636,15 @@ const CustomerModel = {
    * OPTIMIZED: Update customer status with proper tracking
    * @param {number} id - Customer ID
    * @param {string} status - New status
+   * @param {number} changedBy - User making the change, recorded in the status history
    * @returns {Object} Updated customer record
    */
-  updateCustomerStatus: async (id, status) => {
+  updateCustomerStatus: async (id, status, changedBy = null) => {
+    const client = await db.connect();
     try {
+      await client.query('BEGIN');
+      const previous = await client.query('SELECT id, status FROM customers WHERE id = $1 FOR UPDATE', [id]);
+
       const query = `
         UPDATE customers 
         SET 
@@ -564,38 +658,104 @@ const CustomerModel = {
         RETURNING *;
       `;
       
-      const result = await db.query(query, [id, status]);
+      const result = await client.query(query, [id, status]);
+      await CustomerStatusHistoryModel.recordTransitions(
+        toStatusTransitions(
+          new Map(previous.rows.map(row => [row.id, row.status])),
+          result.rows,
+          { source: 'manual', changedBy }
+        ),
+        client
+      );
+      await client.query('COMMIT');
       return result.rows[0];
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error in updateCustomerStatus:', error);
       throw error;
+    } finally {
+      client.release();
     }
   },
 
   /**
-   * OPTIMIZED: Safe customer deletion with cascade handling
+   * Correct who is assigned to a customer, inside the caller's transaction
+   * @param {number} id - Customer ID
+   * @param {Object} assignments - { salesman_id, supplementer_id, manager_id, supplement_manager_id, referrer_id }
+   * @param {Object} client - Transaction client
+   * @returns {Object} Updated customer record
+   */
+  updateAssignments: async (id, assignments, client) => {
+    const result = await client.query(
+      `UPDATE customers SET
+         salesman_id = $2,
+         supplementer_id = $3,
+         manager_id = $4,
+         supplement_manager_id = $5,
+         referrer_id = $6,
+         last_updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        assignments.salesman_id,
+        assignments.supplementer_id,
+        assignments.manager_id,
+        assignments.supplement_manager_id,
+        assignments.referrer_id
+      ]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Delete a customer and their commissions in one transaction
+   * Commissions are reversed in the ledger and payments applied to them get the amount back as credit.
    * @param {number} id - Customer ID to delete
+   * @param {Object} options - { deletedBy: user ID recorded on the ledger reversals }
    * @returns {Object} Deleted customer record
    */
-  deleteCustomer: async (id) => {
+  deleteCustomer: async (id, { deletedBy = null } = {}) => {
+    const client = await db.connect();
     try {
-      await db.query('BEGIN');
+      await client.query('BEGIN');
+
+      // Active clawbacks were already deducted, so only the net credited amount is reversed
+      const commissionsResult = await client.query(`
+        SELECT cd.id, cd.user_id, cd.commission_amount + COALESCE(SUM(ca.amount), 0) as net_amount
+        FROM commissions_due cd
+        LEFT JOIN commission_adjustments ca ON ca.commission_due_id = cd.id AND ca.status = 'active'
+        WHERE cd.customer_id = $1
+        GROUP BY cd.id
+      `, [id]);
+
+      await LedgerModel.postEntries(commissionsResult.rows.map(commission => ({
+        user_id: commission.user_id,
+        entry_type: 'commission_deletion',
+        amount: -parseFloat(commission.net_amount),
+        commission_due_id: commission.id,
+        description: 'Commission removed with its customer',
+        created_by: deletedBy
+      })), client);
+
+      // Payments (and draws) applied to these commissions get the amount back as credit
+      await PaymentAllocationModel.returnMappingsToCredit(commissionsResult.rows.map(commission => commission.id), client);
 
       // Delete related records first (in correct order)
-      await Promise.all([
-        db.query('DELETE FROM payment_commission_mapping WHERE commission_due_id IN (SELECT id FROM commissions_due WHERE customer_id = $1)', [id]),
-        db.query('DELETE FROM commissions_due WHERE customer_id = $1', [id])
-      ]);
+      await client.query('DELETE FROM payment_commission_mapping WHERE commission_due_id IN (SELECT id FROM commissions_due WHERE customer_id = $1)', [id]);
+      await client.query('DELETE FROM commissions_due WHERE customer_id = $1', [id]);
 
       // Delete the customer
-      const result = await db.query('DELETE FROM customers WHERE id = $1 RETURNING *', [id]);
+      const result = await client.query('DELETE FROM customers WHERE id = $1 RETURNING *', [id]);
       
-      await db.query('COMMIT');
+      await client.query('COMMIT');
       return result.rows[0];
     } catch (error) {
-      await db.query('ROLLBACK');
+      await client.query('ROLLBACK');
       console.error('Error in deleteCustomer:', error);
       throw error;
+    } finally {
+      client.release();
     }
   },
 
@@ -0,0 +1,115 @@
+/**
+ * Customer Status History Model
+ * Every customer status transition, for stage timing, finalized dates and reporting
+ */
+
+const db = require('../config/db');
+
+const CustomerStatusHistoryModel = {
+  /**
+   * Record status transitions, inside the caller's transaction when a client is given
+   * @param {Array} transitions - { customer_id, from_status, to_status, source, changed_by }
+   * @param {Object} client - Transaction client
+   * @returns {Array} Rows written
+   */
+  recordTransitions: async (transitions, client = db) => {
+    if (transitions.length === 0) return [];
+
+    const result = await client.query(
+      `INSERT INTO customer_status_history (customer_id, from_status, to_status, source, changed_by)
+       SELECT * FROM UNNEST($1::INTEGER[], $2::VARCHAR[], $3::VARCHAR[], $4::VARCHAR[], $5::INTEGER[])
+       RETURNING *`,
+      [
+        transitions.map(t => t.customer_id),
+        transitions.map(t => t.from_status ?? null),
+        transitions.map(t => t.to_status),
+        transitions.map(t => t.source),
+        transitions.map(t => t.changed_by ?? null)
+      ]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Get a customer's transitions, oldest first, with how long each status lasted
+   * The current status has no left_at; its days_in_status runs to now
+   * @param {number} customerId - Customer ID
+   */
+  getHistory: async (customerId) => {
+    try {
+      const result = await db.query(
+        `SELECT h.*, u.name as changed_by_name,
+                LEAD(h.changed_at) OVER (ORDER BY h.changed_at, h.id) as left_at,
+                ROUND(EXTRACT(EPOCH FROM (
+                  COALESCE(LEAD(h.changed_at) OVER (ORDER BY h.changed_at, h.id), CURRENT_TIMESTAMP) - h.changed_at
+                )) / 86400, 2) as days_in_status
+         FROM customer_status_history h
+         LEFT JOIN users u ON h.changed_by = u.id
+         WHERE h.customer_id = $1
+         ORDER BY h.changed_at, h.id`,
+        [customerId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getHistory:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * When each customer last became Finalized
+   * @param {Array} customerIds - Customer IDs
+   * @param {Object} client - Transaction client, to see transitions recorded earlier in it
+   * @returns {Map} customer_id -> finalized date
+   */
+  getFinalizedDates: async (customerIds, client = db) => {
+    if (customerIds.length === 0) return new Map();
+
+    const result = await client.query(
+      `SELECT customer_id, MAX(changed_at) as finalized_at
+       FROM customer_status_history
+       WHERE customer_id = ANY($1) AND to_status = 'Finalized'
+       GROUP BY customer_id`,
+      [customerIds]
+    );
+    return new Map(result.rows.map(row => [row.customer_id, row.finalized_at]));
+  },
+
+  /**
+   * How long customers spend in each status
+   * Counts every stay that started in the date range, including ones still going
+   * @param {Object} filters - { start_date, end_date }
+   * @returns {Array} { status, stays, still_in_status, avg_days, median_days, max_days }
+   */
+  getStageDurations: async ({ start_date = null, end_date = null } = {}) => {
+    try {
+      const result = await db.query(
+        `WITH stays AS (
+           SELECT h.to_status as status, h.changed_at,
+                  LEAD(h.changed_at) OVER (PARTITION BY h.customer_id ORDER BY h.changed_at, h.id) as left_at
+           FROM customer_status_history h
+         )
+         SELECT status,
+                COUNT(*) as stays,
+                COUNT(*) FILTER (WHERE left_at IS NULL) as still_in_status,
+                ROUND(AVG(EXTRACT(EPOCH FROM (COALESCE(left_at, CURRENT_TIMESTAMP) - changed_at)) / 86400)::NUMERIC, 2) as avg_days,
+                ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (
+                  ORDER BY EXTRACT(EPOCH FROM (COALESCE(left_at, CURRENT_TIMESTAMP) - changed_at)) / 86400
+                ))::NUMERIC, 2) as median_days,
+                ROUND(MAX(EXTRACT(EPOCH FROM (COALESCE(left_at, CURRENT_TIMESTAMP) - changed_at)) / 86400)::NUMERIC, 2) as max_days
+         FROM stays
+         WHERE ($1::DATE IS NULL OR changed_at >= $1::DATE)
+           AND ($2::DATE IS NULL OR changed_at < $2::DATE + 1)
+         GROUP BY status
+         ORDER BY status`,
+        [start_date, end_date]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getStageDurations:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = CustomerStatusHistoryModel;
@@ -0,0 +1,183 @@
+/**
+ * Draw Model
+ * Draws are advances paid out as payments and recovered from later commissions.
+ * The draw's payment carries the money: amount is what was advanced,
+ * unallocated_amount is what is still to be recovered, and its
+ * payment_commission_mapping rows are the recoveries.
+ */
+
+const db = require('../config/db');
+
+const DRAW_SELECT = `
+  SELECT d.*, u.name as user_name,
+         p.amount, p.payment_type, p.payment_date, p.check_number,
+         p.unallocated_amount as outstanding_amount,
+         p.amount - p.unallocated_amount as recovered_amount,
+         CASE WHEN p.unallocated_amount > 0 THEN 'active' ELSE 'recovered' END as status
+  FROM draws d
+  JOIN payments p ON d.payment_id = p.id
+  JOIN users u ON d.user_id = u.id`;
+
+const DrawModel = {
+  createDraw: async ({ payment_id, user_id, recovery_method, recovery_percentage = null, recovery_amount_per_period = null, notes = null, created_by = null }, client) => {
+    const result = await client.query(
+      `INSERT INTO draws
+       (payment_id, user_id, recovery_method, recovery_percentage, recovery_amount_per_period, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [payment_id, user_id, recovery_method, recovery_percentage, recovery_amount_per_period, notes, created_by]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get draws, newest first
+   * @param {Object} filters - { user_id, status: 'active' | 'recovered' }
+   */
+  getDraws: async ({ user_id = null, status = null } = {}) => {
+    try {
+      const result = await db.query(
+        `${DRAW_SELECT}
+         WHERE ($1::INTEGER IS NULL OR d.user_id = $1)
+           AND ($2::VARCHAR IS NULL
+                OR ($2 = 'active' AND p.unallocated_amount > 0)
+                OR ($2 = 'recovered' AND p.unallocated_amount <= 0))
+         ORDER BY p.payment_date DESC, d.id DESC`,
+        [user_id, status]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getDraws:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a draw with the commissions it has been recovered from
+   * @param {number} drawId - Draw ID
+   * @returns {Object} Draw with recoveries
+   */
+  getDrawById: async (drawId) => {
+    try {
+      const drawResult = await db.query(`${DRAW_SELECT} WHERE d.id = $1`, [drawId]);
+      const draw = drawResult.rows[0];
+      if (!draw) return undefined;
+
+      const recoveriesResult = await db.query(
+        `SELECT pcm.id, pcm.commission_due_id, pcm.amount_applied, pcm.created_at,
+                cd.commission_amount, cd.build_date, c.customer_name
+         FROM payment_commission_mapping pcm
+         JOIN commissions_due cd ON pcm.commission_due_id = cd.id
+         LEFT JOIN customers c ON cd.customer_id = c.id
+         WHERE pcm.payment_id = $1
+         ORDER BY pcm.created_at ASC, pcm.id ASC`,
+        [draw.payment_id]
+      );
+
+      return { ...draw, recoveries: recoveriesResult.rows };
+    } catch (error) {
+      console.error('Error in getDrawById:', error);
+      throw error;
+    }
+  },
+
+  updateRecoveryTerms: async (drawId, { recovery_method, recovery_percentage = null, recovery_amount_per_period = null }) => {
+    try {
+      const result = await db.query(
+        `UPDATE draws
+         SET recovery_method = $2, recovery_percentage = $3, recovery_amount_per_period = $4,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [drawId, recovery_method, recovery_percentage, recovery_amount_per_period]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in updateRecoveryTerms:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get users' draws that still have an amount to recover, oldest first
+   * The draw payments are locked for the recovery that follows
+   * @param {Array} userIds - User IDs
+   * @param {Object} client - Transaction client
+   */
+  getActiveDrawsForUsers: async (userIds, client) => {
+    if (userIds.length === 0) return [];
+
+    const result = await client.query(
+      `SELECT d.*, p.unallocated_amount as outstanding_amount, p.payment_date
+       FROM draws d
+       JOIN payments p ON d.payment_id = p.id
+       WHERE d.user_id = ANY($1) AND p.unallocated_amount > 0
+       ORDER BY p.payment_date ASC, d.id ASC
+       FOR UPDATE OF p`,
+      [userIds]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Period used by fixed-per-period recovery for a build date: the pay period
+   * containing it, or its calendar month when no pay period does
+   * @param {Date|string} buildDate - Commission build date
+   * @param {Object} client - Transaction client
+   * @returns {Object} { start_date, end_date } (inclusive)
+   */
+  getRecoveryPeriod: async (buildDate, client) => {
+    const result = await client.query(
+      `SELECT COALESCE(pp.start_date, DATE_TRUNC('month', $1::DATE)::DATE) as start_date,
+              COALESCE(pp.end_date, (DATE_TRUNC('month', $1::DATE) + INTERVAL '1 month - 1 day')::DATE) as end_date
+       FROM (SELECT 1) one
+       LEFT JOIN pay_periods pp ON $1::DATE BETWEEN pp.start_date AND pp.end_date`,
+      [buildDate]
+    );
+    return result.rows[0];
+  },
+
+  // Amount a draw has recovered from commissions built within a period
+  getRecoveredInPeriod: async (paymentId, { start_date, end_date }, client) => {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(pcm.amount_applied), 0) as total
+       FROM payment_commission_mapping pcm
+       JOIN commissions_due cd ON pcm.commission_due_id = cd.id
+       WHERE pcm.payment_id = $1
+         AND cd.build_date >= $2::DATE
+         AND cd.build_date < $3::DATE + 1`,
+      [paymentId, start_date, end_date]
+    );
+    return parseFloat(result.rows[0].total);
+  },
+
+  /**
+   * Outstanding draw balances per user
+   * @returns {Array} { user_id, user_name, draw_count, active_draw_count, total_drawn, total_recovered, outstanding_balance }
+   */
+  getOutstandingByUser: async () => {
+    try {
+      const result = await db.query(
+        `SELECT d.user_id, u.name as user_name, u.role,
+                COUNT(d.id) as draw_count,
+                COUNT(d.id) FILTER (WHERE p.unallocated_amount > 0) as active_draw_count,
+                SUM(p.amount) as total_drawn,
+                SUM(p.amount - p.unallocated_amount) as total_recovered,
+                SUM(p.unallocated_amount) as outstanding_balance,
+                MIN(p.payment_date) FILTER (WHERE p.unallocated_amount > 0) as oldest_active_draw_date
+         FROM draws d
+         JOIN payments p ON d.payment_id = p.id
+         JOIN users u ON d.user_id = u.id
+         GROUP BY d.user_id, u.name, u.role
+         HAVING SUM(p.unallocated_amount) > 0
+         ORDER BY outstanding_balance DESC`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getOutstandingByUser:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = DrawModel;
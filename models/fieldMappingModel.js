@@ -0,0 +1,68 @@
+/**
+ * Field Mapping Model
+ * Stored overrides of the default JobNimbus field mappings, one row per target
+ */
+
+const db = require('../config/db');
+
+const FieldMappingModel = {
+  getMappings: async () => {
+    try {
+      const result = await db.query('SELECT * FROM jobnimbus_field_mappings ORDER BY target_field');
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getMappings:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save mappings, replacing any stored for the same targets
+   * @param {Array} mappings - { target_field, source_fields, value_type, synonyms, default_value }
+   * @param {number} userId - Who saved them
+   * @param {Object} client - Transaction client
+   */
+  saveMappings: async (mappings, userId, client) => {
+    const saved = [];
+    for (const mapping of mappings) {
+      const result = await client.query(
+        `INSERT INTO jobnimbus_field_mappings (target_field, source_fields, value_type, synonyms, default_value, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (target_field) DO UPDATE SET
+           source_fields = EXCLUDED.source_fields,
+           value_type = EXCLUDED.value_type,
+           synonyms = EXCLUDED.synonyms,
+           default_value = EXCLUDED.default_value,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [
+          mapping.target_field,
+          mapping.source_fields,
+          mapping.value_type,
+          JSON.stringify(mapping.synonyms || {}),
+          mapping.default_value ?? null,
+          userId
+        ]
+      );
+      saved.push(result.rows[0]);
+    }
+    return saved;
+  },
+
+  // Remove a stored mapping so the target goes back to its default
+  deleteMapping: async (targetField) => {
+    try {
+      const result = await db.query(
+        'DELETE FROM jobnimbus_field_mappings WHERE target_field = $1 RETURNING *',
+        [targetField]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in deleteMapping:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = FieldMappingModel;
@@ -0,0 +1,187 @@
+/**
+ * Invitation Model
+ * Invitations to join, and the user each one creates when accepted.
+ * Tokens are only ever stored as hashes; see services/invitationService.js.
+ */
+
+const db = require('../config/db');
+
+// pending, accepted, revoked or expired
+const STATUS_SQL = `CASE
+  WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+  WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+  WHEN i.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+  ELSE 'pending'
+END`;
+
+// Everything but the token hash
+const INVITATION_COLUMNS = `i.id, i.email, i.name, i.role, i.permissions, i.team_id, i.team_role,
+  i.hire_date, i.phone, i.yearly_goal, i.invited_by, i.created_at, i.expires_at,
+  i.accepted_at, i.accepted_user_id, i.revoked_at, ${STATUS_SQL} as status`;
+
+const InvitationModel = {
+  /**
+   * Create an invitation, revoking any still open for the same email
+   * @param {Object} invitation - { email, name, role, permissions, team_id, team_role, hire_date,
+   *   phone, yearly_goal, token_hash, invited_by, expiry_days }
+   */
+  createInvitation: async (invitation) => {
+    const {
+      email, name, role, permissions, team_id = null, team_role = null, hire_date = null,
+      phone = null, yearly_goal = null, token_hash, invited_by, expiry_days
+    } = invitation;
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE user_invitations SET revoked_at = CURRENT_TIMESTAMP
+         WHERE email = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+        [email]
+      );
+      const result = await client.query(
+        `INSERT INTO user_invitations AS i (
+           email, name, role, permissions, team_id, team_role, hire_date, phone, yearly_goal,
+           token_hash, invited_by, expires_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP + make_interval(days => $12))
+         RETURNING ${INVITATION_COLUMNS}`,
+        [email, name, role, permissions, team_id, team_role, hire_date, phone, yearly_goal,
+          token_hash, invited_by, expiry_days]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in createInvitation:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * @param {Object} filters - { status: 'pending' | 'accepted' | 'revoked' | 'expired' }
+   */
+  getInvitations: async ({ status } = {}) => {
+    try {
+      const result = await db.query(
+        `SELECT * FROM (
+           SELECT ${INVITATION_COLUMNS}, t.team_name, inviter.name as invited_by_name
+           FROM user_invitations i
+           LEFT JOIN teams t ON t.id = i.team_id
+           LEFT JOIN users inviter ON inviter.id = i.invited_by
+         ) invitations
+         WHERE $1::VARCHAR IS NULL OR status = $1
+         ORDER BY created_at DESC`,
+        [status || null]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getInvitations:', error);
+      throw error;
+    }
+  },
+
+  getInvitationById: async (id) => {
+    try {
+      const result = await db.query(
+        `SELECT ${INVITATION_COLUMNS} FROM user_invitations i WHERE i.id = $1`,
+        [id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getInvitationById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * An invitation that can still be accepted
+   * @param {string} tokenHash - SHA-256 of the token
+   * @param {Object} client - Transaction client to hold it locked while accepting
+   */
+  getPendingInvitationByTokenHash: async (tokenHash, client = db) => {
+    const result = await client.query(
+      `SELECT ${INVITATION_COLUMNS}, t.team_name
+       FROM user_invitations i
+       LEFT JOIN teams t ON t.id = i.team_id
+       WHERE i.token_hash = $1
+         AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+       FOR UPDATE OF i`,
+      [tokenHash]
+    );
+    return result.rows[0];
+  },
+
+  // New token and expiry for an invitation that hasn't been accepted or revoked
+  renewInvitation: async (id, tokenHash, expiryDays) => {
+    try {
+      const result = await db.query(
+        `UPDATE user_invitations i
+         SET token_hash = $2, expires_at = CURRENT_TIMESTAMP + make_interval(days => $3)
+         WHERE i.id = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+         RETURNING ${INVITATION_COLUMNS}`,
+        [id, tokenHash, expiryDays]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in renewInvitation:', error);
+      throw error;
+    }
+  },
+
+  revokeInvitation: async (id) => {
+    try {
+      const result = await db.query(
+        `UPDATE user_invitations i SET revoked_at = CURRENT_TIMESTAMP
+         WHERE i.id = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+         RETURNING ${INVITATION_COLUMNS}`,
+        [id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in revokeInvitation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create the invited user and put them on their team
+   * @param {Object} invitation - Pending invitation, locked by getPendingInvitationByTokenHash
+   * @param {Object} account - { hashed_password, phone }
+   * @param {Object} client - Transaction client
+   * @returns {Object} The new users row
+   */
+  acceptInvitation: async (invitation, { hashed_password, phone }, client) => {
+    const userResult = await client.query(
+      `INSERT INTO users (name, email, password, role, permissions, phone, hire_date, yearly_goal, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 50000.00), NOW())
+       RETURNING *`,
+      [invitation.name, invitation.email, hashed_password, invitation.role, invitation.permissions,
+        phone || invitation.phone, invitation.hire_date, invitation.yearly_goal]
+    );
+    const user = userResult.rows[0];
+
+    if (invitation.team_id) {
+      // Same as adding them through the team: the membership history plus the team's member list
+      const column = invitation.team_role === 'supplementer' ? 'supplementer_ids' : 'salesman_ids';
+      await client.query(
+        `INSERT INTO user_team_membership (user_id, team_id, role, joined_at)
+         VALUES ($1, $2, $3, COALESCE($4::TIMESTAMP, CURRENT_TIMESTAMP))`,
+        [user.id, invitation.team_id, invitation.team_role, invitation.hire_date]
+      );
+      await client.query(
+        `UPDATE teams SET ${column} = array_append(${column}, $1), updated_at = NOW() WHERE id = $2`,
+        [user.id, invitation.team_id]
+      );
+    }
+
+    await client.query(
+      `UPDATE user_invitations SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = $2 WHERE id = $1`,
+      [invitation.id, user.id]
+    );
+    return user;
+  }
+};
+
+module.exports = InvitationModel;
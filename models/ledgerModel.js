@@ -0,0 +1,230 @@
+/**
+ * Ledger Model
+ * Append-only double-entry ledger behind user_balance. Every commission,
+ * clawback and payment movement is posted here; user_balance is rebuilt from
+ * the ledger for the affected users in the same transaction.
+ */
+
+const db = require('../config/db');
+
+const ACCOUNTS = {
+  EXPENSE: 'commission_expense',
+  PAYABLE: 'commissions_payable',
+  CASH: 'cash'
+};
+
+// Entry types that move money between the company and the user's payable account;
+// all others are earnings (commission expense <-> payable)
+const PAYMENT_ENTRY_TYPES = ['payment', 'payment_change', 'payment_deletion', 'opening_payments', 'reconciliation_payments'];
+
+const ENTRY_TYPES = [
+  'commission',
+  'commission_change',
+  'commission_deletion',
+  'clawback',
+  'clawback_reversal',
+  'clawback_waiver',
+  'opening_balance',
+  'reconciliation',
+  ...PAYMENT_ENTRY_TYPES
+];
+
+/**
+ * Turn a signed amount into debit/credit accounts
+ * Earnings: positive credits the user's payable account from commission expense
+ * Payments: positive debits the user's payable account to cash
+ */
+const toDoubleEntry = (entryType, amount) => {
+  const isPayment = PAYMENT_ENTRY_TYPES.includes(entryType);
+  const [debit, credit] = isPayment
+    ? [ACCOUNTS.PAYABLE, ACCOUNTS.CASH]
+    : [ACCOUNTS.EXPENSE, ACCOUNTS.PAYABLE];
+
+  return amount >= 0
+    ? { debit_account: debit, credit_account: credit, amount }
+    : { debit_account: credit, credit_account: debit, amount: -amount };
+};
+
+// Net earned / paid per user, as signed sums over the ledger
+const LEDGER_TOTALS_SQL = `
+  COALESCE(SUM(CASE
+    WHEN le.debit_account = '${ACCOUNTS.EXPENSE}' AND le.credit_account = '${ACCOUNTS.PAYABLE}' THEN le.amount
+    WHEN le.debit_account = '${ACCOUNTS.PAYABLE}' AND le.credit_account = '${ACCOUNTS.EXPENSE}' THEN -le.amount
+    ELSE 0 END), 0) as total_commissions_earned,
+  COALESCE(SUM(CASE
+    WHEN le.debit_account = '${ACCOUNTS.PAYABLE}' AND le.credit_account = '${ACCOUNTS.CASH}' THEN le.amount
+    WHEN le.debit_account = '${ACCOUNTS.CASH}' AND le.credit_account = '${ACCOUNTS.PAYABLE}' THEN -le.amount
+    ELSE 0 END), 0) as total_payments_received`;
+
+const LedgerModel = {
+  ACCOUNTS,
+  ENTRY_TYPES,
+
+  /**
+   * Post ledger entries and rebuild user_balance for the users they touch
+   * @param {Array} entries - { user_id, entry_type, amount (signed), commission_due_id?, adjustment_id?, payment_id?, description?, created_by? }
+   * @param {Object} client - Transaction client (defaults to the pool for single-statement callers)
+   * @returns {Array} Inserted ledger rows
+   */
+  postEntries: async (entries, client = db) => {
+    const postable = entries.filter(entry => Math.abs(parseFloat(entry.amount) || 0) >= 0.005);
+    if (postable.length === 0) return [];
+
+    const values = [];
+    const placeholders = postable.map((entry, index) => {
+      if (!ENTRY_TYPES.includes(entry.entry_type)) {
+        throw new Error(`Unknown ledger entry type: ${entry.entry_type}`);
+      }
+      const { debit_account, credit_account, amount } = toDoubleEntry(entry.entry_type, parseFloat(entry.amount));
+      const baseIndex = index * 10;
+      values.push(
+        entry.user_id,
+        entry.entry_type,
+        debit_account,
+        credit_account,
+        amount.toFixed(2),
+        entry.commission_due_id || null,
+        entry.adjustment_id || null,
+        entry.payment_id || null,
+        entry.description || null,
+        entry.created_by || null
+      );
+      return `($${baseIndex + 1}::INTEGER, $${baseIndex + 2}, $${baseIndex + 3}, $${baseIndex + 4}, $${baseIndex + 5}::NUMERIC,
+               $${baseIndex + 6}::INTEGER, $${baseIndex + 7}::INTEGER, $${baseIndex + 8}::INTEGER, $${baseIndex + 9}, $${baseIndex + 10}::INTEGER)`;
+    });
+
+    try {
+      const result = await client.query(
+        `INSERT INTO ledger_entries
+         (user_id, entry_type, debit_account, credit_account, amount,
+          commission_due_id, adjustment_id, payment_id, description, created_by)
+         VALUES ${placeholders.join(', ')}
+         RETURNING *`,
+        values
+      );
+
+      await LedgerModel.refreshUserBalances([...new Set(postable.map(entry => entry.user_id))], client);
+      return result.rows;
+    } catch (error) {
+      console.error('Error in postEntries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rebuild user_balance rows from the ledger
+   * @param {Array} userIds - Users to rebuild
+   * @param {Object} client - Transaction client
+   */
+  refreshUserBalances: async (userIds, client = db) => {
+    if (userIds.length === 0) return;
+
+    await client.query(
+      `INSERT INTO user_balance (user_id, total_commissions_earned, total_payments_received, current_balance, last_updated)
+       SELECT totals.user_id, totals.total_commissions_earned, totals.total_payments_received,
+              totals.total_commissions_earned - totals.total_payments_received, CURRENT_TIMESTAMP
+       FROM (
+         SELECT u.id as user_id, ${LEDGER_TOTALS_SQL}
+         FROM users u
+         LEFT JOIN ledger_entries le ON le.user_id = u.id
+         WHERE u.id = ANY($1)
+         GROUP BY u.id
+       ) totals
+       ON CONFLICT (user_id) DO UPDATE SET
+         total_commissions_earned = EXCLUDED.total_commissions_earned,
+         total_payments_received = EXCLUDED.total_payments_received,
+         current_balance = EXCLUDED.current_balance,
+         last_updated = CURRENT_TIMESTAMP`,
+      [userIds]
+    );
+  },
+
+  /**
+   * Get every user's stored balance, keyed by user ID
+   * @param {Object} client - Transaction client, to see the transaction's own changes
+   * @returns {Map} user_id -> { total_commissions_earned, total_payments_received, current_balance }
+   */
+  getBalanceSnapshot: async (client = db) => {
+    const result = await client.query(
+      `SELECT user_id, total_commissions_earned, total_payments_received, current_balance
+       FROM user_balance`
+    );
+    return new Map(result.rows.map(row => [row.user_id, row]));
+  },
+
+  /**
+   * Get the totals the ledger gives for a user
+   * @param {number} userId - User ID
+   * @param {Object} client - Transaction client
+   * @returns {Object} { total_commissions_earned, total_payments_received, current_balance }
+   */
+  getLedgerTotals: async (userId, client = db) => {
+    try {
+      const result = await client.query(
+        `SELECT ${LEDGER_TOTALS_SQL}
+         FROM ledger_entries le
+         WHERE le.user_id = $1`,
+        [userId]
+      );
+      const totals = result.rows[0];
+      return {
+        ...totals,
+        current_balance: (parseFloat(totals.total_commissions_earned) - parseFloat(totals.total_payments_received)).toFixed(2)
+      };
+    } catch (error) {
+      console.error('Error in getLedgerTotals:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get ledger totals for every user with ledger entries
+   * @returns {Array} { user_id, total_commissions_earned, total_payments_received }
+   */
+  getAllLedgerTotals: async () => {
+    try {
+      const result = await db.query(
+        `SELECT le.user_id, ${LEDGER_TOTALS_SQL}
+         FROM ledger_entries le
+         GROUP BY le.user_id`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getAllLedgerTotals:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's ledger lines, newest first, with the balance after each line
+   * @param {number} userId - User ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Array} Ledger lines with signed amount and running_balance
+   */
+  getLedgerLines: async (userId, { limit = 100, offset = 0 } = {}) => {
+    try {
+      const result = await db.query(
+        `SELECT * FROM (
+           SELECT le.*,
+                  c.customer_name,
+                  CASE WHEN le.credit_account = '${ACCOUNTS.PAYABLE}' THEN le.amount ELSE -le.amount END as signed_amount,
+                  SUM(CASE WHEN le.credit_account = '${ACCOUNTS.PAYABLE}' THEN le.amount ELSE -le.amount END)
+                    OVER (ORDER BY le.created_at, le.id) as running_balance
+           FROM ledger_entries le
+           LEFT JOIN commissions_due cd ON le.commission_due_id = cd.id
+           LEFT JOIN customers c ON cd.customer_id = c.id
+           WHERE le.user_id = $1
+         ) lines
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getLedgerLines:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = LedgerModel;
@@ -0,0 +1,142 @@
+/**
+ * Login Attempt Model
+ * The login attempt log (for per-IP limits) and each user's failure counter and lockout;
+ * see services/loginThrottleService.js for the rules.
+ */
+
+const db = require('../config/db');
+
+const LoginAttemptModel = {
+  /**
+   * Log an attempt
+   * @param {Object} attempt - { attempt_type: 'password' | 'reset_token' | 'mfa' | 'forgot_password' | 'invitation',
+   *   email, user_id, ip_address, succeeded }
+   */
+  recordAttempt: async ({ attempt_type, email = null, user_id = null, ip_address = null, succeeded }) => {
+    try {
+      await db.query(
+        `INSERT INTO login_attempts (attempt_type, email, user_id, ip_address, succeeded)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [attempt_type, email, user_id, ip_address, succeeded]
+      );
+    } catch (error) {
+      console.error('Error in recordAttempt:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Failed attempts from an IP address within the window
+   * @param {string} ipAddress - IP address
+   * @param {Array<string>} attemptTypes - Attempt types to count
+   * @param {number} windowMinutes - How far back to look
+   * @returns {Object} { failures, seconds_since_first, seconds_since_last }
+   */
+  getIpFailures: async (ipAddress, attemptTypes, windowMinutes) => {
+    try {
+      const result = await db.query(
+        `SELECT COUNT(*)::INTEGER as failures,
+                EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - MIN(created_at))::INTEGER as seconds_since_first,
+                EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - MAX(created_at))::INTEGER as seconds_since_last
+         FROM login_attempts
+         WHERE ip_address = $1
+           AND attempt_type = ANY($2)
+           AND NOT succeeded
+           AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $3)`,
+        [ipAddress, attemptTypes, windowMinutes]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getIpFailures:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Attempts of one type (failed or not) within the window, e.g. password reset requests
+   * @param {Object} filter - { email } or { ip_address }
+   */
+  countRecentAttempts: async ({ email, ip_address }, attemptType, windowMinutes) => {
+    try {
+      const [column, value] = email !== undefined ? ['email', email] : ['ip_address', ip_address];
+      const result = await db.query(
+        `SELECT COUNT(*)::INTEGER as count
+         FROM login_attempts
+         WHERE ${column} = $1 AND attempt_type = $2
+           AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $3)`,
+        [value, attemptType, windowMinutes]
+      );
+      return result.rows[0].count;
+    } catch (error) {
+      console.error('Error in countRecentAttempts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Count a failed login against a user, locking the account once maxFailures is reached.
+   * Failures older than the window are forgotten; locking starts the count again.
+   * @param {number} userId - User ID
+   * @param {Object} limits - { windowMinutes, maxFailures, lockoutMinutes }
+   * @returns {Object} { failures, locked, locked_until }
+   */
+  recordAccountFailure: async (userId, { windowMinutes, maxFailures, lockoutMinutes }) => {
+    try {
+      const result = await db.query(
+        `WITH counted AS (
+           SELECT id,
+                  CASE WHEN last_failed_login_at > CURRENT_TIMESTAMP - make_interval(mins => $2)
+                       THEN failed_login_attempts + 1 ELSE 1 END as failures
+           FROM users
+           WHERE id = $1
+           FOR UPDATE
+         )
+         UPDATE users u
+         SET failed_login_attempts = CASE WHEN c.failures >= $3 THEN 0 ELSE c.failures END,
+             last_failed_login_at = CURRENT_TIMESTAMP,
+             locked_until = CASE WHEN c.failures >= $3
+                                 THEN CURRENT_TIMESTAMP + make_interval(mins => $4)
+                                 ELSE u.locked_until END
+         FROM counted c
+         WHERE u.id = c.id
+         RETURNING c.failures, c.failures >= $3 as locked, u.locked_until`,
+        [userId, windowMinutes, maxFailures, lockoutMinutes]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in recordAccountFailure:', error);
+      throw error;
+    }
+  },
+
+  // Forget a user's failed logins and lift any lockout
+  clearAccountFailures: async (userId) => {
+    try {
+      const result = await db.query(
+        `UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+         WHERE id = $1
+         RETURNING id, failed_login_attempts, locked_until`,
+        [userId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in clearAccountFailures:', error);
+      throw error;
+    }
+  },
+
+  deleteOldAttempts: async (retentionDays) => {
+    try {
+      const result = await db.query(
+        'DELETE FROM login_attempts WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+        [retentionDays]
+      );
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error in deleteOldAttempts:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = LoginAttemptModel;
@@ -0,0 +1,127 @@
+/**
+ * MFA Model
+ * Users' TOTP secrets and recovery codes. Secrets are stored encrypted and codes hashed;
+ * see services/mfaService.js.
+ */
+
+const db = require('../config/db');
+
+// Never returned by the API
+const MFA_SECRET_COLUMNS = ['mfa_secret_encrypted', 'mfa_last_used_step'];
+
+const MfaModel = {
+  MFA_SECRET_COLUMNS,
+
+  // Keep a new secret until the user confirms it with a code; MFA stays off until then
+  setPendingSecret: async (userId, secretEncrypted) => {
+    try {
+      const result = await db.query(
+        `UPDATE users SET mfa_secret_encrypted = $2, mfa_last_used_step = NULL
+         WHERE id = $1 AND mfa_enabled = FALSE
+         RETURNING id`,
+        [userId, secretEncrypted]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in setPendingSecret:', error);
+      throw error;
+    }
+  },
+
+  enable: async (userId, usedStep, client) => {
+    const result = await client.query(
+      `UPDATE users SET mfa_enabled = TRUE, mfa_enabled_at = CURRENT_TIMESTAMP, mfa_last_used_step = $2
+       WHERE id = $1
+       RETURNING id, mfa_enabled, mfa_enabled_at`,
+      [userId, usedStep]
+    );
+    return result.rows[0];
+  },
+
+  // Turn MFA off and forget the secret and recovery codes
+  disable: async (userId) => {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE users SET mfa_enabled = FALSE, mfa_enabled_at = NULL, mfa_secret_encrypted = NULL, mfa_last_used_step = NULL
+         WHERE id = $1
+         RETURNING id`,
+        [userId]
+      );
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error in disable:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Record the TOTP step just used; fails if that step (or a later one) was already used
+   * @returns {boolean} Whether the code may be accepted
+   */
+  claimStep: async (userId, step) => {
+    try {
+      const result = await db.query(
+        `UPDATE users SET mfa_last_used_step = $2
+         WHERE id = $1 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $2)`,
+        [userId, step]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error in claimStep:', error);
+      throw error;
+    }
+  },
+
+  // Replace all of a user's recovery codes
+  replaceRecoveryCodes: async (userId, codeHashes, client) => {
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(
+      `INSERT INTO mfa_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::CHAR(64)[])`,
+      [userId, codeHashes]
+    );
+  },
+
+  // Use up a recovery code; false if it doesn't exist or was already used
+  useRecoveryCode: async (userId, codeHash) => {
+    try {
+      const result = await db.query(
+        `UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE id = (
+           SELECT id FROM mfa_recovery_codes
+           WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+           LIMIT 1
+           FOR UPDATE
+         )
+         RETURNING id`,
+        [userId, codeHash]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error in useRecoveryCode:', error);
+      throw error;
+    }
+  },
+
+  countUnusedRecoveryCodes: async (userId) => {
+    try {
+      const result = await db.query(
+        'SELECT COUNT(*)::INTEGER as count FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+      return result.rows[0].count;
+    } catch (error) {
+      console.error('Error in countUnusedRecoveryCodes:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = MfaModel;
@@ -0,0 +1,312 @@
+/**
+ * Outbound Sync Model
+ * Values this backend owns that are pushed back to JobNimbus: which custom fields they go to,
+ * what was last written, and the queue of pending writes
+ */
+
+const db = require('../config/db');
+
+// Entries left in 'processing' this long are assumed abandoned (e.g. a restart) and picked up again
+const STALE_PROCESSING_MINUTES = 15;
+
+const OutboundSyncModel = {
+  getOutboundFields: async () => {
+    try {
+      const result = await db.query('SELECT * FROM jobnimbus_outbound_fields ORDER BY field_key');
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getOutboundFields:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save outbound field settings, replacing any stored for the same keys
+   * @param {Array} fields - { field_key, jobnimbus_field, enabled }
+   * @param {number} userId - Who saved them
+   * @param {Object} client - Transaction client
+   */
+  saveOutboundFields: async (fields, userId, client) => {
+    const saved = [];
+    for (const field of fields) {
+      const result = await client.query(
+        `INSERT INTO jobnimbus_outbound_fields (field_key, jobnimbus_field, enabled, updated_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (field_key) DO UPDATE SET
+           jobnimbus_field = EXCLUDED.jobnimbus_field,
+           enabled = EXCLUDED.enabled,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [field.field_key, field.jobnimbus_field, field.enabled, userId]
+      );
+      saved.push(result.rows[0]);
+    }
+    return saved;
+  },
+
+  /**
+   * Commission totals for every JobNimbus customer that has commissions
+   * commission_amount is net of active clawbacks; paid_amount is what payments have covered
+   * @returns {Array} { customer_id, jnid, jn_date_updated, commission_amount, paid_amount }
+   */
+  getCommissionSummaries: async () => {
+    try {
+      const result = await db.query(
+        `SELECT c.id as customer_id, c.jnid, c.jn_date_updated,
+                SUM(cd.commission_amount) + COALESCE(SUM(adj.total), 0) as commission_amount,
+                COALESCE(SUM(paid.total), 0) as paid_amount
+         FROM commissions_due cd
+         JOIN customers c ON cd.customer_id = c.id
+         LEFT JOIN (
+           SELECT commission_due_id, SUM(amount) as total
+           FROM commission_adjustments
+           WHERE status = 'active'
+           GROUP BY commission_due_id
+         ) adj ON adj.commission_due_id = cd.id
+         LEFT JOIN (
+           SELECT commission_due_id, SUM(amount_applied) as total
+           FROM payment_commission_mapping
+           GROUP BY commission_due_id
+         ) paid ON paid.commission_due_id = cd.id
+         WHERE c.jnid IS NOT NULL
+         GROUP BY c.id, c.jnid, c.jn_date_updated`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getCommissionSummaries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Values last written to JobNimbus
+   * @param {Array} customerIds - Customer IDs, or null for all
+   * @param {Object} client - Transaction client
+   * @returns {Map} customer_id -> { JobNimbus field: value }
+   */
+  getPushedValues: async (customerIds = null, client = db) => {
+    const result = await client.query(
+      `SELECT customer_id, jobnimbus_field, value
+       FROM jobnimbus_pushed_values
+       WHERE $1::INTEGER[] IS NULL OR customer_id = ANY($1)`,
+      [customerIds]
+    );
+
+    const pushed = new Map();
+    result.rows.forEach(row => {
+      if (!pushed.has(row.customer_id)) pushed.set(row.customer_id, {});
+      pushed.get(row.customer_id)[row.jobnimbus_field] = row.value;
+    });
+    return pushed;
+  },
+
+  /**
+   * Record values written to JobNimbus, and the job's date_updated after the write
+   * @param {number} customerId - Customer ID
+   * @param {Object} values - JobNimbus field -> value written
+   * @param {number} dateUpdated - Job's date_updated after the write (unix seconds)
+   * @param {Object} client - Transaction client
+   */
+  recordPush: async (customerId, values, dateUpdated, client) => {
+    const fields = Object.keys(values);
+    if (fields.length > 0) {
+      await client.query(
+        `INSERT INTO jobnimbus_pushed_values (customer_id, jobnimbus_field, value)
+         SELECT $1, * FROM UNNEST($2::VARCHAR[], $3::TEXT[])
+         ON CONFLICT (customer_id, jobnimbus_field) DO UPDATE SET
+           value = EXCLUDED.value,
+           pushed_at = CURRENT_TIMESTAMP`,
+        [customerId, fields, fields.map(field => values[field] === null ? null : String(values[field]))]
+      );
+    }
+    if (dateUpdated) {
+      await client.query(
+        'UPDATE customers SET jn_date_updated = GREATEST(jn_date_updated, $2) WHERE id = $1',
+        [customerId, dateUpdated]
+      );
+    }
+  },
+
+  /**
+   * Queue a write to JobNimbus
+   * Merges into the customer's pending entry of the same type if there is one; the first
+   * expectation recorded for a field is kept, since that is what JobNimbus had when we read it.
+   * A merge only brings the entry forward when it changes a value to write, so re-queueing a
+   * write that is waiting out a retry delay doesn't cancel the delay.
+   * @param {Object} entry - { customer_id, jnid, change_type, fields, expected, base_date_updated, created_by }
+   * @param {Object} client - Transaction client
+   */
+  enqueue: async (entry, client = db) => {
+    const result = await client.query(
+      `INSERT INTO jobnimbus_outbound_queue
+         (customer_id, jnid, change_type, fields, expected, base_date_updated, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (customer_id, change_type) WHERE status = 'pending' DO UPDATE SET
+         fields = jobnimbus_outbound_queue.fields || EXCLUDED.fields,
+         expected = EXCLUDED.expected || jobnimbus_outbound_queue.expected,
+         base_date_updated = LEAST(jobnimbus_outbound_queue.base_date_updated, EXCLUDED.base_date_updated),
+         created_by = COALESCE(EXCLUDED.created_by, jobnimbus_outbound_queue.created_by),
+         next_attempt_at = CASE
+           WHEN jobnimbus_outbound_queue.fields || EXCLUDED.fields = jobnimbus_outbound_queue.fields
+             THEN jobnimbus_outbound_queue.next_attempt_at
+           ELSE LEAST(jobnimbus_outbound_queue.next_attempt_at, CURRENT_TIMESTAMP)
+         END,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        entry.customer_id,
+        entry.jnid,
+        entry.change_type,
+        JSON.stringify(entry.fields),
+        JSON.stringify(entry.expected || {}),
+        entry.base_date_updated ?? null,
+        entry.created_by ?? null
+      ]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Customers with a write of this type waiting on an admin (conflict or out of retries)
+   * @returns {Set} Customer IDs
+   */
+  getBlockedCustomerIds: async (changeType) => {
+    try {
+      const result = await db.query(
+        `SELECT DISTINCT customer_id FROM jobnimbus_outbound_queue
+         WHERE change_type = $1 AND status IN ('conflict', 'failed')`,
+        [changeType]
+      );
+      return new Set(result.rows.map(row => row.customer_id));
+    } catch (error) {
+      console.error('Error in getBlockedCustomerIds:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Claim due entries for processing
+   * SKIP LOCKED so overlapping runs never take the same entry
+   * @param {number} limit - Most entries to claim
+   */
+  claimDueEntries: async (limit) => {
+    try {
+      const result = await db.query(
+        `UPDATE jobnimbus_outbound_queue SET
+           status = 'processing',
+           attempts = attempts + 1,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (
+           SELECT id FROM jobnimbus_outbound_queue
+           WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+              OR (status = 'processing' AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $2))
+           ORDER BY next_attempt_at, id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit, STALE_PROCESSING_MINUTES]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in claimDueEntries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Hand claimed entries back untried, e.g. when JobNimbus went down mid-run
+   * @param {Array} ids - Queue entry IDs
+   */
+  releaseEntries: async (ids) => {
+    if (ids.length === 0) return;
+    try {
+      await db.query(
+        `UPDATE jobnimbus_outbound_queue SET
+           status = 'pending',
+           attempts = GREATEST(attempts - 1, 0),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($1) AND status = 'processing'`,
+        [ids]
+      );
+    } catch (error) {
+      console.error('Error in releaseEntries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move an entry to a new status
+   * @param {number} id - Queue entry ID
+   * @param {Object} update - { status, last_error, remote_values, next_attempt_at, force, reset_attempts }
+   * @param {Object} client - Transaction client
+   */
+  setEntryStatus: async (id, update, client = db) => {
+    const result = await client.query(
+      `UPDATE jobnimbus_outbound_queue SET
+         status = $2,
+         last_error = $3,
+         remote_values = COALESCE($4, remote_values),
+         next_attempt_at = COALESCE($5, next_attempt_at),
+         force = COALESCE($6, force),
+         attempts = CASE WHEN $7 THEN 0 ELSE attempts END,
+         completed_at = CASE WHEN $2 IN ('succeeded', 'discarded') THEN CURRENT_TIMESTAMP ELSE NULL END,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        update.status,
+        update.last_error ?? null,
+        update.remote_values ? JSON.stringify(update.remote_values) : null,
+        update.next_attempt_at ?? null,
+        update.force ?? null,
+        !!update.reset_attempts
+      ]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * List queue entries, newest first
+   * @param {Object} filters - { status, customer_id, limit, offset }
+   */
+  getQueue: async ({ status = null, customer_id = null, limit = 100, offset = 0 } = {}) => {
+    try {
+      const result = await db.query(
+        `SELECT q.*, c.customer_name, u.name as created_by_name
+         FROM jobnimbus_outbound_queue q
+         JOIN customers c ON q.customer_id = c.id
+         LEFT JOIN users u ON q.created_by = u.id
+         WHERE ($1::VARCHAR IS NULL OR q.status = $1)
+           AND ($2::INTEGER IS NULL OR q.customer_id = $2)
+         ORDER BY q.created_at DESC, q.id DESC
+         LIMIT $3 OFFSET $4`,
+        [status, customer_id, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getQueue:', error);
+      throw error;
+    }
+  },
+
+  getEntryById: async (id) => {
+    try {
+      const result = await db.query(
+        `SELECT q.*, c.customer_name
+         FROM jobnimbus_outbound_queue q
+         JOIN customers c ON q.customer_id = c.id
+         WHERE q.id = $1`,
+        [id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getEntryById:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = OutboundSyncModel;
@@ -0,0 +1,185 @@
+/**
+ * Payment Allocation Model
+ * Reads open commissions and writes payment_commission_mapping rows.
+ * All methods run inside the caller's transaction.
+ */
+
+// What is still owed on a commission: amount less active clawbacks less payments applied
+const OUTSTANDING_SQL = `
+  cd.commission_amount
+  + COALESCE((SELECT SUM(ca.amount) FROM commission_adjustments ca
+              WHERE ca.commission_due_id = cd.id AND ca.status = 'active'), 0)
+  - COALESCE((SELECT SUM(pcm.amount_applied) FROM payment_commission_mapping pcm
+              WHERE pcm.commission_due_id = cd.id), 0)`;
+
+const PaymentAllocationModel = {
+  /**
+   * Get a user's unpaid commissions with their outstanding amount, oldest build date first
+   * Rows are locked so concurrent payments cannot allocate the same amount twice
+   * @param {number} userId - User ID
+   * @param {Object} filters - { commissionIds, customerIds }
+   * @param {Object} client - Transaction client
+   * @returns {Array} { id, customer_id, customer_name, build_date, commission_amount, outstanding }
+   */
+  getOpenCommissions: async (userId, { commissionIds = null, customerIds = null } = {}, client) => {
+    const result = await client.query(
+      `SELECT cd.id, cd.customer_id, c.customer_name, cd.build_date, cd.commission_amount,
+              ${OUTSTANDING_SQL} as outstanding
+       FROM commissions_due cd
+       LEFT JOIN customers c ON cd.customer_id = c.id
+       WHERE cd.user_id = $1
+         AND cd.is_paid = false
+         AND ($2::INTEGER[] IS NULL OR cd.id = ANY($2))
+         AND ($3::INTEGER[] IS NULL OR cd.customer_id = ANY($3))
+         AND ${OUTSTANDING_SQL} > 0.005
+       ORDER BY cd.build_date ASC NULLS LAST, cd.created_at ASC, cd.id ASC
+       FOR UPDATE OF cd`,
+      [userId, commissionIds, customerIds]
+    );
+    return result.rows;
+  },
+
+  insertMappings: async (paymentId, allocations, client) => {
+    if (allocations.length === 0) return [];
+
+    const values = [paymentId];
+    const placeholders = allocations.map((allocation, index) => {
+      values.push(allocation.commission_due_id, allocation.amount_applied);
+      return `($1, $${index * 2 + 2}::INTEGER, $${index * 2 + 3}::NUMERIC)`;
+    });
+
+    const result = await client.query(
+      `INSERT INTO payment_commission_mapping (payment_id, commission_due_id, amount_applied)
+       VALUES ${placeholders.join(', ')}
+       RETURNING *`,
+      values
+    );
+    return result.rows;
+  },
+
+  /**
+   * Set is_paid from what has been applied to each commission
+   * @param {Array} commissionIds - Commissions whose mappings changed
+   * @param {Object} client - Transaction client
+   * @returns {Array} { id, is_paid }
+   */
+  refreshPaidFlags: async (commissionIds, client) => {
+    if (commissionIds.length === 0) return [];
+
+    const result = await client.query(
+      `UPDATE commissions_due cd
+       SET is_paid = (${OUTSTANDING_SQL}) <= 0.005,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE cd.id = ANY($1)
+       RETURNING cd.id, cd.is_paid`,
+      [commissionIds]
+    );
+    return result.rows;
+  },
+
+  // Record the strategy used (kept when null) and the credit left on a payment
+  updatePaymentAllocation: async (paymentId, { allocation_strategy = null, unallocated_amount }, client) => {
+    const result = await client.query(
+      `UPDATE payments
+       SET allocation_strategy = COALESCE($2, allocation_strategy), unallocated_amount = $3
+       WHERE id = $1
+       RETURNING *`,
+      [paymentId, allocation_strategy, unallocated_amount]
+    );
+    return result.rows[0];
+  },
+
+  // Payments with credit left to apply, oldest first
+  // Draw payments are excluded: they are recovered on their own schedule (drawService)
+  getPaymentsWithCredit: async (userIds, client) => {
+    const result = await client.query(
+      `SELECT * FROM payments p
+       WHERE p.user_id = ANY($1) AND p.unallocated_amount > 0
+         AND NOT EXISTS (SELECT 1 FROM draws d WHERE d.payment_id = p.id)
+       ORDER BY p.payment_date ASC, p.id ASC
+       FOR UPDATE`,
+      [userIds]
+    );
+    return result.rows;
+  },
+
+  // Mappings of a payment, newest first (released first when the payment shrinks)
+  getMappingsByPaymentId: async (paymentId, client) => {
+    const result = await client.query(
+      `SELECT * FROM payment_commission_mapping
+       WHERE payment_id = $1
+       ORDER BY created_at DESC, id DESC`,
+      [paymentId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Give what was applied to commissions about to be deleted back to their payments as credit
+   * (the mappings themselves go with the commissions, ON DELETE CASCADE)
+   * @param {Array} commissionIds - Commissions being deleted
+   * @param {Object} client - Transaction client
+   * @returns {Array} { id, unallocated_amount } of the payments credited
+   */
+  returnMappingsToCredit: async (commissionIds, client) => {
+    if (commissionIds.length === 0) return [];
+
+    const result = await client.query(
+      `UPDATE payments p
+       SET unallocated_amount = p.unallocated_amount + applied.total
+       FROM (
+         SELECT payment_id, SUM(amount_applied) as total
+         FROM payment_commission_mapping
+         WHERE commission_due_id = ANY($1)
+         GROUP BY payment_id
+       ) applied
+       WHERE p.id = applied.payment_id
+       RETURNING p.id, p.unallocated_amount`,
+      [commissionIds]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Take an amount back off a payment whose amount was reduced
+   * Credit is used up first, then mappings are released newest first and the
+   * commissions they covered are reopened
+   * @param {Object} payment - payments row before the change
+   * @param {number} amount - Amount to release
+   * @param {Object} client - Transaction client
+   * @returns {number} New unallocated amount
+   */
+  releasePaymentAmount: async (payment, amount, client) => {
+    // Work in cents so the released pieces add up exactly
+    let releaseCents = Math.round(amount * 100);
+    const creditCents = Math.round(parseFloat(payment.unallocated_amount || 0) * 100);
+    const fromCredit = Math.min(creditCents, releaseCents);
+    releaseCents -= fromCredit;
+
+    const affectedCommissionIds = [];
+    if (releaseCents > 0) {
+      const mappings = await PaymentAllocationModel.getMappingsByPaymentId(payment.id, client);
+      for (const mapping of mappings) {
+        if (releaseCents <= 0) break;
+        const appliedCents = Math.round(parseFloat(mapping.amount_applied) * 100);
+        const cents = Math.min(appliedCents, releaseCents);
+
+        if (cents === appliedCents) {
+          await client.query('DELETE FROM payment_commission_mapping WHERE id = $1', [mapping.id]);
+        } else {
+          await client.query(
+            'UPDATE payment_commission_mapping SET amount_applied = $2 WHERE id = $1',
+            [mapping.id, (appliedCents - cents) / 100]
+          );
+        }
+        affectedCommissionIds.push(mapping.commission_due_id);
+        releaseCents -= cents;
+      }
+    }
+
+    await PaymentAllocationModel.refreshPaidFlags(affectedCommissionIds, client);
+    return (creditCents - fromCredit) / 100;
+  }
+};
+
+module.exports = PaymentAllocationModel;
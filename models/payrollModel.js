@@ -0,0 +1,297 @@
+/**
+ * Payroll Model
+ * Handles database interactions for pay periods, payroll runs and run items
+ * Run status: draft -> approved -> posted, and any of those -> voided
+ */
+
+const db = require('../config/db');
+
+const PayrollModel = {
+  // PAY PERIOD METHODS
+  getPayPeriods: async () => {
+    try {
+      const result = await db.query(
+        `SELECT pp.*,
+                (SELECT pr.id FROM payroll_runs pr
+                 WHERE pr.pay_period_id = pp.id AND pr.status <> 'voided') as active_run_id
+         FROM pay_periods pp
+         ORDER BY pp.start_date DESC`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getPayPeriods:', error);
+      throw error;
+    }
+  },
+
+  getPayPeriodById: async (payPeriodId) => {
+    try {
+      const result = await db.query('SELECT * FROM pay_periods WHERE id = $1', [payPeriodId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getPayPeriodById:', error);
+      throw error;
+    }
+  },
+
+  createPayPeriod: async ({ name, start_date, end_date, pay_date = null }) => {
+    try {
+      const result = await db.query(
+        `INSERT INTO pay_periods (name, start_date, end_date, pay_date)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [name, start_date, end_date, pay_date]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in createPayPeriod:', error);
+      throw error;
+    }
+  },
+
+  // Periods that share at least one day with the given range
+  getOverlappingPayPeriods: async (startDate, endDate) => {
+    try {
+      const result = await db.query(
+        `SELECT * FROM pay_periods
+         WHERE start_date <= $2 AND end_date >= $1`,
+        [startDate, endDate]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getOverlappingPayPeriods:', error);
+      throw error;
+    }
+  },
+
+  deletePayPeriod: async (payPeriodId) => {
+    try {
+      const result = await db.query('DELETE FROM pay_periods WHERE id = $1 RETURNING *', [payPeriodId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in deletePayPeriod:', error);
+      throw error;
+    }
+  },
+
+  // PAYROLL RUN METHODS
+
+  /**
+   * Get run history, newest first, with totals
+   * @param {Object} filters - { status, pay_period_id }
+   */
+  getRuns: async ({ status = null, pay_period_id = null } = {}) => {
+    try {
+      const result = await db.query(
+        `SELECT pr.*, pp.name as pay_period_name, pp.start_date, pp.end_date, pp.pay_date,
+                COUNT(pri.id) FILTER (WHERE NOT pri.excluded) as item_count,
+                COALESCE(SUM(pri.amount) FILTER (WHERE NOT pri.excluded), 0) as total_amount
+         FROM payroll_runs pr
+         JOIN pay_periods pp ON pr.pay_period_id = pp.id
+         LEFT JOIN payroll_run_items pri ON pri.payroll_run_id = pr.id
+         WHERE ($1::VARCHAR IS NULL OR pr.status = $1)
+           AND ($2::INTEGER IS NULL OR pr.pay_period_id = $2)
+         GROUP BY pr.id, pp.id
+         ORDER BY pr.created_at DESC`,
+        [status, pay_period_id]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getRuns:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a run with its pay period and items
+   * @param {number} runId - Run ID
+   * @param {Object} client - Transaction client; the run row is locked when given
+   * @returns {Object} Run with pay_period and items
+   */
+  getRunById: async (runId, client = null) => {
+    const conn = client || db;
+    try {
+      const runResult = await conn.query(
+        `SELECT * FROM payroll_runs WHERE id = $1${client ? ' FOR UPDATE' : ''}`,
+        [runId]
+      );
+      const run = runResult.rows[0];
+      if (!run) return undefined;
+
+      const [periodResult, itemsResult] = await Promise.all([
+        conn.query('SELECT * FROM pay_periods WHERE id = $1', [run.pay_period_id]),
+        conn.query(
+          `SELECT pri.*, u.name as user_name, u.role
+           FROM payroll_run_items pri
+           JOIN users u ON pri.user_id = u.id
+           WHERE pri.payroll_run_id = $1
+           ORDER BY u.name ASC`,
+          [runId]
+        )
+      ]);
+
+      const items = itemsResult.rows;
+      return {
+        ...run,
+        pay_period: periodResult.rows[0],
+        items,
+        total_amount: items
+          .filter(item => !item.excluded)
+          .reduce((sum, item) => sum + parseFloat(item.amount), 0)
+          .toFixed(2)
+      };
+    } catch (error) {
+      console.error('Error in getRunById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Total the unpaid commissions built in a period, per user
+   * @param {Object} payPeriod - { start_date, end_date }
+   * @param {Object} client - Transaction client
+   * @returns {Array} { user_id, amount, commission_due_ids (oldest build date first) }
+   */
+  getUnpaidCommissionTotals: async ({ start_date, end_date }, client) => {
+    const result = await client.query(
+      `SELECT open.user_id,
+              SUM(open.outstanding) as amount,
+              ARRAY_AGG(open.id ORDER BY open.build_date, open.id) as commission_due_ids
+       FROM (
+         SELECT cd.id, cd.user_id, cd.build_date,
+                cd.commission_amount
+                + COALESCE((SELECT SUM(ca.amount) FROM commission_adjustments ca
+                            WHERE ca.commission_due_id = cd.id AND ca.status = 'active'), 0)
+                - COALESCE((SELECT SUM(pcm.amount_applied) FROM payment_commission_mapping pcm
+                            WHERE pcm.commission_due_id = cd.id), 0) as outstanding
+         FROM commissions_due cd
+         WHERE cd.is_paid = false
+           AND cd.build_date >= $1::DATE
+           AND cd.build_date < $2::DATE + 1
+       ) open
+       WHERE open.outstanding > 0.005
+       GROUP BY open.user_id`,
+      [start_date, end_date]
+    );
+    return result.rows;
+  },
+
+  createRun: async ({ pay_period_id, payment_type, notes = null, created_by = null }, client) => {
+    const result = await client.query(
+      `INSERT INTO payroll_runs (pay_period_id, payment_type, notes, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [pay_period_id, payment_type, notes, created_by]
+    );
+    return result.rows[0];
+  },
+
+  insertRunItems: async (runId, items, client) => {
+    if (items.length === 0) return [];
+
+    const values = [runId];
+    const placeholders = items.map((item, index) => {
+      const baseIndex = index * 3 + 1;
+      values.push(item.user_id, item.amount, item.commission_due_ids);
+      return `($1, $${baseIndex + 1}, $${baseIndex + 2}::NUMERIC, $${baseIndex + 2}::NUMERIC, $${baseIndex + 3}::INTEGER[])`;
+    });
+
+    const result = await client.query(
+      `INSERT INTO payroll_run_items (payroll_run_id, user_id, proposed_amount, amount, commission_due_ids)
+       VALUES ${placeholders.join(', ')}
+       RETURNING *`,
+      values
+    );
+    return result.rows;
+  },
+
+  updateRunItem: async (runId, itemId, { amount, excluded, notes }, client = db) => {
+    try {
+      const result = await client.query(
+        `UPDATE payroll_run_items
+         SET amount = COALESCE($3, amount),
+             excluded = COALESCE($4, excluded),
+             notes = COALESCE($5, notes),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE payroll_run_id = $1 AND id = $2
+         RETURNING *`,
+        [runId, itemId, amount ?? null, excluded ?? null, notes ?? null]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in updateRunItem:', error);
+      throw error;
+    }
+  },
+
+  setItemPayment: async (itemId, paymentId, client) => {
+    await client.query(
+      'UPDATE payroll_run_items SET payment_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [itemId, paymentId]
+    );
+  },
+
+  // Payments a run posted that still exist (one may have been deleted by hand since)
+  getRunPayments: async (runId, client) => {
+    const result = await client.query(
+      'SELECT * FROM payments WHERE payroll_run_id = $1 ORDER BY id FOR UPDATE',
+      [runId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Get payments to export, with the payee's stored bank details
+   * @param {Object} filters - { start_date, end_date, payroll_run_id, payment_type }
+   * @returns {Array} payments rows with user_name, email and bank_* columns
+   */
+  getPaymentsForExport: async ({ start_date = null, end_date = null, payroll_run_id = null, payment_type = null }) => {
+    try {
+      const result = await db.query(
+        `SELECT p.*, u.name as user_name, u.email,
+                u.bank_routing_number_encrypted, u.bank_account_number_encrypted,
+                u.bank_account_type, u.bank_account_holder_name
+         FROM payments p
+         JOIN users u ON p.user_id = u.id
+         WHERE ($1::DATE IS NULL OR p.payment_date >= $1::DATE)
+           AND ($2::DATE IS NULL OR p.payment_date < $2::DATE + 1)
+           AND ($3::INTEGER IS NULL OR p.payroll_run_id = $3)
+           AND ($4::VARCHAR IS NULL OR p.payment_type = $4)
+         ORDER BY p.payment_date ASC, u.name ASC, p.id ASC`,
+        [start_date, end_date, payroll_run_id, payment_type]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getPaymentsForExport:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a run to a new status and stamp who did it
+   * @param {number} runId - Run ID
+   * @param {string} status - 'approved' | 'posted' | 'voided' | 'draft'
+   * @param {Object} details - { user_id, void_reason }
+   * @param {Object} client - Transaction client, defaults to the pool
+   */
+  setRunStatus: async (runId, status, { user_id = null, void_reason = null } = {}, client = db) => {
+    // Each status only sends the parameters its SQL uses; Postgres can't type an unused one
+    const stamps = {
+      draft: { sql: 'approved_by = NULL, approved_at = NULL', params: [] },
+      approved: { sql: 'approved_by = $3, approved_at = CURRENT_TIMESTAMP', params: [user_id] },
+      posted: { sql: 'posted_by = $3, posted_at = CURRENT_TIMESTAMP', params: [user_id] },
+      voided: { sql: 'voided_by = $3, voided_at = CURRENT_TIMESTAMP, void_reason = $4', params: [user_id, void_reason] }
+    };
+
+    const result = await client.query(
+      `UPDATE payroll_runs
+       SET status = $2, ${stamps[status].sql}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [runId, status, ...stamps[status].params]
+    );
+    return result.rows[0];
+  }
+};
+
+module.exports = PayrollModel;
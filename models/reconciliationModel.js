@@ -0,0 +1,140 @@
+/**
+ * Reconciliation Model
+ * Recomputes balances from their source rows and stores the discrepancies found
+ */
+
+const db = require('../config/db');
+
+const ReconciliationModel = {
+  /**
+   * Recompute earned/paid totals from commissions_due, active clawbacks and payments,
+   * next to what user_balance currently records
+   * @param {Array|null} userIds - Limit to these users, all users when null
+   * @param {Object} client - Transaction client
+   * @returns {Array} { user_id, expected_earned, expected_paid, recorded_earned, recorded_paid, recorded_balance }
+   */
+  getExpectedBalances: async (userIds = null, client = db) => {
+    try {
+      const result = await client.query(
+        `SELECT u.id as user_id,
+                COALESCE(cd.total, 0) + COALESCE(ca.total, 0) as expected_earned,
+                COALESCE(p.total, 0) as expected_paid,
+                ub.total_commissions_earned as recorded_earned,
+                ub.total_payments_received as recorded_paid,
+                ub.current_balance as recorded_balance
+         FROM users u
+         LEFT JOIN (
+           SELECT user_id, SUM(commission_amount) as total FROM commissions_due GROUP BY user_id
+         ) cd ON cd.user_id = u.id
+         LEFT JOIN (
+           SELECT user_id, SUM(amount) as total FROM commission_adjustments WHERE status = 'active' GROUP BY user_id
+         ) ca ON ca.user_id = u.id
+         LEFT JOIN (
+           SELECT user_id, SUM(amount) as total FROM payments GROUP BY user_id
+         ) p ON p.user_id = u.id
+         LEFT JOIN user_balance ub ON ub.user_id = u.id
+         WHERE ($1::INTEGER[] IS NULL OR u.id = ANY($1))
+           AND (cd.total IS NOT NULL OR ca.total IS NOT NULL OR p.total IS NOT NULL OR ub.user_id IS NOT NULL)
+         ORDER BY u.id`,
+        [userIds]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getExpectedBalances:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record discrepancies found by a reconciliation
+   * A user who already has an open discrepancy keeps that row, updated to the latest figures;
+   * created_at still says when the drift was first found
+   * @param {Array} discrepancies - Rows to record, one per user
+   * @returns {Array} Inserted or updated discrepancy records
+   */
+  recordDiscrepancies: async (discrepancies) => {
+    if (discrepancies.length === 0) return [];
+
+    const columns = [
+      'user_id', 'reconciled_at', 'expected_earned', 'expected_paid', 'expected_balance',
+      'recorded_earned', 'recorded_paid', 'recorded_balance', 'ledger_earned', 'ledger_paid'
+    ];
+    const values = [];
+    const placeholders = discrepancies.map((discrepancy, index) => {
+      values.push(...columns.map(column => discrepancy[column] ?? null));
+      return `(${columns.map((_, i) => `$${index * columns.length + i + 1}`).join(', ')})`;
+    });
+
+    try {
+      const result = await db.query(
+        `INSERT INTO balance_discrepancies (${columns.join(', ')})
+         VALUES ${placeholders.join(', ')}
+         ON CONFLICT (user_id) WHERE status = 'open' DO UPDATE SET
+           reconciled_at = EXCLUDED.reconciled_at,
+           expected_earned = EXCLUDED.expected_earned,
+           expected_paid = EXCLUDED.expected_paid,
+           expected_balance = EXCLUDED.expected_balance,
+           recorded_earned = EXCLUDED.recorded_earned,
+           recorded_paid = EXCLUDED.recorded_paid,
+           recorded_balance = EXCLUDED.recorded_balance,
+           ledger_earned = EXCLUDED.ledger_earned,
+           ledger_paid = EXCLUDED.ledger_paid
+         RETURNING *`,
+        values
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in recordDiscrepancies:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get discrepancies, newest reconciliation first
+   * @param {Object} filters - { status, user_id, limit, offset }
+   */
+  getDiscrepancies: async ({ status = null, user_id = null, limit = 100, offset = 0 } = {}) => {
+    try {
+      const result = await db.query(
+        `SELECT bd.*, u.name as user_name, u.role,
+                bd.expected_balance - COALESCE(bd.recorded_balance, 0) as balance_difference
+         FROM balance_discrepancies bd
+         JOIN users u ON bd.user_id = u.id
+         WHERE ($1::VARCHAR IS NULL OR bd.status = $1)
+           AND ($2::INTEGER IS NULL OR bd.user_id = $2)
+         ORDER BY bd.reconciled_at DESC, u.name ASC
+         LIMIT $3 OFFSET $4`,
+        [status, user_id, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getDiscrepancies:', error);
+      throw error;
+    }
+  },
+
+  getDiscrepancyById: async (discrepancyId) => {
+    try {
+      const result = await db.query('SELECT * FROM balance_discrepancies WHERE id = $1', [discrepancyId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getDiscrepancyById:', error);
+      throw error;
+    }
+  },
+
+  // Close every open discrepancy for a user once their balance has been corrected
+  markCorrected: async (userId, { corrected_by = null, correction_entry_ids = [] }, client = db) => {
+    const result = await client.query(
+      `UPDATE balance_discrepancies
+       SET status = 'corrected', corrected_at = CURRENT_TIMESTAMP,
+           corrected_by = $2, correction_entry_ids = $3
+       WHERE user_id = $1 AND status = 'open'
+       RETURNING *`,
+      [userId, corrected_by, correction_entry_ids]
+    );
+    return result.rows;
+  }
+};
+
+module.exports = ReconciliationModel;
@@ -0,0 +1,161 @@
+/**
+ * Session Model
+ * Login sessions and their refresh tokens. Tokens are only ever stored as hashes;
+ * see services/sessionService.js for issuing and rotating them.
+ */
+
+const db = require('../config/db');
+
+const SessionModel = {
+  /**
+   * Start a session with its first refresh token
+   * @param {Object} session - { user_id, token_hash, ttl_days, user_agent, ip_address,
+   *   mfa_verified: the user passed an MFA check to sign in }
+   * @param {Object} client - Transaction client
+   */
+  createSession: async ({ user_id, token_hash, ttl_days, user_agent = null, ip_address = null, mfa_verified = false }, client) => {
+    const result = await client.query(
+      `INSERT INTO user_sessions (user_id, user_agent, ip_address, expires_at, mfa_verified_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4), CASE WHEN $5 THEN CURRENT_TIMESTAMP END)
+       RETURNING *`,
+      [user_id, user_agent, ip_address, ttl_days, mfa_verified]
+    );
+    const session = result.rows[0];
+
+    await client.query(
+      'INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)',
+      [session.id, token_hash]
+    );
+    return session;
+  },
+
+  /**
+   * Find a refresh token and its session, locking both for rotation
+   * @param {string} tokenHash - SHA-256 of the token
+   * @param {Object} client - Transaction client
+   */
+  getRefreshTokenForUpdate: async (tokenHash, client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.session_id, rt.used_at,
+              s.user_id, s.expires_at, s.revoked_at, s.expires_at < CURRENT_TIMESTAMP as expired
+       FROM refresh_tokens rt
+       JOIN user_sessions s ON s.id = rt.session_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [tokenHash]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Replace a session's refresh token and push back its expiry
+   * @param {Object} rotation - { token_id: token being used, session_id, token_hash: the new token's, ttl_days, ip_address }
+   * @param {Object} client - Transaction client
+   */
+  rotateRefreshToken: async ({ token_id, session_id, token_hash, ttl_days, ip_address = null }, client) => {
+    await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [token_id]);
+    await client.query(
+      'INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)',
+      [session_id, token_hash]
+    );
+    const result = await client.query(
+      `UPDATE user_sessions
+       SET last_used_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + make_interval(days => $2),
+           ip_address = COALESCE($3, ip_address)
+       WHERE id = $1
+       RETURNING *`,
+      [session_id, ttl_days, ip_address]
+    );
+    return result.rows[0];
+  },
+
+  // A session that can still be used, or undefined
+  getActiveSession: async (sessionId) => {
+    try {
+      const result = await db.query(
+        `SELECT * FROM user_sessions
+         WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [sessionId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getActiveSession:', error);
+      throw error;
+    }
+  },
+
+  // The user just passed an MFA check in this session
+  markMfaVerified: async (sessionId) => {
+    try {
+      const result = await db.query(
+        'UPDATE user_sessions SET mfa_verified_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING mfa_verified_at',
+        [sessionId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in markMfaVerified:', error);
+      throw error;
+    }
+  },
+
+  getActiveSessionsByUser: async (userId) => {
+    try {
+      const result = await db.query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY last_used_at DESC`,
+        [userId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getActiveSessionsByUser:', error);
+      throw error;
+    }
+  },
+
+  revokeSession: async (sessionId, reason, client = db) => {
+    const result = await client.query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [sessionId, reason]
+    );
+    return result.rowCount > 0;
+  },
+
+  /**
+   * Revoke every open session of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Why, e.g. 'password_changed'
+   * @param {Object} options - { exceptSessionId: keep this one (the caller's own) }
+   * @returns {number} Sessions revoked
+   */
+  revokeUserSessions: async (userId, reason, { exceptSessionId = null } = {}, client = db) => {
+    const result = await client.query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND ($3::INTEGER IS NULL OR id <> $3)`,
+      [userId, reason, exceptSessionId]
+    );
+    return result.rowCount;
+  },
+
+  // Drop sessions that ended (expired or revoked) more than retentionDays ago
+  deleteEndedSessions: async (retentionDays) => {
+    try {
+      const result = await db.query(
+        `DELETE FROM user_sessions
+         WHERE COALESCE(revoked_at, expires_at) < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+        [retentionDays]
+      );
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error in deleteEndedSessions:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = SessionModel;
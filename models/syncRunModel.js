@@ -0,0 +1,113 @@
+/**
+ * Sync Run Model
+ * History of customer syncs. Runs are written with the pool, outside the sync's
+ * transaction, so a run that fails and rolls back is still recorded.
+ */
+
+const db = require('../config/db');
+
+const SyncRunModel = {
+  startRun: async ({ trigger, triggered_by = null, mode, updated_since = null }) => {
+    try {
+      const result = await db.query(
+        `INSERT INTO sync_runs (trigger, triggered_by, mode, updated_since)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [trigger, triggered_by, mode, updated_since]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in startRun:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record the outcome of a run
+   * @param {number} runId - Run ID
+   * @param {Object} outcome - { status, high_water_mark, counts: { jobs_fetched, customers_inserted, ... }, errors, failure_message }
+   */
+  finishRun: async (runId, { status, high_water_mark = null, counts = {}, errors = [], failure_message = null }) => {
+    try {
+      const result = await db.query(
+        `UPDATE sync_runs
+         SET status = $2, finished_at = CURRENT_TIMESTAMP, high_water_mark = $3,
+             jobs_fetched = $4, customers_inserted = $5, customers_updated = $6, customers_unchanged = $7,
+             commissions_created = $8, commissions_updated = $9, clawbacks_created = $10, clawbacks_reversed = $11,
+             error_count = $12, errors = $13, failure_message = $14
+         WHERE id = $1
+         RETURNING *`,
+        [
+          runId,
+          status,
+          high_water_mark,
+          counts.jobs_fetched || 0,
+          counts.customers_inserted || 0,
+          counts.customers_updated || 0,
+          counts.customers_unchanged || 0,
+          counts.commissions_created || 0,
+          counts.commissions_updated || 0,
+          counts.clawbacks_created || 0,
+          counts.clawbacks_reversed || 0,
+          errors.length,
+          JSON.stringify(errors),
+          failure_message
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in finishRun:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get runs, newest first, without their error details
+   * @param {Object} filters - { trigger, status, limit, offset }
+   */
+  getRuns: async ({ trigger = null, status = null, limit = 50, offset = 0 } = {}) => {
+    try {
+      const result = await db.query(
+        `SELECT sr.id, sr.trigger, sr.triggered_by, u.name as triggered_by_name, sr.mode, sr.status,
+                sr.started_at, sr.finished_at,
+                EXTRACT(EPOCH FROM (sr.finished_at - sr.started_at)) as duration_seconds,
+                sr.updated_since, sr.high_water_mark, sr.jobs_fetched,
+                sr.customers_inserted, sr.customers_updated, sr.customers_unchanged,
+                sr.commissions_created, sr.commissions_updated,
+                sr.clawbacks_created, sr.clawbacks_reversed,
+                sr.error_count, sr.failure_message
+         FROM sync_runs sr
+         LEFT JOIN users u ON sr.triggered_by = u.id
+         WHERE ($1::VARCHAR IS NULL OR sr.trigger = $1)
+           AND ($2::VARCHAR IS NULL OR sr.status = $2)
+         ORDER BY sr.started_at DESC, sr.id DESC
+         LIMIT $3 OFFSET $4`,
+        [trigger, status, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getRuns:', error);
+      throw error;
+    }
+  },
+
+  // Get a run with its full error details
+  getRunById: async (runId) => {
+    try {
+      const result = await db.query(
+        `SELECT sr.*, u.name as triggered_by_name,
+                EXTRACT(EPOCH FROM (sr.finished_at - sr.started_at)) as duration_seconds
+         FROM sync_runs sr
+         LEFT JOIN users u ON sr.triggered_by = u.id
+         WHERE sr.id = $1`,
+        [runId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getRunById:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = SyncRunModel;
@@ -0,0 +1,46 @@
+/**
+ * Sync State Model
+ * High-water marks for incremental syncs, one row per source
+ */
+
+const db = require('../config/db');
+
+const JOBNIMBUS_JOBS = 'jobnimbus_jobs';
+
+const SyncStateModel = {
+  JOBNIMBUS_JOBS,
+
+  getSyncState: async (source = JOBNIMBUS_JOBS) => {
+    try {
+      const result = await db.query('SELECT * FROM sync_state WHERE source = $1', [source]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getSyncState:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save the high-water mark after a successful sync, inside the sync's transaction
+   * The mark never moves backwards
+   * @param {string} source - Sync source
+   * @param {number|null} highWaterMark - Latest date_updated synced (unix seconds)
+   * @param {Object} options - { full: whether this was a full resync }
+   * @param {Object} client - Transaction client
+   */
+  saveHighWaterMark: async (source, highWaterMark, { full = false } = {}, client = db) => {
+    const result = await client.query(
+      `INSERT INTO sync_state (source, high_water_mark, last_synced_at, last_full_sync_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP, CASE WHEN $3 THEN CURRENT_TIMESTAMP END)
+       ON CONFLICT (source) DO UPDATE SET
+         high_water_mark = GREATEST(sync_state.high_water_mark, EXCLUDED.high_water_mark),
+         last_synced_at = CURRENT_TIMESTAMP,
+         last_full_sync_at = COALESCE(EXCLUDED.last_full_sync_at, sync_state.last_full_sync_at)
+       RETURNING *`,
+      [source, highWaterMark, full]
+    );
+    return result.rows[0];
+  }
+};
+
+module.exports = SyncStateModel;
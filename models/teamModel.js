@@ -60,6 +60,18 @@ const getAllTeams = async () => {
   return result.rows;
 };
 
+// Everyone on the teams a manager manages, for scoping what the manager can see
+const getManagedUserIds = async (managerId) => {
+  const query = `
+    SELECT DISTINCT member_id
+    FROM teams t,
+         UNNEST(COALESCE(t.salesman_ids, '{}') || COALESCE(t.supplementer_ids, '{}')) AS member_id
+    WHERE t.manager_id = $1;
+  `;
+  const result = await pool.query(query, [managerId]);
+  return result.rows.map(row => row.member_id);
+};
+
 // New function to get team by customer
 const getTeamsByCustomerId = async (customerId) => {
   const query = `
@@ -464,6 +476,7 @@ module.exports = {
   getTeamByUserId,
   getTeamByUserIdFromDb,
   getTeamById,
+  getManagedUserIds,
   
   // User team membership functions
   addUserToTeam,
@@ -0,0 +1,153 @@
+/**
+ * Unmatched Assignee Model
+ * JobNimbus assignee names that matched no user, with the jobs carrying them
+ */
+
+const db = require('../config/db');
+
+const ASSIGNEE_WITH_JOBS_SQL = `
+  SELECT ua.*, ru.name as resolved_user_name,
+         COUNT(uaj.jnid) as job_count,
+         COALESCE(
+           JSON_AGG(JSON_BUILD_OBJECT(
+             'jnid', uaj.jnid,
+             'customer_id', uaj.customer_id,
+             'customer_name', c.customer_name,
+             'customer_status', c.status,
+             'role', uaj.role
+           ) ORDER BY c.customer_name) FILTER (WHERE uaj.jnid IS NOT NULL),
+           '[]'
+         ) as jobs
+  FROM unmatched_assignees ua
+  LEFT JOIN unmatched_assignee_jobs uaj ON uaj.unmatched_assignee_id = ua.id
+  LEFT JOIN customers c ON uaj.customer_id = c.id
+  LEFT JOIN users ru ON ua.resolved_user_id = ru.id`;
+
+const UnmatchedAssigneeModel = {
+  /**
+   * Record the unmatched assignees found on synced jobs, inside the sync's transaction
+   * The synced jobs' previous entries are replaced, so jobs that now match drop out of the queue
+   * @param {Array} jnids - Every job synced
+   * @param {Array} entries - { assignee_name, assignee_normalized, jobnimbus_user_id, jnid, customer_id, role }
+   * @param {Object} client - Transaction client
+   * @returns {Array} Assignees recorded
+   */
+  recordUnmatched: async (jnids, entries, client) => {
+    if (jnids.length === 0) return [];
+
+    await client.query('DELETE FROM unmatched_assignee_jobs WHERE jnid = ANY($1)', [jnids]);
+
+    const byName = new Map();
+    entries.forEach(entry => {
+      if (!byName.has(entry.assignee_normalized)) byName.set(entry.assignee_normalized, []);
+      byName.get(entry.assignee_normalized).push(entry);
+    });
+
+    const assignees = [];
+    for (const [normalized, jobs] of byName) {
+      const jobnimbusUserId = jobs.find(job => job.jobnimbus_user_id)?.jobnimbus_user_id || null;
+
+      // A resolved name seen unmatched again (e.g. its alias was removed) goes back in the queue
+      const result = await client.query(
+        `INSERT INTO unmatched_assignees (assignee_name, assignee_normalized, jobnimbus_user_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (assignee_normalized) DO UPDATE SET
+           assignee_name = EXCLUDED.assignee_name,
+           jobnimbus_user_id = COALESCE(EXCLUDED.jobnimbus_user_id, unmatched_assignees.jobnimbus_user_id),
+           status = CASE WHEN unmatched_assignees.status = 'resolved' THEN 'pending' ELSE unmatched_assignees.status END,
+           last_seen_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [jobs[0].assignee_name, normalized, jobnimbusUserId]
+      );
+      const assignee = result.rows[0];
+      assignees.push(assignee);
+
+      await client.query(
+        `INSERT INTO unmatched_assignee_jobs (unmatched_assignee_id, jnid, customer_id, role)
+         SELECT $1, jobs.jnid, jobs.customer_id, jobs.role
+         FROM UNNEST($2::VARCHAR[], $3::INTEGER[], $4::VARCHAR[]) AS jobs(jnid, customer_id, role)
+         ON CONFLICT DO NOTHING`,
+        [assignee.id, jobs.map(job => job.jnid), jobs.map(job => job.customer_id), jobs.map(job => job.role)]
+      );
+    }
+
+    // Pending names no job carries any more have nothing left to resolve
+    await client.query(
+      `DELETE FROM unmatched_assignees ua
+       WHERE ua.status = 'pending'
+         AND NOT EXISTS (SELECT 1 FROM unmatched_assignee_jobs uaj WHERE uaj.unmatched_assignee_id = ua.id)`
+    );
+
+    return assignees;
+  },
+
+  /**
+   * Get the queue, names on the most jobs first
+   * @param {Object} filters - { status, limit, offset }
+   */
+  getUnmatchedAssignees: async ({ status = null, limit = 100, offset = 0 } = {}) => {
+    try {
+      const result = await db.query(
+        `${ASSIGNEE_WITH_JOBS_SQL}
+         WHERE ($1::VARCHAR IS NULL OR ua.status = $1)
+         GROUP BY ua.id, ru.name
+         ORDER BY COUNT(uaj.jnid) DESC, ua.last_seen_at DESC
+         LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getUnmatchedAssignees:', error);
+      throw error;
+    }
+  },
+
+  getUnmatchedAssigneeById: async (assigneeId) => {
+    try {
+      const result = await db.query(
+        `${ASSIGNEE_WITH_JOBS_SQL}
+         WHERE ua.id = $1
+         GROUP BY ua.id, ru.name`,
+        [assigneeId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getUnmatchedAssigneeById:', error);
+      throw error;
+    }
+  },
+
+  // Lock an assignee for resolution
+  lockUnmatchedAssignee: async (assigneeId, client) => {
+    const result = await client.query('SELECT * FROM unmatched_assignees WHERE id = $1 FOR UPDATE', [assigneeId]);
+    return result.rows[0];
+  },
+
+  // Jobs currently carrying an assignee
+  getAssigneeJobs: async (assigneeId, client = db) => {
+    const result = await client.query(
+      'SELECT * FROM unmatched_assignee_jobs WHERE unmatched_assignee_id = $1 ORDER BY jnid',
+      [assigneeId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Close an assignee
+   * @param {number} assigneeId - Assignee ID
+   * @param {Object} resolution - { status: 'resolved' | 'ignored', resolved_user_id, resolved_by }
+   * @param {Object} client - Transaction client
+   */
+  setResolution: async (assigneeId, { status, resolved_user_id = null, resolved_by = null }, client = db) => {
+    const result = await client.query(
+      `UPDATE unmatched_assignees
+       SET status = $2, resolved_user_id = $3, resolved_by = $4, resolved_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [assigneeId, status, resolved_user_id, resolved_by]
+    );
+    return result.rows[0];
+  }
+};
+
+module.exports = UnmatchedAssigneeModel;
@@ -148,13 +148,17 @@ const getUserById = async (id) => {
   }
 };
 
-// Get all users
+// Get all users, with the aliases they are matched by in JobNimbus
 const getAllUsers = async () => {
   try {
     const query = `
-      SELECT id, name, email, role, permissions, phone, hire_date, yearly_goal, created_at
-      FROM users
-      ORDER BY created_at DESC;
+      SELECT u.id, u.name, u.email, u.role, u.permissions, u.phone, u.hire_date, u.yearly_goal, u.created_at,
+             u.jobnimbus_user_id,
+             COALESCE(ARRAY_AGG(ua.alias ORDER BY ua.alias) FILTER (WHERE ua.id IS NOT NULL), '{}') as aliases
+      FROM users u
+      LEFT JOIN user_aliases ua ON ua.user_id = u.id
+      GROUP BY u.id
+      ORDER BY u.created_at DESC;
     `;
     const result = await pool.query(query);
     return result.rows;
@@ -227,7 +231,128 @@ const getUserBalance = async (userId) => {
   }
 };
 
+// Columns holding direct deposit details; never returned or updated through the generic user endpoints
+const BANK_DETAIL_COLUMNS = [
+  'bank_routing_number_encrypted',
+  'bank_account_number_encrypted',
+  'bank_account_last4',
+  'bank_account_type',
+  'bank_account_holder_name',
+  'bank_details_updated_at'
+];
+
+// Save a user's direct deposit details (routing/account numbers already encrypted)
+const updateBankDetails = async (userId, details) => {
+  try {
+    const result = await pool.query(
+      `UPDATE users
+       SET bank_routing_number_encrypted = $2,
+           bank_account_number_encrypted = $3,
+           bank_account_last4 = $4,
+           bank_account_type = $5,
+           bank_account_holder_name = $6,
+           bank_details_updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, ${BANK_DETAIL_COLUMNS.join(', ')}`,
+      [
+        userId,
+        details.routingNumberEncrypted,
+        details.accountNumberEncrypted,
+        details.accountLast4,
+        details.accountType,
+        details.accountHolderName
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error updating bank details:', error);
+    throw new Error('Failed to update bank details');
+  }
+};
+
+// Get a user's stored (encrypted) direct deposit details
+const getBankDetails = async (userId) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, ${BANK_DETAIL_COLUMNS.join(', ')} FROM users WHERE id = $1`,
+      [userId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error fetching bank details:', error);
+    throw new Error('Failed to fetch bank details');
+  }
+};
+
+const clearBankDetails = async (userId) => {
+  try {
+    const result = await pool.query(
+      `UPDATE users
+       SET ${BANK_DETAIL_COLUMNS.map(column => `${column} = NULL`).join(', ')}
+       WHERE id = $1
+       RETURNING id`,
+      [userId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error clearing bank details:', error);
+    throw new Error('Failed to clear bank details');
+  }
+};
+
+// Get a user's aliases
+const getUserAliases = async (userId) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM user_aliases WHERE user_id = $1 ORDER BY alias',
+      [userId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching user aliases:', error);
+    throw new Error('Failed to fetch user aliases');
+  }
+};
+
+// Add an alias; returns null if the user already has it
+const addUserAlias = async (userId, alias, normalizedAlias, createdBy = null, client = pool) => {
+  const result = await client.query(
+    `INSERT INTO user_aliases (user_id, alias, alias_normalized, created_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (alias_normalized) DO NOTHING
+     RETURNING *`,
+    [userId, alias, normalizedAlias, createdBy]
+  );
+  return result.rows[0] || null;
+};
+
+const deleteUserAlias = async (userId, aliasId) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM user_aliases WHERE id = $1 AND user_id = $2 RETURNING *',
+      [aliasId, userId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error deleting user alias:', error);
+    throw new Error('Failed to delete user alias');
+  }
+};
+
+// Link a user to their JobNimbus user ID, unless another user already has it
+const linkJobNimbusUserId = async (userId, jobnimbusUserId, client = pool) => {
+  const result = await client.query(
+    `UPDATE users SET jobnimbus_user_id = $2
+     WHERE id = $1
+       AND NOT EXISTS (SELECT 1 FROM users WHERE jobnimbus_user_id = $2 AND id <> $1)
+     RETURNING id, name, jobnimbus_user_id`,
+    [userId, jobnimbusUserId]
+  );
+  return result.rows[0] || null;
+};
+
 module.exports = {
+  BANK_DETAIL_COLUMNS,
   createUser,
   authenticateUser,
   getUserByEmail,
@@ -239,5 +364,12 @@ module.exports = {
   updatePassword,
   updateResetToken,
   createInitialUser,
-  getUserBalance
+  getUserBalance,
+  updateBankDetails,
+  getBankDetails,
+  clearBankDetails,
+  getUserAliases,
+  addUserAlias,
+  deleteUserAlias,
+  linkJobNimbusUserId
 };
\ No newline at end of file
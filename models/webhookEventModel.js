@@ -0,0 +1,149 @@
+/**
+ * Webhook Event Model
+ * JobNimbus webhook deliveries and the dead letters kept for the ones that failed
+ */
+
+const db = require('../config/db');
+
+const WebhookEventModel = {
+  /**
+   * Record a delivery; a repeat of the same event key is a replay
+   * @param {Object} event - { event_key, jnid, date_updated }
+   * @returns {Object|null} The new event, or null if the key was already recorded
+   */
+  recordEvent: async ({ event_key, jnid = null, date_updated = null }) => {
+    try {
+      const result = await db.query(
+        `INSERT INTO jobnimbus_webhook_events (event_key, jnid, date_updated)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (event_key) DO NOTHING
+         RETURNING *`,
+        [event_key, jnid, date_updated]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error in recordEvent:', error);
+      throw error;
+    }
+  },
+
+  // Latest date_updated already applied for a job, so older deliveries arriving late are skipped
+  getLatestProcessedUpdate: async (jnid) => {
+    try {
+      const result = await db.query(
+        `SELECT MAX(date_updated) as date_updated
+         FROM jobnimbus_webhook_events
+         WHERE jnid = $1 AND status = 'processed'`,
+        [jnid]
+      );
+      return result.rows[0].date_updated ? parseInt(result.rows[0].date_updated) : null;
+    } catch (error) {
+      console.error('Error in getLatestProcessedUpdate:', error);
+      throw error;
+    }
+  },
+
+  setEventStatus: async (eventId, status, skipReason = null) => {
+    try {
+      const result = await db.query(
+        `UPDATE jobnimbus_webhook_events
+         SET status = $2, skip_reason = $3, processed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [eventId, status, skipReason]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in setEventStatus:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Dead-letter a failed event, or count another failed attempt if it already is
+   * @param {Object} event - Webhook event row
+   * @param {Object} payload - Job payload as received
+   * @param {string} errorMessage - Why processing failed
+   */
+  addDeadLetter: async (event, payload, errorMessage) => {
+    try {
+      const result = await db.query(
+        `INSERT INTO jobnimbus_webhook_dead_letters (event_id, jnid, payload, error)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (event_id) DO UPDATE SET
+           error = EXCLUDED.error,
+           attempts = jobnimbus_webhook_dead_letters.attempts + 1,
+           status = 'pending',
+           last_attempt_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [event.id, event.jnid, JSON.stringify(payload), errorMessage]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in addDeadLetter:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get dead letters, newest first
+   * @param {Object} filters - { status, limit, offset }
+   */
+  getDeadLetters: async ({ status = null, limit = 50, offset = 0 } = {}) => {
+    try {
+      const result = await db.query(
+        `SELECT dl.*, e.event_key, e.date_updated, e.received_at
+         FROM jobnimbus_webhook_dead_letters dl
+         JOIN jobnimbus_webhook_events e ON dl.event_id = e.id
+         WHERE ($1::VARCHAR IS NULL OR dl.status = $1)
+         ORDER BY dl.created_at DESC, dl.id DESC
+         LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getDeadLetters:', error);
+      throw error;
+    }
+  },
+
+  getDeadLetterById: async (deadLetterId) => {
+    try {
+      const result = await db.query(
+        `SELECT dl.*, e.event_key, e.date_updated, e.received_at
+         FROM jobnimbus_webhook_dead_letters dl
+         JOIN jobnimbus_webhook_events e ON dl.event_id = e.id
+         WHERE dl.id = $1`,
+        [deadLetterId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in getDeadLetterById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Close a dead letter
+   * @param {number} deadLetterId - Dead letter ID
+   * @param {string} status - 'resolved' | 'discarded'
+   * @param {number} userId - Who closed it; null when a retry resolved it
+   */
+  closeDeadLetter: async (deadLetterId, status, userId = null) => {
+    try {
+      const result = await db.query(
+        `UPDATE jobnimbus_webhook_dead_letters
+         SET status = $2, resolved_at = CURRENT_TIMESTAMP, resolved_by = $3
+         WHERE id = $1
+         RETURNING *`,
+        [deadLetterId, status, userId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in closeDeadLetter:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = WebhookEventModel;
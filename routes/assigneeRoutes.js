@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const AssigneeController = require('../controllers/assigneeController');
+const { protectRoute, requirePermission } = require('../middleware/authMiddleware');
+
+// ==========================================
+// Unmatched JobNimbus Assignee Routes
+// ==========================================
+// Sales rep, supplementer and affiliate names on JobNimbus jobs that matched no user
+// by linked JobNimbus user ID, name, email or alias. Their commissions are not paid
+// until the name is resolved to a user. Admin only.
+
+router.use(protectRoute, requirePermission('jobnimbus:manage'));
+
+// Get the queue, with the jobs affected and suggested users for each name
+// GET /api/unmatched-assignees
+// Query params: status: 'pending' (default) | 'resolved' | 'ignored' | 'all', limit, offset
+router.get('/', AssigneeController.getUnmatchedAssignees);
+
+// GET /api/unmatched-assignees/:id
+router.get('/:id', AssigneeController.getUnmatchedAssigneeById);
+
+// Match the name to a user and re-process the affected jobs
+// POST /api/unmatched-assignees/:id/resolve
+// Required body: {
+//   user_id,
+//   link_jobnimbus_id?: also link the jobs' JobNimbus sales rep ID to the user (default true),
+//   reprocess?: re-sync the affected jobs from JobNimbus now (default true)
+// }
+// Returns 207 if some jobs could not be re-processed; they are picked up by the next sync
+router.post('/:id/resolve', AssigneeController.resolveUnmatchedAssignee);
+
+// Leave the name unmatched on purpose; it stays out of the pending queue
+// POST /api/unmatched-assignees/:id/ignore
+router.post('/:id/ignore', AssigneeController.ignoreUnmatchedAssignee);
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const CommissionPlanController = require('../controllers/commissionPlanController');
+const { protectRoute, requirePermission } = require('../middleware/authMiddleware');
+
+router.use(protectRoute);
+
+// ==========================================
+// Commission Plan Routes
+// ==========================================
+
+// Get all commission plans with their versions
+// GET /api/commission-plans
+router.get('/', requirePermission('plans:read'), CommissionPlanController.getAllPlans);
+
+// Resolve the default plan version in force for a role
+// GET /api/commission-plans/resolve?role={role}&date={ISO date}
+router.get('/resolve', requirePermission('plans:read'), CommissionPlanController.resolvePlan);
+
+// ==========================================
+// User Plan Assignment Routes
+// ==========================================
+
+// Get plan assignments
+// GET /api/commission-plans/assignments?user_id={userId}
+router.get('/assignments', requirePermission('plans:read'), CommissionPlanController.getAssignments);
+
+// Assign a plan and/or rule overrides to a user (admin only)
+// POST /api/commission-plans/assignments
+// Required body: {
+//   user_id: number,
+//   start_date: ISO date,
+//   plan_id?: plan for the user's role (defaults to the role's default plan),
+//   rule_overrides?: object merged over the plan rules, e.g.
+//     { "tenure_brackets": [...] } or { "own_job": { "rate": 0.12 } },
+//   end_date?: ISO date (exclusive),
+//   notes?: string
+// }
+// At least one of plan_id or rule_overrides is required; ranges may not overlap
+router.post('/assignments', requirePermission('plans:manage'), CommissionPlanController.createAssignment);
+
+// Update an assignment (admin only)
+// PUT /api/commission-plans/assignments/:assignmentId
+router.put('/assignments/:assignmentId', requirePermission('plans:manage'), CommissionPlanController.updateAssignment);
+
+// Delete an assignment (admin only)
+// DELETE /api/commission-plans/assignments/:assignmentId
+router.delete('/assignments/:assignmentId', requirePermission('plans:manage'), CommissionPlanController.deleteAssignment);
+
+// Get a commission plan with its versions
+// GET /api/commission-plans/:id
+router.get('/:id', requirePermission('plans:read'), CommissionPlanController.getPlanById);
+
+// Create a commission plan and its first version (admin only)
+// POST /api/commission-plans
+// Required body: {
+//   name: string (unique),
+//   role: 'Salesman' | 'Sales Manager' | 'Supplement Manager' | 'Supplementer' | 'Affiliate Marketer',
+//   effective_from: ISO date,
+//   rules: rules object for the role,
+//   description?: string,
+//   is_default?: boolean - make this the plan used for the role,
+//   notes?: string
+// }
+router.post('/', requirePermission('plans:manage'), CommissionPlanController.createPlan);
+
+// Update plan name, description or default flag (admin only)
+// PUT /api/commission-plans/:id
+router.put('/:id', requirePermission('plans:manage'), CommissionPlanController.updatePlan);
+
+// Delete a commission plan and its versions (admin only)
+// DELETE /api/commission-plans/:id
+router.delete('/:id', requirePermission('plans:manage'), CommissionPlanController.deletePlan);
+
+// ==========================================
+// Commission Plan Version Routes
+// ==========================================
+
+// Add a new rules version (admin only)
+// POST /api/commission-plans/:id/versions
+// Required body: { effective_from: ISO date, rules: object, effective_to?: ISO date, notes?: string }
+// Effects:
+// - Closes the open-ended version that starts before effective_from
+// - Rejects versions that overlap an existing date range
+router.post('/:id/versions', requirePermission('plans:manage'), CommissionPlanController.addPlanVersion);
+
+// Update a version's rules, notes or end date (admin only)
+// PUT /api/commission-plans/:id/versions/:versionId
+router.put('/:id/versions/:versionId', requirePermission('plans:manage'), CommissionPlanController.updatePlanVersion);
+
+// Delete a version (admin only)
+// DELETE /api/commission-plans/:id/versions/:versionId
+router.delete('/:id/versions/:versionId', requirePermission('plans:manage'), CommissionPlanController.deletePlanVersion);
+
+module.exports = router;
@@ -1,82 +1,137 @@
 const express = require('express');
 const router = express.Router();
 const CommissionController = require('../controllers/commissionController');
+const { protectRoute, requirePermission, requireRecentMfa } = require('../middleware/authMiddleware');
+
+// Mounted at /api, so only this router's own paths are protected
+router.use(['/commissions', '/clawbacks', '/payments', '/balance', '/summary', '/process-customer'], protectRoute);
 
 // ==========================================
 // Commission Due Routes
 // ==========================================
 
 // Get commissions due for current user
-router.get('/commissions', CommissionController.getUserCommissions);
+// Query params: user_id (managers: anyone on their teams)
+router.get('/commissions', requirePermission('commissions:read'), CommissionController.getUserCommissions);
 
-// Get all commissions due (admin only)
-router.get('/commissions/all', CommissionController.getAllCommissions);
+// Get all commissions due (admins; managers get their teams')
+router.get('/commissions/all', requirePermission('reports:read'), CommissionController.getAllCommissions);
 
 // Get specific commission due by id
-router.get('/commissions/:id', CommissionController.getCommissionById);
+router.get('/commissions/:id', requirePermission('commissions:read'), CommissionController.getCommissionById);
+
+// Explain how a commission was calculated (stored trace)
+// Query params: recalculate: 'true' to also run the calculation against current data
+router.get('/commissions/:id/explain', requirePermission('commissions:read'), CommissionController.explainCommission);
 
 // Add a new commission due record (admin only)
-router.post('/commissions', CommissionController.addCommission);
+router.post('/commissions', requirePermission('commissions:manage'), requireRecentMfa, CommissionController.addCommission);
 
 // Update a commission due record (admin only)
-router.put('/commissions/:id', CommissionController.updateCommission);
+router.put('/commissions/:id', requirePermission('commissions:manage'), requireRecentMfa, CommissionController.updateCommission);
 
 // Delete a commission due record (admin only)
-router.delete('/commissions/:id', CommissionController.deleteCommission);
+router.delete('/commissions/:id', requirePermission('commissions:manage'), requireRecentMfa, CommissionController.deleteCommission);
 
 // ==========================================
-// Payment Routes
+// Clawback Routes
 // ==========================================
 
-// Get payments for current user
-router.get('/payments', CommissionController.getUserPayments);
+// Get clawbacks
+// Query params: status: 'active' | 'waived' | 'reversed', user_id, customer_id
+router.get('/clawbacks', requirePermission('commissions:read'), CommissionController.getClawbacks);
 
-// Get all payments (admin only)
-router.get('/payments/all', CommissionController.getAllPayments);
+// Get specific clawback by id
+router.get('/clawbacks/:id', requirePermission('commissions:read'), CommissionController.getClawbackById);
 
-// Add a new payment (admin only)
-router.post('/payments', CommissionController.addPayment);
+// Waive an active clawback, restoring the amount to the user's balance (admin only)
+// Required body: { reason: string }
+router.put('/clawbacks/:id/waive', requirePermission('commissions:manage'), requireRecentMfa, CommissionController.waiveClawback);
+
+// ==========================================
+// Payment Routes
+// ==========================================
+
+// Get payments for current user
+// Query params: user_id (managers: anyone on their teams)
+router.get('/payments', requirePermission('payments:read'), CommissionController.getUserPayments);
+
+// Get all payments (admins; managers get their teams')
+router.get('/payments/all', requirePermission('reports:read'), CommissionController.getAllPayments);
+
+// Add a new payment and allocate it to open commissions (admin only)
+// Required body: {
+//   user_id: number,
+//   amount: number,
+//   payment_type: 'Check' | 'Cash' | 'Direct Deposit' | 'Other',
+//   check_number?: string, payment_date?: ISO date, notes?: string,
+//   allocation_strategy?: 'oldest_first' (default) | 'per_customer' | 'manual',
+//   customer_ids?: number[] - per_customer: customers to pay, in order,
+//   allocations?: [{ commission_due_id, amount }] - manual: exact split,
+//   commission_due_ids?: number[] - manual: pay these commissions in order
+// }
+// Commissions are marked paid once fully covered; any remainder is kept as credit
+router.post('/payments', requirePermission('payments:manage'), requireRecentMfa, CommissionController.addPayment);
+
+// Apply a user's unallocated payment credit to their open commissions, oldest first (admin only)
+// Required body: { user_id: number }
+router.post('/payments/apply-credit', requirePermission('payments:manage'), requireRecentMfa, CommissionController.applyPaymentCredit);
 
 // Get payment details including commission mappings
-router.get('/payments/:paymentId/details', CommissionController.getPaymentDetails);
+router.get('/payments/:paymentId/details', requirePermission('payments:read'), CommissionController.getPaymentDetails);
 
 // Update a payment (admin only)
-router.put('/payments/:id', CommissionController.updatePayment);
+router.put('/payments/:id', requirePermission('payments:manage'), requireRecentMfa, CommissionController.updatePayment);
 
 // Delete a payment (admin only)
-router.delete('/payments/:id', CommissionController.deletePayment);
+router.delete('/payments/:id', requirePermission('payments:manage'), requireRecentMfa, CommissionController.deletePayment);
 
 // ==========================================
 // Balance Routes
 // ==========================================
 
 // Get balance for current user
-router.get('/balance', CommissionController.getUserBalance);
+// Query params: user_id, ledger: 'true' to include the ledger lines behind the balance,
+//   limit (default 100, max 1000), offset
+router.get('/balance', requirePermission('balances:read'), CommissionController.getUserBalance);
+
+// Get all user balances (admins; managers get their teams')
+router.get('/balance/all', requirePermission('reports:read'), CommissionController.getAllUserBalances);
+
+// Get discrepancies between user_balance, the ledger and the commission/payment records (admin only)
+// Query params: status: 'open' (default) | 'corrected' | 'all', user_id, limit, offset
+router.get('/balance/reconciliation', requirePermission('balances:reconcile'), CommissionController.getBalanceReconciliation);
+
+// Run balance reconciliation now (admin only)
+// Body: { auto_correct?: boolean - post ledger corrections for every discrepancy found }
+router.post('/balance/reconciliation/run', requirePermission('balances:reconcile'), requireRecentMfa, CommissionController.runBalanceReconciliation);
 
-// Get all user balances (admin only)
-router.get('/balance/all', CommissionController.getAllUserBalances);
+// Correct the balance behind a discrepancy with an audited ledger entry (admin only)
+router.post('/balance/reconciliation/:id/correct', requirePermission('balances:reconcile'), requireRecentMfa, CommissionController.correctBalanceDiscrepancy);
 
 // ==========================================
 // Reports & Summaries Routes
 // ==========================================
 
 // Get commission summary for current user (with optional date filtering)
-router.get('/summary', CommissionController.getUserCommissionSummary);
+router.get('/summary', requirePermission('commissions:read'), CommissionController.getUserCommissionSummary);
 
-// Get commission summary for all users (admin only)
-router.get('/summary/all', CommissionController.getAllCommissionSummary);
+// Get commission summary for all users (admins; managers get their teams')
+router.get('/summary/all', requirePermission('reports:read'), CommissionController.getAllCommissionSummary);
 
 // ==========================================
 // Customer Finalization Route
 // ==========================================
 
-// Process customer finalization and generate commissions (called from customer controller)
-router.post('/process-customer/:customerId', CommissionController.processCustomerFinalized);
+// Process customer finalization and generate commissions (admin only)
+router.post('/process-customer/:customerId', requirePermission('commissions:manage'), requireRecentMfa, CommissionController.processCustomerFinalized);
 
 // Calculate potential commissions for multiple customers
-router.post('/commissions/calculate-potential', CommissionController.calculatePotentialCommission);
+// Body: { user_id, customerIds: number[], explain?: boolean - include the calculation trace }
+router.post('/commissions/calculate-potential', requirePermission('commissions:calculate'), CommissionController.calculatePotentialCommission);
 
 // Calculate potential commissions in batch mode (for large datasets)
-router.post('/commissions/calculate-potential-batch', CommissionController.calculatePotentialCommissionsBatch);
+// Body: { userIds: number[], customerIds: number[], explain?: boolean }
+router.post('/commissions/calculate-potential-batch', requirePermission('commissions:calculate'), CommissionController.calculatePotentialCommissionsBatch);
 
 module.exports = router;
\ No newline at end of file
@@ -6,23 +6,53 @@
 
 const express = require('express');
 const router = express.Router();
+const { protectRoute, requirePermission, requireRecentMfa } = require('../middleware/authMiddleware');
 const { 
     syncCustomers, 
+    getSyncRuns,
+    getSyncRun,
+    getCustomerStatusHistory,
+    getStageDurations,
     getCustomers, 
     searchCustomers, 
     getCustomer, 
     deleteCustomerController,
+    updateCustomerAssignments,
+    recalculateCustomerCommissions,
     addCustomerToJobNimbus
 } = require('../controllers/customerController');
 
+// Every customer route needs a signed-in user; reads are limited to the
+// customers of the users in the caller's scope (see services/accessScopeService.js)
+router.use(protectRoute);
+
 /**
  * Customer Synchronization
  * POST /api/customers/sync
- * Syncs customer data from JobNimbus
+ * Syncs customer data from JobNimbus, paging through all results
+ * Only pulls jobs updated since the last successful sync;
+ * pass full=true (query or body) to force a full resync
  * Updates commission records for finalized customers
  * Returns sync results and any errors
+ * Pass dry_run=true to run everything and roll it back, returning the customer
+ * field changes, new/changed commission amounts and balance deltas per user
+ */
+router.post('/sync', requirePermission('customers:sync'), syncCustomers);
+
+/**
+ * Sync Run History
+ * GET /api/customers/sync/runs?trigger={cron|manual|user}&status={running|succeeded|failed}&limit=&offset=
+ * Returns past syncs, newest first: timing, trigger, jobs fetched,
+ * customers inserted/updated/unchanged, commissions created/updated and error count
+ */
+router.get('/sync/runs', requirePermission('customers:sync'), getSyncRuns);
+
+/**
+ * Single Sync Run
+ * GET /api/customers/sync/runs/:id
+ * Returns one sync run with its full error details
  */
-router.post('/sync', syncCustomers);
+router.get('/sync/runs/:id', requirePermission('customers:sync'), getSyncRun);
 
 /**
  * Customer Retrieval
@@ -30,16 +60,24 @@ router.post('/sync', syncCustomers);
  * Returns all customers with related data
  * Includes user associations and commission info
  */
-router.get('/', getCustomers);
+router.get('/', requirePermission('customers:read'), getCustomers);
 
 /**
  * Customer Search
  * GET /api/customers/search?q={query}&userId={userId}
  * Searches customers by name, address, or phone
- * Filters by user association
+ * Filters by user association, within the caller's scope
  * Returns limited results
  */
-router.get('/search', searchCustomers);
+router.get('/search', requirePermission('customers:read'), searchCustomers);
+
+/**
+ * Time in Each Status
+ * GET /api/customers/status-history/stage-durations?start_date={YYYY-MM-DD}&end_date={YYYY-MM-DD}
+ * Per status: number of stays started in the range, how many are still going,
+ * and average, median and longest days spent in it
+ */
+router.get('/status-history/stage-durations', requirePermission('reports:read'), getStageDurations);
 
 /**
  * Single Customer Retrieval
@@ -47,7 +85,32 @@ router.get('/search', searchCustomers);
  * Returns detailed customer record
  * Includes all related data and status
  */
-router.get('/:customerId', getCustomer);
+router.get('/:customerId', requirePermission('customers:read'), getCustomer);
+
+/**
+ * Customer Status History
+ * GET /api/customers/:customerId/history
+ * Every status transition (from sync, webhooks or manual edits), oldest first,
+ * with how long each status lasted and when the job was finalized
+ */
+router.get('/:customerId/history', requirePermission('customers:read'), getCustomerStatusHistory);
+
+/**
+ * Assignment Correction
+ * PUT /api/customers/:customerId/assignments
+ * Required body: any of { salesman_id, supplementer_id, referrer_id } (null clears the role)
+ * Managers are recomputed from the teams. Admin only.
+ * JobNimbus jobs get the change queued to be written back (see /api/jobnimbus/outbound-queue);
+ * the sync keeps the correction until JobNimbus has it
+ */
+router.put('/:customerId/assignments', requirePermission('customers:manage'), requireRecentMfa, updateCustomerAssignments);
+
+/**
+ * Commission Recalculation
+ * POST /api/customers/:customerId/recalculate-commissions
+ * Recalculates a finalized customer's commissions from current data. Admin only.
+ */
+router.post('/:customerId/recalculate-commissions', requirePermission('commissions:manage'), requireRecentMfa, recalculateCustomerCommissions);
 
 /**
  * Customer Deletion
@@ -55,7 +118,7 @@ router.get('/:customerId', getCustomer);
  * Removes customer and related records
  * Maintains database integrity
  */
-router.delete('/:customerId', deleteCustomerController);
+router.delete('/:customerId', requirePermission('customers:manage'), requireRecentMfa, deleteCustomerController);
 
 /**
  * Add Customer to JobNimbus
@@ -63,6 +126,6 @@ router.delete('/:customerId', deleteCustomerController);
  * Creates customer in JobNimbus CRM
  * Returns created customer data
  */
-router.post('/jobnimbus', addCustomerToJobNimbus);
+router.post('/jobnimbus', requirePermission('customers:create'), addCustomerToJobNimbus);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const DrawController = require('../controllers/drawController');
+const { protectRoute, requirePermission, requireRecentMfa } = require('../middleware/authMiddleware');
+
+router.use(protectRoute);
+
+// ==========================================
+// Draw (Advance) Routes
+// ==========================================
+
+// Get draws with amounts drawn, recovered and outstanding (managers: their teams'; reps: their own)
+// GET /api/draws
+// Query params: user_id, status: 'active' | 'recovered'
+router.get('/', requirePermission('draws:read'), DrawController.getDraws);
+
+// Outstanding draw balances per user
+// GET /api/draws/outstanding
+router.get('/outstanding', requirePermission('draws:read'), DrawController.getOutstandingDraws);
+
+// Get a draw with the commissions it was recovered from
+// GET /api/draws/:id
+router.get('/:id', requirePermission('draws:read'), DrawController.getDrawById);
+
+// Pay out a draw; it is recovered automatically from the user's new commissions (admin only)
+// POST /api/draws
+// Required body: {
+//   user_id, amount, payment_type: 'Check' | 'Cash' | 'Direct Deposit' | 'Other',
+//   recovery_method?: 'full' (default) | 'percentage' | 'fixed_per_period',
+//   recovery_percentage?: % of each new commission (percentage),
+//   recovery_amount_per_period?: most recovered per pay period, or calendar month
+//     when no pay period covers the build date (fixed_per_period),
+//   payment_date?, check_number?, notes?
+// }
+router.post('/', requirePermission('draws:manage'), requireRecentMfa, DrawController.createDraw);
+
+// Change the recovery schedule of a draw (admin only)
+// PUT /api/draws/:id/recovery
+// Required body: { recovery_method, recovery_percentage?, recovery_amount_per_period? }
+router.put('/:id/recovery', requirePermission('draws:manage'), requireRecentMfa, DrawController.updateRecoveryTerms);
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const nodemailer = require('nodemailer');
 const { sendErrorNotification } = require('../utils/email');
+const { protectRoute, requirePermission } = require('../middleware/authMiddleware');
+
+router.use(protectRoute);
 
 // Create transporter once to reuse
 const createTransporter = () => {
@@ -14,8 +17,8 @@ const createTransporter = () => {
   });
 };
 
-// General email sending route
-router.post('/send', async (req, res, next) => {
+// General email sending route (admin only)
+router.post('/send', requirePermission('email:send'), async (req, res, next) => {
   try {
     const { to, subject, body } = req.body;
     
@@ -36,7 +39,7 @@ router.post('/send', async (req, res, next) => {
 });
 
 // Issue reporting route
-router.post('/report-issue', async (req, res, next) => {
+router.post('/report-issue', requirePermission('email:report'), async (req, res, next) => {
   try {
     const { from, description, subject } = req.body;
     console.log('Issue report received:', { from, description, subject });  
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const FieldMappingController = require('../controllers/fieldMappingController');
+const OutboundSyncController = require('../controllers/outboundSyncController');
+const { protectRoute, requirePermission } = require('../middleware/authMiddleware');
+
+// JobNimbus configuration and the outbound queue are admin only
+router.use(protectRoute, requirePermission('jobnimbus:manage'));
+
+// ==========================================
+// JobNimbus Field Mapping Routes
+// ==========================================
+// Which JobNimbus job fields the sync reads for each customer field (target), and how
+// their values are coerced. Targets without a saved mapping use the built-in defaults.
+
+// Get the mapping in effect for every target
+// GET /api/jobnimbus/field-mappings
+router.get('/field-mappings', FieldMappingController.getFieldMappings);
+
+// Try mappings on a sample job without saving them
+// POST /api/jobnimbus/field-mappings/preview
+// Required body: same as PUT /api/jobnimbus/field-mappings
+router.post('/field-mappings/preview', FieldMappingController.previewFieldMappings);
+
+// Save mappings for one or more targets, after checking them against a sample job
+// PUT /api/jobnimbus/field-mappings
+// Required body: {
+//   mappings: [{
+//     target_field: e.g. 'total_job_price' (see GET for the list),
+//     source_fields: JobNimbus field names tried in order, e.g. ['Final Job Price', 'Job Total'],
+//     value_type: 'string' | 'number' | 'boolean' | 'unix_date' (fixed per target),
+//     synonyms?: { canonical value: [values JobNimbus may send] }, e.g. { "true": ["yes", "y"] },
+//     default_value?: used when the job has none of the source fields
+//   }],
+//   sample_jnid?: job to check against (default: the most recently updated job),
+//   sample_job?: a job record to check against instead of fetching one
+// }
+// Returns 422 with the errors and a preview if the sample job can't be read
+router.put('/field-mappings', FieldMappingController.updateFieldMappings);
+
+// Put a target back on its default mapping
+// DELETE /api/jobnimbus/field-mappings/:target
+router.delete('/field-mappings/:target', FieldMappingController.resetFieldMapping);
+
+// ==========================================
+// JobNimbus Outbound (Two-Way) Sync Routes
+// ==========================================
+// Values this backend owns are written back to the JobNimbus job through a queue:
+// commission status/amounts (custom fields configured below, pushed every 5 minutes when
+// they change) and assignment corrections (PUT /api/customers/:customerId/assignments).
+// A write conflicts if JobNimbus changed one of its fields since our last read to a value
+// we didn't expect; conflicting writes wait for an admin to retry, force or discard them.
+
+// Where each commission value goes and whether it is pushed
+// GET /api/jobnimbus/outbound-fields
+router.get('/outbound-fields', OutboundSyncController.getOutboundFields);
+
+// PUT /api/jobnimbus/outbound-fields
+// Required body: {
+//   fields: [{
+//     field_key: 'commission_status' | 'commission_amount' | 'commission_paid' | 'commission_balance',
+//     jobnimbus_field?: JobNimbus custom field name, e.g. 'Commission Status',
+//     enabled?: boolean (all are disabled until turned on)
+//   }]
+// }
+router.put('/outbound-fields', OutboundSyncController.updateOutboundFields);
+
+// GET /api/jobnimbus/outbound-queue
+// Query params: status: 'pending' | 'processing' | 'succeeded' | 'failed' | 'conflict' | 'discarded' | 'all' (default),
+//   customer_id, limit, offset
+router.get('/outbound-queue', OutboundSyncController.getOutboundQueue);
+
+// Queue commission changes and push what is due now
+// POST /api/jobnimbus/outbound-queue/process
+// Optional body: { limit: most writes to push (default 50) }
+router.post('/outbound-queue/process', OutboundSyncController.processOutboundQueue);
+
+// GET /api/jobnimbus/outbound-queue/:id
+router.get('/outbound-queue/:id', OutboundSyncController.getOutboundQueueEntry);
+
+// Requeue a failed or conflicting write
+// POST /api/jobnimbus/outbound-queue/:id/retry
+// Optional body: { force: true to overwrite what JobNimbus has }
+router.post('/outbound-queue/:id/retry', OutboundSyncController.retryOutboundEntry);
+
+// Give up on a write. Commission values are queued again on the next run if they still differ;
+// discarded assignment corrections are replaced by JobNimbus's value on the next sync
+// POST /api/jobnimbus/outbound-queue/:id/discard
+router.post('/outbound-queue/:id/discard', OutboundSyncController.discardOutboundEntry);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const PayrollController = require('../controllers/payrollController');
+const { protectRoute, requirePermission, requireRecentMfa } = require('../middleware/authMiddleware');
+
+// Payroll is admin only; moving money (approve, post, void, exports) also needs a recent MFA check
+router.use(protectRoute, requirePermission('payroll:manage'));
+
+// ==========================================
+// Pay Period Routes
+// ==========================================
+
+// Get pay periods, newest first, with the id of any active run
+// GET /api/payroll/pay-periods
+router.get('/pay-periods', PayrollController.getPayPeriods);
+
+// Create a pay period (dates are inclusive, periods may not overlap)
+// POST /api/payroll/pay-periods
+// Required body: { start_date, end_date, name?, pay_date? }
+router.post('/pay-periods', PayrollController.createPayPeriod);
+
+// Delete a pay period that has no runs
+// DELETE /api/payroll/pay-periods/:id
+router.delete('/pay-periods/:id', PayrollController.deletePayPeriod);
+
+// ==========================================
+// Payroll Run Routes
+// ==========================================
+
+// Get run history with totals
+// GET /api/payroll/runs
+// Query params: status: 'draft' | 'approved' | 'posted' | 'voided', pay_period_id
+router.get('/runs', PayrollController.getRuns);
+
+// Get a run with its pay period and items
+// GET /api/payroll/runs/:id
+router.get('/runs/:id', PayrollController.getRunById);
+
+// Generate a draft run: one proposed payment per user from unpaid commissions
+// with a build date in the pay period
+// POST /api/payroll/runs
+// Required body: { pay_period_id, payment_type?, notes? }
+router.post('/runs', PayrollController.createRun);
+
+// Adjust a proposed payment (draft runs only)
+// PUT /api/payroll/runs/:id/items/:itemId
+// Required body: { amount?, excluded?, notes? }
+router.put('/runs/:id/items/:itemId', PayrollController.updateRunItem);
+
+// Approve a draft run
+// POST /api/payroll/runs/:id/approve
+router.post('/runs/:id/approve', requireRecentMfa, PayrollController.approveRun);
+
+// Send an approved run back to draft
+// POST /api/payroll/runs/:id/reopen
+router.post('/runs/:id/reopen', PayrollController.reopenRun);
+
+// Post an approved run: creates and allocates every payment in one transaction
+// POST /api/payroll/runs/:id/post
+router.post('/runs/:id/post', requireRecentMfa, PayrollController.postRun);
+
+// Void a run; a posted run has all of its payments deleted
+// POST /api/payroll/runs/:id/void
+// Required body: { reason }
+router.post('/runs/:id/void', requireRecentMfa, PayrollController.voidRun);
+
+// ==========================================
+// Export Routes
+// ==========================================
+
+// Export payments as CSV for the payroll provider
+// GET /api/payroll/exports/payments.csv
+// Query params: payroll_run_id (posted run) OR start_date and end_date (payment dates, inclusive),
+//   payment_type?: limit to one payment type
+router.get('/exports/payments.csv', requireRecentMfa, PayrollController.exportPaymentsCsv);
+
+// Export Direct Deposit payments as a NACHA (PPD credit) ACH file
+// GET /api/payroll/exports/payments.ach
+// Query params: payroll_run_id (posted run) OR start_date and end_date,
+//   effective_date?: settlement date (defaults to tomorrow)
+// Fails with 422 when a payee has no valid bank details on file
+router.get('/exports/payments.ach', requireRecentMfa, PayrollController.exportPaymentsAch);
+
+module.exports = router;
@@ -21,9 +21,19 @@ const {
   getTeamMembershipHistory,
   checkUserTeamMembershipAtDate
 } = require('../controllers/teamController');
+const {
+  protectRoute,
+  requirePermission,
+  requireUserInScope,
+  requireTeamInScope
+} = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+// Team changes are admin only; managers can read the teams they manage,
+// and everyone can look up their own team
+router.use(protectRoute);
+
 /**
  * Team Management Routes
  * These routes handle the creation and management of teams
@@ -39,7 +49,7 @@ const router = express.Router();
 //   supplementerIds?: array of supplementer IDs,
 //   effectiveDate?: optional date to backdate team creation (ISO format)
 // }
-router.post('/', createNewTeam);
+router.post('/', requirePermission('teams:manage'), createNewTeam);
 
 // Updates an existing team
 // PUT /api/teams
@@ -52,21 +62,21 @@ router.post('/', createNewTeam);
 //   supplementer_ids?: updated array of supplementer IDs,
 //   effective_date?: optional date to apply changes from (ISO format)
 // }
-router.put('/', modifyTeam);
+router.put('/', requirePermission('teams:manage'), modifyTeam);
 
 // Retrieves all teams with detailed information
 // GET /api/teams
 // Query params:
 //   includeMembership: 'true' to include member details
 //   historicalDate: ISO date to get team composition at that date
-router.get('/', getTeams);
+router.get('/', requirePermission('teams:read'), getTeams);
 
 // Deletes a team
 // DELETE /api/teams/:teamId
 // Body params:
 //   preserveHistory: boolean - keep historical memberships with departure date
 //   effectiveDate: ISO date - when team was dissolved
-router.delete('/:teamId', removeTeam);
+router.delete('/:teamId', requirePermission('teams:manage'), removeTeam);
 
 /**
  * Team Member Routes
@@ -76,53 +86,53 @@ router.delete('/:teamId', removeTeam);
 // GET /api/teams/user/:userId
 // Query params:
 //   historicalDate: ISO date to check team membership at that date
-router.get('/user/:userId', getTeamByUserId);
+router.get('/user/:userId', requireUserInScope('userId'), getTeamByUserId);
 
 // Gets all teams for a user (including historical)
 // GET /api/teams/users/:userId/teams
 // Query params:
 //   historicalDate: ISO date to check team at that point
 //   includeHistory: 'true' to include all historical memberships
-router.get('/users/:userId/teams', getUserTeamsController);
+router.get('/users/:userId/teams', requireUserInScope('userId'), getUserTeamsController);
 
 // Gets all members of a team
 // GET /api/teams/:teamId/members
 // Query params:
 //   historicalDate: ISO date to get team members at that date
-router.get('/:teamId/members', getTeamMembers);
+router.get('/:teamId/members', requirePermission('teams:read'), requireTeamInScope(), getTeamMembers);
 
 // Gets membership history for a team
 // GET /api/teams/:teamId/membership-history
-router.get('/:teamId/membership-history', getTeamMembershipHistory);
+router.get('/:teamId/membership-history', requirePermission('teams:read'), requireTeamInScope(), getTeamMembershipHistory);
 
 // Add user to team (current date)
 // POST /api/teams/membership
 // Required body: { userId, teamId, role }
-router.post('/membership', addUserToTeamController);
+router.post('/membership', requirePermission('teams:manage'), addUserToTeamController);
 
 // Add user to team with custom join date
 // POST /api/teams/membership/dated
 // Required body: { userId, teamId, role, joinedAt (ISO date) }
-router.post('/membership/dated', addUserToTeamWithDateController);
+router.post('/membership/dated', requirePermission('teams:manage'), addUserToTeamWithDateController);
 
 // Set departure date for team member
 // PUT /api/teams/membership/:userId/:teamId/departure
 // Required body: { departureDate (ISO date) }
-router.put('/membership/:userId/:teamId/departure', setUserTeamDepartureDateController);
+router.put('/membership/:userId/:teamId/departure', requirePermission('teams:manage'), setUserTeamDepartureDateController);
 
 // Remove user from team (all history)
 // DELETE /api/teams/membership/:userId/:teamId
-router.delete('/membership/:userId/:teamId', removeUserFromTeamController);
+router.delete('/membership/:userId/:teamId', requirePermission('teams:manage'), removeUserFromTeamController);
 
 // Update user role in team
 // PUT /api/teams/membership/:userId/:teamId/role
 // Required body: { role }
-router.put('/membership/:userId/:teamId/role', updateUserRoleInTeam);
+router.put('/membership/:userId/:teamId/role', requirePermission('teams:manage'), updateUserRoleInTeam);
 
 // Check if user was on team at a specific date
 // GET /api/teams/membership/:userId/:teamId/check
 // Query params: date (ISO format)
-router.get('/membership/:userId/:teamId/check', checkUserTeamMembershipAtDate);
+router.get('/membership/:userId/:teamId/check', requirePermission('teams:read'), requireUserInScope('userId'), checkUserTeamMembershipAtDate);
 
 // Bulk update team memberships
 // PUT /api/teams/:teamId/memberships
@@ -131,11 +141,11 @@ router.get('/membership/:userId/:teamId/check', checkUserTeamMembershipAtDate);
 //   memberships: Array of { userId, role },
 //   effectiveDate: ISO date
 // }
-router.put('/:teamId/memberships', bulkUpdateTeamMemberships);
+router.put('/:teamId/memberships', requirePermission('teams:manage'), bulkUpdateTeamMemberships);
 
 // Remove user from all teams
 // DELETE /api/teams/users/:userId/memberships
-router.delete('/users/:userId/memberships', removeUserFromAllTeamsController);
+router.delete('/users/:userId/memberships', requirePermission('teams:manage'), removeUserFromAllTeamsController);
 
 /**
  * Team Customer Routes
@@ -145,10 +155,10 @@ router.delete('/users/:userId/memberships', removeUserFromAllTeamsController);
 // GET /api/teams/:teamId/customers
 // Query params:
 //   historicalDate: ISO date - get customers as of this date
-router.get('/:teamId/customers', getTeamCustomers);
+router.get('/:teamId/customers', requirePermission('teams:read'), requireTeamInScope(), getTeamCustomers);
 
 // Gets team performance metrics
 // GET /api/teams/:teamId/performance
-router.get('/:teamId/performance', getTeamPerformanceMetrics);
+router.get('/:teamId/performance', requirePermission('teams:read'), requireTeamInScope(), getTeamPerformanceMetrics);
 
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,43 @@
 const express = require('express');
 const {
-  registerUser,
   loginUser,
+  loginWithMfa,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  getUserSessions,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  verifyMfa,
+  regenerateRecoveryCodes,
+  disableMfa,
   getUserDetails,
   updateUserDetails,
   updatePassword,
   forgotPassword,
   resetPassword,
+  unlockUser,
   deleteUserById,
   getAllUsers,
-  getUserCommissionSummary
+  getUserCommissionSummary,
+  getUserBankDetails,
+  updateUserBankDetails,
+  deleteUserBankDetails,
+  getUserAliases,
+  addUserAlias,
+  deleteUserAlias,
+  updateUserJobNimbusId
 } = require('../controllers/userController');
-const { protectRoute } = require('../middleware/authMiddleware');
+const InvitationController = require('../controllers/invitationController');
+const {
+  protectRoute,
+  protectMfaSetup,
+  requirePermission,
+  requireSelfOrPermission,
+  requireRecentMfa,
+  requireRecentMfaForOthers
+} = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -19,41 +45,45 @@ const router = express.Router();
  * Public Authentication Routes
  * These routes handle user authentication and password management
  * No authentication required
+ * Failed attempts are throttled per account and IP address (services/loginThrottleService.js):
+ * - 429 { code: 'too_many_attempts' } with a Retry-After header: wait before trying again
+ * - 423 { code: 'account_locked' }: too many failures; the user is emailed, and the lock lifts
+ *   after a while, with a password reset or through POST /api/users/:id/unlock
  */
 
-// Register a new user in the system
-// POST /api/users/register
-// Required body: { 
-//   name: string,
-//   email: string (unique),
-//   password: string,
-//   role: string,
-//   permissions: string,
-//   phone?: string,
-//   hireDate?: Date
-// }
-// Effects:
-// - Creates new user record
-// - Hashes password securely
-// - Sets default yearly goal
-router.post('/register', registerUser);
-
 // Authenticate and login a user
 // POST /api/users/login
 // Required body: { email: string, password: string }
 // OR { token: string } for reset token login
 // Returns:
-// - JWT token for authentication
+// - token: JWT access token (expires after JWT_EXPIRES_IN, default 15 minutes)
+// - refreshToken: single-use token to get a new pair from /refresh
 // - User details (id, name, email, role, permissions)
+// - mfa_enrollment_required: the account must set up MFA before anything else
+// Users with MFA get { mfa_required: true, mfaToken } instead; finish at /login/mfa
 router.post('/login', loginUser);
 
+// Second login step for users with MFA
+// POST /api/users/login/mfa
+// Required body: { mfaToken: string from /login (valid 5 minutes),
+//   code: string from the authenticator app OR recoveryCode: string }
+// Returns: the same as /login
+router.post('/login/mfa', loginWithMfa);
+
+// Get a new access token
+// POST /api/users/refresh
+// Required body: { refreshToken: string }
+// Returns: { token, refreshToken, expiresIn }; the refresh token sent is used up.
+// Sending a used refresh token again revokes its session (the token was copied)
+router.post('/refresh', refreshAccessToken);
+
 // Request password reset
 // POST /api/users/forgot-password
 // Required body: { email: string }
 // Effects:
 // - Generates reset token
 // - Sets token expiration (2 hours)
-// - Sends reset email to user
+// - Sends reset email to user (at most a few per email every 15 minutes)
 // Returns: Generic success message (security)
 router.post('/forgot-password', forgotPassword);
 
@@ -72,9 +102,118 @@ router.post('/reset-password', resetPassword);
 /**
  * Protected Routes
  * These routes require valid JWT token
- * Access controlled by user role and permissions
+ * Access controlled by access level (config/permissions.js); managers only see
+ * themselves and their teams, reps and affiliates only themselves
+ */
+
+/**
+ * Invitation Routes
+ * Users join by invitation (there is no self-registration): an admin sets the role, access
+ * level, team and hire date, and the invitee sets their password through a single-use link
+ * (INVITE_URL?token=...) that expires after INVITATION_EXPIRY_DAYS (default 7)
  */
 
+// Check an invite link before showing the set-password form (public)
+// GET /api/users/invitations/token/:token
+// Returns: { email, name, role, team_name, expires_at }; 400 if used, revoked or expired
+router.get('/invitations/token/:token', InvitationController.getInvitationByToken);
+
+// Accept an invitation (public); the user is created and can then sign in at /login
+// POST /api/users/invitations/accept
+// Required body: { token: string, password: string (6+ characters), phone?: string }
+router.post('/invitations/accept', InvitationController.acceptInvitation);
+
+// List invitations (admin only)
+// GET /api/users/invitations
+// Query params: status? ('pending' | 'accepted' | 'revoked' | 'expired')
+router.get('/invitations', protectRoute, requirePermission('users:manage'), InvitationController.getInvitations);
+
+// Invite a user (admin only); an open invite for the same email is replaced
+// POST /api/users/invitations
+// Required body: {
+//   email: string (no existing user),
+//   name: string,
+//   role: 'Salesman' | 'Sales Manager' | 'Supplement Manager' | 'Supplementer' | 'Affiliate Marketer',
+//   permissions?: 'admin' | 'manager' | 'rep' | 'affiliate' (default 'affiliate' for affiliates, else 'rep'),
+//   team_id?: number, team_role?: 'salesman' | 'supplementer' (default from role),
+//   hire_date?: date (also the team join date), phone?: string, yearly_goal?: number
+// }
+// Returns: { email_sent, invitation }
+router.post('/invitations', protectRoute, requirePermission('users:manage'), requireRecentMfa, InvitationController.createInvitation);
+
+// Send an invitation again with a new link and expiry (admin only)
+// POST /api/users/invitations/:id/resend
+router.post('/invitations/:id/resend', protectRoute, requirePermission('users:manage'), InvitationController.resendInvitation);
+
+// Revoke an invitation that hasn't been accepted (admin only)
+// DELETE /api/users/invitations/:id
+router.delete('/invitations/:id', protectRoute, requirePermission('users:manage'), InvitationController.revokeInvitation);
+
+/**
+ * Session Routes
+ * Each login is a session; ending it stops its access and refresh tokens at once.
+ * Sessions also end when the user's password, role or access level changes
+ */
+
+// End the current session
+// POST /api/users/logout
+router.post('/logout', protectMfaSetup, logoutUser);
+
+// End every session of the current user ("log out all devices")
+// POST /api/users/logout-all
+router.post('/logout-all', protectMfaSetup, logoutAllSessions);
+
+// List the current user's open sessions
+// GET /api/users/sessions
+// Returns: [{ id, user_agent, ip_address, created_at, last_used_at, expires_at, current }]
+router.get('/sessions', protectRoute, getUserSessions);
+
+/**
+ * MFA Routes
+ * TOTP codes from any authenticator app. Admins must enable MFA; until they do, only
+ * these routes (and logout) work for them. With MFA on, sensitive actions (payments,
+ * payroll, user and commission changes) need a code within the last few minutes:
+ * those routes return 403 { code: 'mfa_step_up_required' } until POST /mfa/verify
+ */
+
+// GET /api/users/mfa
+// Returns: { enabled, enabled_at, required, recovery_codes_remaining }
+router.get('/mfa', protectMfaSetup, getMfaStatus);
+
+// Start enrolment
+// POST /api/users/mfa/setup
+// Returns: { secret, otpauth_url } - show otpauth_url as a QR code for the app to scan
+router.post('/mfa/setup', protectMfaSetup, setupMfa);
+
+// Finish enrolment
+// POST /api/users/mfa/enable
+// Required body: { code: string from the app }
+// Returns: { recovery_codes } - shown only this once; other sessions are signed out
+router.post('/mfa/enable', protectMfaSetup, enableMfa);
+
+// Confirm a code to unlock sensitive actions
+// POST /api/users/mfa/verify
+// Required body: { code: string } OR { recoveryCode: string }
+// Returns: { method, verified_until }
+router.post('/mfa/verify', protectRoute, verifyMfa);
+
+// Replace the recovery codes
+// POST /api/users/mfa/recovery-codes
+// Returns: { recovery_codes }
+router.post('/mfa/recovery-codes', protectRoute, requireRecentMfa, regenerateRecoveryCodes);
+
+// Turn MFA off (not allowed where it's required)
+// DELETE /api/users/mfa
+router.delete('/mfa', protectRoute, requireRecentMfa, disableMfa);
+
+// Reset a user's MFA, e.g. when they lose their phone (admin only); signs them out everywhere
+// DELETE /api/users/:id/mfa
+router.delete('/:id/mfa', protectRoute, requirePermission('users:manage'), requireRecentMfa, disableMfa);
+
+// End every session of a user, e.g. when a device is lost (admin only)
+// POST /api/users/:id/logout-all
+router.post('/:id/logout-all', protectRoute, requireSelfOrPermission('users:manage'), logoutAllSessions);
+
 // Get all users in the system
 // GET /api/users
 // Returns: Array of user records with:
@@ -82,7 +221,7 @@ router.post('/reset-password', resetPassword);
 // - Role and permissions
 // - Hire date and yearly goals
 // - Excludes sensitive data (password, tokens)
-router.get('/', getAllUsers);
+router.get('/', protectRoute, requirePermission('users:read'), getAllUsers);
 
 // Get detailed user information
 // GET /api/users/details
@@ -91,17 +230,19 @@ router.get('/', getAllUsers);
 // - All user details
 // - Commission balance if applicable
 // - Team associations
-router.get('/details', getUserDetails);
+// - Commission plan assignments and rule overrides
+router.get('/details', protectRoute, getUserDetails);
 
 // Update user information
 // PUT /api/users/:id
 // Required params: id
-// Optional body: any user fields to update
+// Optional body: name, email, phone, role, permissions, hire_date, yearly_goal; users editing themselves may only change name, email and phone
 // Effects:
 // - Updates specified user fields
 // - Maintains password hash if not changed
 // - Updates timestamp
-router.put('/:id', updateUserDetails);
+// Admins editing someone else need a recent MFA check
+router.put('/:id', protectRoute, requireSelfOrPermission('users:manage'), requireRecentMfaForOthers(), updateUserDetails);
 
 // Update user password
 // PUT /api/users/:id/password
@@ -113,7 +254,11 @@ router.put('/:id', updateUserDetails);
 // Effects:
 // - Verifies current password
 // - Hashes and updates new password
-router.put('/:id/password', updatePassword);
+router.put('/:id/password', protectRoute, requireSelfOrPermission('users:manage'), updatePassword);
+
+// Unlock an account locked by failed logins (admin only)
+// POST /api/users/:id/unlock
+router.post('/:id/unlock', protectRoute, requirePermission('users:manage'), unlockUser);
 
 // Delete user from system
 // DELETE /api/users/:id
@@ -122,7 +267,55 @@ router.put('/:id/password', updatePassword);
 // - Removes user record
 // - Maintains historical data
 // - Updates related records (teams, customers)
-router.delete('/:id', deleteUserById);
+router.delete('/:id', protectRoute, requirePermission('users:manage'), requireRecentMfa, deleteUserById);
+
+/**
+ * Direct Deposit Routes
+ * Bank details are stored encrypted and only returned masked
+ * Users manage their own; admins anyone's
+ */
+
+// Get a user's direct deposit details
+// GET /api/users/:id/bank-details
+// Returns: { has_bank_details, account_holder_name, account_type, account_number_masked, updated_at }
+router.get('/:id/bank-details', protectRoute, requireSelfOrPermission('payroll:manage'), getUserBankDetails);
+
+// Set a user's direct deposit details
+// PUT /api/users/:id/bank-details
+// Required body: {
+//   routingNumber: 9-digit ABA routing number,
+//   accountNumber: 4-17 digits,
+//   accountType?: 'checking' | 'savings' (default 'checking'),
+//   accountHolderName?: defaults to the user's name
+// }
+router.put('/:id/bank-details', protectRoute, requireSelfOrPermission('payroll:manage'), requireRecentMfa, updateUserBankDetails);
+
+// Remove a user's direct deposit details
+// DELETE /api/users/:id/bank-details
+router.delete('/:id/bank-details', protectRoute, requireSelfOrPermission('payroll:manage'), requireRecentMfa, deleteUserBankDetails);
+
+/**
+ * JobNimbus Matching Routes
+ * Jobs are matched to users by linked JobNimbus user ID, then by name, email or alias
+ */
+
+// Get a user's aliases and linked JobNimbus user ID
+// GET /api/users/:id/aliases
+router.get('/:id/aliases', protectRoute, requirePermission('users:manage'), getUserAliases);
+
+// Add another name the user goes by in JobNimbus (nickname, misspelling)
+// POST /api/users/:id/aliases
+// Required body: { alias: string }
+// Returns 409 if the alias already matches a user
+router.post('/:id/aliases', protectRoute, requirePermission('users:manage'), addUserAlias);
+
+// DELETE /api/users/:id/aliases/:aliasId
+router.delete('/:id/aliases/:aliasId', protectRoute, requirePermission('users:manage'), deleteUserAlias);
+
+// Link the user to their JobNimbus user ID (the sales_rep on jobs)
+// PUT /api/users/:id/jobnimbus-id
+// Required body: { jobnimbus_user_id: string | null to unlink }
+router.put('/:id/jobnimbus-id', protectRoute, requirePermission('users:manage'), updateUserJobNimbusId);
 
 /**
  * User Commission Routes
@@ -136,6 +329,6 @@ router.delete('/:id', deleteUserById);
 //   history: array of commission records,
 //   totals: commission and payment totals
 // }
-router.get('/:userId/commission-summary', getUserCommissionSummary);
+router.get('/:userId/commission-summary', protectRoute, requirePermission('commissions:read'), getUserCommissionSummary);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const WebhookController = require('../controllers/webhookController');
+const { protectRoute, requirePermission } = require('../middleware/authMiddleware');
+
+// ==========================================
+// JobNimbus Webhook Routes
+// ==========================================
+
+// Receive a job create/update event from JobNimbus and apply it to that customer
+// POST /api/webhooks/jobnimbus
+// Not JWT-protected; authenticated by signature instead
+// Required headers:
+//   X-JobNimbus-Timestamp: unix seconds, within JOBNIMBUS_WEBHOOK_TOLERANCE_SECONDS (default 300) of now
+//   X-JobNimbus-Signature: hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with JOBNIMBUS_WEBHOOK_SECRET
+//   X-JobNimbus-Event-Id?: delivery ID; without it, jnid + date_updated identify the event
+// Required body: the JobNimbus job record (or { data: job })
+// Repeated events are acknowledged and ignored; failed ones are dead-lettered (202)
+router.post('/jobnimbus', WebhookController.receiveJobNimbusWebhook);
+
+// Events that failed to process (admin only, as are the routes below)
+// GET /api/webhooks/jobnimbus/dead-letters
+// Query params: status: 'pending' (default) | 'resolved' | 'discarded' | 'all', limit, offset
+router.get('/jobnimbus/dead-letters', protectRoute, requirePermission('jobnimbus:manage'), WebhookController.getDeadLetters);
+
+// GET /api/webhooks/jobnimbus/dead-letters/:id
+router.get('/jobnimbus/dead-letters/:id', protectRoute, requirePermission('jobnimbus:manage'), WebhookController.getDeadLetterById);
+
+// Process a dead-lettered event again with its stored payload
+// POST /api/webhooks/jobnimbus/dead-letters/:id/retry
+router.post('/jobnimbus/dead-letters/:id/retry', protectRoute, requirePermission('jobnimbus:manage'), WebhookController.retryDeadLetter);
+
+// Give up on a dead-lettered event
+// POST /api/webhooks/jobnimbus/dead-letters/:id/discard
+router.post('/jobnimbus/dead-letters/:id/discard', protectRoute, requirePermission('jobnimbus:manage'), WebhookController.discardDeadLetter);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Access Scope Service
+ * Which users' records someone may see: admins see everyone, managers themselves and the
+ * members of the teams they manage, reps and affiliates only themselves.
+ * A customer is in scope when anyone in scope is assigned to it.
+ */
+
+const { getManagedUserIds } = require('../models/teamModel');
+
+/**
+ * Work out a user's scope
+ * @param {Object} user - { id, accessLevel }
+ * @returns {Object} { accessLevel, userId, userIds: null for everyone, else the user IDs in scope }
+ */
+const getAccessScope = async (user) => {
+  if (user.accessLevel === 'admin') {
+    return { accessLevel: user.accessLevel, userId: user.id, userIds: null };
+  }
+
+  const userIds = user.accessLevel === 'manager'
+    ? [...new Set([user.id, ...await getManagedUserIds(user.id)])]
+    : [user.id];
+  return { accessLevel: user.accessLevel, userId: user.id, userIds };
+};
+
+const canAccessUser = (scope, userId) =>
+  !scope.userIds || scope.userIds.includes(parseInt(userId));
+
+const CUSTOMER_ASSIGNEE_COLUMNS = ['salesman_id', 'supplementer_id', 'manager_id', 'supplement_manager_id', 'referrer_id'];
+
+const canAccessCustomer = (scope, customer) =>
+  !scope.userIds || CUSTOMER_ASSIGNEE_COLUMNS.some(column => customer[column] && scope.userIds.includes(customer[column]));
+
+// Managers may only look at the teams they manage
+const canAccessTeam = (scope, team) =>
+  !scope.userIds || team.manager_id === scope.userId;
+
+/**
+ * Keep the rows in scope
+ * @param {Array} rows - Records with a user ID
+ * @param {string} key - Column holding the user ID
+ */
+const filterByScope = (scope, rows, key = 'user_id') =>
+  scope.userIds ? rows.filter(row => scope.userIds.includes(parseInt(row[key]))) : rows;
+
+/**
+ * The user a request is about: the one asked for, or the caller
+ * @returns {number|null} User ID, or null if the one asked for is out of scope
+ */
+const resolveScopedUserId = (scope, requestedUserId) => {
+  const userId = requestedUserId ? parseInt(requestedUserId) : scope.userId;
+  return canAccessUser(scope, userId) ? userId : null;
+};
+
+module.exports = {
+  getAccessScope,
+  canAccessUser,
+  canAccessCustomer,
+  canAccessTeam,
+  filterByScope,
+  resolveScopedUserId
+};
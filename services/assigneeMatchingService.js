@@ -0,0 +1,131 @@
+/**
+ * Assignee Matching Service
+ * Matches JobNimbus assignee names (sales rep, supplementer, affiliate) to users
+ */
+
+// Suggestions scoring below this are not worth showing
+const MIN_SUGGESTION_SCORE = 0.5;
+
+/**
+ * Normalize a name, alias or email for matching
+ * Case, accents, punctuation and extra whitespace are ignored; emails are only trimmed and lower-cased
+ */
+const normalizeAssigneeName = (name) => {
+  if (name === undefined || name === null) return '';
+  const value = String(name).trim().toLowerCase();
+  if (value.includes('@')) return value;
+
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Lookups for matching assignees to users
+ * Names win over emails, and emails over aliases, when two users would claim the same key
+ * @param {Array} users - Users with { id, name, email, jobnimbus_user_id, aliases }
+ * @returns {Object} { byName: normalized name/email/alias -> user, byJobNimbusId: JobNimbus user ID -> user }
+ */
+const buildAssigneeLookup = (users) => {
+  const byName = new Map();
+  const byJobNimbusId = new Map();
+
+  users.forEach(user => (user.aliases || []).forEach(alias => byName.set(normalizeAssigneeName(alias), user)));
+  users.forEach(user => user.email && byName.set(normalizeAssigneeName(user.email), user));
+  users.forEach(user => user.name && byName.set(normalizeAssigneeName(user.name), user));
+  users.forEach(user => user.jobnimbus_user_id && byJobNimbusId.set(String(user.jobnimbus_user_id), user));
+
+  byName.delete('');
+  return { byName, byJobNimbusId };
+};
+
+/**
+ * Match a JobNimbus assignee to a user, by linked JobNimbus user ID first, then by name, email or alias
+ * @returns {Object|null} The user, or null if nobody matches
+ */
+const matchAssignee = (lookup, name, jobnimbusUserId = null) => {
+  if (jobnimbusUserId && lookup.byJobNimbusId.has(String(jobnimbusUserId))) {
+    return lookup.byJobNimbusId.get(String(jobnimbusUserId));
+  }
+  return lookup.byName.get(normalizeAssigneeName(name)) || null;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * How alike two normalized names are, from 0 to 1
+ * The better of whole-string edit distance and word-by-word matching, so "Jon Smith"
+ * is close to "John Smith" and "Smith John" is close to "John Smith"
+ */
+const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const editScore = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  const aWords = a.split(' ');
+  const bWords = b.split(' ');
+  const [shorter, longer] = aWords.length <= bWords.length ? [aWords, bWords] : [bWords, aWords];
+  const wordScore = shorter.reduce((sum, word) => {
+    const best = Math.max(...longer.map(other => 1 - levenshtein(word, other) / Math.max(word.length, other.length)));
+    return sum + best;
+  }, 0) / longer.length;
+
+  return Math.max(editScore, wordScore);
+};
+
+/**
+ * Users an unmatched assignee name most likely refers to
+ * @param {string} name - Assignee name from JobNimbus
+ * @param {Array} users - Users with { id, name, email, aliases }
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array} { user_id, name, email, matched_on, score }, best first
+ */
+const suggestUsers = (name, users, limit = 3) => {
+  const normalized = normalizeAssigneeName(name);
+  if (!normalized) return [];
+
+  return users
+    .map(user => {
+      const candidates = [user.name, user.email, ...(user.aliases || [])].filter(Boolean);
+      let best = { score: 0, matched_on: null };
+      candidates.forEach(candidate => {
+        const score = nameSimilarity(normalized, normalizeAssigneeName(candidate));
+        if (score > best.score) best = { score, matched_on: candidate };
+      });
+      return {
+        user_id: user.id,
+        name: user.name,
+        email: user.email,
+        matched_on: best.matched_on,
+        score: Math.round(best.score * 100) / 100
+      };
+    })
+    .filter(suggestion => suggestion.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  normalizeAssigneeName,
+  buildAssigneeLookup,
+  matchAssignee,
+  nameSimilarity,
+  suggestUsers
+};
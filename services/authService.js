@@ -12,10 +12,13 @@ const verifyPassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
-// Generate a JWT token
-const generateToken = (userId, permissions) => {
+// Access tokens are short-lived; clients renew them with their refresh token (services/sessionService.js)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Generate a JWT token for a session
+const generateToken = (userId, permissions, sessionId) => {
   const secretKey = process.env.JWT_SECRET; // Replace with a secure secret in production
-  return jwt.sign({ userId, permissions }, secretKey, { expiresIn: '1h' });
+  return jwt.sign({ userId, permissions, sid: sessionId }, secretKey, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 };
 
 // Verify a JWT token
@@ -28,6 +31,7 @@ const verifyToken = (token) => {
   }
 };
 module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
   hashPassword,
   verifyPassword,
   generateToken,
@@ -0,0 +1,133 @@
+const db = require('../config/db');
+const LedgerModel = require('../models/ledgerModel');
+const ReconciliationModel = require('../models/reconciliationModel');
+const logger = require('../utils/logger');
+
+const TOLERANCE = 0.01;
+
+const toNumber = (value) => parseFloat(value) || 0;
+const differs = (a, b) => Math.abs(toNumber(a) - toNumber(b)) > TOLERANCE;
+
+/**
+ * Post ledger corrections that bring a user's ledger in line with the source rows,
+ * rebuild user_balance and close the user's open discrepancies
+ * The totals are recomputed inside the transaction, so a stale report is never applied
+ * @param {number} userId - User ID
+ * @param {number} correctedBy - Admin user ID, null for the scheduled job
+ * @returns {Array} Ledger entries posted (empty when only user_balance had drifted)
+ */
+const correctUserBalance = async (userId, correctedBy = null) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    // Serialize corrections for the same user
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const [expected] = await ReconciliationModel.getExpectedBalances([userId], client);
+    const ledger = await LedgerModel.getLedgerTotals(userId, client);
+
+    const earnedDifference = toNumber(expected?.expected_earned) - toNumber(ledger.total_commissions_earned);
+    const paidDifference = toNumber(expected?.expected_paid) - toNumber(ledger.total_payments_received);
+
+    const entries = await LedgerModel.postEntries([
+      {
+        user_id: userId,
+        entry_type: 'reconciliation',
+        amount: earnedDifference,
+        description: 'Reconciliation: commissions earned corrected to match commission records',
+        created_by: correctedBy
+      },
+      {
+        user_id: userId,
+        entry_type: 'reconciliation_payments',
+        amount: paidDifference,
+        description: 'Reconciliation: payments received corrected to match payment records',
+        created_by: correctedBy
+      }
+    ], client);
+
+    // postEntries rebuilds user_balance itself; do it here when the ledger was already right
+    if (entries.length === 0) {
+      await LedgerModel.refreshUserBalances([userId], client);
+    }
+
+    await ReconciliationModel.markCorrected(userId, {
+      corrected_by: correctedBy,
+      correction_entry_ids: entries.map(entry => entry.id)
+    }, client);
+
+    await client.query('COMMIT');
+    return entries;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Recompute every user's earned/paid/current totals from commissions_due,
+ * active clawbacks and payments, and record users whose user_balance or
+ * ledger disagrees
+ * @param {Object} options - { autoCorrect, correctedBy }
+ * @returns {Object} { reconciledAt, usersChecked, discrepancies, corrected, errors }
+ */
+const reconcileBalances = async ({ autoCorrect = false, correctedBy = null } = {}) => {
+  const reconciledAt = new Date();
+  const [expectedBalances, ledgerTotals] = await Promise.all([
+    ReconciliationModel.getExpectedBalances(),
+    LedgerModel.getAllLedgerTotals()
+  ]);
+  const ledgerByUser = new Map(ledgerTotals.map(totals => [totals.user_id, totals]));
+
+  const found = [];
+  expectedBalances.forEach(row => {
+    const ledger = ledgerByUser.get(row.user_id) || {};
+    const expectedBalance = toNumber(row.expected_earned) - toNumber(row.expected_paid);
+
+    const drifted =
+      differs(row.expected_earned, row.recorded_earned) ||
+      differs(row.expected_paid, row.recorded_paid) ||
+      differs(expectedBalance, row.recorded_balance) ||
+      differs(row.expected_earned, ledger.total_commissions_earned) ||
+      differs(row.expected_paid, ledger.total_payments_received);
+
+    if (drifted) {
+      found.push({
+        ...row,
+        reconciled_at: reconciledAt,
+        expected_balance: expectedBalance.toFixed(2),
+        ledger_earned: toNumber(ledger.total_commissions_earned),
+        ledger_paid: toNumber(ledger.total_payments_received)
+      });
+    }
+  });
+
+  const discrepancies = await ReconciliationModel.recordDiscrepancies(found);
+  logger.info(`Balance reconciliation checked ${expectedBalances.length} users, found ${discrepancies.length} discrepancies`);
+
+  const corrected = [];
+  const errors = [];
+  if (autoCorrect) {
+    for (const discrepancy of discrepancies) {
+      try {
+        const entries = await correctUserBalance(discrepancy.user_id, correctedBy);
+        corrected.push({ user_id: discrepancy.user_id, ledger_entries: entries });
+      } catch (error) {
+        logger.error(`Balance correction failed for user ${discrepancy.user_id}:`, error);
+        errors.push({ user_id: discrepancy.user_id, error: error.message });
+      }
+    }
+  }
+
+  return {
+    reconciledAt,
+    usersChecked: expectedBalances.length,
+    discrepancies,
+    corrected,
+    errors
+  };
+};
+
+module.exports = { reconcileBalances, correctUserBalance };
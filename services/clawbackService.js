@@ -0,0 +1,168 @@
+const CommissionAdjustmentModel = require('../models/commissionAdjustmentModel');
+const { sendClawbackNotification } = require('../utils/email');
+const logger = require('../utils/logger');
+
+// Differences under a cent are rounding noise, same threshold as commission updates
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Ledger entries for clawback rows
+ * New clawbacks post their (negative) amount; reversed or waived ones that were
+ * active post the amount back
+ * @param {Array} clawbacks - commission_adjustments rows
+ * @param {string} entryType - 'clawback' | 'clawback_reversal' | 'clawback_waiver'
+ * @param {number} createdBy - User posting the entries
+ * @returns {Array} Ledger entries for LedgerModel.postEntries
+ */
+const toLedgerEntries = (clawbacks, entryType, createdBy = null) => {
+  return clawbacks.map(clawback => ({
+    user_id: clawback.user_id,
+    entry_type: entryType,
+    amount: entryType === 'clawback' ? parseFloat(clawback.amount) : -parseFloat(clawback.amount),
+    commission_due_id: clawback.commission_due_id,
+    adjustment_id: clawback.id,
+    description: `${entryType === 'clawback' ? 'Clawback' : 'Clawback restored'} (${clawback.reason.replace('_', ' ')})`,
+    created_by: createdBy
+  }));
+};
+
+/**
+ * Claw back every commission on customers that left Finalized
+ * The clawback is the net amount still credited to the user (commission less any
+ * active reprice clawbacks). Commissions that already have an active or waived
+ * status-regression clawback are skipped, so re-running a sync is a no-op.
+ * @param {Array} regressions - { customer, previousStatus }
+ * @param {Object} client - Transaction client
+ * @returns {Object} { clawbacks, ledgerEntries }
+ */
+const createStatusRegressionClawbacks = async (regressions, client) => {
+  if (regressions.length === 0) return { clawbacks: [], ledgerEntries: [] };
+
+  const regressionByCustomerId = new Map(regressions.map(r => [r.customer.id, r]));
+  const commissions = await CommissionAdjustmentModel.getUnclawedCommissionsByCustomerIds(
+    Array.from(regressionByCustomerId.keys()),
+    client
+  );
+
+  const clawbacksToCreate = [];
+  commissions.forEach(commission => {
+    const commissionAmount = parseFloat(commission.commission_amount) || 0;
+    const netAmount = commissionAmount + (parseFloat(commission.active_adjustments) || 0);
+    if (netAmount <= AMOUNT_TOLERANCE) return;
+
+    const { customer, previousStatus } = regressionByCustomerId.get(commission.customer_id);
+    clawbacksToCreate.push({
+      commission_due_id: commission.id,
+      user_id: commission.user_id,
+      customer_id: commission.customer_id,
+      reason: 'status_regression',
+      amount: -netAmount,
+      previous_status: previousStatus,
+      new_status: customer.status,
+      previous_amount: netAmount,
+      new_amount: 0
+    });
+  });
+
+  const clawbacks = await CommissionAdjustmentModel.insertClawbacks(clawbacksToCreate, client);
+  return { clawbacks, ledgerEntries: toLedgerEntries(clawbacks, 'clawback') };
+};
+
+/**
+ * Reverse status-regression clawbacks for customers that are Finalized again
+ * Active clawbacks give the amount back; waived ones were never deducted
+ * @param {Array} customerIds - Finalized customer IDs
+ * @param {Object} client - Transaction client
+ * @returns {Object} { reversed, ledgerEntries }
+ */
+const reverseStatusRegressionClawbacks = async (customerIds, client) => {
+  if (customerIds.length === 0) return { reversed: [], ledgerEntries: [] };
+
+  const reversed = await CommissionAdjustmentModel.reverseClawbacks(
+    { customerIds, reason: 'status_regression' },
+    client
+  );
+
+  const ledgerEntries = toLedgerEntries(
+    reversed.filter(clawback => clawback.previous_adjustment_status === 'active'),
+    'clawback_reversal'
+  );
+
+  return { reversed, ledgerEntries };
+};
+
+/**
+ * Decide how a recalculated amount affects an existing commission
+ * Downward changes become reprice clawbacks so the commission keeps the amount
+ * originally earned; upward changes first reverse earlier reprice clawbacks.
+ * @param {Object} commission - Existing commission with reprice_active_total and reprice_handled_total
+ * @param {number} newAmount - Recalculated commission amount
+ * @returns {Object} { clawbackAmount, reverseReprices, commissionChange } - commissionChange is
+ *   the amount to add to the commission row itself
+ */
+const planRepriceChange = (commission, newAmount) => {
+  const originalAmount = parseFloat(commission.commission_amount) || 0;
+  const handledTotal = parseFloat(commission.reprice_handled_total) || 0;
+  const plan = { clawbackAmount: 0, reverseReprices: false, commissionChange: 0 };
+
+  // Amount the user is currently treated as having earned
+  const difference = newAmount - (originalAmount + handledTotal);
+  if (Math.abs(difference) <= AMOUNT_TOLERANCE) return plan;
+
+  if (difference < 0) {
+    plan.clawbackAmount = difference;
+    return plan;
+  }
+
+  // Going back up: earlier reprice clawbacks are reversed and the change is measured
+  // against the original amount
+  plan.reverseReprices = handledTotal < 0;
+  const remaining = newAmount - originalAmount;
+  if (remaining < -AMOUNT_TOLERANCE) {
+    plan.clawbackAmount = remaining;
+  } else if (remaining > AMOUNT_TOLERANCE) {
+    plan.commissionChange = remaining;
+  }
+
+  return plan;
+};
+
+/**
+ * Email each user about their new clawbacks and stamp notified_at
+ * Runs after the sync commits; failures are logged and never fail the sync
+ * @param {Array} clawbacks - Inserted clawback rows
+ * @param {Map} userIdMap - Users by ID
+ * @param {Map} customerNameById - Customer names by ID
+ */
+const notifyClawbacks = async (clawbacks, userIdMap, customerNameById = new Map()) => {
+  if (clawbacks.length === 0) return;
+
+  const byUser = new Map();
+  clawbacks.forEach(clawback => {
+    if (!byUser.has(clawback.user_id)) byUser.set(clawback.user_id, []);
+    byUser.get(clawback.user_id).push({
+      ...clawback,
+      customer_name: customerNameById.get(clawback.customer_id) || `Customer #${clawback.customer_id}`
+    });
+  });
+
+  for (const [userId, userClawbacks] of byUser) {
+    const user = userIdMap.get(userId);
+    if (!user?.email) continue;
+
+    try {
+      await sendClawbackNotification(user, userClawbacks);
+      await CommissionAdjustmentModel.markNotified(userClawbacks.map(c => c.id));
+    } catch (error) {
+      logger.error(`Failed to send clawback notification to user ${userId}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  createStatusRegressionClawbacks,
+  reverseStatusRegressionClawbacks,
+  planRepriceChange,
+  toLedgerEntries,
+  notifyClawbacks
+};
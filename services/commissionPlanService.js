@@ -0,0 +1,226 @@
+const CommissionPlanModel = require('../models/commissionPlanModel');
+
+// Roles that have a commission plan, in the order they appear in the admin UI
+const PLAN_ROLES = ['Salesman', 'Sales Manager', 'Supplement Manager', 'Supplementer', 'Affiliate Marketer'];
+
+// Cache of plan versions and user assignments - they change rarely but are read for every calculation
+const cache = new Map();
+const CACHE_TTL = 300000; // 5 minutes
+
+const clearPlanCache = () => {
+  cache.clear();
+};
+
+const isRate = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const isAmount = (value) => typeof value === 'number' && value >= 0;
+
+// Lead-source rate tables must always carry a 'default' rate for unknown sources
+const validateRateTable = (table, path, errors) => {
+  if (!table || typeof table !== 'object') {
+    errors.push(`${path} must be an object of lead source rates`);
+    return;
+  }
+  if (!isRate(table.default)) {
+    errors.push(`${path}.default must be a rate between 0 and 1`);
+  }
+  Object.entries(table).forEach(([source, rate]) => {
+    if (!isRate(rate)) errors.push(`${path}["${source}"] must be a rate between 0 and 1`);
+  });
+};
+
+// Tenure brackets are checked in order; the last one must be open-ended (max_months: null)
+const validateBrackets = (brackets, path, errors, validateEntry) => {
+  if (!Array.isArray(brackets) || brackets.length === 0) {
+    errors.push(`${path} must be a non-empty array`);
+    return;
+  }
+  brackets.forEach((bracket, index) => {
+    const isLast = index === brackets.length - 1;
+    if (isLast && bracket.max_months !== null) {
+      errors.push(`${path}[${index}].max_months must be null for the last bracket`);
+    } else if (!isLast && !(Number.isInteger(bracket.max_months) && bracket.max_months >= 0)) {
+      errors.push(`${path}[${index}].max_months must be a whole number of months`);
+    }
+    validateEntry(bracket, `${path}[${index}]`);
+  });
+};
+
+const validateDeductions = (deductions, path, errors) => {
+  if (deductions === undefined) return;
+  if (!deductions || typeof deductions !== 'object') {
+    errors.push(`${path} must be an object of lead source amounts`);
+    return;
+  }
+  Object.entries(deductions).forEach(([source, amount]) => {
+    if (!isAmount(amount)) errors.push(`${path}["${source}"] must be a positive amount`);
+  });
+};
+
+const validateMarginRule = (rule, path, errors) => {
+  if (!rule || typeof rule !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!isRate(rule.rate)) errors.push(`${path}.rate must be a rate between 0 and 1`);
+  if (!isRate(rule.appraisal_rate)) errors.push(`${path}.appraisal_rate must be a rate between 0 and 1`);
+  if (!isAmount(rule.minimum)) errors.push(`${path}.minimum must be a positive amount`);
+};
+
+/**
+ * Validate a rules object against the shape commissionService expects for the role
+ * @param {string} role - Plan role
+ * @param {Object} rules - Rules JSON
+ * @returns {Array} Error messages, empty when valid
+ */
+const validatePlanRules = (role, rules) => {
+  const errors = [];
+
+  if (!PLAN_ROLES.includes(role)) {
+    return [`role must be one of: ${PLAN_ROLES.join(', ')}`];
+  }
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['rules must be an object'];
+  }
+
+  switch (role) {
+    case 'Salesman':
+      if (!isRate(rules.margin_rate)) errors.push('margin_rate must be a rate between 0 and 1');
+      validateDeductions(rules.lead_source_deductions, 'lead_source_deductions', errors);
+      validateBrackets(rules.tenure_brackets, 'tenure_brackets', errors, (bracket, path) =>
+        validateRateTable(bracket.rates, `${path}.rates`, errors)
+      );
+      break;
+    case 'Sales Manager':
+      validateRateTable(rules.own_job_rates, 'own_job_rates', errors);
+      validateDeductions(rules.lead_source_deductions, 'lead_source_deductions', errors);
+      validateBrackets(rules.override_brackets, 'override_brackets', errors, (bracket, path) => {
+        if (!isRate(bracket.rate)) errors.push(`${path}.rate must be a rate between 0 and 1`);
+      });
+      break;
+    case 'Supplement Manager':
+      validateMarginRule(rules.own_job, 'own_job', errors);
+      validateMarginRule(rules.override, 'override', errors);
+      break;
+    case 'Supplementer':
+      validateMarginRule(rules, 'rules', errors);
+      break;
+    case 'Affiliate Marketer':
+      if (!isRate(rules.rate)) errors.push('rate must be a rate between 0 and 1');
+      if (rules.cap !== null && !isAmount(rules.cap)) errors.push('cap must be a positive amount or null');
+      break;
+  }
+
+  return errors;
+};
+
+// Ranges include their start date and exclude their end date; a null end is open-ended
+const isDateInRange = (from, to, date) => {
+  return new Date(from) <= date && (!to || new Date(to) > date);
+};
+
+const isVersionInForce = (version, date) => isDateInRange(version.effective_from, version.effective_to, date);
+
+const getCachedOrFetch = async (key, fetchFunction) => {
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+
+  const data = await fetchFunction();
+  cache.set(key, { data, timestamp: Date.now() });
+  return data;
+};
+
+/**
+ * Merge rule overrides over a plan's rules
+ * Nested objects are merged key by key; arrays (tenure brackets) are replaced whole
+ * @param {Object} rules - Plan version rules
+ * @param {Object} overrides - Per-user overrides
+ * @returns {Object} New rules object
+ */
+const applyRuleOverrides = (rules, overrides) => {
+  if (!overrides) return rules;
+
+  const merged = { ...rules };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const base = merged[key];
+    const canMerge = value && typeof value === 'object' && !Array.isArray(value) &&
+      base && typeof base === 'object' && !Array.isArray(base);
+    merged[key] = canMerge ? applyRuleOverrides(base, value) : value;
+  });
+  return merged;
+};
+
+/**
+ * Resolve the default plan version in force for a role on a date
+ * @param {string} role - User role
+ * @param {Date|string} date - Date the job was added (customer.jn_date_added)
+ * @returns {Object|null} Plan version with rules, or null when no version covers the date
+ */
+const getPlanVersionInForce = async (role, date) => {
+  const effectiveDate = date ? new Date(date) : new Date();
+  const versions = await getCachedOrFetch(`role_${role}`, () =>
+    CommissionPlanModel.getDefaultPlanVersionsByRole(role)
+  );
+  return versions.find(version => isVersionInForce(version, effectiveDate)) || null;
+};
+
+/**
+ * Find the user's plan assignment in force on a date
+ * Assignments to a plan for a different role are ignored so a role change
+ * falls back to the new role's default plan
+ * @param {Object} user - User record (id, role)
+ * @param {Date|string} date - Date the job was added
+ * @returns {Object|null} Assignment record
+ */
+const getAssignmentInForce = async (user, date) => {
+  const effectiveDate = date ? new Date(date) : new Date();
+  const assignments = await getCachedOrFetch('assignments', () => CommissionPlanModel.getAssignments());
+
+  return assignments.find(assignment =>
+    assignment.user_id === Number(user.id) &&
+    isDateInRange(assignment.start_date, assignment.end_date, effectiveDate) &&
+    (!assignment.plan_id || assignment.plan_role === user.role)
+  ) || null;
+};
+
+/**
+ * Resolve the rules a user is paid under for a job added on a date:
+ * the assigned plan (or the role's default plan) with any per-user overrides applied
+ * @param {Object} user - User record (id, role)
+ * @param {Date|string} date - Date the job was added
+ * @returns {Object|null} Plan version with effective rules and the assignment used
+ */
+const resolvePlanForUser = async (user, date) => {
+  const effectiveDate = date ? new Date(date) : new Date();
+  const assignment = await getAssignmentInForce(user, effectiveDate);
+
+  let version;
+  if (assignment?.plan_id) {
+    const versions = await getCachedOrFetch(`plan_${assignment.plan_id}`, () =>
+      CommissionPlanModel.getPlanVersionsByPlanId(assignment.plan_id)
+    );
+    version = versions.find(v => isVersionInForce(v, effectiveDate)) || null;
+  } else {
+    version = await getPlanVersionInForce(user.role, effectiveDate);
+  }
+
+  if (!version) return null;
+
+  return {
+    ...version,
+    rules: applyRuleOverrides(version.rules, assignment?.rule_overrides),
+    assignment: assignment || null
+  };
+};
+
+module.exports = {
+  PLAN_ROLES,
+  validatePlanRules,
+  applyRuleOverrides,
+  getPlanVersionInForce,
+  getAssignmentInForce,
+  resolvePlanForUser,
+  isVersionInForce,
+  clearPlanCache
+};
@@ -1,7 +1,15 @@
 const { differenceInMonths } = require('date-fns');
 const { getHistoricalTeamDataForCommission } = require('../models/teamModel');
+const { resolvePlanForUser, PLAN_ROLES } = require('./commissionPlanService');
 
-const calculateCommission = async (user, customer, team = null, useHistoricalData = true) => {
+/**
+ * Calculate a commission and record how it was produced
+ * The trace lists the inputs used, the plan version, the historical team,
+ * the rule branch taken and each intermediate amount, and is stored with the
+ * commissions_due row so disputes can be answered later
+ * @returns {Object} { amount, trace }
+ */
+const calculateCommissionWithTrace = async (user, customer, team = null, useHistoricalData = true) => {
   const { role } = user;
   const leadSource = customer.lead_source || 'Other';
   const initialScopePrice = customer.initial_scope_price || 0;
@@ -11,6 +19,31 @@ const calculateCommission = async (user, customer, team = null, useHistoricalDat
   const customerCreationDate = customer.jn_date_added || customer.created_at;
   const userHireDate = user.hire_date ? new Date(user.hire_date) : null;
 
+  const trace = {
+    calculated_at: new Date().toISOString(),
+    inputs: {
+      user_id: user.id,
+      role,
+      hire_date: user.hire_date || null,
+      customer_id: customer.id || null,
+      customer_creation_date: customerCreationDate || null,
+      lead_source: leadSource,
+      initial_scope_price: Number(initialScopePrice),
+      total_job_price: Number(totalJobPrice),
+      margin_added: marginAdded,
+      going_to_appraisal: Boolean(customer.going_to_appraisal),
+      salesman_id: customer.salesman_id || null,
+      supplementer_id: customer.supplementer_id || null
+    },
+    plan: null,
+    team: { source: team ? 'provided' : 'none', team_id: team?.team_id || team?.id || null },
+    tenure_months: null,
+    skip_override: null,
+    rule: null,
+    steps: [],
+    amount: 0
+  };
+
   let effectiveTeam = team;
   let customerCreatedBeforeHire = false;
 
@@ -27,103 +60,176 @@ const calculateCommission = async (user, customer, team = null, useHistoricalDat
   );
 
   const skipOverrideDueToTiming = customerCreatedBeforeHire && !isExplicitlyAssignedToJob;
+  trace.skip_override = {
+    customer_created_before_hire: customerCreatedBeforeHire,
+    explicitly_assigned_to_job: isExplicitlyAssignedToJob,
+    skipped: skipOverrideDueToTiming
+  };
 
   if (useHistoricalData && customerCreationDate) {
     try {
       const historicalTeam = await getHistoricalTeamDataForCommission(user.id, customerCreationDate);
       if (historicalTeam) {
         effectiveTeam = historicalTeam;
+        trace.team = {
+          source: 'historical',
+          as_of: customerCreationDate,
+          team_id: historicalTeam.team_id,
+          team_name: historicalTeam.team_name,
+          manager_id: historicalTeam.manager_id,
+          membership_role: historicalTeam.membership_role,
+          member_ids: (historicalTeam.team_members || []).map(member => member.user_id)
+        };
       } else {
         effectiveTeam = null;
+        trace.team = { source: 'historical', as_of: customerCreationDate, team_id: null };
       }
     } catch (error) {
       effectiveTeam = team;
+      trace.team.lookup_error = error.message;
+    }
+  }
+
+  // Resolve the plan version (and any per-user assignment) that was in force
+  // when the job was added so rate changes never rewrite commissions on older jobs
+  let rules = null;
+  if (PLAN_ROLES.includes(role)) {
+    const planVersion = await resolvePlanForUser(user, customerCreationDate);
+    if (!planVersion) {
+      throw new Error(`No commission plan in force for role ${role} on ${customerCreationDate || 'today'}`);
     }
+    rules = planVersion.rules;
+    trace.plan = {
+      plan_id: planVersion.plan_id,
+      plan_name: planVersion.plan_name,
+      version_id: planVersion.id,
+      version_number: planVersion.version_number,
+      effective_from: planVersion.effective_from,
+      effective_to: planVersion.effective_to,
+      assignment_id: planVersion.assignment?.id || null,
+      rule_overrides: planVersion.assignment?.rule_overrides || null
+    };
   }
 
   let commission = 0;
 
   switch (role) {
     case 'Affiliate Marketer':
-      commission = calculateAffiliateCommission(totalJobPrice);
+      commission = calculateAffiliateCommission(rules, totalJobPrice, trace);
       break;
     case 'Salesman':
-      commission = calculateSalesmanCommission(user, leadSource, initialScopePrice, totalJobPrice, marginAdded, customerCreationDate);
+      commission = calculateSalesmanCommission(rules, user, leadSource, initialScopePrice, totalJobPrice, marginAdded, customerCreationDate, trace);
       break;
     case 'Sales Manager':
-      commission = calculateSalesManagerCommission(user, customer, leadSource, totalJobPrice, effectiveTeam, skipOverrideDueToTiming);
+      commission = calculateSalesManagerCommission(rules, user, customer, leadSource, totalJobPrice, effectiveTeam, skipOverrideDueToTiming, trace);
       break;
     case 'Supplement Manager':
-      commission = calculateSupplementManagerCommission(user, customer, marginAdded, effectiveTeam, customer.going_to_appraisal, skipOverrideDueToTiming);
+      commission = calculateSupplementManagerCommission(rules, user, customer, marginAdded, effectiveTeam, customer.going_to_appraisal, skipOverrideDueToTiming, trace);
       break;
     case 'Supplementer':
-      commission = calculateSupplementerCommission(marginAdded, customer.going_to_appraisal);
+      commission = calculateSupplementerCommission(rules, marginAdded, customer.going_to_appraisal, trace);
       break;
     default:
       commission = 0;
+      trace.rule = 'no_commission_for_role';
   }
 
-  return commission;
+  trace.amount = commission;
+  return { amount: commission, trace };
+};
+
+const calculateCommission = async (user, customer, team = null, useHistoricalData = true) => {
+  const { amount } = await calculateCommissionWithTrace(user, customer, team, useHistoricalData);
+  return amount;
+};
+
+const addStep = (trace, step, value, detail = {}) => {
+  trace.steps.push({ step, value, ...detail });
 };
 
-const calculateAffiliateCommission = (totalJobPrice) => {
-  return Math.min(0.05 * totalJobPrice, 750);
+// Lead sources without their own rate fall back to the table's default
+const getLeadSourceRate = (rates, leadSource) => {
+  return rates[leadSource] !== undefined ? rates[leadSource] : rates.default;
 };
 
-const calculateSalesmanCommission = (user, leadSource, initialScopePrice, totalJobPrice, marginAdded, customerCreationDate) => {
+const getLeadSourceDeduction = (deductions, leadSource) => {
+  return (deductions && deductions[leadSource]) || 0;
+};
+
+// Brackets are ordered by max_months; the last bracket is open-ended
+const findTenureBracket = (brackets, tenureMonths) => {
+  return brackets.find(bracket => bracket.max_months === null || tenureMonths <= bracket.max_months);
+};
+
+const calculateAffiliateCommission = (rules, totalJobPrice, trace) => {
+  const commission = rules.rate * totalJobPrice;
+  trace.rule = 'affiliate_job_price';
+  addStep(trace, 'job_price_commission', commission, { rate: rules.rate, base: Number(totalJobPrice) });
+
+  if (rules.cap === null) return commission;
+
+  const capped = Math.min(commission, rules.cap);
+  addStep(trace, 'cap', capped, { cap: rules.cap, applied: capped < commission });
+  return capped;
+};
+
+const calculateSalesmanCommission = (rules, user, leadSource, initialScopePrice, totalJobPrice, marginAdded, customerCreationDate, trace) => {
   const effectiveDate = customerCreationDate ? new Date(customerCreationDate) : new Date();
   const hireDate = user.hire_date ? new Date(user.hire_date) : effectiveDate;
   const tenureMonths = differenceInMonths(effectiveDate, hireDate);
+  trace.tenure_months = tenureMonths;
 
-  let inscope = 0, mrgadd = 0;
+  let mrgadd = 0;
   const effectivePrice = initialScopePrice === 0 ? totalJobPrice : initialScopePrice;
   if (initialScopePrice > 0 && totalJobPrice > 0) {
-    mrgadd = 0.04 * marginAdded;
+    mrgadd = rules.margin_rate * marginAdded;
   }
 
-  if (tenureMonths <= 6) {
-    switch(leadSource) {
-      case 'Canvassing - Salesman': inscope = 0.10 * effectivePrice; break;
-      case 'Canvassing - Company': inscope = (0.08 * effectivePrice) - 300; break;
-      case 'Affiliate': inscope = 0.06 * effectivePrice; break;
-      case 'Referral': inscope = 0.10 * effectivePrice; break;
-      default: inscope = 0.08 * effectivePrice;
-    }
-  } else if (tenureMonths <= 12) {
-    switch(leadSource) {
-      case 'Canvassing - Salesman': inscope = 0.13 * effectivePrice; break;
-      case 'Canvassing - Company': inscope = (0.10 * effectivePrice) - 300; break;
-      case 'Affiliate': inscope = 0.08 * effectivePrice; break;
-      case 'Referral': inscope = 0.10 * effectivePrice; break;
-      default: inscope = 0.10 * effectivePrice;
-    }
-  } else {
-    switch(leadSource) {
-      case 'Canvassing - Salesman': inscope = 0.15 * effectivePrice; break;
-      case 'Canvassing - Company': inscope = (0.12 * effectivePrice) - 300; break;
-      case 'Affiliate': inscope = 0.10 * effectivePrice; break;
-      case 'Referral': inscope = 0.12 * effectivePrice; break;
-      default: inscope = 0.12 * effectivePrice;
-    }
-  }
+  const bracket = findTenureBracket(rules.tenure_brackets, tenureMonths);
+  const rate = getLeadSourceRate(bracket.rates, leadSource);
+  const deduction = getLeadSourceDeduction(rules.lead_source_deductions, leadSource);
+  const inscope = (rate * effectivePrice) - deduction;
+
+  trace.rule = 'salesman_in_scope_plus_margin';
+  addStep(trace, 'tenure_bracket', bracket.max_months, { tenure_months: tenureMonths });
+  addStep(trace, 'in_scope_commission', rate * effectivePrice, {
+    rate,
+    rate_source: bracket.rates[leadSource] !== undefined ? leadSource : 'default',
+    base: Number(effectivePrice),
+    base_is_total_job_price: initialScopePrice === 0
+  });
+  addStep(trace, 'lead_source_deduction', -deduction);
+  addStep(trace, 'margin_commission', mrgadd, { rate: rules.margin_rate, base: marginAdded, applied: mrgadd !== 0 });
 
   return inscope + mrgadd;
 };
 
-const calculateSalesManagerCommission = (user, customer, leadSource, totalJobPrice, team, skipOverride) => {
-  if (skipOverride) return 0;
+const calculateSalesManagerCommission = (rules, user, customer, leadSource, totalJobPrice, team, skipOverride, trace) => {
+  if (skipOverride) {
+    trace.rule = 'skipped_customer_before_hire';
+    return 0;
+  }
 
   const isManagerWorkingJob = customer.salesman_id === user.id;
   if (isManagerWorkingJob) {
-    switch(leadSource) {
-      case 'Canvassing - Salesman':
-      case 'Referral': return 0.15 * totalJobPrice;
-      case 'Canvassing - Company': return (0.12 * totalJobPrice) - 300;
-      case 'Affiliate': return 0.10 * totalJobPrice;
-      default: return 0.12 * totalJobPrice;
-    }
+    const rate = getLeadSourceRate(rules.own_job_rates, leadSource);
+    const deduction = getLeadSourceDeduction(rules.lead_source_deductions, leadSource);
+
+    trace.rule = 'sales_manager_own_job';
+    addStep(trace, 'own_job_commission', rate * totalJobPrice, {
+      rate,
+      rate_source: rules.own_job_rates[leadSource] !== undefined ? leadSource : 'default',
+      base: Number(totalJobPrice)
+    });
+    addStep(trace, 'lead_source_deduction', -deduction);
+
+    return (rate * totalJobPrice) - deduction;
   } else {
-    if (!team || !team.team_members) return 0;
+    trace.rule = 'sales_manager_team_override';
+    if (!team || !team.team_members) {
+      addStep(trace, 'no_team', 0);
+      return 0;
+    }
 
     const teamMember = team.team_members.find(member =>
       member.user_id === customer.salesman_id &&
@@ -131,26 +237,45 @@ const calculateSalesManagerCommission = (user, customer, leadSource, totalJobPri
       (!member.left_at || member.left_at > customer.created_at)
     );
 
-    if (!teamMember) return 0;
+    if (!teamMember) {
+      addStep(trace, 'salesman_not_on_team', 0, { salesman_id: customer.salesman_id });
+      return 0;
+    }
 
     const memberHireDate = teamMember.hire_date ? new Date(teamMember.hire_date) : new Date(customer.created_at);
     const tenureMonths = differenceInMonths(new Date(customer.created_at), memberHireDate);
+    const bracket = findTenureBracket(rules.override_brackets, tenureMonths);
+    trace.tenure_months = tenureMonths;
+
+    addStep(trace, 'tenure_bracket', bracket.max_months, { tenure_months: tenureMonths, of_user_id: teamMember.user_id });
+    addStep(trace, 'override_commission', bracket.rate * totalJobPrice, { rate: bracket.rate, base: Number(totalJobPrice) });
 
-    if (tenureMonths <= 6) return 0.04 * totalJobPrice;
-    if (tenureMonths <= 12) return 0.02 * totalJobPrice;
-    return 0.03 * totalJobPrice;
+    return bracket.rate * totalJobPrice;
   }
 };
 
-const calculateSupplementManagerCommission = (user, customer, marginAdded, team, goingToAppraisal, skipOverride) => {
-  if (skipOverride) return 0;
+const calculateSupplementManagerCommission = (rules, user, customer, marginAdded, team, goingToAppraisal, skipOverride, trace) => {
+  if (skipOverride) {
+    trace.rule = 'skipped_customer_before_hire';
+    return 0;
+  }
 
   const isManagerWorkingJob = customer.supplementer_id === user.id;
   if (isManagerWorkingJob) {
-    const rate = goingToAppraisal ? 0.08 : 0.10;
-    return Math.max(rate * marginAdded, 500);
+    const rate = goingToAppraisal ? rules.own_job.appraisal_rate : rules.own_job.rate;
+    const commission = Math.max(rate * marginAdded, rules.own_job.minimum);
+
+    trace.rule = 'supplement_manager_own_job';
+    addStep(trace, 'margin_commission', rate * marginAdded, { rate, base: marginAdded, appraisal: Boolean(goingToAppraisal) });
+    addStep(trace, 'minimum', commission, { minimum: rules.own_job.minimum, applied: commission !== rate * marginAdded });
+
+    return commission;
   } else {
-    if (!team || !team.team_members) return 0;
+    trace.rule = 'supplement_manager_team_override';
+    if (!team || !team.team_members) {
+      addStep(trace, 'no_team', 0);
+      return 0;
+    }
 
     const teamMember = team.team_members.find(member =>
       member.user_id === customer.supplementer_id &&
@@ -158,16 +283,30 @@ const calculateSupplementManagerCommission = (user, customer, marginAdded, team,
       (!member.left_at || member.left_at > customer.created_at)
     );
 
-    if (!teamMember) return 0;
+    if (!teamMember) {
+      addStep(trace, 'supplementer_not_on_team', 0, { supplementer_id: customer.supplementer_id });
+      return 0;
+    }
+
+    const rate = goingToAppraisal ? rules.override.appraisal_rate : rules.override.rate;
+    const commission = Math.max(rate * marginAdded, rules.override.minimum);
+
+    addStep(trace, 'override_commission', rate * marginAdded, { rate, base: marginAdded, appraisal: Boolean(goingToAppraisal) });
+    addStep(trace, 'minimum', commission, { minimum: rules.override.minimum, applied: commission !== rate * marginAdded });
 
-    const rate = goingToAppraisal ? 0.02 : 0.03;
-    return Math.max(rate * marginAdded, 200);
+    return commission;
   }
 };
 
-const calculateSupplementerCommission = (marginAdded, goingToAppraisal) => {
-  const rate = goingToAppraisal ? 0.06 : 0.07;
-  return Math.max(rate * marginAdded, 300);
+const calculateSupplementerCommission = (rules, marginAdded, goingToAppraisal, trace) => {
+  const rate = goingToAppraisal ? rules.appraisal_rate : rules.rate;
+  const commission = Math.max(rate * marginAdded, rules.minimum);
+
+  trace.rule = 'supplementer_margin';
+  addStep(trace, 'margin_commission', rate * marginAdded, { rate, base: marginAdded, appraisal: Boolean(goingToAppraisal) });
+  addStep(trace, 'minimum', commission, { minimum: rules.minimum, applied: commission !== rate * marginAdded });
+
+  return commission;
 };
 
-module.exports = { calculateCommission };
+module.exports = { calculateCommission, calculateCommissionWithTrace };
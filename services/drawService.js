@@ -0,0 +1,176 @@
+const db = require('../config/db');
+const DrawModel = require('../models/drawModel');
+const CommissionModel = require('../models/commissionModel');
+const PaymentAllocationModel = require('../models/paymentAllocationModel');
+
+const RECOVERY_METHODS = ['full', 'percentage', 'fixed_per_period'];
+
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Read and validate recovery terms from a request body
+ * @param {Object} body - { recovery_method, recovery_percentage?, recovery_amount_per_period? }
+ * @returns {Object} { terms, errors }
+ */
+const parseRecoveryTerms = (body) => {
+  const errors = [];
+  const method = body.recovery_method || 'full';
+  const terms = { recovery_method: method, recovery_percentage: null, recovery_amount_per_period: null };
+
+  if (!RECOVERY_METHODS.includes(method)) {
+    errors.push(`recovery_method must be one of: ${RECOVERY_METHODS.join(', ')}`);
+  } else if (method === 'percentage') {
+    const percentage = parseFloat(body.recovery_percentage);
+    if (!(percentage > 0 && percentage <= 100)) {
+      errors.push('recovery_percentage must be greater than 0 and at most 100');
+    }
+    terms.recovery_percentage = percentage;
+  } else if (method === 'fixed_per_period') {
+    const perPeriod = parseFloat(body.recovery_amount_per_period);
+    if (!(perPeriod > 0)) {
+      errors.push('recovery_amount_per_period must be greater than 0');
+    }
+    terms.recovery_amount_per_period = perPeriod;
+  }
+
+  return { terms, errors };
+};
+
+/**
+ * How much of a commission goes to a draw
+ * @param {Object} draw - Draw with its recovery terms
+ * @param {Object} commission - Open commission (commission_amount, outstanding)
+ * @param {Object} state - { drawCents: left on the draw, periodCents: left in the period cap (fixed_per_period) }
+ * @returns {number} Cents to recover
+ */
+const planRecovery = (draw, commission, { drawCents, periodCents = Infinity }) => {
+  const available = Math.min(toCents(commission.outstanding), drawCents);
+  if (available <= 0) return 0;
+
+  switch (draw.recovery_method) {
+    case 'percentage':
+      return Math.min(available, Math.round(toCents(commission.commission_amount) * parseFloat(draw.recovery_percentage) / 100));
+    case 'fixed_per_period':
+      return Math.max(0, Math.min(available, periodCents));
+    default:
+      return available;
+  }
+};
+
+/**
+ * Record a draw: pay it out as a payment that stays unallocated until recovered
+ * @param {Object} data - { user_id, amount, payment_type, payment_date, check_number, notes, terms }
+ * @param {number} createdBy - Admin user ID
+ * @returns {Object} Draw
+ */
+const issueDraw = async ({ user_id, amount, payment_type, payment_date, check_number = null, notes = null, terms }, createdBy = null) => {
+  const client = await db.connect();
+  let drawId;
+  try {
+    await client.query('BEGIN');
+
+    const payment = await CommissionModel.addPayment({
+      user_id,
+      amount,
+      payment_type,
+      check_number,
+      payment_date: payment_date || new Date().toISOString().split('T')[0],
+      notes: notes ? `Draw: ${notes}` : 'Draw',
+      created_by: createdBy
+    }, client);
+
+    const draw = await DrawModel.createDraw({
+      payment_id: payment.id,
+      user_id,
+      ...terms,
+      notes,
+      created_by: createdBy
+    }, client);
+
+    await client.query('COMMIT');
+    drawId = draw.id;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return DrawModel.getDrawById(drawId);
+};
+
+/**
+ * Recover users' active draws from their new commissions
+ * Each commission goes to the oldest draw first; what a draw takes is mapped from
+ * its payment onto the commission, so payroll only proposes what is left.
+ * The ledger is untouched: the draw was posted as a payment when it was paid out.
+ * @param {Array} commissions - New commissions ({ id, user_id })
+ * @param {Object} client - Transaction client
+ * @returns {Array} Recoveries { draw_id, payment_id, commission_due_id, amount_applied }
+ */
+const recoverDraws = async (commissions, client) => {
+  const commissionIdsByUser = new Map();
+  commissions.forEach(commission => {
+    if (!commissionIdsByUser.has(commission.user_id)) commissionIdsByUser.set(commission.user_id, []);
+    commissionIdsByUser.get(commission.user_id).push(commission.id);
+  });
+
+  const draws = await DrawModel.getActiveDrawsForUsers([...commissionIdsByUser.keys()], client);
+  const recoveries = [];
+
+  for (const [userId, commissionIds] of commissionIdsByUser) {
+    const userDraws = draws.filter(draw => draw.user_id === userId);
+    if (userDraws.length === 0) continue;
+
+    const openCommissions = await PaymentAllocationModel.getOpenCommissions(userId, { commissionIds }, client);
+
+    for (const draw of userDraws) {
+      let drawCents = toCents(draw.outstanding_amount);
+      const allocations = [];
+      // Period caps already used, by period start, for fixed_per_period draws
+      const periodUsed = new Map();
+
+      for (const commission of openCommissions) {
+        if (drawCents <= 0) break;
+
+        let periodCents = Infinity;
+        let periodKey = null;
+        if (draw.recovery_method === 'fixed_per_period') {
+          const period = await DrawModel.getRecoveryPeriod(commission.build_date || new Date(), client);
+          periodKey = String(period.start_date);
+          if (!periodUsed.has(periodKey)) {
+            periodUsed.set(periodKey, toCents(await DrawModel.getRecoveredInPeriod(draw.payment_id, period, client)));
+          }
+          periodCents = toCents(draw.recovery_amount_per_period) - periodUsed.get(periodKey);
+        }
+
+        const cents = planRecovery(draw, commission, { drawCents, periodCents });
+        if (cents <= 0) continue;
+
+        drawCents -= cents;
+        commission.outstanding = fromCents(toCents(commission.outstanding) - cents);
+        if (periodKey) periodUsed.set(periodKey, periodUsed.get(periodKey) + cents);
+        allocations.push({ commission_due_id: commission.id, amount_applied: fromCents(cents) });
+      }
+
+      if (allocations.length === 0) continue;
+
+      await PaymentAllocationModel.insertMappings(draw.payment_id, allocations, client);
+      await PaymentAllocationModel.refreshPaidFlags(allocations.map(a => a.commission_due_id), client);
+      await PaymentAllocationModel.updatePaymentAllocation(draw.payment_id, { unallocated_amount: fromCents(drawCents) }, client);
+
+      recoveries.push(...allocations.map(allocation => ({ ...allocation, draw_id: draw.id, payment_id: draw.payment_id })));
+    }
+  }
+
+  return recoveries;
+};
+
+module.exports = {
+  RECOVERY_METHODS,
+  parseRecoveryTerms,
+  planRecovery,
+  issueDraw,
+  recoverDraws
+};
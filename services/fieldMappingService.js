@@ -0,0 +1,231 @@
+/**
+ * JobNimbus Field Mapping Service
+ * Which JobNimbus job fields the sync reads, and how their values are coerced.
+ * Stored mappings (FieldMappingModel) override these defaults target by target.
+ */
+
+const VALUE_TYPES = ['string', 'number', 'boolean', 'unix_date'];
+
+/**
+ * Default mapping for every target the sync reads
+ * source_fields are tried in order; the first one present on the job wins
+ * synonyms map a canonical value to the values JobNimbus may send for it (case-insensitive)
+ */
+const DEFAULT_FIELD_MAPPINGS = {
+  name: { source_fields: ['name'], value_type: 'string', synonyms: {}, default_value: null, required: true },
+  address: { source_fields: ['address_line1'], value_type: 'string', synonyms: {}, default_value: null },
+  phone: { source_fields: ['parent_mobile_phone'], value_type: 'string', synonyms: {}, default_value: null },
+  status: { source_fields: ['status_name'], value_type: 'string', synonyms: {}, default_value: 'Lead' },
+  lead_source: { source_fields: ['source_name'], value_type: 'string', synonyms: {}, default_value: null },
+  sales_rep_name: { source_fields: ['sales_rep_name'], value_type: 'string', synonyms: {}, default_value: null },
+  sales_rep_id: { source_fields: ['sales_rep'], value_type: 'string', synonyms: {}, default_value: null },
+  supplementer_name: { source_fields: ['Supplementer Assigned'], value_type: 'string', synonyms: {}, default_value: null },
+  affiliate_name: { source_fields: ['Affiliate Name'], value_type: 'string', synonyms: {}, default_value: null },
+  initial_scope_price: { source_fields: ['Initial Scope Price'], value_type: 'number', synonyms: {}, default_value: null },
+  total_job_price: { source_fields: ['Final Job Price'], value_type: 'number', synonyms: {}, default_value: null },
+  build_date: { source_fields: ['Build Date'], value_type: 'unix_date', synonyms: {}, default_value: null },
+  going_to_appraisal: {
+    source_fields: ['In Appraisal?', 'in appraisal?', 'In appraisal?', 'IN APPRAISAL?'],
+    value_type: 'boolean',
+    synonyms: { true: ['true', 'yes', '1'] },
+    default_value: 'false'
+  },
+  date_created: { source_fields: ['date_created'], value_type: 'unix_date', synonyms: {}, default_value: null }
+};
+
+const TARGET_FIELDS = Object.keys(DEFAULT_FIELD_MAPPINGS);
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// Canonical value a raw value is a synonym of, if any
+const applySynonyms = (value, synonyms = {}) => {
+  const lowered = String(value).trim().toLowerCase();
+  const match = Object.entries(synonyms).find(([, values]) =>
+    (values || []).some(synonym => String(synonym).trim().toLowerCase() === lowered)
+  );
+  return match ? match[0] : value;
+};
+
+/**
+ * Coerce a raw job value to the mapping's type
+ * @returns {Object} { value, error } - error is set when a present value could not be coerced
+ */
+const coerceValue = (raw, mapping) => {
+  if (!isPresent(raw)) return { value: null };
+
+  switch (mapping.value_type) {
+    case 'string': {
+      const value = String(applySynonyms(raw, mapping.synonyms)).trim();
+      return { value: value || null };
+    }
+    case 'number': {
+      const value = parseFloat(typeof raw === 'string' ? raw.replace(/[$,\s]/g, '') : raw);
+      if (Number.isNaN(value)) return { value: null, error: `"${raw}" is not a number` };
+      // Empty currency fields come through as 0; they are stored as unset
+      return { value: value || null };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const canonical = applySynonyms(raw, mapping.synonyms);
+      if (canonical === 'true') return { value: true };
+      if (canonical === 'false') return { value: false };
+      if (typeof raw === 'number') return { value: raw === 1 };
+      // Anything not listed as a true synonym is false
+      return mapping.synonyms?.false ? { value: false, error: `"${raw}" is not a listed true or false value` } : { value: false };
+    }
+    case 'unix_date': {
+      const seconds = typeof raw === 'number' ? raw : Number(raw);
+      const date = Number.isFinite(seconds) ? new Date(seconds * 1000) : new Date(raw);
+      if (Number.isNaN(date.getTime())) return { value: null, error: `"${raw}" is not a date` };
+      return { value: date };
+    }
+    default:
+      return { value: null, error: `Unknown value type ${mapping.value_type}` };
+  }
+};
+
+const defaultFor = (mapping) =>
+  mapping.default_value === null || mapping.default_value === undefined
+    ? null
+    : coerceValue(mapping.default_value, mapping).value;
+
+/**
+ * Effective mappings: defaults overridden by whatever is stored
+ * @param {Array} storedMappings - Rows from FieldMappingModel.getMappings()
+ * @returns {Object} target -> mapping
+ */
+const resolveMappings = (storedMappings = []) => {
+  const mappings = {};
+  TARGET_FIELDS.forEach(target => {
+    mappings[target] = { ...DEFAULT_FIELD_MAPPINGS[target], target_field: target, is_default: true };
+  });
+  storedMappings
+    .filter(stored => mappings[stored.target_field])
+    .forEach(stored => {
+      mappings[stored.target_field] = {
+        ...mappings[stored.target_field],
+        source_fields: stored.source_fields,
+        value_type: stored.value_type,
+        synonyms: stored.synonyms || {},
+        default_value: stored.default_value,
+        is_default: false,
+        updated_by: stored.updated_by,
+        updated_at: stored.updated_at
+      };
+    });
+  return mappings;
+};
+
+/**
+ * Read every target from a job
+ * @param {Object} job - JobNimbus job record
+ * @param {Object} mappings - Output of resolveMappings
+ * @returns {Object} { fields: target -> value, details: target -> { source_field, raw, value, error } }
+ */
+const extractMappedFields = (job, mappings) => {
+  const fields = {};
+  const details = {};
+
+  Object.entries(mappings).forEach(([target, mapping]) => {
+    const sourceField = mapping.source_fields.find(field => isPresent(job?.[field])) || null;
+    const raw = sourceField ? job[sourceField] : undefined;
+    const { value, error } = coerceValue(raw, mapping);
+
+    fields[target] = value === null ? defaultFor(mapping) : value;
+    details[target] = { source_field: sourceField, raw: raw ?? null, value: fields[target], error };
+  });
+
+  return { fields, details };
+};
+
+/**
+ * Check the shape of mappings sent to the admin API
+ * @param {Array} mappings - { target_field, source_fields, value_type, synonyms?, default_value? }
+ * @returns {Array} Error messages
+ */
+const validateMappingShape = (mappings) => {
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    return ['mappings must be a non-empty array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  mappings.forEach((mapping, index) => {
+    const label = mapping?.target_field || `mappings[${index}]`;
+    if (!TARGET_FIELDS.includes(mapping?.target_field)) {
+      errors.push(`${label}: target_field must be one of ${TARGET_FIELDS.join(', ')}`);
+      return;
+    }
+    if (seen.has(mapping.target_field)) {
+      errors.push(`${label}: mapped more than once`);
+    }
+    seen.add(mapping.target_field);
+
+    if (!Array.isArray(mapping.source_fields) || mapping.source_fields.length === 0 ||
+        mapping.source_fields.some(field => typeof field !== 'string' || !field.trim())) {
+      errors.push(`${label}: source_fields must be a non-empty array of field names`);
+    }
+    if (!VALUE_TYPES.includes(mapping.value_type)) {
+      errors.push(`${label}: value_type must be one of ${VALUE_TYPES.join(', ')}`);
+    } else if (DEFAULT_FIELD_MAPPINGS[mapping.target_field].value_type !== mapping.value_type) {
+      errors.push(`${label}: value_type must be ${DEFAULT_FIELD_MAPPINGS[mapping.target_field].value_type}`);
+    }
+
+    const synonyms = mapping.synonyms ?? {};
+    if (typeof synonyms !== 'object' || Array.isArray(synonyms) ||
+        Object.values(synonyms).some(values => !Array.isArray(values))) {
+      errors.push(`${label}: synonyms must map each value to an array of synonyms`);
+    } else if (mapping.value_type === 'boolean' && Object.keys(synonyms).some(key => !['true', 'false'].includes(key))) {
+      errors.push(`${label}: boolean synonyms may only be listed under "true" and "false"`);
+    }
+
+    if (isPresent(mapping.default_value) && VALUE_TYPES.includes(mapping.value_type) &&
+        coerceValue(mapping.default_value, { ...mapping, synonyms }).error) {
+      errors.push(`${label}: default_value is not a valid ${mapping.value_type}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Try mappings on a sample job before saving them
+ * Errors block the save: a required target with no value, or a value that cannot be coerced.
+ * Warnings do not: none of a target's source fields are on the sample (custom fields left
+ * empty on a job are not sent by JobNimbus, so this can be expected).
+ * @param {Object} mappings - Output of resolveMappings, with the proposed changes applied
+ * @param {Object} sampleJob - JobNimbus job record
+ * @returns {Object} { valid, errors, warnings, preview: target -> { source_field, raw, value } }
+ */
+const validateAgainstSample = (mappings, sampleJob) => {
+  const { details } = extractMappedFields(sampleJob, mappings);
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(details).forEach(([target, detail]) => {
+    const mapping = mappings[target];
+    if (detail.error) {
+      errors.push(`${target}: ${detail.source_field} ${detail.error}`);
+    }
+    if (!detail.source_field) {
+      if (mapping.required) {
+        errors.push(`${target}: none of ${mapping.source_fields.join(', ')} are on the sample job`);
+      } else {
+        warnings.push(`${target}: none of ${mapping.source_fields.join(', ')} are on the sample job`);
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings, preview: details };
+};
+
+module.exports = {
+  VALUE_TYPES,
+  DEFAULT_FIELD_MAPPINGS,
+  TARGET_FIELDS,
+  coerceValue,
+  resolveMappings,
+  extractMappedFields,
+  validateMappingShape,
+  validateAgainstSample
+};
@@ -0,0 +1,212 @@
+/**
+ * Invitation Service
+ * Users join by invitation instead of registering themselves. An admin sets the
+ * role, access level, team and hire date; the invitee gets a single-use link, sets
+ * their password, and only then is the user created.
+ *
+ * Settings: INVITE_URL (frontend page the link opens, given ?token=),
+ *   INVITATION_EXPIRY_DAYS (default 7)
+ */
+
+const crypto = require('crypto');
+const db = require('../config/db');
+const InvitationModel = require('../models/invitationModel');
+const { getUserByEmail } = require('../models/userModel');
+const { getTeamById } = require('../models/teamModel');
+const { hashPassword } = require('./authService');
+const { hashToken } = require('./sessionService');
+const { PLAN_ROLES } = require('./commissionPlanService');
+const { ACCESS_LEVELS } = require('../config/permissions');
+const { sendInvitationEmail } = require('../utils/email');
+const { AppError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+const INVITATION_EXPIRY_DAYS = parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7;
+const TEAM_ROLES = ['salesman', 'supplementer'];
+const MIN_PASSWORD_LENGTH = 6;
+
+const newInviteToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Check and normalize what an admin sent to invite someone
+ * @returns {Object} Fields for InvitationModel.createInvitation
+ */
+const validateInvitation = async (data) => {
+  const email = String(data.email || '').toLowerCase().trim();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new AppError('Valid email is required', 400);
+  }
+
+  const name = String(data.name || '').trim();
+  if (name.length < 2) {
+    throw new AppError('Valid name is required', 400);
+  }
+
+  if (!PLAN_ROLES.includes(data.role)) {
+    throw new AppError(`role must be one of: ${PLAN_ROLES.join(', ')}`, 400);
+  }
+
+  // Affiliates only see their own referrals; everyone else starts as a rep unless set
+  const permissions = data.permissions || (data.role === 'Affiliate Marketer' ? 'affiliate' : 'rep');
+  if (!ACCESS_LEVELS.includes(permissions)) {
+    throw new AppError(`permissions must be one of: ${ACCESS_LEVELS.join(', ')}`, 400);
+  }
+
+  let teamRole = null;
+  if (data.team_id) {
+    if (!await getTeamById(data.team_id)) {
+      throw new AppError('Team not found', 404);
+    }
+    // Managers are set on the team itself (PUT /api/teams/:id)
+    teamRole = data.team_role || (data.role === 'Supplementer' ? 'supplementer' : 'salesman');
+    if (!TEAM_ROLES.includes(teamRole)) {
+      throw new AppError(`team_role must be one of: ${TEAM_ROLES.join(', ')}`, 400);
+    }
+  }
+
+  if (data.hire_date && Number.isNaN(Date.parse(data.hire_date))) {
+    throw new AppError('hire_date must be a date', 400);
+  }
+  if (data.yearly_goal !== undefined && data.yearly_goal !== null && !(Number(data.yearly_goal) >= 0)) {
+    throw new AppError('yearly_goal must be a positive number', 400);
+  }
+
+  return {
+    email,
+    name,
+    role: data.role,
+    permissions,
+    team_id: data.team_id || null,
+    team_role: teamRole,
+    hire_date: data.hire_date || null,
+    phone: data.phone || null,
+    yearly_goal: data.yearly_goal ?? null
+  };
+};
+
+// Email the link; a failure is logged rather than thrown, as the invite can be resent
+const deliverInvitation = async (invitation, token, inviter) => {
+  try {
+    await sendInvitationEmail(invitation, token, inviter?.name);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send invitation ${invitation.id} to ${invitation.email}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Invite someone; an earlier open invite for the same email stops working
+ * @param {Object} data - { email, name, role, permissions?, team_id?, team_role?, hire_date?, phone?, yearly_goal? }
+ * @param {Object} inviter - The admin (req.user)
+ * @returns {Object} { invitation, emailSent }
+ */
+const createInvitation = async (data, inviter) => {
+  const fields = await validateInvitation(data);
+  if (await getUserByEmail(fields.email)) {
+    throw new AppError('A user with this email already exists', 409);
+  }
+
+  const token = newInviteToken();
+  const invitation = await InvitationModel.createInvitation({
+    ...fields,
+    token_hash: hashToken(token),
+    invited_by: inviter.id,
+    expiry_days: INVITATION_EXPIRY_DAYS
+  });
+
+  logger.info(`User ${inviter.id} invited ${invitation.email} as ${invitation.role} (${invitation.permissions})`);
+  return { invitation, emailSent: await deliverInvitation(invitation, token, inviter) };
+};
+
+/**
+ * Send an open or expired invitation again with a new link and expiry; the old link stops working
+ * @returns {Object} { invitation, emailSent }
+ */
+const resendInvitation = async (id, inviter) => {
+  const existing = await InvitationModel.getInvitationById(id);
+  if (!existing) {
+    throw new AppError('Invitation not found', 404);
+  }
+  if (['accepted', 'revoked'].includes(existing.status)) {
+    throw new AppError(`Invitation was already ${existing.status}`, 409);
+  }
+
+  const token = newInviteToken();
+  const invitation = await InvitationModel.renewInvitation(id, hashToken(token), INVITATION_EXPIRY_DAYS);
+  if (!invitation) {
+    throw new AppError('Invitation can no longer be resent', 409);
+  }
+  return { invitation, emailSent: await deliverInvitation(invitation, token, inviter) };
+};
+
+const revokeInvitation = async (id) => {
+  const invitation = await InvitationModel.revokeInvitation(id);
+  if (!invitation) {
+    const existing = await InvitationModel.getInvitationById(id);
+    throw existing
+      ? new AppError(`Invitation was already ${existing.status}`, 409)
+      : new AppError('Invitation not found', 404);
+  }
+  return invitation;
+};
+
+/**
+ * What the invitee sees before setting a password
+ * @param {string} token - From the invite link
+ * @returns {Object|undefined} { email, name, role, team_name, expires_at }, or undefined if the link is no good
+ */
+const getInvitationForToken = async (token) => {
+  const invitation = await InvitationModel.getPendingInvitationByTokenHash(hashToken(String(token)));
+  if (!invitation) return undefined;
+
+  const { email, name, role, team_name, expires_at } = invitation;
+  return { email, name, role, team_name, expires_at };
+};
+
+/**
+ * Accept an invitation: create the user with their chosen password and put them on their team
+ * @param {string} token - From the invite link
+ * @param {Object} account - { password, phone? }
+ * @returns {Object|undefined} The new users row, or undefined if the link is no good
+ */
+const acceptInvitation = async (token, { password, phone }) => {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`, 400);
+  }
+  const hashedPassword = await hashPassword(password);
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const invitation = await InvitationModel.getPendingInvitationByTokenHash(hashToken(String(token)), client);
+    if (!invitation) {
+      await client.query('ROLLBACK');
+      return undefined;
+    }
+
+    const user = await InvitationModel.acceptInvitation(invitation, { hashed_password: hashedPassword, phone }, client);
+    await client.query('COMMIT');
+
+    logger.info(`Invitation ${invitation.id} accepted; created user ${user.id} (${user.email})`);
+    return user;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      // Someone created a user with this email after the invite went out
+      throw new AppError('A user with this email already exists', 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  INVITATION_EXPIRY_DAYS,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationForToken,
+  acceptInvitation
+};
@@ -0,0 +1,218 @@
+/**
+ * JobNimbus Client
+ * Every JobNimbus API call goes through here: timeouts, retries with exponential backoff,
+ * rate-limit headers and a circuit breaker that stops calling JobNimbus while it is down
+ */
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Point at the local stand-in (tools/jobnimbus/fakeServer.js) to run the sync offline
+const BASE_URL = process.env.JOBNIMBUS_API_URL || 'https://app.jobnimbus.com/api1';
+
+const TIMEOUT_MS = parseInt(process.env.JOBNIMBUS_TIMEOUT_MS) || 15000;
+const MAX_RETRIES = parseInt(process.env.JOBNIMBUS_MAX_RETRIES) || 4;
+const RETRY_BASE_MS = parseInt(process.env.JOBNIMBUS_RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = parseInt(process.env.JOBNIMBUS_RETRY_MAX_MS) || 30000;
+// Consecutive failed requests (after their retries) that open the circuit, and how long it stays open
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.JOBNIMBUS_CIRCUIT_FAILURE_THRESHOLD) || 5;
+const CIRCUIT_OPEN_MS = parseInt(process.env.JOBNIMBUS_CIRCUIT_OPEN_MS) || 60000;
+
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+// Network errors where the request never reached JobNimbus, so even a POST is safe to repeat
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+class JobNimbusApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { status: HTTP status if JobNimbus answered, data: response body,
+   *   transient: worth trying again later, retryAfterMs: when JobNimbus said to come back }
+   */
+  constructor(message, { status = null, data = null, transient = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'JobNimbusApiError';
+    this.status = status;
+    this.data = data;
+    this.transient = transient;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const circuit = {
+  state: 'closed', // closed | open | half_open
+  failures: 0,
+  openedAt: null,
+  openUntil: null
+};
+
+// Set from rate-limit headers: no request goes out before this time
+let rateLimitedUntil = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * How long JobNimbus asked us to wait, from Retry-After or X-RateLimit-Reset
+ * Reset may be unix seconds or seconds from now
+ * @returns {number|null} Milliseconds
+ */
+const rateLimitDelayMs = (headers = {}) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(date - Date.now(), 0);
+  }
+
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (Number.isFinite(reset) && reset > 0) {
+    return reset > 1e9 ? Math.max(reset * 1000 - Date.now(), 0) : reset * 1000;
+  }
+  return null;
+};
+
+// Remember when the rate-limit window resets if this response used the last request in it
+const trackRateLimit = (headers = {}) => {
+  if (headers['x-ratelimit-remaining'] !== undefined && Number(headers['x-ratelimit-remaining']) <= 0) {
+    const delay = rateLimitDelayMs(headers);
+    if (delay) {
+      rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+    }
+  }
+};
+
+const backoffMs = (attempt) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  // Full jitter, so callers that failed together don't retry together
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+const checkCircuit = () => {
+  if (circuit.state === 'open') {
+    if (Date.now() < circuit.openUntil) {
+      throw new JobNimbusApiError('JobNimbus is unavailable (circuit open); not calling it until it recovers', {
+        status: 503,
+        transient: true,
+        retryAfterMs: circuit.openUntil - Date.now()
+      });
+    }
+    // Let requests through again; the next result decides whether it closes or reopens
+    circuit.state = 'half_open';
+    logger.info('JobNimbus circuit half-open; trying requests again');
+  }
+};
+
+const recordSuccess = () => {
+  if (circuit.state !== 'closed') {
+    logger.info('JobNimbus circuit closed; JobNimbus is responding again');
+  }
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.openUntil = null;
+};
+
+const recordFailure = () => {
+  circuit.failures++;
+  if (circuit.state === 'half_open' || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.state = 'open';
+    circuit.openedAt = new Date();
+    circuit.openUntil = Date.now() + CIRCUIT_OPEN_MS;
+    logger.warn(`JobNimbus circuit opened after ${circuit.failures} consecutive failures; pausing calls for ${CIRCUIT_OPEN_MS / 1000}s`);
+  }
+};
+
+/**
+ * Make a JobNimbus API request
+ * Transient failures (timeouts, network errors, 408, 429, 5xx) are retried with exponential
+ * backoff, waiting as long as rate-limit headers ask. POSTs are only retried when JobNimbus
+ * can't have acted on them (429, 503 or a connection that never opened), so nothing is created twice.
+ * @param {Object} config - axios request config; url is relative to the API root, e.g. '/jobs'
+ * @param {Object} options - { retries: most retries (default JOBNIMBUS_MAX_RETRIES) }
+ * @returns {Object} axios response
+ * @throws {JobNimbusApiError}
+ */
+const request = async (config, { retries = MAX_RETRIES } = {}) => {
+  const token = process.env.JOBNIMBUSTOKEN;
+  if (!token) {
+    throw new Error('JobNimbus token is missing. Please set JOBNIMBUSTOKEN in your .env file.');
+  }
+
+  const method = (config.method || 'get').toLowerCase();
+  const description = `${method.toUpperCase()} ${config.url}`;
+
+  for (let attempt = 0; ; attempt++) {
+    checkCircuit();
+    if (rateLimitedUntil > Date.now()) {
+      await sleep(rateLimitedUntil - Date.now());
+    }
+
+    try {
+      const response = await axios({
+        timeout: TIMEOUT_MS,
+        ...config,
+        method,
+        baseURL: BASE_URL,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...config.headers
+        }
+      });
+      trackRateLimit(response.headers);
+      recordSuccess();
+      return response;
+    } catch (error) {
+      const status = error.response?.status ?? null;
+      trackRateLimit(error.response?.headers);
+
+      const transient = status ? TRANSIENT_STATUSES.includes(status) : true;
+      const safeToRepeat = method !== 'post' || status === 429 || status === 503 || NOT_SENT_CODES.includes(error.code);
+      const retryAfterMs = status === 429 || status === 503 ? rateLimitDelayMs(error.response?.headers) : null;
+
+      if (transient && safeToRepeat && attempt < retries) {
+        const delay = Math.min(retryAfterMs ?? backoffMs(attempt), RETRY_MAX_MS);
+        logger.warn(`JobNimbus ${description} failed (${status || error.code || error.message}); retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      // Only outages count towards the circuit; a 4xx means JobNimbus is up and said no
+      if (transient) {
+        recordFailure();
+      } else {
+        recordSuccess();
+      }
+
+      throw new JobNimbusApiError(`JobNimbus API request failed: ${error.message}`, {
+        status,
+        data: error.response?.data ?? null,
+        transient,
+        retryAfterMs
+      });
+    }
+  }
+};
+
+/**
+ * Circuit breaker state, e.g. for skipping scheduled work while JobNimbus is down
+ * @returns {Object} { state, failures, openedAt, openUntil }
+ */
+const getCircuitState = () => ({
+  state: circuit.state === 'open' && Date.now() >= circuit.openUntil ? 'half_open' : circuit.state,
+  failures: circuit.failures,
+  openedAt: circuit.openedAt,
+  openUntil: circuit.openUntil ? new Date(circuit.openUntil) : null
+});
+
+const isAvailable = () => getCircuitState().state !== 'open';
+
+module.exports = {
+  JobNimbusApiError,
+  request,
+  get: (url, config = {}, options) => request({ ...config, method: 'get', url }, options),
+  put: (url, data, config = {}, options) => request({ ...config, method: 'put', url, data }, options),
+  post: (url, data, config = {}, options) => request({ ...config, method: 'post', url, data }, options),
+  getCircuitState,
+  isAvailable
+};
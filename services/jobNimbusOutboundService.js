@@ -0,0 +1,312 @@
+/**
+ * JobNimbus Outbound Service
+ * Pushes values this backend owns back to the JobNimbus job: commission status and amounts,
+ * and assignment corrections made here. Writes go through a queue so a JobNimbus outage
+ * only delays them, and each write is checked for conflicts first.
+ */
+
+const db = require('../config/db');
+const OutboundSyncModel = require('../models/outboundSyncModel');
+const { fetchJobNimbusJob, updateJobNimbusJob } = require('./jobNimbusService');
+const jobNimbusClient = require('./jobNimbusClient');
+const logger = require('../utils/logger');
+
+// JobNimbus custom field each commission value goes to, until an admin changes it
+const OUTBOUND_FIELD_DEFAULTS = {
+  commission_status: 'Commission Status',
+  commission_amount: 'Commission Amount',
+  commission_paid: 'Commission Paid',
+  commission_balance: 'Commission Balance'
+};
+const OUTBOUND_FIELD_KEYS = Object.keys(OUTBOUND_FIELD_DEFAULTS);
+
+// Inbound mapping targets an assignment correction writes back to (first source field of each)
+const ASSIGNMENT_TARGETS = {
+  salesman: 'sales_rep_id',
+  supplementer: 'supplementer_name',
+  referrer: 'affiliate_name'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.JOBNIMBUS_OUTBOUND_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 3600;
+
+/**
+ * Outbound field settings with defaults filled in for keys never saved
+ * Fields are disabled until an admin turns them on
+ * @param {Array} stored - Rows from jobnimbus_outbound_fields
+ */
+const resolveOutboundFields = (stored = []) => OUTBOUND_FIELD_KEYS.map(fieldKey => {
+  const row = stored.find(field => field.field_key === fieldKey);
+  return row
+    ? { ...row, is_default: false }
+    : { field_key: fieldKey, jobnimbus_field: OUTBOUND_FIELD_DEFAULTS[fieldKey], enabled: false, is_default: true };
+});
+
+const roundMoney = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * The commission values shown on the JobNimbus job
+ * @param {Object} summary - { commission_amount, paid_amount } from getCommissionSummaries
+ * @returns {Object} field_key -> value
+ */
+const commissionValues = (summary) => {
+  const amount = roundMoney(summary.commission_amount);
+  const paid = roundMoney(summary.paid_amount);
+
+  let status;
+  if (amount <= 0) status = 'No Commission Due';
+  else if (paid >= amount) status = 'Paid';
+  else if (paid > 0) status = 'Partially Paid';
+  else status = 'Unpaid';
+
+  return {
+    commission_status: status,
+    commission_amount: amount,
+    commission_paid: paid,
+    commission_balance: roundMoney(amount - paid)
+  };
+};
+
+/**
+ * Compare a JobNimbus value with ours, ignoring case, spacing and number formatting
+ * Missing, null and empty are treated as the same
+ */
+const sameValue = (a, b) => {
+  const left = a === null || a === undefined ? '' : String(a).trim();
+  const right = b === null || b === undefined ? '' : String(b).trim();
+  if (left !== '' && right !== '' && !isNaN(Number(left)) && !isNaN(Number(right))) {
+    return Number(left) === Number(right);
+  }
+  return left.replace(/\s+/g, ' ').toLowerCase() === right.replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Queue commission values that differ from what was last pushed
+ * Customers with a conflicting or failed commission write are skipped until an admin
+ * retries or discards it, so the same write isn't queued again every run
+ * @returns {Object} { queued, skipped }
+ */
+const enqueueCommissionChanges = async () => {
+  const fields = resolveOutboundFields(await OutboundSyncModel.getOutboundFields()).filter(field => field.enabled);
+  if (fields.length === 0) {
+    return { queued: 0, skipped: 0 };
+  }
+
+  const [summaries, pushedByCustomer, blocked] = await Promise.all([
+    OutboundSyncModel.getCommissionSummaries(),
+    OutboundSyncModel.getPushedValues(),
+    OutboundSyncModel.getBlockedCustomerIds('commission')
+  ]);
+
+  let queued = 0;
+  let skipped = 0;
+  for (const summary of summaries) {
+    const values = commissionValues(summary);
+    const pushed = pushedByCustomer.get(summary.customer_id) || {};
+
+    const changed = {};
+    const expected = {};
+    fields.forEach(field => {
+      const value = values[field.field_key];
+      if (!(field.jobnimbus_field in pushed) || !sameValue(pushed[field.jobnimbus_field], value)) {
+        changed[field.jobnimbus_field] = value;
+        // Never pushed: we expect the field to still be empty in JobNimbus
+        expected[field.jobnimbus_field] = pushed[field.jobnimbus_field] ?? null;
+      }
+    });
+    if (Object.keys(changed).length === 0) continue;
+
+    if (blocked.has(summary.customer_id)) {
+      skipped++;
+      continue;
+    }
+
+    await OutboundSyncModel.enqueue({
+      customer_id: summary.customer_id,
+      jnid: summary.jnid,
+      change_type: 'commission',
+      fields: changed,
+      expected,
+      base_date_updated: summary.jn_date_updated
+    });
+    queued++;
+  }
+
+  if (queued > 0 || skipped > 0) {
+    logger.info(`Queued commission updates for ${queued} JobNimbus jobs (${skipped} waiting on a conflict or failure)`);
+  }
+  return { queued, skipped };
+};
+
+/**
+ * Queue an assignment correction for the JobNimbus job
+ * The salesman is written as their linked JobNimbus user ID; supplementer and referrer by name
+ * @param {Object} change - {
+ *   customer: row before the change, previous/current: { salesman, supplementer, referrer } users,
+ *   fieldMappings: resolved inbound mappings, createdBy
+ * }
+ * @param {Object} client - Transaction client
+ * @returns {Object} { entry, skipped: [{ role, reason }] }
+ */
+const enqueueAssignmentChange = async ({ customer, previous, current, fieldMappings, createdBy }, client) => {
+  const fields = {};
+  const expected = {};
+  const skipped = [];
+
+  Object.entries(ASSIGNMENT_TARGETS).forEach(([role, target]) => {
+    const before = previous[role];
+    const after = current[role];
+    if ((before?.id || null) === (after?.id || null)) return;
+
+    const jobnimbusField = fieldMappings[target]?.source_fields?.[0];
+    if (!jobnimbusField) {
+      skipped.push({ role, reason: `No JobNimbus field is mapped to ${target}` });
+      return;
+    }
+
+    if (target === 'sales_rep_id') {
+      if (after && !after.jobnimbus_user_id) {
+        skipped.push({ role, reason: `${after.name} is not linked to a JobNimbus user` });
+        return;
+      }
+      fields[jobnimbusField] = after?.jobnimbus_user_id || null;
+      expected[jobnimbusField] = before?.jobnimbus_user_id || null;
+    } else {
+      fields[jobnimbusField] = after?.name || null;
+      expected[jobnimbusField] = before?.name || null;
+    }
+  });
+
+  if (Object.keys(fields).length === 0) {
+    return { entry: null, skipped };
+  }
+
+  const entry = await OutboundSyncModel.enqueue({
+    customer_id: customer.id,
+    jnid: customer.jnid,
+    change_type: 'assignment',
+    fields,
+    expected,
+    base_date_updated: customer.jn_date_updated,
+    created_by: createdBy
+  }, client);
+  return { entry, skipped };
+};
+
+/**
+ * Fields JobNimbus changed since our last read to something we neither expected nor are writing
+ * Without a recorded version every field is checked; a forced entry never conflicts
+ */
+const findConflicts = (entry, remote, pushed) => {
+  if (entry.force) return [];
+  // BIGINT columns come back from pg as strings
+  if (entry.base_date_updated && !(Number(remote.date_updated) > Number(entry.base_date_updated))) return [];
+
+  return Object.keys(entry.fields).filter(field =>
+    !sameValue(remote[field], entry.fields[field]) &&
+    !(field in entry.expected && sameValue(remote[field], entry.expected[field])) &&
+    // Our own earlier push may be why the job changed
+    !(field in pushed && sameValue(remote[field], pushed[field]))
+  );
+};
+
+const retryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+// Push one claimed entry; returns 'succeeded' or 'conflict'
+const pushEntry = async (entry) => {
+  const remote = await fetchJobNimbusJob(entry.jnid);
+  const pushed = (await OutboundSyncModel.getPushedValues([entry.customer_id])).get(entry.customer_id) || {};
+
+  const conflicts = findConflicts(entry, remote, pushed);
+  if (conflicts.length > 0) {
+    await OutboundSyncModel.setEntryStatus(entry.id, {
+      status: 'conflict',
+      last_error: `Changed in JobNimbus since our last read: ${conflicts.join(', ')}`,
+      remote_values: Object.fromEntries(Object.keys(entry.fields).map(field => [field, remote[field] ?? null]))
+    });
+    logger.warn(`JobNimbus write ${entry.id} for job ${entry.jnid} conflicts on ${conflicts.join(', ')}`);
+    return 'conflict';
+  }
+
+  const toWrite = Object.fromEntries(
+    Object.entries(entry.fields).filter(([field, value]) => !sameValue(remote[field], value))
+  );
+  const updated = Object.keys(toWrite).length > 0 ? await updateJobNimbusJob(entry.jnid, toWrite) : null;
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await OutboundSyncModel.recordPush(entry.customer_id, entry.fields, updated?.date_updated || remote.date_updated, client);
+    await OutboundSyncModel.setEntryStatus(entry.id, { status: 'succeeded' }, client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return 'succeeded';
+};
+
+/**
+ * Push due queue entries to JobNimbus
+ * Failures are retried with exponential backoff and marked failed after MAX_ATTEMPTS.
+ * Nothing is pushed while the JobNimbus circuit is open, so an outage doesn't use up attempts.
+ * @param {Object} options - { limit: most entries to push this run }
+ * @returns {Object} { processed, succeeded, conflicts, retrying, failed, deferred }
+ */
+const processOutboundQueue = async ({ limit = 50 } = {}) => {
+  if (!jobNimbusClient.isAvailable()) {
+    logger.warn('JobNimbus is unavailable; outbound queue not processed this run');
+    return { processed: 0, succeeded: 0, conflicts: 0, retrying: 0, failed: 0, deferred: 0 };
+  }
+
+  const entries = await OutboundSyncModel.claimDueEntries(limit);
+  const summary = { processed: 0, succeeded: 0, conflicts: 0, retrying: 0, failed: 0, deferred: 0 };
+
+  for (const [index, entry] of entries.entries()) {
+    if (!jobNimbusClient.isAvailable()) {
+      const remaining = entries.slice(index);
+      await OutboundSyncModel.releaseEntries(remaining.map(item => item.id));
+      summary.deferred = remaining.length;
+      logger.warn(`JobNimbus became unavailable; ${remaining.length} outbound writes deferred`);
+      break;
+    }
+
+    summary.processed++;
+    try {
+      const outcome = await pushEntry(entry);
+      if (outcome === 'conflict') summary.conflicts++;
+      else summary.succeeded++;
+    } catch (error) {
+      const outOfAttempts = entry.attempts >= MAX_ATTEMPTS;
+      await OutboundSyncModel.setEntryStatus(entry.id, {
+        status: outOfAttempts ? 'failed' : 'pending',
+        last_error: error.message,
+        next_attempt_at: outOfAttempts
+          ? null
+          : new Date(Date.now() + Math.max(retryDelaySeconds(entry.attempts) * 1000, error.retryAfterMs || 0))
+      });
+      logger.error(`JobNimbus write ${entry.id} for job ${entry.jnid} failed (attempt ${entry.attempts}):`, error);
+      if (outOfAttempts) summary.failed++;
+      else summary.retrying++;
+    }
+  }
+
+  if (entries.length > 0) {
+    logger.info(`JobNimbus outbound queue: ${JSON.stringify(summary)}`);
+  }
+  return summary;
+};
+
+module.exports = {
+  OUTBOUND_FIELD_DEFAULTS,
+  OUTBOUND_FIELD_KEYS,
+  ASSIGNMENT_TARGETS,
+  resolveOutboundFields,
+  commissionValues,
+  enqueueCommissionChanges,
+  enqueueAssignmentChange,
+  processOutboundQueue
+};
@@ -1,21 +1,188 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const jobNimbusClient = require('./jobNimbusClient');
 
-const fetchJobNimbusData = async () => {
-  const token = process.env.JOBNIMBUSTOKEN;
-  if (!token) {
-    throw new Error('JobNimbus token is missing. Please set JOBNIMBUSTOKEN in your .env file.');
+const PAGE_SIZE = parseInt(process.env.JOBNIMBUS_PAGE_SIZE) || 500;
+// Guard against an API that keeps returning full pages
+const MAX_PAGES = 1000;
+
+// Errors from the client keep their status and transient flag, so callers can tell an outage from a bad request
+const logApiError = (error) => {
+  console.error('JobNimbus API Error:', error.data || error.message);
+  return error instanceof jobNimbusClient.JobNimbusApiError
+    ? error
+    : new Error(`JobNimbus API request failed: ${error.message}`);
+};
+
+/**
+ * Fetch jobs from JobNimbus, following pages until every result has been read
+ * Pages are read by a date_updated cursor rather than an offset: each page asks for jobs
+ * updated at or after the last one on the previous page, and a job read twice is kept once
+ * (the later copy wins). A job edited mid-sync then moves to the end of the order instead of
+ * shifting the offsets and pushing an unread job onto a page already passed.
+ * Each page is retried on its own, so a blip mid-sync doesn't restart the whole read
+ * @param {Object} options - { updatedSince: unix seconds, only jobs with date_updated at or after it }
+ * @returns {Object} { results, count, highWaterMark: latest date_updated seen (unix seconds) }
+ */
+const fetchJobNimbusData = async ({ updatedSince = null } = {}) => {
+  const jobsByJnid = new Map();
+  // Inclusive bound: jobs updated in the same second as the last sync are re-read rather than missed
+  let cursor = updatedSince || null;
+  let highWaterMark = updatedSince || null;
+
+  try {
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const filter = cursor
+        ? JSON.stringify({ must: [{ range: { date_updated: { gte: cursor } } }] })
+        : undefined;
+
+      const response = await jobNimbusClient.get('/jobs', {
+        params: {
+          size: PAGE_SIZE,
+          sort_field: 'date_updated',
+          sort_direction: 'asc',
+          ...(filter && { filter })
+        }
+      });
+
+      const pageResults = response.data?.results;
+      if (!Array.isArray(pageResults)) {
+        throw new Error('JobNimbus data is not in the expected format.');
+      }
+
+      const readBefore = jobsByJnid.size;
+      const previousCursor = cursor;
+      pageResults.forEach(job => {
+        jobsByJnid.set(job.jnid, job);
+        if (job.date_updated && (!highWaterMark || job.date_updated > highWaterMark)) {
+          highWaterMark = job.date_updated;
+        }
+      });
+      // The next page starts where this one ended in the sort, not at the newest job on it:
+      // a job edited while the page was read can carry a later date_updated than the rest
+      cursor = pageResults[pageResults.length - 1]?.date_updated || cursor;
+
+      // count is how many match this page's filter, so the page held the rest of them
+      if (pageResults.length < PAGE_SIZE || (response.data.count ?? Infinity) <= pageResults.length) {
+        break;
+      }
+      // A full page that neither moves the cursor nor finds a new job would be asked for forever
+      if (cursor === previousCursor && jobsByJnid.size === readBefore) {
+        throw new Error(`More than ${PAGE_SIZE} JobNimbus jobs share date_updated ${cursor}; raise JOBNIMBUS_PAGE_SIZE`);
+      }
+    }
+
+    // Ties on date_updated are put in jnid order so a sync's results don't depend on the API's
+    const results = [...jobsByJnid.values()].sort((a, b) =>
+      (a.date_updated || 0) - (b.date_updated || 0) || String(a.jnid).localeCompare(String(b.jnid))
+    );
+    return { results, count: results.length, highWaterMark };
+  } catch (error) {
+    throw logApiError(error);
   }
+};
 
+/**
+ * Fetch one job from JobNimbus
+ * @param {string} jnid - JobNimbus job ID
+ * @returns {Object} The job record
+ */
+const fetchJobNimbusJob = async (jnid) => {
   try {
-    const response = await axios.get('https://app.jobnimbus.com/api1/jobs/', {
-      headers: { Authorization: `Bearer ${token}` },
+    const response = await jobNimbusClient.get(`/jobs/${encodeURIComponent(jnid)}`);
+    if (!response.data?.jnid) {
+      throw new Error('JobNimbus data is not in the expected format.');
+    }
+    return response.data;
+  } catch (error) {
+    throw logApiError(error);
+  }
+};
+
+// Most recently updated job, e.g. as a sample for checking field mappings
+const fetchLatestJobNimbusJob = async () => {
+  try {
+    const response = await jobNimbusClient.get('/jobs', {
+      params: { size: 1, sort_field: 'date_updated', sort_direction: 'desc' }
     });
+    return response.data?.results?.[0] || null;
+  } catch (error) {
+    throw logApiError(error);
+  }
+};
 
-    return response.data; // The `results` array will be accessed in the controller
+/**
+ * Write fields on a JobNimbus job
+ * Only the fields given are changed
+ * @param {string} jnid - JobNimbus job ID
+ * @param {Object} fields - JobNimbus field name -> value
+ * @returns {Object} The updated job record
+ */
+const updateJobNimbusJob = async (jnid, fields) => {
+  try {
+    const response = await jobNimbusClient.put(`/jobs/${encodeURIComponent(jnid)}`, { jnid, ...fields });
+    return response.data;
   } catch (error) {
-    console.error('JobNimbus API Error:', error.response?.data || error.message);
-    throw new Error(`JobNimbus API request failed: ${error.message}`);
+    throw logApiError(error);
+  }
+};
+
+/**
+ * Create a contact in JobNimbus
+ * Not retried once JobNimbus may have received it, so a timeout can't create a duplicate
+ * @param {Object} contact - JobNimbus contact fields
+ * @returns {Object} The created contact
+ */
+const createJobNimbusContact = async (contact) => {
+  try {
+    const response = await jobNimbusClient.post('/contacts', contact);
+    return response.data;
+  } catch (error) {
+    throw logApiError(error);
+  }
+};
+
+// How far a webhook's timestamp may be from now before it is treated as a replay
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.JOBNIMBUS_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+/**
+ * Check a JobNimbus webhook signature
+ * The signature is the hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with JOBNIMBUS_WEBHOOK_SECRET
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} timestamp - X-JobNimbus-Timestamp header (unix seconds)
+ * @param {string} signature - X-JobNimbus-Signature header, optionally prefixed with "sha256="
+ * @returns {Object} { valid, reason }
+ */
+const verifyWebhookSignature = (rawBody, timestamp, signature) => {
+  const secret = process.env.JOBNIMBUS_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('JobNimbus webhook secret is missing. Please set JOBNIMBUS_WEBHOOK_SECRET in your .env file.');
+  }
+  if (!rawBody || !timestamp || !signature) {
+    return { valid: false, reason: 'Missing signature, timestamp or body' };
+  }
+
+  const sentAt = parseInt(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Math.floor(Date.now() / 1000) - sentAt) > WEBHOOK_TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'Timestamp is outside the allowed window' };
   }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody.toString('utf8')}`)
+    .digest();
+  const received = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { valid: false, reason: 'Signature does not match' };
+  }
+  return { valid: true };
 };
 
-module.exports = { fetchJobNimbusData };
\ No newline at end of file
+module.exports = {
+  fetchJobNimbusData,
+  fetchJobNimbusJob,
+  fetchLatestJobNimbusJob,
+  updateJobNimbusJob,
+  createJobNimbusContact,
+  verifyWebhookSignature
+};
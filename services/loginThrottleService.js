@@ -0,0 +1,201 @@
+/**
+ * Login Throttle Service
+ * Slows down and stops password, reset-token, invite-link and MFA guessing.
+ *
+ * - Per account: after ACCOUNT_FREE_FAILURES failures each further attempt has to wait
+ *   (1s, 2s, 4s ... up to MAX_DELAY_SECONDS); at LOGIN_MAX_FAILURES the account is locked
+ *   for LOGIN_LOCKOUT_MINUTES and the user is emailed. A successful login, a password
+ *   reset or an admin (POST /api/users/:id/unlock) clears it.
+ * - Per IP address: the same delays after IP_FREE_FAILURES failures, and no more attempts
+ *   at LOGIN_IP_MAX_FAILURES until the oldest failure leaves the window
+ * - Forgot password: limited per IP address, and per email so nobody can be flooded with resets
+ * Failures older than LOGIN_FAILURE_WINDOW_MINUTES are forgotten.
+ *
+ * Settings: LOGIN_MAX_FAILURES (default 10), LOGIN_LOCKOUT_MINUTES (default 30),
+ *   LOGIN_IP_MAX_FAILURES (default 50), LOGIN_FAILURE_WINDOW_MINUTES (default 15)
+ */
+
+const LoginAttemptModel = require('../models/loginAttemptModel');
+const { sendAccountLockedEmail } = require('../utils/email');
+const { AppError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+const LOGIN_FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+
+const ACCOUNT_FREE_FAILURES = 3;
+const IP_FREE_FAILURES = 10;
+const MAX_DELAY_SECONDS = 30;
+const FORGOT_PASSWORD_MAX_PER_EMAIL = 3;
+const FORGOT_PASSWORD_MAX_PER_IP = 10;
+
+// Attempt types that guess a credential; forgot-password requests are limited separately
+const CREDENTIAL_ATTEMPT_TYPES = ['password', 'reset_token', 'mfa', 'invitation'];
+
+// Seconds to wait after `failures` failures, once past the free ones
+const delaySeconds = (failures, freeFailures) =>
+  failures < freeFailures ? 0 : Math.min(2 ** (failures - freeFailures), MAX_DELAY_SECONDS);
+
+const tooManyAttempts = (retryAfter) => {
+  const error = new AppError(`Too many attempts; try again in ${retryAfter} seconds`, 429, 'too_many_attempts');
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const ipOf = (req) => req.ip || null;
+
+/**
+ * Stop an IP address that is failing too often; call before checking a credential
+ * @param {Object} req - Request
+ */
+const assertIpAllowed = async (req) => {
+  const ipAddress = ipOf(req);
+  if (!ipAddress) return;
+
+  const { failures, seconds_since_first, seconds_since_last } =
+    await LoginAttemptModel.getIpFailures(ipAddress, CREDENTIAL_ATTEMPT_TYPES, LOGIN_FAILURE_WINDOW_MINUTES);
+
+  if (failures >= LOGIN_IP_MAX_FAILURES) {
+    throw tooManyAttempts(Math.max(LOGIN_FAILURE_WINDOW_MINUTES * 60 - seconds_since_first, 1));
+  }
+  const wait = delaySeconds(failures, IP_FREE_FAILURES) - seconds_since_last;
+  if (failures > 0 && wait > 0) {
+    throw tooManyAttempts(wait);
+  }
+};
+
+/**
+ * Stop attempts on a locked account, or one that has to wait after recent failures;
+ * call before checking its credential
+ * @param {Object} user - users row
+ */
+const assertAccountAllowed = (user) => {
+  const now = Date.now();
+
+  if (user.locked_until && new Date(user.locked_until).getTime() > now) {
+    throw new AppError(
+      'This account is locked after too many failed sign-in attempts. Try again later, reset your password or contact an administrator.',
+      423,
+      'account_locked'
+    );
+  }
+
+  if (user.last_failed_login_at) {
+    const sinceLast = Math.floor((now - new Date(user.last_failed_login_at).getTime()) / 1000);
+    const wait = delaySeconds(user.failed_login_attempts, ACCOUNT_FREE_FAILURES) - sinceLast;
+    if (wait > 0) {
+      throw tooManyAttempts(wait);
+    }
+  }
+};
+
+/**
+ * Record a failed attempt, against the user too when the account is known
+ * Locks the account on the LOGIN_MAX_FAILURES'th failure and emails the user.
+ * @param {Object} req - Request
+ * @param {string} type - 'password' | 'reset_token' | 'mfa' | 'invitation'
+ * @param {Object} attempt - { email, user: users row if known }
+ */
+const recordFailure = async (req, type, { email = null, user = null } = {}) => {
+  const ipAddress = ipOf(req);
+  await LoginAttemptModel.recordAttempt({
+    attempt_type: type,
+    email: email || user?.email || null,
+    user_id: user?.id || null,
+    ip_address: ipAddress,
+    succeeded: false
+  });
+
+  if (!user) return;
+
+  const { locked, locked_until } = await LoginAttemptModel.recordAccountFailure(user.id, {
+    windowMinutes: LOGIN_FAILURE_WINDOW_MINUTES,
+    maxFailures: LOGIN_MAX_FAILURES,
+    lockoutMinutes: LOGIN_LOCKOUT_MINUTES
+  });
+
+  if (locked) {
+    logger.warn(`Account ${user.id} locked until ${locked_until} after ${LOGIN_MAX_FAILURES} failed ${type} attempts (last from ${ipAddress})`);
+    try {
+      await sendAccountLockedEmail(user, { lockedUntil: locked_until, ipAddress });
+    } catch (error) {
+      // The lock stands either way
+      logger.error(`Failed to send account locked email to user ${user.id}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Record a successful attempt
+ * @param {Object} req - Request
+ * @param {string} type - 'password' | 'reset_token' | 'mfa'
+ * @param {Object} user - users row
+ * @param {Object} options - { signedIn: the user is fully signed in (false after the password
+ *   step of an MFA login, so MFA failures keep counting) }
+ */
+const recordSuccess = async (req, type, user, { signedIn = true } = {}) => {
+  await LoginAttemptModel.recordAttempt({
+    attempt_type: type,
+    email: user.email,
+    user_id: user.id,
+    ip_address: ipOf(req),
+    succeeded: true
+  });
+
+  if (signedIn && (user.failed_login_attempts > 0 || user.locked_until)) {
+    await LoginAttemptModel.clearAccountFailures(user.id);
+  }
+};
+
+/**
+ * Check a forgot-password request against the limits and log it
+ * Over the per-IP limit the request is refused; over the per-email limit it is quietly
+ * not sent, so the response doesn't reveal whether the email has an account.
+ * @param {Object} req - Request
+ * @param {string} email - Normalized email
+ * @returns {boolean} Whether to send the reset email
+ */
+const allowPasswordResetRequest = async (req, email) => {
+  const ipAddress = ipOf(req);
+  if (ipAddress) {
+    const fromIp = await LoginAttemptModel.countRecentAttempts(
+      { ip_address: ipAddress }, 'forgot_password', LOGIN_FAILURE_WINDOW_MINUTES
+    );
+    if (fromIp >= FORGOT_PASSWORD_MAX_PER_IP) {
+      throw tooManyAttempts(LOGIN_FAILURE_WINDOW_MINUTES * 60);
+    }
+  }
+
+  const forEmail = await LoginAttemptModel.countRecentAttempts(
+    { email }, 'forgot_password', LOGIN_FAILURE_WINDOW_MINUTES
+  );
+  const allowed = forEmail < FORGOT_PASSWORD_MAX_PER_EMAIL;
+
+  await LoginAttemptModel.recordAttempt({
+    attempt_type: 'forgot_password',
+    email,
+    ip_address: ipAddress,
+    succeeded: allowed
+  });
+
+  if (!allowed) {
+    logger.warn(`Password reset for ${email} not sent: ${forEmail} requests in ${LOGIN_FAILURE_WINDOW_MINUTES} minutes`);
+  }
+  return allowed;
+};
+
+// Lift a lockout and forget the failures (admin unlock)
+const unlockAccount = (userId) => LoginAttemptModel.clearAccountFailures(userId);
+
+module.exports = {
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES,
+  assertIpAllowed,
+  assertAccountAllowed,
+  recordFailure,
+  recordSuccess,
+  allowPasswordResetRequest,
+  unlockAccount
+};
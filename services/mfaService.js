@@ -0,0 +1,201 @@
+/**
+ * MFA Service
+ * TOTP multi-factor authentication (any authenticator app) with single-use recovery codes.
+ *
+ * - Enrolment: setup returns a secret and otpauth:// URI (shown as a QR code); MFA is on
+ *   once the user confirms a code, which also returns their recovery codes
+ * - Login: users with MFA get a short-lived challenge token from /login and trade it,
+ *   with a code, for a session at /login/mfa
+ * - Step-up: sensitive actions need an MFA check within the last MFA_STEP_UP_MINUTES
+ * - Access levels in MFA_REQUIRED_LEVELS (config/permissions.js) must enrol before doing anything else
+ *
+ * Settings: MFA_ISSUER (name shown in the app), MFA_STEP_UP_MINUTES (default 10)
+ * Secrets are encrypted with BANK_DETAILS_ENCRYPTION_KEY (utils/encryption.js)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+const MfaModel = require('../models/mfaModel');
+const SessionModel = require('../models/sessionModel');
+const { MFA_REQUIRED_LEVELS } = require('../config/permissions');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+const { AppError } = require('../utils/error');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Affordable Roofing';
+const MFA_STEP_UP_MINUTES = parseInt(process.env.MFA_STEP_UP_MINUTES) || 10;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_PURPOSE = 'mfa_login';
+
+const isMfaRequired = (user) => MFA_REQUIRED_LEVELS.includes(user.permissions);
+
+// Recovery codes look like 'k3x9q-7mfa2'; dashes and case don't matter when typed
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const newRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = generateSecret(7).toLowerCase().slice(0, 10);
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const getStatus = async (user) => ({
+  enabled: user.mfa_enabled,
+  enabled_at: user.mfa_enabled_at,
+  required: isMfaRequired(user),
+  recovery_codes_remaining: user.mfa_enabled ? await MfaModel.countUnusedRecoveryCodes(user.id) : 0
+});
+
+/**
+ * Start enrolment with a new secret; MFA stays off until confirmEnrollment
+ * @param {Object} user - users row
+ * @returns {Object} { secret, otpauth_url }
+ */
+const beginEnrollment = async (user) => {
+  if (user.mfa_enabled) {
+    throw new AppError('MFA is already enabled; disable it first to enrol a new device', 409);
+  }
+
+  const secret = generateSecret();
+  await MfaModel.setPendingSecret(user.id, encrypt(secret));
+  return {
+    secret,
+    otpauth_url: buildOtpAuthUrl({ secret, accountName: user.email, issuer: MFA_ISSUER })
+  };
+};
+
+/**
+ * Turn MFA on once the user shows their app produces the right codes
+ * Other sessions are signed out, as they never passed MFA; the caller's counts as verified.
+ * @param {Object} user - users row
+ * @param {string} code - Code from the app
+ * @param {number} sessionId - Caller's session
+ * @returns {Array<string>} Recovery codes, shown once
+ */
+const confirmEnrollment = async (user, code, sessionId) => {
+  if (user.mfa_enabled) {
+    throw new AppError('MFA is already enabled', 409);
+  }
+  if (!user.mfa_secret_encrypted) {
+    throw new AppError('Start MFA setup first', 400);
+  }
+
+  const step = verifyCode(decrypt(user.mfa_secret_encrypted), code);
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 400, 'mfa_invalid_code');
+  }
+
+  const recoveryCodes = newRecoveryCodes();
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await MfaModel.enable(user.id, step, client);
+    await MfaModel.replaceRecoveryCodes(user.id, recoveryCodes.map(hashRecoveryCode), client);
+    await SessionModel.revokeUserSessions(user.id, 'mfa_enabled', { exceptSessionId: sessionId }, client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await SessionModel.markMfaVerified(sessionId);
+  return recoveryCodes;
+};
+
+/**
+ * Check a second factor: an app code, or failing that a recovery code (used up)
+ * @param {Object} user - users row with MFA enabled
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {string} 'totp' or 'recovery_code'
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.mfa_enabled) {
+    throw new AppError('MFA is not enabled', 400);
+  }
+
+  if (code) {
+    const afterStep = user.mfa_last_used_step === null ? null : Number(user.mfa_last_used_step);
+    const step = verifyCode(decrypt(user.mfa_secret_encrypted), code, { afterStep });
+    if (step !== null && await MfaModel.claimStep(user.id, step)) {
+      return 'totp';
+    }
+  } else if (recoveryCode) {
+    if (await MfaModel.useRecoveryCode(user.id, hashRecoveryCode(recoveryCode))) {
+      return 'recovery_code';
+    }
+  } else {
+    throw new AppError('code or recoveryCode is required', 400);
+  }
+
+  throw new AppError('Invalid authentication code', 401, 'mfa_invalid_code');
+};
+
+/**
+ * Record that the user re-verified within a session, for sensitive actions
+ * @param {number} sessionId - Caller's session
+ * @param {string} method - What verifySecondFactor accepted
+ * @returns {Object} { method, verified_until }
+ */
+const stepUp = async (sessionId, method) => {
+  const { mfa_verified_at } = await SessionModel.markMfaVerified(sessionId);
+  return {
+    method,
+    verified_until: new Date(new Date(mfa_verified_at).getTime() + MFA_STEP_UP_MINUTES * 60000)
+  };
+};
+
+const regenerateRecoveryCodes = async (user) => {
+  if (!user.mfa_enabled) {
+    throw new AppError('MFA is not enabled', 400);
+  }
+
+  const recoveryCodes = newRecoveryCodes();
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await MfaModel.replaceRecoveryCodes(user.id, recoveryCodes.map(hashRecoveryCode), client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return recoveryCodes;
+};
+
+// Token proving the password step of a login passed; only good for /login/mfa
+const createLoginChallenge = (user) =>
+  jwt.sign({ userId: user.id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+
+// User ID from a login challenge token
+const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+    return decoded.userId;
+  } catch (error) {
+    throw new AppError('Login expired; sign in again', 401);
+  }
+};
+
+// Whether the session passed an MFA check recently enough for a sensitive action
+const isRecentlyVerified = (mfaVerifiedAt) =>
+  Boolean(mfaVerifiedAt) && Date.now() - new Date(mfaVerifiedAt).getTime() < MFA_STEP_UP_MINUTES * 60000;
+
+module.exports = {
+  MFA_STEP_UP_MINUTES,
+  isMfaRequired,
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  stepUp,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  isRecentlyVerified
+};
@@ -0,0 +1,198 @@
+const PaymentAllocationModel = require('../models/paymentAllocationModel');
+const { AppError } = require('../utils/error');
+
+const ALLOCATION_STRATEGIES = ['oldest_first', 'per_customer', 'manual'];
+
+// Work in cents so splits always add up to the payment
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Read the allocation options from a payment request body
+ * Requests that only list commission_due_ids (the original API) are treated as manual
+ * @param {Object} body - { allocation_strategy?, customer_ids?, allocations?, commission_due_ids? }
+ * @returns {Object} { strategy, customerIds, commissionIds, allocations, errors }
+ */
+const parseAllocationRequest = (body) => {
+  const errors = [];
+  const hasIds = Array.isArray(body.commission_due_ids) && body.commission_due_ids.length > 0;
+  const strategy = body.allocation_strategy || (hasIds || body.allocations ? 'manual' : 'oldest_first');
+
+  if (!ALLOCATION_STRATEGIES.includes(strategy)) {
+    errors.push(`allocation_strategy must be one of: ${ALLOCATION_STRATEGIES.join(', ')}`);
+  }
+
+  const request = { strategy, customerIds: null, commissionIds: null, allocations: null, errors };
+
+  if (strategy === 'per_customer') {
+    if (!Array.isArray(body.customer_ids) || body.customer_ids.length === 0) {
+      errors.push('customer_ids is required for the per_customer strategy');
+    } else {
+      request.customerIds = body.customer_ids.map(Number);
+    }
+  }
+
+  if (strategy === 'manual') {
+    if (Array.isArray(body.allocations) && body.allocations.length > 0) {
+      body.allocations.forEach((allocation, index) => {
+        if (!allocation.commission_due_id || !(parseFloat(allocation.amount) > 0)) {
+          errors.push(`allocations[${index}] needs a commission_due_id and a positive amount`);
+        }
+      });
+      request.allocations = body.allocations.map(allocation => ({
+        commission_due_id: Number(allocation.commission_due_id),
+        amount: allocation.amount
+      }));
+      request.commissionIds = request.allocations.map(allocation => allocation.commission_due_id);
+    } else if (hasIds) {
+      request.commissionIds = body.commission_due_ids.map(Number);
+    } else {
+      errors.push('allocations or commission_due_ids is required for the manual strategy');
+    }
+
+    // Each commission may be listed once; listing it twice would pay it twice
+    const duplicates = (request.commissionIds || []).filter((id, index, ids) => ids.indexOf(id) !== index);
+    if (duplicates.length > 0) {
+      errors.push(`Commissions listed more than once: ${[...new Set(duplicates)].join(', ')}`);
+    }
+  }
+
+  return request;
+};
+
+/**
+ * Split an amount across open commissions
+ * @param {Array} openCommissions - Rows from getOpenCommissions, oldest build date first
+ * @param {number} amount - Amount to allocate
+ * @param {Object} request - Parsed allocation request
+ * @returns {Object} { allocations: [{ commission_due_id, customer_id, amount_applied, fully_paid }], remaining }
+ */
+const planAllocation = (openCommissions, amount, request) => {
+  let remainingCents = toCents(amount);
+  const allocations = [];
+  const openById = new Map(openCommissions.map(commission => [commission.id, commission]));
+  // What is still owed on each commission after the allocations made so far
+  const outstandingById = new Map(openCommissions.map(commission => [commission.id, toCents(commission.outstanding)]));
+
+  const allocate = (commission, requestedCents) => {
+    const outstandingCents = outstandingById.get(commission.id);
+    const cents = Math.min(requestedCents, outstandingCents, remainingCents);
+    if (cents <= 0) return;
+
+    remainingCents -= cents;
+    outstandingById.set(commission.id, outstandingCents - cents);
+    allocations.push({
+      commission_due_id: commission.id,
+      customer_id: commission.customer_id,
+      customer_name: commission.customer_name,
+      amount_applied: fromCents(cents),
+      fully_paid: cents === outstandingCents
+    });
+  };
+
+  if (request.strategy === 'manual' && request.allocations) {
+    const requestedTotal = request.allocations.reduce((sum, allocation) => sum + toCents(allocation.amount), 0);
+    if (requestedTotal > remainingCents) {
+      throw new AppError('Allocations add up to more than the payment amount', 400);
+    }
+    request.allocations.forEach(allocation => {
+      const commission = openById.get(allocation.commission_due_id);
+      if (!commission) {
+        throw new AppError(`Commission ${allocation.commission_due_id} is not an open commission for this user`, 400);
+      }
+      if (toCents(allocation.amount) > outstandingById.get(commission.id)) {
+        throw new AppError(`Allocation to commission ${commission.id} exceeds the ${fromCents(outstandingById.get(commission.id))} outstanding`, 400);
+      }
+      allocate(commission, toCents(allocation.amount));
+    });
+  } else {
+    let ordered = openCommissions;
+    if (request.strategy === 'manual') {
+      // Listed commissions, in the order given
+      ordered = request.commissionIds.map(id => openById.get(id)).filter(Boolean);
+    } else if (request.strategy === 'per_customer') {
+      // Customers in the order given, oldest commission first within each
+      const rank = new Map(request.customerIds.map((id, index) => [id, index]));
+      ordered = openCommissions
+        .filter(commission => rank.has(commission.customer_id))
+        .sort((a, b) => rank.get(a.customer_id) - rank.get(b.customer_id));
+    }
+    ordered.forEach(commission => allocate(commission, Infinity));
+  }
+
+  return { allocations, remaining: fromCents(remainingCents) };
+};
+
+/**
+ * Allocate a new payment across the user's open commissions and keep the rest as credit
+ * @param {Object} payment - Inserted payments row
+ * @param {Object} request - Parsed allocation request
+ * @param {Object} client - Transaction client
+ * @returns {Object} { strategy, allocations, allocated_amount, credit_amount }
+ */
+const allocatePayment = async (payment, request, client) => {
+  const openCommissions = await PaymentAllocationModel.getOpenCommissions(
+    payment.user_id,
+    { commissionIds: request.commissionIds, customerIds: request.customerIds },
+    client
+  );
+
+  const { allocations, remaining } = planAllocation(openCommissions, payment.amount, request);
+
+  await PaymentAllocationModel.insertMappings(payment.id, allocations, client);
+  await PaymentAllocationModel.refreshPaidFlags(allocations.map(a => a.commission_due_id), client);
+  await PaymentAllocationModel.updatePaymentAllocation(
+    payment.id,
+    { allocation_strategy: request.strategy, unallocated_amount: remaining },
+    client
+  );
+
+  return {
+    strategy: request.strategy,
+    allocations,
+    allocated_amount: fromCents(toCents(payment.amount) - toCents(remaining)),
+    credit_amount: remaining
+  };
+};
+
+/**
+ * Apply users' payment credit to their open commissions, oldest payment and
+ * oldest commission first
+ * @param {Array} userIds - Users to apply credit for
+ * @param {Object} client - Transaction client
+ * @returns {Array} Allocations made, with payment_id
+ */
+const applyCredit = async (userIds, client) => {
+  if (userIds.length === 0) return [];
+
+  const payments = await PaymentAllocationModel.getPaymentsWithCredit(userIds, client);
+  const applied = [];
+
+  for (const payment of payments) {
+    const openCommissions = await PaymentAllocationModel.getOpenCommissions(payment.user_id, {}, client);
+    if (openCommissions.length === 0) continue;
+
+    const { allocations, remaining } = planAllocation(
+      openCommissions,
+      payment.unallocated_amount,
+      { strategy: 'oldest_first' }
+    );
+    if (allocations.length === 0) continue;
+
+    await PaymentAllocationModel.insertMappings(payment.id, allocations, client);
+    await PaymentAllocationModel.refreshPaidFlags(allocations.map(a => a.commission_due_id), client);
+    await PaymentAllocationModel.updatePaymentAllocation(payment.id, { unallocated_amount: remaining }, client);
+
+    applied.push(...allocations.map(allocation => ({ ...allocation, payment_id: payment.id })));
+  }
+
+  return applied;
+};
+
+module.exports = {
+  ALLOCATION_STRATEGIES,
+  parseAllocationRequest,
+  planAllocation,
+  allocatePayment,
+  applyCredit
+};
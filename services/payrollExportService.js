@@ -0,0 +1,244 @@
+const { decrypt } = require('../utils/encryption');
+const { AppError } = require('../utils/error');
+
+const DIRECT_DEPOSIT = 'Direct Deposit';
+
+// NACHA transaction codes for credits (deposits)
+const CREDIT_TRANSACTION_CODES = { checking: '22', savings: '32' };
+
+// ABA routing number checksum: 3-7-1 weights over the 9 digits
+const isValidRoutingNumber = (routingNumber) => {
+  if (!/^[0-9]{9}$/.test(routingNumber || '')) return false;
+  const digits = routingNumber.split('').map(Number);
+  const sum = 3 * (digits[0] + digits[3] + digits[6])
+    + 7 * (digits[1] + digits[4] + digits[7])
+    + (digits[2] + digits[5] + digits[8]);
+  return sum % 10 === 0;
+};
+
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100);
+
+const formatDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return date.toISOString().split('T')[0];
+};
+
+// ==========================================
+// CSV
+// ==========================================
+
+const CSV_COLUMNS = [
+  ['payment_id', p => p.id],
+  ['payment_date', p => formatDate(p.payment_date)],
+  ['user_id', p => p.user_id],
+  ['user_name', p => p.user_name],
+  ['email', p => p.email],
+  ['payment_type', p => p.payment_type],
+  ['check_number', p => p.check_number],
+  ['amount', p => (toCents(p.amount) / 100).toFixed(2)],
+  ['payroll_run_id', p => p.payroll_run_id],
+  ['notes', p => p.notes]
+];
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a generic CSV of payments (no bank details)
+ * @param {Array} payments - Rows from PayrollModel.getPaymentsForExport
+ * @returns {string} CSV text with a header row
+ */
+const buildPaymentsCsv = (payments) => {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  payments.forEach(payment => {
+    lines.push(CSV_COLUMNS.map(([, read]) => escapeCsv(read(payment))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// ==========================================
+// NACHA ACH
+// ==========================================
+
+// NACHA fields are uppercase, fixed width, left-justified text or zero-padded numbers
+const alpha = (value, length) => String(value || '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9 .,&'/-]/g, '')
+  .slice(0, length)
+  .padEnd(length, ' ');
+const numeric = (value, length) => String(value).slice(-length).padStart(length, '0');
+const yymmdd = (date) => formatDate(date).slice(2).replace(/-/g, '');
+
+/**
+ * Originator settings for the ACH file, from the environment
+ * ACH_ODFI_ROUTING_NUMBER is the company's bank (also the immediate destination)
+ */
+const getAchConfig = () => {
+  const config = {
+    odfiRoutingNumber: process.env.ACH_ODFI_ROUTING_NUMBER,
+    destinationName: process.env.ACH_DESTINATION_NAME,
+    originId: process.env.ACH_IMMEDIATE_ORIGIN || process.env.ACH_COMPANY_ID,
+    originName: process.env.ACH_ORIGIN_NAME || process.env.ACH_COMPANY_NAME,
+    companyName: process.env.ACH_COMPANY_NAME,
+    companyId: process.env.ACH_COMPANY_ID
+  };
+
+  const missing = Object.entries(config).filter(([, value]) => !value).map(([key]) => key);
+  if (missing.length > 0 || !isValidRoutingNumber(config.odfiRoutingNumber)) {
+    throw new AppError('ACH export is not configured (set ACH_ODFI_ROUTING_NUMBER, ACH_DESTINATION_NAME, ACH_COMPANY_NAME and ACH_COMPANY_ID)', 500);
+  }
+  return config;
+};
+
+/**
+ * Decrypt the payee's bank details on a payment row
+ * @returns {Object|null} { routingNumber, accountNumber, accountType, holderName }, null when missing or unreadable
+ */
+const getPayeeAccount = (payment) => {
+  if (!payment.bank_routing_number_encrypted || !payment.bank_account_number_encrypted) return null;
+  try {
+    return {
+      routingNumber: decrypt(payment.bank_routing_number_encrypted),
+      accountNumber: decrypt(payment.bank_account_number_encrypted),
+      accountType: payment.bank_account_type || 'checking',
+      holderName: payment.bank_account_holder_name || payment.user_name
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a NACHA PPD credit file for Direct Deposit payments
+ * Payments of other types are ignored; a payee without usable bank details fails
+ * the whole export so nobody is silently left out of a pay run.
+ * @param {Array} payments - Rows from PayrollModel.getPaymentsForExport
+ * @param {Object} options - { effectiveDate, entryDescription, now }
+ * @returns {Object} { content, entryCount, totalCredit, paymentIds }
+ */
+const buildNachaFile = (payments, { effectiveDate = null, entryDescription = 'PAYROLL', now = new Date() } = {}) => {
+  const config = getAchConfig();
+  const deposits = payments.filter(payment => payment.payment_type === DIRECT_DEPOSIT && toCents(payment.amount) > 0);
+  if (deposits.length === 0) {
+    throw new AppError('No Direct Deposit payments to export', 404);
+  }
+
+  const entries = [];
+  const problems = [];
+  deposits.forEach(payment => {
+    const account = getPayeeAccount(payment);
+    if (!account || !isValidRoutingNumber(account.routingNumber)) {
+      problems.push(`${payment.user_name} (user ${payment.user_id}) has no valid bank details`);
+      return;
+    }
+    entries.push({ payment, account });
+  });
+  if (problems.length > 0) {
+    throw new AppError(`Cannot build ACH file: ${problems.join('; ')}`, 422);
+  }
+
+  const odfi = config.odfiRoutingNumber.slice(0, 8);
+  const batchNumber = 1;
+  const effective = effectiveDate || new Date(now.getTime() + 24 * 60 * 60 * 1000);
+  const hhmm = now.toISOString().slice(11, 16).replace(':', '');
+
+  const records = [];
+
+  // File header (1)
+  records.push([
+    '1', '01',
+    ` ${numeric(config.odfiRoutingNumber, 9)}`,
+    numeric(config.originId, 10),
+    yymmdd(now), hhmm,
+    'A', '094', '10', '1',
+    alpha(config.destinationName, 23),
+    alpha(config.originName, 23),
+    alpha('', 8)
+  ].join(''));
+
+  // Batch header (5), service class 220 = credits only
+  records.push([
+    '5', '220',
+    alpha(config.companyName, 16),
+    alpha('', 20),
+    alpha(config.companyId, 10),
+    'PPD',
+    alpha(entryDescription, 10),
+    yymmdd(effective),
+    yymmdd(effective),
+    '   ', '1',
+    odfi,
+    numeric(batchNumber, 7)
+  ].join(''));
+
+  // Entry details (6)
+  let entryHash = 0;
+  let totalCreditCents = 0;
+  entries.forEach(({ payment, account }, index) => {
+    const cents = toCents(payment.amount);
+    entryHash += parseInt(account.routingNumber.slice(0, 8), 10);
+    totalCreditCents += cents;
+
+    records.push([
+      '6',
+      CREDIT_TRANSACTION_CODES[account.accountType] || CREDIT_TRANSACTION_CODES.checking,
+      account.routingNumber.slice(0, 8),
+      account.routingNumber.slice(8),
+      alpha(account.accountNumber, 17),
+      numeric(cents, 10),
+      alpha(`P${payment.id}`, 15),
+      alpha(account.holderName, 22),
+      '  ', '0',
+      `${odfi}${numeric(index + 1, 7)}`
+    ].join(''));
+  });
+
+  const hash = numeric(entryHash, 10);
+
+  // Batch control (8)
+  records.push([
+    '8', '220',
+    numeric(entries.length, 6),
+    hash,
+    numeric(0, 12),
+    numeric(totalCreditCents, 12),
+    alpha(config.companyId, 10),
+    alpha('', 19), alpha('', 6),
+    odfi,
+    numeric(batchNumber, 7)
+  ].join(''));
+
+  // File control (9); blocks are 10 records, padded with 9s
+  const blockCount = Math.ceil((records.length + 1) / 10);
+  records.push([
+    '9',
+    numeric(1, 6),
+    numeric(blockCount, 6),
+    numeric(entries.length, 8),
+    hash,
+    numeric(0, 12),
+    numeric(totalCreditCents, 12),
+    alpha('', 39)
+  ].join(''));
+
+  while (records.length % 10 !== 0) {
+    records.push('9'.repeat(94));
+  }
+
+  return {
+    content: `${records.join('\n')}\n`,
+    entryCount: entries.length,
+    totalCredit: (totalCreditCents / 100).toFixed(2),
+    paymentIds: entries.map(({ payment }) => payment.id)
+  };
+};
+
+module.exports = {
+  DIRECT_DEPOSIT,
+  isValidRoutingNumber,
+  buildPaymentsCsv,
+  buildNachaFile
+};
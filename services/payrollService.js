@@ -0,0 +1,203 @@
+const db = require('../config/db');
+const PayrollModel = require('../models/payrollModel');
+const CommissionModel = require('../models/commissionModel');
+const { allocatePayment } = require('./paymentAllocationService');
+const { AppError } = require('../utils/error');
+
+/**
+ * Run a payroll step in a transaction with the run row locked
+ * @param {number} runId - Run ID
+ * @param {Function} work - async (run, client) => result
+ */
+const withLockedRun = async (runId, work) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const run = await PayrollModel.getRunById(runId, client);
+    if (!run) {
+      throw new AppError('Payroll run not found', 404);
+    }
+
+    const result = await work(run, client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Allowed payments.payment_type values; a run's payments are all of its type
+const PAYMENT_TYPES = ['Check', 'Cash', 'Direct Deposit', 'Other'];
+
+/**
+ * Create a draft run proposing one payment per user: the outstanding amount of
+ * their unpaid commissions with a build date inside the pay period
+ * @param {number} payPeriodId - Pay period ID
+ * @param {Object} options - { payment_type, notes, created_by }
+ * @returns {Object} Run with items
+ */
+const generateDraftRun = async (payPeriodId, { payment_type = 'Direct Deposit', notes = null, created_by = null } = {}) => {
+  const payPeriod = await PayrollModel.getPayPeriodById(payPeriodId);
+  if (!payPeriod) {
+    throw new AppError('Pay period not found', 404);
+  }
+
+  const client = await db.connect();
+  let runId;
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT id, status FROM payroll_runs WHERE pay_period_id = $1 AND status <> 'voided'`,
+      [payPeriodId]
+    );
+    if (existing.rows.length > 0) {
+      const { id, status } = existing.rows[0];
+      throw new AppError(`Pay period already has a ${status} run (#${id}); void it before generating a new one`, 409);
+    }
+
+    const run = await PayrollModel.createRun({ pay_period_id: payPeriodId, payment_type, notes, created_by }, client);
+    const totals = await PayrollModel.getUnpaidCommissionTotals(payPeriod, client);
+    await PayrollModel.insertRunItems(run.id, totals.map(total => ({
+      user_id: total.user_id,
+      amount: parseFloat(total.amount).toFixed(2),
+      commission_due_ids: total.commission_due_ids
+    })), client);
+
+    await client.query('COMMIT');
+    runId = run.id;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // Two drafts racing for the same period hit the partial unique index
+    if (error.code === '23505') {
+      throw new AppError('Pay period already has an active run', 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return PayrollModel.getRunById(runId);
+};
+
+const approveRun = (runId, approvedBy = null) => withLockedRun(runId, async (run, client) => {
+  if (run.status !== 'draft') {
+    throw new AppError(`Only draft runs can be approved (run is ${run.status})`, 409);
+  }
+  return PayrollModel.setRunStatus(runId, 'approved', { user_id: approvedBy }, client);
+});
+
+/**
+ * Adjust a proposed payment; the run stays locked so it can't be approved in between
+ * @param {Object} changes - { amount, excluded, notes }
+ * @returns {Object} The updated item
+ */
+const updateRunItem = (runId, itemId, changes) => withLockedRun(runId, async (run, client) => {
+  if (run.status !== 'draft') {
+    throw new AppError(`Items can only be changed on a draft run (run is ${run.status})`, 409);
+  }
+  const item = await PayrollModel.updateRunItem(runId, itemId, changes, client);
+  if (!item) {
+    throw new AppError('Payroll run item not found', 404);
+  }
+  return item;
+});
+
+// Send an approved run back to draft so its items can be edited again
+const reopenRun = (runId) => withLockedRun(runId, async (run, client) => {
+  if (run.status !== 'approved') {
+    throw new AppError(`Only approved runs can be reopened (run is ${run.status})`, 409);
+  }
+  return PayrollModel.setRunStatus(runId, 'draft', {}, client);
+});
+
+/**
+ * Post an approved run: one payment per included item, allocated to the
+ * commissions the item was proposed for (anything beyond them stays as credit).
+ * All payments and allocations commit together or not at all.
+ * @param {number} runId - Run ID
+ * @param {number} postedBy - Admin user ID
+ * @returns {Object} { run, payments }
+ */
+const postRun = async (runId, postedBy = null) => {
+  const payments = await withLockedRun(runId, async (run, client) => {
+    if (run.status !== 'approved') {
+      throw new AppError(`Only approved runs can be posted (run is ${run.status})`, 409);
+    }
+
+    const posted = [];
+    for (const item of run.items) {
+      if (item.excluded || !(parseFloat(item.amount) > 0)) continue;
+
+      const payment = await CommissionModel.addPayment({
+        user_id: item.user_id,
+        amount: item.amount,
+        payment_type: run.payment_type,
+        check_number: null,
+        payment_date: run.pay_period.pay_date || new Date().toISOString().split('T')[0],
+        notes: `Payroll run #${run.id} (${run.pay_period.name})`,
+        created_by: postedBy,
+        payroll_run_id: run.id
+      }, client);
+
+      const allocation = await allocatePayment(
+        payment,
+        { strategy: 'manual', commissionIds: item.commission_due_ids },
+        client
+      );
+      await PayrollModel.setItemPayment(item.id, payment.id, client);
+      posted.push({ ...payment, allocation });
+    }
+
+    await PayrollModel.setRunStatus(runId, 'posted', { user_id: postedBy }, client);
+    return posted;
+  });
+
+  return { run: await PayrollModel.getRunById(runId), payments };
+};
+
+/**
+ * Void a run. A posted run has its payments deleted, which reopens the
+ * commissions they covered and reverses them in the ledger.
+ * @param {number} runId - Run ID
+ * @param {Object} details - { reason, voided_by }
+ * @returns {Object} { run, deletedPayments }
+ */
+const voidRun = async (runId, { reason = null, voided_by = null } = {}) => {
+  const deletedPayments = await withLockedRun(runId, async (run, client) => {
+    if (run.status === 'voided') {
+      throw new AppError('Run is already voided', 409);
+    }
+
+    const deleted = [];
+    if (run.status === 'posted') {
+      const payments = await PayrollModel.getRunPayments(runId, client);
+      for (const payment of payments) {
+        deleted.push(await CommissionModel.deletePayment(
+          payment.id,
+          voided_by,
+          client,
+          `Payroll run #${runId} voided`
+        ));
+      }
+    }
+
+    await PayrollModel.setRunStatus(runId, 'voided', { user_id: voided_by, void_reason: reason }, client);
+    return deleted;
+  });
+
+  return { run: await PayrollModel.getRunById(runId), deletedPayments };
+};
+
+module.exports = {
+  PAYMENT_TYPES,
+  generateDraftRun,
+  updateRunItem,
+  approveRun,
+  reopenRun,
+  postRun,
+  voidRun
+};
@@ -0,0 +1,137 @@
+/**
+ * Session Service
+ * Short-lived access tokens (JWTs carrying the session ID) plus long-lived refresh tokens.
+ * Each refresh token works once: using it returns a new pair. A refresh token that is
+ * presented a second time was stolen or replayed, so its whole session is revoked.
+ * Revoking a session also stops its access tokens, as protectRoute checks the session.
+ *
+ * Settings: JWT_EXPIRES_IN (access token lifetime, default '15m'),
+ *   REFRESH_TOKEN_TTL_DAYS (idle days before a session expires, default 30)
+ */
+
+const crypto = require('crypto');
+const db = require('../config/db');
+const SessionModel = require('../models/sessionModel');
+const { generateToken, ACCESS_TOKEN_EXPIRES_IN } = require('./authService');
+const { AppError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Where a request came from, kept on the session so users can tell their devices apart
+const requestMeta = (req) => ({
+  userAgent: req.headers['user-agent']?.slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+const tokenPair = (user, sessionId, refreshToken) => ({
+  token: generateToken(user.id, user.permissions, sessionId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - users row
+ * @param {Object} req - Request, for the device details
+ * @param {Object} options - { mfaVerified: the user passed an MFA check to sign in }
+ * @returns {Object} { token, refreshToken, expiresIn, sessionId }
+ */
+const startSession = async (user, req, { mfaVerified = false } = {}) => {
+  const { userAgent, ipAddress } = requestMeta(req);
+  const refreshToken = newRefreshToken();
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const session = await SessionModel.createSession({
+      user_id: user.id,
+      token_hash: hashToken(refreshToken),
+      ttl_days: REFRESH_TOKEN_TTL_DAYS,
+      user_agent: userAgent,
+      ip_address: ipAddress,
+      mfa_verified: mfaVerified
+    }, client);
+    await client.query('COMMIT');
+    return { ...tokenPair(user, session.id, refreshToken), sessionId: session.id };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Swap a refresh token for a new access and refresh token
+ * @param {string} refreshToken - Token from login or the last refresh
+ * @param {Object} req - Request, for the device details
+ * @param {Function} loadUser - (userId) => users row, so the new token has current permissions
+ * @returns {Object} { token, refreshToken, expiresIn, sessionId }
+ */
+const refreshSession = async (refreshToken, req, loadUser) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const stored = await SessionModel.getRefreshTokenForUpdate(hashToken(refreshToken), client);
+
+    if (!stored || stored.revoked_at || stored.expired) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    if (stored.used_at) {
+      // Someone else holds this session's tokens; end it for both of them
+      await SessionModel.revokeSession(stored.session_id, 'refresh_token_reuse', client);
+      await client.query('COMMIT');
+      logger.warn(`Refresh token reused for session ${stored.session_id} (user ${stored.user_id}); session revoked`);
+    } else {
+      const user = await loadUser(stored.user_id);
+      if (!user) {
+        throw new AppError('Invalid or expired refresh token', 401);
+      }
+
+      const nextToken = newRefreshToken();
+      await SessionModel.rotateRefreshToken({
+        token_id: stored.id,
+        session_id: stored.session_id,
+        token_hash: hashToken(nextToken),
+        ttl_days: REFRESH_TOKEN_TTL_DAYS,
+        ip_address: requestMeta(req).ipAddress
+      }, client);
+      await client.query('COMMIT');
+
+      return { ...tokenPair(user, stored.session_id, nextToken), sessionId: stored.session_id };
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  throw new AppError('Invalid or expired refresh token', 401);
+};
+
+const endSession = (sessionId, reason = 'logout') => SessionModel.revokeSession(sessionId, reason);
+
+/**
+ * Sign a user out everywhere, e.g. after a password or role change
+ * @param {number} userId - User ID
+ * @param {string} reason - Recorded on the sessions
+ * @param {Object} options - { exceptSessionId: keep the caller's own session }
+ * @returns {number} Sessions revoked
+ */
+const endUserSessions = (userId, reason, options = {}) =>
+  SessionModel.revokeUserSessions(userId, reason, options);
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  startSession,
+  refreshSession,
+  endSession,
+  endUserSessions
+};
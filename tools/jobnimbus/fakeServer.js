@@ -0,0 +1,269 @@
+/**
+ * Fake JobNimbus API
+ * A local stand-in for the parts of the JobNimbus API this backend uses, driven by a fixture
+ * file, so the sync, webhooks and outbound pushes can be exercised end to end offline.
+ *
+ * Usage:
+ *   node tools/jobnimbus/fakeServer.js [fixture file]   (default tools/jobnimbus/fixtures/sample.json)
+ *   Then run the backend with JOBNIMBUS_API_URL=http://localhost:4010/api1 and any JOBNIMBUSTOKEN,
+ *   and POST /api/customers/sync as usual. Local users named as in the fixture's "assignees"
+ *   are needed for commissions to be generated.
+ *   sync.test.js does this automatically: JOBNIMBUS_SYNC_TEST_DATABASE_URL=<throwaway db> npm test
+ *
+ * Settings: JOBNIMBUS_FAKE_PORT (4010), JOBNIMBUS_FAKE_TOKEN (any bearer token when unset),
+ *   JOBNIMBUS_FAKE_WEBHOOK_URL (the local backend's webhook), JOBNIMBUS_WEBHOOK_SECRET (for signing)
+ *
+ * JobNimbus API:
+ *   GET  /api1/jobs          size, from, sort_field, sort_direction, filter ({ must: [{ range | term }] })
+ *   GET  /api1/jobs/:jnid
+ *   PUT  /api1/jobs/:jnid    merges the fields given and bumps date_updated
+ *   POST /api1/contacts
+ * Test controls:
+ *   GET  /__fake/state                  jobs, contacts, job writes, webhooks sent and pending faults
+ *   POST /__fake/reset                  reload the fixture file
+ *   POST /__fake/jobs                   add or replace a job { ...job }; date_updated is bumped
+ *   POST /__fake/faults                 fail the next API calls { status: 503, count: 1, retry_after?, delay_ms? }
+ *   POST /__fake/webhooks/emit          change a job and send its signed webhook to the backend
+ *                                       { jnid, changes?, event_id?, url?, bad_signature? }
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'sample.json');
+const DEFAULT_PAGE_SIZE = 1000;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+const newId = () => crypto.randomBytes(12).toString('hex');
+
+// A fixture file is { jobs, contacts } or just an array of jobs
+const loadFixtures = (file) => {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    jobs: Array.isArray(data) ? data : data.jobs || [],
+    contacts: Array.isArray(data) ? [] : data.contacts || []
+  };
+};
+
+// Only the clauses the backend sends: range (gt/gte/lt/lte) and term
+const matchesFilter = (job, filter) => (filter?.must || []).every(clause => {
+  if (clause.range) {
+    return Object.entries(clause.range).every(([field, bounds]) => {
+      const value = Number(job[field]);
+      return (bounds.gte === undefined || value >= bounds.gte) &&
+        (bounds.gt === undefined || value > bounds.gt) &&
+        (bounds.lte === undefined || value <= bounds.lte) &&
+        (bounds.lt === undefined || value < bounds.lt);
+    });
+  }
+  if (clause.term) {
+    return Object.entries(clause.term).every(([field, value]) => job[field] === value);
+  }
+  return true;
+});
+
+const signWebhook = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Create the fake API
+ * @param {Object} options - { fixturesFile, token: required bearer token (any when unset),
+ *   webhookUrl, webhookSecret }
+ * @returns {Object} Express app, with .state for inspection
+ */
+const createFakeJobNimbus = ({
+  fixturesFile = DEFAULT_FIXTURES,
+  token = process.env.JOBNIMBUS_FAKE_TOKEN,
+  webhookUrl = process.env.JOBNIMBUS_FAKE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/webhooks/jobnimbus`,
+  webhookSecret = process.env.JOBNIMBUS_WEBHOOK_SECRET
+} = {}) => {
+  const state = { jobs: new Map(), contacts: [], writes: [], webhooks: [], faults: [] };
+
+  const reset = () => {
+    const { jobs, contacts } = loadFixtures(fixturesFile);
+    state.jobs = new Map(jobs.map(job => [job.jnid, { ...job }]));
+    state.contacts = [...contacts];
+    state.writes = [];
+    state.webhooks = [];
+    state.faults = [];
+  };
+  reset();
+
+  // date_updated always moves forward, even for two changes in the same second
+  const touch = (job) => {
+    job.date_updated = Math.max(nowSeconds(), (Number(job.date_updated) || 0) + 1);
+    return job;
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.state = state;
+
+  // ---- JobNimbus API ----
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    const bearer = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+    if (!bearer || (token && bearer !== token)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  });
+
+  // Injected failures, for exercising retries, rate limits and the circuit breaker
+  api.use(async (req, res, next) => {
+    const fault = state.faults[0];
+    if (!fault) return next();
+
+    fault.count--;
+    if (fault.count <= 0) state.faults.shift();
+    if (fault.delay_ms) {
+      await new Promise(resolve => setTimeout(resolve, fault.delay_ms));
+    }
+    if (fault.retry_after !== undefined) {
+      res.set('Retry-After', String(fault.retry_after));
+    }
+    res.status(fault.status).json({ error: `Injected ${fault.status}` });
+  });
+
+  api.get('/jobs', (req, res) => {
+    let filter = null;
+    try {
+      filter = req.query.filter ? JSON.parse(req.query.filter) : null;
+    } catch (error) {
+      return res.status(400).json({ error: 'filter is not valid JSON' });
+    }
+
+    const sortField = req.query.sort_field || 'date_updated';
+    const direction = req.query.sort_direction === 'desc' ? -1 : 1;
+    const from = parseInt(req.query.from) || 0;
+    const size = parseInt(req.query.size) || DEFAULT_PAGE_SIZE;
+
+    const matching = [...state.jobs.values()]
+      .filter(job => matchesFilter(job, filter))
+      .sort((a, b) => (a[sortField] > b[sortField] ? 1 : a[sortField] < b[sortField] ? -1 : 0) * direction);
+
+    res.json({ count: matching.length, results: matching.slice(from, from + size) });
+  });
+
+  api.get('/jobs/:jnid', (req, res) => {
+    const job = state.jobs.get(req.params.jnid);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  });
+
+  api.put('/jobs/:jnid', (req, res) => {
+    const job = state.jobs.get(req.params.jnid);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const { jnid, ...fields } = req.body;
+    Object.assign(job, fields);
+    touch(job);
+    state.writes.push({ jnid: job.jnid, fields, at: new Date().toISOString() });
+    res.json(job);
+  });
+
+  api.post('/contacts', (req, res) => {
+    if (!req.body.first_name || !req.body.last_name) {
+      return res.status(400).json({ error: 'first_name and last_name are required' });
+    }
+    const contact = {
+      ...req.body,
+      jnid: newId(),
+      type: 'contact',
+      display_name: `${req.body.first_name} ${req.body.last_name}`,
+      date_created: nowSeconds(),
+      date_updated: nowSeconds()
+    };
+    state.contacts.push(contact);
+    res.status(200).json(contact);
+  });
+
+  app.use('/api1', api);
+
+  // ---- Test controls ----
+  app.get('/__fake/state', (req, res) => {
+    res.json({
+      jobs: state.jobs.size,
+      contacts: state.contacts,
+      writes: state.writes,
+      webhooks: state.webhooks,
+      faults: state.faults
+    });
+  });
+
+  app.post('/__fake/reset', (req, res) => {
+    reset();
+    res.json({ message: 'Fixtures reloaded', jobs: state.jobs.size });
+  });
+
+  app.post('/__fake/jobs', (req, res) => {
+    const job = touch({ jnid: req.body.jnid || newId(), date_created: nowSeconds(), ...req.body });
+    state.jobs.set(job.jnid, job);
+    res.status(201).json(job);
+  });
+
+  app.post('/__fake/faults', (req, res) => {
+    const fault = {
+      status: parseInt(req.body.status) || 503,
+      count: parseInt(req.body.count) || 1,
+      retry_after: req.body.retry_after,
+      delay_ms: parseInt(req.body.delay_ms) || 0
+    };
+    state.faults.push(fault);
+    res.status(201).json(state.faults);
+  });
+
+  app.post('/__fake/webhooks/emit', async (req, res) => {
+    const { jnid, changes = {}, event_id, url = webhookUrl, bad_signature = false } = req.body;
+    const job = state.jobs.get(jnid);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!webhookSecret) {
+      return res.status(400).json({ error: 'Set JOBNIMBUS_WEBHOOK_SECRET to sign webhooks' });
+    }
+
+    Object.assign(job, changes);
+    touch(job);
+
+    const body = JSON.stringify(job);
+    const timestamp = String(nowSeconds());
+    const eventId = event_id || newId();
+    const signature = bad_signature ? '0'.repeat(64) : signWebhook(webhookSecret, timestamp, body);
+
+    try {
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-JobNimbus-Timestamp': timestamp,
+          'X-JobNimbus-Signature': `sha256=${signature}`,
+          'X-JobNimbus-Event-Id': eventId
+        },
+        timeout: 30000,
+        // Report the backend's answer whatever its status
+        validateStatus: () => true
+      });
+      const delivery = { event_id: eventId, jnid, url, status: response.status, response: response.data };
+      state.webhooks.push(delivery);
+      res.json(delivery);
+    } catch (error) {
+      res.status(502).json({ error: `Webhook delivery failed: ${error.message}`, event_id: eventId });
+    }
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.JOBNIMBUS_FAKE_PORT) || 4010;
+  const fixturesFile = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_FIXTURES;
+  const app = createFakeJobNimbus({ fixturesFile });
+  app.listen(port, () => {
+    console.log(`Fake JobNimbus serving ${app.state.jobs.size} jobs from ${fixturesFile} at http://localhost:${port}/api1`);
+  });
+}
+
+module.exports = { createFakeJobNimbus, loadFixtures };
@@ -0,0 +1,89 @@
+/**
+ * JobNimbus Fixture Recorder
+ * Reads jobs from the real JobNimbus API (or a saved /jobs response) and writes them,
+ * sanitized, as a fixture file for the fake server (fakeServer.js).
+ *
+ * Usage:
+ *   node tools/jobnimbus/recordFixtures.js [options]
+ *     --out <file>            Fixture file to write (default tools/jobnimbus/fixtures/recorded.json)
+ *     --limit <n>             Keep at most n jobs, most recently updated first (default 50)
+ *     --updated-since <unix>  Only jobs updated since this time
+ *     --input <file>          Sanitize a saved JobNimbus response instead of calling the API
+ *     --keep-assignees        Keep assignee names so the jobs match your local users
+ *
+ * Calling the API needs JOBNIMBUSTOKEN. Assignee and contact fields are found through the
+ * stored field mappings when the database is reachable, and the defaults otherwise.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createSanitizer } = require('./sanitize');
+
+const parseArgs = (argv) => {
+  const args = { out: path.join(__dirname, 'fixtures', 'recorded.json'), limit: 50, updatedSince: null, input: null, keepAssignees: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--out': args.out = path.resolve(argv[++i]); break;
+      case '--limit': args.limit = parseInt(argv[++i]) || args.limit; break;
+      case '--updated-since': args.updatedSince = parseInt(argv[++i]) || null; break;
+      case '--input': args.input = path.resolve(argv[++i]); break;
+      case '--keep-assignees': args.keepAssignees = true; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+};
+
+// Mappings in effect, falling back to the defaults when the database can't be reached
+const loadFieldMappings = async () => {
+  const { resolveMappings } = require('../../services/fieldMappingService');
+  try {
+    const FieldMappingModel = require('../../models/fieldMappingModel');
+    return resolveMappings(await FieldMappingModel.getMappings());
+  } catch (error) {
+    console.warn(`Using default field mappings (${error.message})`);
+    return resolveMappings();
+  }
+};
+
+const loadJobs = async ({ input, updatedSince }) => {
+  if (input) {
+    const saved = JSON.parse(fs.readFileSync(input, 'utf8'));
+    return Array.isArray(saved) ? saved : saved.results || saved.jobs || [];
+  }
+  const { fetchJobNimbusData } = require('../../services/jobNimbusService');
+  return (await fetchJobNimbusData({ updatedSince })).results;
+};
+
+const record = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const jobs = (await loadJobs(args))
+    .sort((a, b) => (b.date_updated || 0) - (a.date_updated || 0))
+    .slice(0, args.limit)
+    // Oldest first, the order the sync reads them in
+    .reverse();
+
+  const sanitizer = createSanitizer({ keepAssignees: args.keepAssignees, fieldMappings: await loadFieldMappings() });
+  const sanitizedJobs = jobs.map(sanitizer.sanitizeJob);
+  const fixture = {
+    recorded_at: new Date().toISOString(),
+    source: args.input ? path.basename(args.input) : 'jobnimbus',
+    // Local users need these names (or aliases) for the jobs' assignees to match
+    assignees: sanitizer.assignees(),
+    jobs: sanitizedJobs,
+    contacts: []
+  };
+
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, `${JSON.stringify(fixture, null, 2)}\n`);
+  console.log(`Wrote ${fixture.jobs.length} sanitized jobs to ${args.out}`);
+  console.log(`Assignees: ${fixture.assignees.join(', ') || 'none'}`);
+};
+
+record()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Recording fixtures failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,91 @@
+/**
+ * JobNimbus Fixture Sanitizer
+ * Strips personal details from real JobNimbus jobs so they can be kept as fixtures.
+ * Customers, assignees, phones, emails and addresses become consistent stand-ins
+ * ("Customer 001", "Rep 001", ...), so the same person is the same stand-in across jobs.
+ * Statuses, prices, dates, IDs and custom fields the sync reads are kept as they are.
+ */
+
+const { resolveMappings } = require('../../services/fieldMappingService');
+
+// Free text that may hold anything: dropped
+const FREE_TEXT_KEYS = /^(description|notes?|comments?|signature)$/i;
+const DROPPED_KEYS = /^(geo|attachments?|files?|photos?)$/i;
+const CUSTOMER_NAME_KEYS = /^(name|display_name|first_name|last_name|company|parent_name|primary_name)$/i;
+const PERSON_NAME_KEYS = /(_by_name|^owner_name|^sales_rep_name)$/i;
+
+const pad = (n) => String(n).padStart(3, '0');
+
+/**
+ * A sanitizer that keeps its stand-ins across jobs
+ * @param {Object} options - {
+ *   keepAssignees: leave assignee names as they are, so fixtures match local users,
+ *   fieldMappings: mappings in effect (default: the built-in ones), to find assignee and contact fields
+ * }
+ */
+const createSanitizer = ({ keepAssignees = false, fieldMappings = resolveMappings() } = {}) => {
+  const pseudonyms = {
+    customer: new Map(),
+    person: new Map(),
+    email: new Map(),
+    phone: new Map(),
+    address: new Map()
+  };
+
+  const standIn = (kind, value, make) => {
+    const key = String(value).trim().toLowerCase();
+    if (!pseudonyms[kind].has(key)) {
+      pseudonyms[kind].set(key, make(pseudonyms[kind].size + 1));
+    }
+    return pseudonyms[kind].get(key);
+  };
+
+  const sourcesOf = (...targets) => new Set(targets.flatMap(target => fieldMappings[target]?.source_fields || []));
+  const assigneeFields = sourcesOf('sales_rep_name', 'supplementer_name', 'affiliate_name');
+  const customerFields = sourcesOf('name');
+  const addressFields = sourcesOf('address');
+  const phoneFields = sourcesOf('phone');
+
+  const sanitizeValue = (key, value) => {
+    if (value === null || value === undefined || value === '') return value;
+
+    if (assigneeFields.has(key) || PERSON_NAME_KEYS.test(key)) {
+      return standIn('person', value, n => keepAssignees ? String(value).trim() : `Rep ${pad(n)}`);
+    }
+    if (customerFields.has(key) || CUSTOMER_NAME_KEYS.test(key)) {
+      return standIn('customer', value, n => `Customer ${pad(n)}`);
+    }
+    if (addressFields.has(key) || /address|street/i.test(key)) {
+      return standIn('address', value, n => `${n} Sample St`);
+    }
+    if (phoneFields.has(key) || /phone|fax/i.test(key)) {
+      return standIn('phone', value, n => `(555) 010-${String(n).padStart(4, '0')}`);
+    }
+    if (/email/i.test(key)) {
+      return standIn('email', value, n => `contact${pad(n)}@example.com`);
+    }
+    if (/^zip$/i.test(key)) return '00000';
+    if (FREE_TEXT_KEYS.test(key)) return '[removed]';
+    return value;
+  };
+
+  // Values in an array are sanitized by the array's key, e.g. each address in { emails: [...] }
+  const sanitizeNode = (node, key = null) => {
+    if (Array.isArray(node)) return node.map(item => sanitizeNode(item, key));
+    if (!node || typeof node !== 'object') return sanitizeValue(key, node);
+
+    return Object.fromEntries(
+      Object.entries(node)
+        .filter(([childKey]) => !DROPPED_KEYS.test(childKey))
+        .map(([childKey, value]) => [childKey, sanitizeNode(value, childKey)])
+    );
+  };
+
+  return {
+    sanitizeJob: (job) => sanitizeNode(job),
+    // Assignee names in the sanitized jobs, e.g. to create matching local users
+    assignees: () => [...new Set(pseudonyms.person.values())]
+  };
+};
+
+module.exports = { createSanitizer };
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSanitizer } = require('./sanitize');
+
+test('values inside arrays are sanitized by the array\'s key', () => {
+  const sanitizer = createSanitizer();
+  const job = sanitizer.sanitizeJob({
+    name: 'Jane Roofer',
+    emails: ['jane@roofing.example', 'jr@home.example'],
+    phones: [['(312) 555-0142']],
+    contacts: [{ display_name: 'Jane Roofer', email: 'jane@roofing.example' }],
+    tags: ['storm', 'insurance']
+  });
+
+  assert.deepStrictEqual(job, {
+    name: 'Customer 001',
+    emails: ['contact001@example.com', 'contact002@example.com'],
+    phones: [['(555) 010-0001']],
+    contacts: [{ display_name: 'Customer 001', email: 'contact001@example.com' }],
+    tags: ['storm', 'insurance']
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Offline sync test: runs the customer sync against the fake JobNimbus API (fakeServer.js)
+ * serving fixtures/sample.json, and checks the customers, commissions and ledger it leaves.
+ *
+ * Needs a throwaway database: JOBNIMBUS_SYNC_TEST_DATABASE_URL is wiped and rebuilt from
+ * data/data.sql. Skipped when it isn't set.
+ *   JOBNIMBUS_SYNC_TEST_DATABASE_URL=postgres://localhost/am-website-test npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const DATABASE_URL = process.env.JOBNIMBUS_SYNC_TEST_DATABASE_URL;
+const FIXTURES = path.join(__dirname, 'fixtures', 'sample.json');
+const TOKEN = 'sync-test-token';
+
+// Local users the fixture's assignees match; "Unknown Rep" is left unmatched on purpose
+const USERS = [
+  { name: 'Sample Salesman', email: 'salesman@example.com', role: 'Salesman' },
+  { name: 'Sample Supplementer', email: 'supplementer@example.com', role: 'Supplementer' },
+  { name: 'Sample Referrer', email: 'referrer@example.com', role: 'Affiliate Marketer' }
+];
+
+let db;
+let fakeServer;
+let runCustomerSync;
+
+before(async () => {
+  if (!DATABASE_URL) return;
+
+  const { createFakeJobNimbus } = require('./fakeServer');
+  fakeServer = await new Promise(resolve => {
+    const server = createFakeJobNimbus({ fixturesFile: FIXTURES, token: TOKEN }).listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+  // Read when the modules below are first required
+  process.env.NODE_ENV = 'test';
+  process.env.DATABASE_URL_DEV = DATABASE_URL;
+  process.env.JOBNIMBUS_API_URL = `http://127.0.0.1:${fakeServer.address().port}/api1`;
+  process.env.JOBNIMBUSTOKEN = TOKEN;
+
+  db = require('../../config/db');
+  await db.query(fs.readFileSync(path.join(__dirname, '..', '..', 'data', 'data.sql'), 'utf8'));
+  for (const user of USERS) {
+    await db.query(
+      `INSERT INTO users (name, email, password, role, permissions) VALUES ($1, $2, 'not-a-hash', $3, 'rep')`,
+      [user.name, user.email, user.role]
+    );
+  }
+
+  ({ runCustomerSync } = require('../../controllers/customerController'));
+});
+
+after(async () => {
+  if (fakeServer) await new Promise(resolve => fakeServer.close(resolve));
+  if (db) await db.end();
+});
+
+const skip = !DATABASE_URL && 'set JOBNIMBUS_SYNC_TEST_DATABASE_URL to a throwaway database';
+
+test('a full sync from the fake API creates customers, commissions and their ledger lines', { skip }, async () => {
+  const { jobs } = JSON.parse(fs.readFileSync(FIXTURES, 'utf8'));
+
+  const result = await runCustomerSync({ full: true, trigger: 'manual' });
+  assert.deepStrictEqual(result.errors, undefined);
+
+  const customers = await db.query('SELECT jnid, status, salesman_id FROM customers ORDER BY jnid');
+  assert.deepStrictEqual(customers.rows.map(customer => customer.jnid), jobs.map(job => job.jnid).sort());
+
+  // Matched assignees on the Finalized jobs are paid (affiliates only on 'Affiliate' leads),
+  // and each commission carries its trace
+  const commissions = await db.query(
+    `SELECT c.jnid, u.name, cd.id, cd.commission_amount, cd.calculation_trace
+     FROM commissions_due cd
+     JOIN customers c ON c.id = cd.customer_id
+     JOIN users u ON u.id = cd.user_id
+     ORDER BY c.jnid, u.name`
+  );
+  assert.deepStrictEqual(
+    commissions.rows.map(commission => `${commission.jnid} ${commission.name}`),
+    [
+      'sample-job-002 Sample Salesman',
+      'sample-job-002 Sample Supplementer',
+      'sample-job-003 Sample Salesman'
+    ]
+  );
+  commissions.rows.forEach(commission => {
+    assert.ok(parseFloat(commission.commission_amount) > 0, `${commission.jnid} ${commission.name} earned nothing`);
+    assert.ok(commission.calculation_trace, `${commission.jnid} ${commission.name} has no trace`);
+  });
+
+  // The ledger and user_balance agree with the commissions
+  const ledger = await db.query(
+    `SELECT le.commission_due_id, SUM(le.amount) as amount
+     FROM ledger_entries le
+     WHERE le.commission_due_id IS NOT NULL
+     GROUP BY le.commission_due_id`
+  );
+  const ledgerByCommission = new Map(ledger.rows.map(row => [row.commission_due_id, parseFloat(row.amount)]));
+  commissions.rows.forEach(commission => {
+    assert.strictEqual(ledgerByCommission.get(commission.id), parseFloat(commission.commission_amount));
+  });
+
+  const { rows: [totals] } = await db.query(
+    `SELECT (SELECT SUM(commission_amount) FROM commissions_due) as commissions,
+            (SELECT SUM(total_commissions_earned) FROM user_balance) as earned`
+  );
+  assert.strictEqual(parseFloat(totals.earned), parseFloat(totals.commissions));
+
+  // The job assigned to someone we don't know is queued for an admin
+  const unmatched = await db.query('SELECT assignee_name FROM unmatched_assignees');
+  assert.deepStrictEqual(unmatched.rows.map(row => row.assignee_name), ['Unknown Rep']);
+
+  const runs = await db.query('SELECT status, jobs_fetched, high_water_mark FROM sync_runs');
+  assert.deepStrictEqual(runs.rows, [{
+    status: 'succeeded',
+    jobs_fetched: jobs.length,
+    high_water_mark: String(Math.max(...jobs.map(job => job.date_updated)))
+  }]);
+});
+
+test('an incremental sync with nothing new changes nothing', { skip }, async () => {
+  const before = await db.query('SELECT COUNT(*)::INTEGER as count FROM ledger_entries');
+
+  const result = await runCustomerSync({ trigger: 'manual' });
+  assert.deepStrictEqual(result.errors, undefined);
+
+  const afterSync = await db.query('SELECT COUNT(*)::INTEGER as count FROM ledger_entries');
+  assert.strictEqual(afterSync.rows[0].count, before.rows[0].count);
+
+  const { rows: [run] } = await db.query('SELECT mode, status, customers_inserted, commissions_created FROM sync_runs ORDER BY id DESC LIMIT 1');
+  assert.deepStrictEqual(run, { mode: 'incremental', status: 'succeeded', customers_inserted: 0, commissions_created: 0 });
+});
@@ -61,4 +61,84 @@ const sendCommissionNotification = async (userId, customerId, commissionAmount)
     }
 };
 
-module.exports = { sendErrorNotification, sendPasswordResetEmail, sendCommissionNotification };
\ No newline at end of file
+const sendClawbackNotification = async (user, clawbacks) => {
+  const transporter = nodemailer.createTransport({
+    service: 'gmail', // Use your email provider
+    auth: {
+      user: process.env.EMAIL_USER, // Your email address
+      pass: process.env.EMAIL_PASSWORD, // Your email password or app-specific password
+    },
+  });
+
+  const reasons = {
+    status_regression: 'job is no longer Finalized',
+    reprice: 'commission was recalculated lower'
+  };
+  const lines = clawbacks.map(clawback =>
+    `- ${clawback.customer_name}: $${Math.abs(parseFloat(clawback.amount)).toFixed(2)} (${reasons[clawback.reason] || clawback.reason}${clawback.new_status ? `, status ${clawback.new_status}` : ''})`
+  );
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    cc: process.env.ADMIN_EMAIL,
+    subject: 'Commission Clawback Notice',
+    text: `Hi ${user.name},\n\nThe following commissions have been clawed back and deducted from your balance:\n\n${lines.join('\n')}\n\nPlease contact an administrator if you have questions about these adjustments.`,
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendAccountLockedEmail = async (user, { lockedUntil, ipAddress }) => {
+  const transporter = nodemailer.createTransport({
+    service: 'gmail', // Use your email provider
+    auth: {
+      user: process.env.EMAIL_USER, // Your email address
+      pass: process.env.EMAIL_PASSWORD, // Your email password or app-specific password
+    },
+  });
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Your Account Has Been Locked',
+    text: `Hi ${user.name},\n\nYour account was locked after too many failed sign-in attempts${ipAddress ? ` (last from IP address ${ipAddress})` : ''}. It will unlock automatically at ${new Date(lockedUntil).toLocaleString()}.\n\nIf this wasn't you, reset your password with "Forgot password" on the sign-in page, which also unlocks your account, and let an administrator know. An administrator can also unlock it for you.`,
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendInvitationEmail = async (invitation, inviteToken, inviterName) => {
+  const transporter = nodemailer.createTransport({
+    service: 'gmail', // Use your email provider
+    auth: {
+      user: process.env.EMAIL_USER, // Your email address
+      pass: process.env.EMAIL_PASSWORD, // Your email password or app-specific password
+    },
+  });
+
+  const inviteLink = `${process.env.INVITE_URL}?token=${inviteToken}`; // Where the invitee sets their password
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: invitation.email,
+    subject: 'You have been invited to the commission portal',
+    html: `
+      <p>Hi ${invitation.name},</p>
+      <p>${inviterName || 'An administrator'} has invited you to the commission portal. Click the link below to set your password and sign in:</p>
+      <a href="${inviteLink}">${inviteLink}</a>
+      <p>The link can be used once and expires on ${new Date(invitation.expires_at).toLocaleDateString()}.</p>
+    `,
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+module.exports = {
+  sendErrorNotification,
+  sendPasswordResetEmail,
+  sendCommissionNotification,
+  sendClawbackNotification,
+  sendAccountLockedEmail,
+  sendInvitationEmail
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// AES-256-GCM; the key is 32 bytes given as 64 hex characters
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+const getKey = () => {
+  const key = process.env.BANK_DETAILS_ENCRYPTION_KEY;
+  if (!key || !/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error('BANK_DETAILS_ENCRYPTION_KEY must be set to 64 hex characters');
+  }
+  return Buffer.from(key, 'hex');
+};
+
+/**
+ * Encrypt a value for storage
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} 'v1:<iv>:<auth tag>:<ciphertext>', base64 parts
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt
+ * @param {string} payload - Stored value
+ * @returns {string} Plaintext
+ */
+const decrypt = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognized encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encrypt, decrypt };
@@ -1,8 +1,10 @@
 // Custom error class
+// code: optional machine-readable reason, returned with the message (e.g. 'mfa_required')
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code = null) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
@@ -14,7 +16,11 @@ const globalErrorHandler = (err, req, res, next) => {
   console.error(`[ERROR] ${err.message}`);
   const statusCode = err.statusCode || 500;
   const message = err.isOperational ? err.message : 'Internal Server Error';
-  res.status(statusCode).json({ error: message });
+  if (err.isOperational && err.retryAfter) {
+    // Seconds until the client may try again (throttled logins)
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  res.status(statusCode).json(err.isOperational && err.code ? { error: message, code: err.code } : { error: message });
 };
 
 module.exports = { AppError, globalErrorHandler };
\ No newline at end of file